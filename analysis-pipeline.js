@@ -0,0 +1,134 @@
+class AnalysisPipeline {
+    constructor(options = {}) {
+        const SpectrumAnalyserClass = typeof SpectrumAnalyser !== 'undefined'
+            ? SpectrumAnalyser
+            : require('./spectrum-analyser');
+        this.SpectrumAnalyserClass = SpectrumAnalyserClass;
+
+        // Samples between analysis frames. No larger than the smallest FFT
+        // (2048), so consecutive frames overlap and no sample is skipped
+        this.hopSize = options.hopSize || 2048;
+        this.sampleRate = options.sampleRate || 44100;
+
+        // Same spectral smoothing as the AnalyserNode the detectors were tuned on
+        this.smoothingTimeConstant = options.smoothingTimeConstant !== undefined
+            ? options.smoothingTimeConstant
+            : 0.8;
+
+        // onFrame({ timeData, frequencyData, time }) once per hop; time is in
+        // ms on the performance.now() clock, derived from the sample count
+        this.onFrame = options.onFrame || (() => {});
+        this.workletUrl = options.workletUrl || 'analysis-worklet.js';
+
+        this.node = null;
+        this.sink = null;
+        this.window = new Float32Array(0);
+        this.setFftSize(options.fftSize || 2048);
+        this.reset(0);
+    }
+
+    // Resize the analysis window, keeping the most recent samples
+    setFftSize(fftSize) {
+        if (this.analyser && this.analyser.fftSize === fftSize) return;
+
+        this.analyser = new this.SpectrumAnalyserClass({
+            fftSize: fftSize,
+            smoothingTimeConstant: this.smoothingTimeConstant
+        });
+
+        const window = new Float32Array(fftSize);
+        const kept = Math.min(fftSize, this.window.length);
+        window.set(this.window.subarray(this.window.length - kept), fftSize - kept);
+        this.window = window;
+    }
+
+    // startTime: clock time (ms) of the first sample
+    reset(startTime = performance.now()) {
+        this.window.fill(0);
+        this.analyser.reset();
+        this.pending = new Float32Array(this.hopSize);
+        this.pendingLength = 0;
+        this.position = 0; // samples analysed so far
+        this.startTime = startTime;
+    }
+
+    // Feed contiguous mono samples in chunks of any size; every complete hop
+    // is analysed exactly once, in order
+    push(samples) {
+        let offset = 0;
+
+        while (offset < samples.length) {
+            const count = Math.min(this.hopSize - this.pendingLength, samples.length - offset);
+            this.pending.set(samples.subarray(offset, offset + count), this.pendingLength);
+            this.pendingLength += count;
+            offset += count;
+
+            if (this.pendingLength === this.hopSize) {
+                this.analyseHop(this.pending);
+                this.pendingLength = 0;
+            }
+        }
+    }
+
+    analyseHop(hop) {
+        // Slide the window along by one hop
+        const size = this.window.length;
+        if (hop.length >= size) {
+            this.window.set(hop.subarray(hop.length - size));
+        } else {
+            this.window.copyWithin(0, hop.length);
+            this.window.set(hop, size - hop.length);
+        }
+        this.position += hop.length;
+
+        this.onFrame({
+            timeData: this.window.slice(),
+            frequencyData: this.analyser.getByteFrequencyData(this.window, size),
+            time: this.startTime + this.position / this.sampleRate * 1000
+        });
+    }
+
+    // Capture from a source node through the AudioWorklet; runs on audio
+    // time, so it keeps full rate while the window is hidden
+    async start(audioContext, source) {
+        await audioContext.audioWorklet.addModule(this.workletUrl);
+
+        this.sampleRate = audioContext.sampleRate;
+        this.reset();
+
+        this.node = new AudioWorkletNode(audioContext, 'analysis-processor', {
+            numberOfInputs: 1,
+            numberOfOutputs: 1,
+            outputChannelCount: [1],
+            processorOptions: { blockSize: this.hopSize }
+        });
+        this.node.port.onmessage = event => this.push(event.data);
+
+        // The graph only pulls nodes that reach the destination; route the
+        // (silent) worklet output there through a muted gain
+        this.sink = audioContext.createGain();
+        this.sink.gain.value = 0;
+
+        source.connect(this.node);
+        this.node.connect(this.sink);
+        this.sink.connect(audioContext.destination);
+    }
+
+    stop() {
+        if (this.node) {
+            this.node.port.onmessage = null;
+            this.node.port.postMessage('stop');
+            this.node.disconnect();
+            this.node = null;
+        }
+
+        if (this.sink) {
+            this.sink.disconnect();
+            this.sink = null;
+        }
+    }
+}
+
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = AnalysisPipeline;
+}
@@ -0,0 +1,116 @@
+// Chord analysis off the UI thread: runs as an Electron utility process
+// (see analysis-service.js) and answers frames with the detector modules
+
+const AudioManager = require('./audio-manager');
+const ChordDetector = require('./chord-detector');
+const BrowserChordDetector = require('./browser-chord-detector');
+const RealTimeChordDetector = require('./real-time-chord-detector');
+const EnsembleDetector = require('./ensemble-detector');
+const DetectorRegistry = require('./detector-registry');
+
+class FrameAnalyzer {
+    constructor() {
+        // Same engines as the renderer's selector ('harmonic' is the peak
+        // picker, band mode included)
+        this.registry = new DetectorRegistry()
+            .register('harmonic', {
+                create: host => new ChordDetector(host),
+                holdBetweenAnalyses: true
+            })
+            .register('browser', {
+                create: host => new BrowserChordDetector(host)
+            })
+            .register('realtime', {
+                create: host => new RealTimeChordDetector(host)
+            })
+            .register('ensemble', {
+                create: host => new EnsembleDetector(host, {
+                    registry: this.registry,
+                    weights: this.settings.weights
+                }),
+                composite: true
+            });
+
+        this.settings = {
+            engine: 'harmonic',
+            sampleRate: 44100,
+            spectrumSource: 'linear',
+            referencePitch: 440,
+            onsetPreset: 'default',
+            multiChordMode: false,
+            weights: {}
+        };
+        this.engine = null;
+    }
+
+    // Apply settings and start a fresh engine
+    configure(settings = {}) {
+        Object.assign(this.settings, settings);
+        if (!this.registry.has(this.settings.engine)) {
+            throw new Error(`Unknown detector: ${this.settings.engine}`);
+        }
+
+        // Frames arrive already analysed, so only the sample rate is read
+        const audioManager = new AudioManager();
+        audioManager.audioContext = { sampleRate: this.settings.sampleRate };
+        audioManager.setOnsetPreset(this.settings.onsetPreset);
+
+        this.engine = this.registry.create(this.settings.engine, audioManager);
+        if (this.engine.setSpectrumSource) {
+            this.engine.setSpectrumSource(this.settings.spectrumSource);
+        }
+        if (this.engine.setReferencePitch) {
+            this.engine.setReferencePitch(this.settings.referencePitch);
+        }
+        if (this.engine.setMultiChordMode) {
+            this.engine.setMultiChordMode(this.settings.multiChordMode);
+        }
+
+        return { ...this.settings };
+    }
+
+    // frame: { audioData, frequencyData, time } -> contract chord or null
+    process(frame) {
+        if (!this.engine) {
+            this.configure();
+        }
+
+        return this.registry.normalize(
+            this.engine.detectChord(frame.audioData, frame.frequencyData, frame.time)
+        );
+    }
+
+    reset() {
+        if (this.engine && this.engine.reset) {
+            this.engine.reset();
+        }
+        return true;
+    }
+}
+
+// Requests: { id, type: 'configure' | 'process' | 'reset', payload };
+// every request gets { id, result } or { id, error }
+if (process.parentPort) {
+    const analyzer = new FrameAnalyzer();
+
+    // Detector logs would flood the main process output at frame rate
+    console.log = () => {};
+
+    process.parentPort.on('message', event => {
+        const { id, type, payload } = event.data;
+
+        try {
+            let result;
+            if (type === 'configure') result = analyzer.configure(payload);
+            else if (type === 'process') result = analyzer.process(payload);
+            else if (type === 'reset') result = analyzer.reset();
+            else throw new Error(`Unknown request: ${type}`);
+
+            process.parentPort.postMessage({ id: id, result: result });
+        } catch (error) {
+            process.parentPort.postMessage({ id: id, error: error.message });
+        }
+    });
+}
+
+module.exports = FrameAnalyzer;
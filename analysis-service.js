@@ -0,0 +1,139 @@
+const path = require('path');
+
+class AnalysisService {
+    constructor(options = {}) {
+        this.modulePath = options.modulePath || path.join(__dirname, 'analysis-process.js');
+        this.fork = options.fork || (modulePath => {
+            const { utilityProcess } = require('electron');
+            return utilityProcess.fork(modulePath, [], { serviceName: 'Chord analysis' });
+        });
+
+        this.child = null;
+        this.nextId = 1;
+        this.pending = new Map();
+        this.settings = {};
+        this.requestTimeout = 5000; // ms
+        this.callbacks = {
+            onError: null
+        };
+    }
+
+    /**
+     * Start the analysis process (again after a crash); the last settings
+     * are re-applied
+     */
+    start() {
+        if (this.child) return;
+
+        const child = this.fork(this.modulePath);
+        child.on('message', message => this.handleMessage(message));
+        child.on('exit', code => {
+            // A process we stopped ourselves is not a crash
+            if (this.child === child) this.handleExit(code);
+        });
+        this.child = child;
+
+        if (Object.keys(this.settings).length > 0) {
+            this.request('configure', this.settings).catch(() => {});
+        }
+    }
+
+    /**
+     * Choose the engine and its settings: { engine, sampleRate,
+     * spectrumSource, referencePitch, weights }; starts a fresh engine
+     */
+    configure(settings) {
+        this.start();
+        this.settings = { ...this.settings, ...settings };
+        return this.request('configure', this.settings);
+    }
+
+    /**
+     * Analyse one frame ({ audioData, frequencyData, time }); resolves to
+     * the detector's chord or null. Frames are answered in order
+     */
+    process(frame) {
+        return this.request('process', frame);
+    }
+
+    /**
+     * Clear the engine's history (tuning, key, smoothing)
+     */
+    reset() {
+        return this.request('reset', null);
+    }
+
+    request(type, payload) {
+        this.start();
+
+        const id = this.nextId++;
+        return new Promise((resolve, reject) => {
+            const timer = setTimeout(() => {
+                this.pending.delete(id);
+                reject(new Error(`Analysis request ${type} timed out`));
+            }, this.requestTimeout);
+
+            this.pending.set(id, { resolve, reject, timer });
+            this.child.postMessage({ id: id, type: type, payload: payload });
+        });
+    }
+
+    handleMessage(message) {
+        const request = this.pending.get(message.id);
+        if (!request) return;
+
+        this.pending.delete(message.id);
+        clearTimeout(request.timer);
+
+        if (message.error) {
+            request.reject(new Error(message.error));
+        } else {
+            request.resolve(message.result);
+        }
+    }
+
+    handleExit(code) {
+        this.child = null;
+
+        const error = new Error(`Analysis process exited with code ${code}`);
+        this.pending.forEach(request => {
+            clearTimeout(request.timer);
+            request.reject(error);
+        });
+        this.pending.clear();
+
+        if (code !== 0) {
+            this.logError(error.message);
+        }
+    }
+
+    /**
+     * Stop the analysis process
+     */
+    stop() {
+        if (this.child) {
+            const child = this.child;
+            this.handleExit(0);
+            child.kill();
+        }
+    }
+
+    /**
+     * Set callback for errors
+     */
+    onError(callback) {
+        this.callbacks.onError = callback;
+    }
+
+    /**
+     * Log error message
+     */
+    logError(message) {
+        console.error(`Analysis service: ${message}`);
+        if (this.callbacks.onError) {
+            this.callbacks.onError(message);
+        }
+    }
+}
+
+module.exports = AnalysisService;
@@ -0,0 +1,49 @@
+// Audio-thread half of the analysis pipeline (see analysis-pipeline.js):
+// mixes the input to mono and posts it to the main thread in blocks of
+// blockSize samples, in order, so every captured sample is delivered once
+
+class AnalysisProcessor extends AudioWorkletProcessor {
+    constructor(options) {
+        super();
+
+        this.blockSize = options.processorOptions.blockSize;
+        this.block = new Float32Array(this.blockSize);
+        this.filled = 0;
+        this.running = true;
+
+        this.port.onmessage = event => {
+            if (event.data === 'stop') {
+                this.running = false;
+            }
+        };
+    }
+
+    process(inputs) {
+        const channels = inputs[0];
+
+        // No channels while the source is disconnected: nothing was captured
+        if (channels.length === 0) {
+            return this.running;
+        }
+
+        const length = channels[0].length;
+        for (let i = 0; i < length; i++) {
+            let sum = 0;
+            for (let channel = 0; channel < channels.length; channel++) {
+                sum += channels[channel][i];
+            }
+            this.block[this.filled++] = sum / channels.length;
+
+            if (this.filled === this.blockSize) {
+                // Hand the buffer over instead of copying it
+                this.port.postMessage(this.block, [this.block.buffer]);
+                this.block = new Float32Array(this.blockSize);
+                this.filled = 0;
+            }
+        }
+
+        return this.running;
+    }
+}
+
+registerProcessor('analysis-processor', AnalysisProcessor);
@@ -0,0 +1,160 @@
+class BeatSynchronizer {
+    constructor(options = {}) {
+        // 'beat' labels every beat; 'half-bar' pools half a bar per label
+        // (a whole bar in odd meters)
+        this.unit = options.unit || 'beat';
+        this.beatsPerBar = options.beatsPerBar || 4;
+
+        // Index of a beat that starts a bar (beats are counted from the first)
+        this.downbeat = options.downbeat || 0;
+
+        this.reset();
+    }
+
+    reset() {
+        this.boundaries = []; // beat times (ms) no frame has reached yet
+        this.beatIndex = -1; // open beat; -1 is the pickup before the first beat
+        this.open = null; // { start, frames } of the open beat
+        this.group = null; // closed beats waiting for the rest of their slot
+    }
+
+    setUnit(unit) {
+        this.unit = unit;
+    }
+
+    setMeter(beatsPerBar, downbeat = this.downbeat) {
+        this.beatsPerBar = beatsPerBar;
+        this.downbeat = downbeat;
+    }
+
+    beatsPerSlot() {
+        if (this.unit !== 'half-bar') return 1;
+        return this.beatsPerBar % 2 === 0 ? this.beatsPerBar / 2 : this.beatsPerBar;
+    }
+
+    // Position of a beat in its bar (0 = downbeat)
+    beatInBar(index) {
+        return ((index - this.downbeat) % this.beatsPerBar + this.beatsPerBar) % this.beatsPerBar;
+    }
+
+    // Bar a beat falls in: 1 from the first downbeat, 0 for a pickup
+    barNumber(index) {
+        return Math.max(0, Math.floor((index - this.downbeat) / this.beatsPerBar) + 1);
+    }
+
+    // A tracked beat at time ms; it takes effect once frames reach it, so
+    // frames analysed late (in the background) still land in their beat
+    addBeat(time) {
+        const last = this.boundaries.length > 0
+            ? this.boundaries[this.boundaries.length - 1]
+            : (this.open ? this.open.start : -Infinity);
+        if (time > last) {
+            this.boundaries.push(time);
+        }
+    }
+
+    // Frame chord (detector result or null) at time ms. Returns the slots
+    // this frame closed, oldest first: { start, end, beat (index of its
+    // first beat, -1 for the pickup), beats, beatInBar, observation }, the
+    // observation being the pooled candidates for the sequence decoder
+    // (or null when no frame named a chord)
+    addFrame(chord, time) {
+        const slots = [];
+
+        if (!this.open) {
+            this.open = { start: time, frames: [] };
+        }
+
+        while (this.boundaries.length > 0 && this.boundaries[0] <= time) {
+            const slot = this.closeBeat(this.boundaries.shift());
+            if (slot) slots.push(slot);
+        }
+
+        this.open.frames.push(chord);
+        return slots;
+    }
+
+    // Close the open beat and any slot still gathering at time ms (the end
+    // of a recording); returns the closed slots like addFrame
+    flush(time) {
+        const slots = [];
+        if (!this.open) return slots;
+
+        while (this.boundaries.length > 0 && this.boundaries[0] <= time) {
+            const slot = this.closeBeat(this.boundaries.shift());
+            if (slot) slots.push(slot);
+        }
+        this.boundaries = [];
+
+        if (time > this.open.start && (this.open.frames.length > 0 || this.group)) {
+            slots.push(this.closeBeat(time, true));
+        }
+        return slots;
+    }
+
+    closeBeat(end, force = false) {
+        const index = this.beatIndex;
+        const beat = this.open;
+        this.beatIndex++;
+
+        // Beats from before the first frame only count towards the bar
+        if (end <= beat.start && beat.frames.length === 0) {
+            return null;
+        }
+        this.open = { start: end, frames: [] };
+
+        if (!this.group) {
+            this.group = { start: beat.start, beat: index, beats: 0, frames: [] };
+        }
+        this.group.frames.push(...beat.frames);
+        this.group.beats++;
+
+        // The pickup stands alone; other beats gather until the next slot starts
+        const slotLength = this.beatsPerSlot();
+        if (!force && index >= 0 && (this.beatInBar(index + 1) % slotLength !== 0)) {
+            return null;
+        }
+
+        const group = this.group;
+        this.group = null;
+
+        return {
+            start: group.start,
+            end: end,
+            beat: group.beat,
+            beats: group.beats,
+            beatInBar: group.beat >= 0 ? this.beatInBar(group.beat) : null,
+            observation: this.pool(group.frames)
+        };
+    }
+
+    // Confidence-weighted vote over the slot's frames: each chord scores its
+    // summed confidence over the number of frames, so a chord heard in
+    // half the frames at 0.8 scores 0.4
+    pool(frames) {
+        if (frames.length === 0) return null;
+
+        const candidates = new Map();
+        frames.forEach(frame => {
+            if (!frame || !frame.name) return;
+
+            const candidate = candidates.get(frame.name) || { score: 0, best: null };
+            const confidence = frame.confidence !== undefined ? frame.confidence : 1;
+            candidate.score += confidence;
+            if (!candidate.best || confidence > candidate.best.confidence) {
+                candidate.best = frame;
+            }
+            candidates.set(frame.name, candidate);
+        });
+
+        if (candidates.size === 0) return null;
+
+        return [...candidates.values()]
+            .map(candidate => ({ ...candidate.best, confidence: candidate.score / frames.length }))
+            .sort((a, b) => b.confidence - a.confidence);
+    }
+}
+
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = BeatSynchronizer;
+}
@@ -0,0 +1,300 @@
+class BeatTracker {
+    constructor(options = {}) {
+        // Tempo range searched, and the prior that settles octave ambiguity
+        // (60 vs 120 vs 240): a log-normal around preferredBpm, spread in octaves
+        this.minBpm = options.minBpm || 50;
+        this.maxBpm = options.maxBpm || 200;
+        this.preferredBpm = options.preferredBpm || 120;
+        this.tempoSpread = options.tempoSpread || 1.0;
+
+        // Onset-strength history used for tempo and phase
+        this.windowDuration = options.windowDuration || 8000; // ms
+        this.minHistory = options.minHistory || 3000; // ms before the first estimate
+        this.updateInterval = options.updateInterval || 500; // ms between tempo estimates
+
+        // Onset strength is measured above its own recent average (ms)
+        this.localMeanDuration = options.localMeanDuration || 1000;
+
+        // Periods summed by the phase comb
+        this.combPeriods = options.combPeriods || 4;
+
+        // A tempo this far (relative) from the current one must be found twice
+        // in a row before it replaces it
+        this.tempoTolerance = 0.06;
+
+        // Mean onset strength under which the window holds no attacks at
+        // all, only the jitter of a held or silent spectrum; in the units of
+        // the onset detector's function, so by default its preset's
+        this.minOnsetStrength = options.minOnsetStrength ?? null;
+
+        // Below this confidence there is no usable pulse (sustained or rubato music)
+        this.minConfidence = options.minConfidence || 0.2;
+
+        // A tempo is held through estimates without a pulse for this long
+        // (ms): a fill or a held chord should not drop the beat grid
+        this.tempoHold = options.tempoHold !== undefined ? options.tempoHold : 2000;
+
+        this.maxBeats = options.maxBeats || 2000;
+
+        // Onset detection function and onsets from one OnsetDetector (shared
+        // with the chord engines when given), so its preset shapes the tempo,
+        // beats and meter as well
+        const OnsetDetectorClass = typeof OnsetDetector !== 'undefined'
+            ? OnsetDetector
+            : require('./onset-detector');
+        this.onsetDetector = options.onsetDetector || new OnsetDetectorClass({ preset: options.onsetPreset });
+
+        // onBeat(time, tracker) for every beat, as it is tracked;
+        // onOnset(time, strength) for every note onset the detector reports;
+        // onPulseLost(tracker) once when a held tempo is given up
+        this.onBeat = options.onBeat || null;
+        this.onOnset = options.onOnset || null;
+        this.onPulseLost = options.onPulseLost || null;
+
+        this.reset();
+    }
+
+    reset() {
+        this.onsetDetector.reset();
+        this.detection = []; // { time, value } raw onset detection function
+        this.envelope = []; // { time, value } onset strength
+        this.bpm = null;
+        this.period = null; // ms
+        this.confidence = 0;
+        this.pendingBpm = null;
+        this.lastEstimateTime = -Infinity;
+        this.lastPulseTime = -Infinity; // last estimate that found the pulse
+        this.beats = []; // ms, same clock as the frames
+    }
+
+    // Add one spectrum frame (AnalyserNode byte data, plus the time-domain
+    // samples for the complex-domain function) at time ms; frames are
+    // expected at a steady hop. Returns the beat tracked on this frame (its
+    // time in ms) or null
+    addSpectrum(frequencyData, time, timeData = null) {
+        const onset = this.onsetDetector.detect(frequencyData, time, timeData);
+        const value = this.onsetDetector.value;
+        if (value === null) return null;
+
+        this.detection.push({ time: time, value: value });
+        this.envelope.push({ time: time, value: this.onsetStrength(time) });
+        if (onset && this.onOnset) {
+            this.onOnset(time, value);
+        }
+
+        const cutoff = time - this.windowDuration;
+        while (this.detection.length > 0 && this.detection[0].time < cutoff) this.detection.shift();
+        while (this.envelope.length > 0 && this.envelope[0].time < cutoff) this.envelope.shift();
+
+        if (time - this.lastEstimateTime >= this.updateInterval) {
+            this.lastEstimateTime = time;
+            this.estimateTempo();
+        }
+
+        return this.trackBeat();
+    }
+
+    // Latest detection value above the mean of the last localMeanDuration
+    onsetStrength(time) {
+        let sum = 0;
+        let count = 0;
+        for (let i = this.detection.length - 1; i >= 0 && this.detection[i].time > time - this.localMeanDuration; i--) {
+            sum += this.detection[i].value;
+            count++;
+        }
+
+        const latest = this.detection[this.detection.length - 1].value;
+        return Math.max(0, latest - sum / count);
+    }
+
+    frameDuration() {
+        const frames = this.envelope;
+        return (frames[frames.length - 1].time - frames[0].time) / (frames.length - 1);
+    }
+
+    // Autocorrelation of the onset envelope, weighted by the tempo prior;
+    // confidence is the winning lag's share of the envelope's energy
+    estimateTempo() {
+        const frames = this.envelope;
+        if (frames.length < 2 || frames[frames.length - 1].time - frames[0].time < this.minHistory) {
+            return;
+        }
+
+        const frameDuration = this.frameDuration();
+        const values = frames.map(frame => frame.value);
+        const mean = values.reduce((sum, value) => sum + value, 0) / values.length;
+        const centered = values.map(value => value - mean);
+
+        const autocorrelation = lag => {
+            let sum = 0;
+            for (let i = lag; i < centered.length; i++) {
+                sum += centered[i] * centered[i - lag];
+            }
+            return sum / (centered.length - lag);
+        };
+
+        const energy = autocorrelation(0);
+        const minOnsetStrength = this.minOnsetStrength !== null ? this.minOnsetStrength : this.onsetDetector.minStrength;
+        if (mean < minOnsetStrength || energy <= 1e-9) {
+            this.setTempo(null, 0);
+            return;
+        }
+
+        const minLag = Math.max(1, Math.floor(60000 / this.maxBpm / frameDuration));
+        const maxLag = Math.min(centered.length - 2, Math.ceil(60000 / this.minBpm / frameDuration));
+        if (maxLag <= minLag) return;
+
+        const scores = [];
+        const correlations = [];
+        for (let lag = minLag - 1; lag <= maxLag + 1; lag++) {
+            const correlation = Math.max(0, autocorrelation(lag));
+            const bpm = 60000 / (lag * frameDuration);
+            const octaves = Math.log2(bpm / this.preferredBpm) / this.tempoSpread;
+            correlations[lag] = correlation;
+            scores[lag] = correlation * Math.exp(-0.5 * octaves * octaves);
+        }
+
+        let bestLag = minLag;
+        for (let lag = minLag; lag <= maxLag; lag++) {
+            if (scores[lag] > scores[bestLag]) bestLag = lag;
+        }
+        if (scores[bestLag] <= 0) {
+            this.setTempo(null, 0);
+            return;
+        }
+
+        const period = this.refineLag(bestLag, autocorrelation, centered.length) * frameDuration;
+        this.setTempo(60000 / period, Math.min(1, correlations[bestLag] / energy));
+    }
+
+    // The hop is coarse next to a beat period: interpolate the peaks at the
+    // lag and its multiples (k beats apart) and average lag_k / k, weighting
+    // the longer, more precise spans more
+    refineLag(lag, autocorrelation, length) {
+        let sum = 0;
+        let weights = 0;
+
+        for (let k = 1; k <= 4; k++) {
+            let peak = Math.round(k * lag);
+            if (peak + 1 > length / 2 && k > 1) break;
+
+            // The multiple's peak may sit a frame either side of k * lag
+            [peak - 1, peak + 1].forEach(candidate => {
+                if (k > 1 && autocorrelation(candidate) > autocorrelation(peak)) peak = candidate;
+            });
+
+            const left = autocorrelation(peak - 1);
+            const center = autocorrelation(peak);
+            const right = autocorrelation(peak + 1);
+            const curvature = left - 2 * center + right;
+            const shift = curvature < 0 ? Math.max(-0.5, Math.min(0.5, 0.5 * (left - right) / curvature)) : 0;
+
+            sum += (peak + shift);
+            weights += k;
+        }
+
+        return sum / weights;
+    }
+
+    setTempo(bpm, confidence) {
+        this.confidence = confidence;
+        const time = this.envelope[this.envelope.length - 1].time;
+
+        if (bpm === null || confidence < this.minConfidence) {
+            if (this.bpm === null) return;
+            if (time - this.lastPulseTime < this.tempoHold) return;
+
+            this.bpm = null;
+            this.period = null;
+            this.pendingBpm = null;
+            if (this.onPulseLost) this.onPulseLost(this);
+            return;
+        }
+        this.lastPulseTime = time;
+
+        const close = (a, b) => a !== null && Math.abs(a - b) / b <= this.tempoTolerance;
+        if (this.bpm === null || close(this.bpm, bpm)) {
+            this.bpm = this.bpm === null ? bpm : 0.7 * this.bpm + 0.3 * bpm;
+            this.pendingBpm = null;
+        } else if (close(this.pendingBpm, bpm)) {
+            this.bpm = bpm;
+            this.pendingBpm = null;
+        } else {
+            this.pendingBpm = bpm;
+        }
+
+        this.period = 60000 / this.bpm;
+    }
+
+    // Place the beat grid on the envelope with a comb over the last few
+    // periods; a grid point at or before the newest frame that is not yet a
+    // beat becomes one
+    trackBeat() {
+        if (!this.period) return null;
+
+        const frames = this.envelope;
+        const last = frames.length - 1;
+        const periodFrames = this.period / this.frameDuration();
+        if (periodFrames * this.combPeriods >= last) return null;
+
+        const valueAt = position => {
+            const index = Math.floor(position);
+            const fraction = position - index;
+            const next = Math.min(last, index + 1);
+            return frames[index].value * (1 - fraction) + frames[next].value * fraction;
+        };
+
+        const combAt = offset => {
+            let score = 0;
+            for (let k = 0; k < this.combPeriods; k++) {
+                score += valueAt(Math.max(0, last - offset - k * periodFrames));
+            }
+            return score;
+        };
+
+        const offsetCount = Math.ceil(periodFrames);
+        const scores = [];
+        let bestOffset = 0;
+        for (let offset = 0; offset < offsetCount; offset++) {
+            scores[offset] = combAt(offset);
+            if (scores[offset] > scores[bestOffset]) bestOffset = offset;
+        }
+
+        // Sub-frame phase from the neighbouring offsets
+        let shift = 0;
+        if (bestOffset > 0 && bestOffset < offsetCount - 1) {
+            const left = scores[bestOffset - 1];
+            const right = scores[bestOffset + 1];
+            const curvature = left - 2 * scores[bestOffset] + right;
+            if (curvature < 0) shift = Math.max(-0.5, Math.min(0.5, 0.5 * (left - right) / curvature));
+        }
+
+        // Flux peaks on the first frame whose window lies wholly after the
+        // attack, about one frame after it
+        const frameDuration = this.frameDuration();
+        const beat = frames[last].time - (bestOffset + shift + 1) * frameDuration;
+        const previous = this.beats[this.beats.length - 1];
+        if (previous !== undefined && beat - previous < this.period / 2) {
+            return null;
+        }
+
+        this.beats.push(beat);
+        if (this.beats.length > this.maxBeats) this.beats.shift();
+        if (this.onBeat) this.onBeat(beat, this);
+        return beat;
+    }
+
+    // Tracked beats (ms) at or after since
+    getBeats(since = -Infinity) {
+        return this.beats.filter(beat => beat >= since);
+    }
+
+    // Rounded tempo when there is a usable pulse, else null
+    getTempo() {
+        return this.bpm !== null ? Math.round(this.bpm) : null;
+    }
+}
+
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = BeatTracker;
+}
@@ -1,194 +1,479 @@
-class ChordDetector {
-    constructor(audioManager) {
-        this.audioManager = audioManager;
-    }
-
-    detectChord(audioData, frequencyData) {
-        // Improved onset detection for studio-quality audio
-        const hasOnset = this.audioManager.detectOnset(frequencyData);
-        
-        // For studio recordings, use fixed high sensitivity threshold
-        this.audioManager.adaptiveThreshold = 0.01;
-        
-        // Always analyze when onset is detected, otherwise sample based on BPM
-        const currentTime = performance.now();
-        const shouldAnalyze = hasOnset || this.audioManager.shouldSample(currentTime);
-        
-        if (!shouldAnalyze) {
-            return null;
-        }
-        
-        // Find fundamental frequencies using improved harmonic analysis
-        const fundamentals = this.findFundamentalFrequencies(frequencyData);
-        
-        // Convert frequencies to notes with octave information
-        const notesWithOctaves = fundamentals.map(freq => this.frequencyToNoteWithOctave(freq));
-        
-        // Enhanced chord detection with temporal analysis
-        return this.identifyChordWithTemporalAnalysis(notesWithOctaves, fundamentals);
-    }
-
-    findFundamentalFrequencies(frequencyData) {
-        const peaks = [];
-        const sampleRate = this.audioManager.audioContext.sampleRate;
-        const bufferLength = frequencyData.length;
-        
-        // Fixed high sensitivity threshold for studio audio (much lower)
-        const amplitudeThreshold = 16;
-        
-        // Find all local maxima with improved peak detection
-        for (let i = 2; i < bufferLength - 2; i++) {
-            const current = frequencyData[i];
-            const prev1 = frequencyData[i - 1];
-            const prev2 = frequencyData[i - 2];
-            const next1 = frequencyData[i + 1];
-            const next2 = frequencyData[i + 2];
-            
-            // Relaxed peak detection for more sensitivity
-            if (current > prev1 && current > next1 &&
-                current > prev2 && current > next2 &&
-                current > amplitudeThreshold) {
-                
-                const frequency = i * sampleRate / (bufferLength * 2);
-                
-                // Extended frequency range for better detection
-                if (frequency > 50 && frequency < 1500) {
-                    // Calculate peak prominence
-                    const leftMin = Math.min(prev1, prev2);
-                    const rightMin = Math.min(next1, next2);
-                    const prominence = current - Math.max(leftMin, rightMin);
-                    
-                    // Include even weak peaks for studio audio
-                    if (prominence > 8) {
-                        peaks.push({
-                            frequency: frequency,
-                            amplitude: current,
-                            bin: i,
-                            prominence: prominence
-                        });
-                    }
-                }
-            }
-        }
-        
-        // Sort by amplitude for studio audio (more reliable than prominence)
-        peaks.sort((a, b) => b.amplitude - a.amplitude);
-        const fundamentals = [];
-        
-        // More permissive harmonic filtering for studio audio
-        for (let i = 0; i < peaks.length && fundamentals.length < 8; i++) {
-            const peak = peaks[i];
-            let isHarmonic = false;
-            
-            // Check if this peak is a harmonic of an existing fundamental
-            for (let j = 0; j < fundamentals.length; j++) {
-                const fundamental = fundamentals[j];
-                const ratio = peak.frequency / fundamental.frequency;
-                
-                // More permissive harmonic detection for studio audio
-                if (Math.abs(ratio - Math.round(ratio)) < 0.1) {
-                    isHarmonic = true;
-                    break;
-                }
-                
-                // Also check if this could be the fundamental of existing harmonics
-                const inverseRatio = fundamental.frequency / peak.frequency;
-                if (Math.abs(inverseRatio - Math.round(inverseRatio)) < 0.1) {
-                    // Replace the harmonic with this fundamental
-                    fundamentals[j] = peak;
-                    isHarmonic = true;
-                    break;
-                }
-            }
-            
-            if (!isHarmonic) {
-                fundamentals.push(peak);
-            }
-        }
-        
-        // Sort by frequency for consistent ordering
-        fundamentals.sort((a, b) => a.frequency - b.frequency);
-        
-        return fundamentals.map(peak => peak.frequency);
-    }
-    
-    frequencyToNoteWithOctave(frequency) {
-        const A4 = 440;
-        const noteNames = ['C', 'C#', 'D', 'D#', 'E', 'F', 'F#', 'G', 'G#', 'A', 'A#', 'B'];
-        
-        const noteNumber = 12 * (Math.log2(frequency / A4));
-        const noteIndex = Math.round(noteNumber) % 12;
-        const octave = Math.floor(noteNumber / 12) + 4;
-        
-        return {
-            note: noteNames[(noteIndex + 12) % 12],
-            octave: octave
-        };
-    }
-
-    identifyChordWithTemporalAnalysis(notesWithOctaves, frequencies) {
-        if (notesWithOctaves.length < 2) return null;
-        
-        // Extract just the note names for chord matching
-        const noteNames = notesWithOctaves.map(n => n.note);
-        const uniqueNotes = [...new Set(noteNames)].sort();
-        
-        // Enhanced chord patterns with better confidence calculation
-        const chordPatterns = {
-            // Major chords
-            'C,E,G': { name: 'C', confidence: 0.9 },
-            'C#,F,G#': { name: 'C#', confidence: 0.9 },
-            'D,F#,A': { name: 'D', confidence: 0.9 },
-            'D#,G,A#': { name: 'D#', confidence: 0.9 },
-            'E,G#,B': { name: 'E', confidence: 0.9 },
-            'F,A,C': { name: 'F', confidence: 0.9 },
-            'F#,A#,C#': { name: 'F#', confidence: 0.9 },
-            'G,B,D': { name: 'G', confidence: 0.9 },
-            'G#,C,D#': { name: 'G#', confidence: 0.9 },
-            'A,C#,E': { name: 'A', confidence: 0.9 },
-            'A#,D,F': { name: 'A#', confidence: 0.9 },
-            'B,D#,F#': { name: 'B', confidence: 0.9 },
-            
-            // Minor chords
-            'C,Eb,G': { name: 'Cm', confidence: 0.8 },
-            'C#,E,G#': { name: 'C#m', confidence: 0.8 },
-            'D,F,A': { name: 'Dm', confidence: 0.8 },
-            'D#,F#,A#': { name: 'D#m', confidence: 0.8 },
-            'E,G,B': { name: 'Em', confidence: 0.8 },
-            'F,Ab,C': { name: 'Fm', confidence: 0.8 },
-            'F#,A,C#': { name: 'F#m', confidence: 0.8 },
-            'G,Bb,D': { name: 'Gm', confidence: 0.8 },
-            'G#,B,D#': { name: 'G#m', confidence: 0.8 },
-            'A,C,E': { name: 'Am', confidence: 0.8 },
-            'A#,C#,F': { name: 'A#m', confidence: 0.8 },
-            'B,D,F#': { name: 'Bm', confidence: 0.8 }
-        };
-        
-        const noteString = uniqueNotes.join(',');
-        
-        if (chordPatterns[noteString]) {
-            return chordPatterns[noteString];
-        }
-        
-        // Try partial matches (2 out of 3 notes)
-        if (uniqueNotes.length >= 2) {
-            for (const pattern in chordPatterns) {
-                const patternNotes = pattern.split(',');
-                const matchingNotes = uniqueNotes.filter(note => patternNotes.includes(note));
-                
-                if (matchingNotes.length >= 2) {
-                    return {
-                        name: chordPatterns[pattern].name,
-                        confidence: chordPatterns[pattern].confidence * 0.7
-                    };
-                }
-            }
-        }
-        
-        // Fallback: return most prominent note
-        return {
-            name: uniqueNotes[0],
-            confidence: 0.3
-        };
-    }
-}
\ No newline at end of file
+class ChordDetector {
+    constructor(audioManager) {
+        this.audioManager = audioManager;
+        
+        // Chord templates shared by all detectors
+        const ChordDictionaryClass = typeof ChordDictionary !== 'undefined'
+            ? ChordDictionary
+            : require('./chord-dictionary');
+        this.chordDictionary = new ChordDictionaryClass();
+        this.noteSpeller = this.chordDictionary.noteSpeller;
+        
+        // Key used to spell note and chord names (null = neutral spelling)
+        this.key = null;
+        
+        // Key estimation from the chroma history (drives spelling when confident)
+        const KeyDetectorClass = typeof KeyDetector !== 'undefined'
+            ? KeyDetector
+            : require('./key-detector');
+        this.keyDetector = new KeyDetectorClass({ noteSpeller: this.noteSpeller });
+        this.autoKey = true;
+        this.minKeyConfidence = 0.6;
+        
+        // Reference pitch plus the recording's estimated offset in cents
+        const TuningEstimatorClass = typeof TuningEstimator !== 'undefined'
+            ? TuningEstimator
+            : require('./tuning-estimator');
+        this.tuning = new TuningEstimatorClass();
+        
+        // Spectral front end: 'linear' FFT bins or the semitone 'log' filterbank
+        const LogFrequencySpectrumClass = typeof LogFrequencySpectrum !== 'undefined'
+            ? LogFrequencySpectrum
+            : require('./log-frequency-spectrum');
+        this.logSpectrum = new LogFrequencySpectrumClass();
+        this.spectrumSource = 'linear';
+        
+        // Spectral peaks more than this many byte levels below the strongest
+        // one are left out of the notes (~33 dB on the analyser's 70 dB scale)
+        this.peakRange = 120;
+        
+        // Multi-chord mode: bass, mid and treble bands picked separately,
+        // as the window's own peak picker does
+        this.multiChordMode = false;
+        
+        // Bass tracking for slash chords (lowest note of the bass band)
+        this.bassHistory = [];
+        this.bassHistorySize = 6; // Frames considered
+        this.minBassAgreement = 0.5; // Share of frames the bass must agree on
+    }
+
+    reset() {
+        this.bassHistory = [];
+    }
+
+    setMultiChordMode(enabled) {
+        this.multiChordMode = Boolean(enabled);
+        this.bassHistory = [];
+    }
+
+    // Follow the estimated key for spelling unless one was set by hand
+    applyKeyEstimate(estimate) {
+        if (this.autoKey && estimate && estimate.confidence >= this.minKeyConfidence) {
+            this.key = estimate;
+        }
+    }
+
+    // Current key estimate ({ tonic, mode, name, confidence }) or null
+    getKey() {
+        return this.keyDetector.getKey();
+    }
+
+    // Key used to spell note and chord names; null returns to automatic detection
+    setKey(key) {
+        this.key = key;
+        this.autoKey = !key;
+    }
+
+    // Nominal A4 in Hz (e.g. 432); the estimated offset is applied on top
+    setReferencePitch(frequency) {
+        this.tuning.setReferencePitch(frequency);
+    }
+
+    // { referencePitch, offsetCents, frequency } with frequency the effective A4
+    getTuning() {
+        return {
+            referencePitch: this.tuning.referencePitch,
+            offsetCents: this.tuning.getOffsetCents(),
+            frequency: this.tuning.getTuningFrequency()
+        };
+    }
+
+    // Feature source for chroma and peak picking: 'linear' or 'log'
+    setSpectrumSource(source) {
+        this.spectrumSource = source === 'log' ? 'log' : 'linear';
+        this.audioManager.setFftSize(this.spectrumSource === 'log' ? this.logSpectrum.recommendedFftSize : 2048);
+    }
+
+    // currentTime (ms) defaults to the live clock; offline runs pass the
+    // position in the file
+    detectChord(audioData, frequencyData, currentTime = performance.now()) {
+        // Track tuning and key from the spectrum every frame, analyzed or not
+        const sampleRate = this.audioManager.audioContext.sampleRate;
+        this.tuning.addSpectrum(frequencyData, sampleRate);
+        this.applyKeyEstimate(this.keyDetector.addSpectrum(
+            frequencyData, sampleRate, currentTime, this.tuning.getTuningFrequency()
+        ));
+        
+        // Band analysis runs on every frame
+        if (this.multiChordMode) {
+            return this.detectChordsByFrequencyRanges(frequencyData);
+        }
+        
+        // Improved onset detection for studio-quality audio
+        const hasOnset = this.audioManager.detectOnset(frequencyData, currentTime, audioData);
+        
+        // For studio recordings, use fixed high sensitivity threshold
+        this.audioManager.adaptiveThreshold = 0.01;
+        
+        // Always analyze when onset is detected, otherwise sample based on BPM
+        const shouldAnalyze = hasOnset || this.audioManager.shouldSample(currentTime);
+        
+        if (!shouldAnalyze) {
+            return null;
+        }
+        
+        // Find fundamental frequencies using improved harmonic analysis
+        const fundamentals = this.findFundamentalFrequencies(frequencyData);
+        
+        // Convert frequencies to notes with octave information
+        const notesWithOctaves = fundamentals.map(freq => this.frequencyToNoteWithOctave(freq));
+        
+        // Enhanced chord detection with temporal analysis
+        return this.identifyChordWithTemporalAnalysis(notesWithOctaves, fundamentals);
+    }
+
+    findFundamentalFrequencies(frequencyData) {
+        const peaks = [];
+        const sampleRate = this.audioManager.audioContext.sampleRate;
+        const bufferLength = frequencyData.length;
+        
+        // Fixed high sensitivity threshold for studio audio (much lower)
+        const amplitudeThreshold = 16;
+        
+        if (this.spectrumSource === 'log') {
+            // Semitone bands resolve low notes that share a linear bin
+            const spectrum = this.logSpectrum.compute(frequencyData, sampleRate, this.tuning.getTuningFrequency());
+            peaks.push(...this.logSpectrum.findPeaks(spectrum, {
+                minFrequency: 50,
+                maxFrequency: 1500,
+                amplitudeThreshold: amplitudeThreshold
+            }));
+        } else {
+            // Find all local maxima with improved peak detection
+            for (let i = 2; i < bufferLength - 2; i++) {
+                const current = frequencyData[i];
+                const prev1 = frequencyData[i - 1];
+                const prev2 = frequencyData[i - 2];
+                const next1 = frequencyData[i + 1];
+                const next2 = frequencyData[i + 2];
+                
+                // Relaxed peak detection for more sensitivity. Loud notes
+                // clip at the top of the byte range, so close notes two bins
+                // apart (A3 and C4) may match as second neighbours
+                if (current > prev1 && current > next1 &&
+                    current >= prev2 && current >= next2 &&
+                    current > amplitudeThreshold) {
+                    
+                    const frequency = i * sampleRate / (bufferLength * 2);
+                    
+                    // Extended frequency range for better detection
+                    if (frequency > 50 && frequency < 1500) {
+                        // Calculate peak prominence
+                        const leftMin = Math.min(prev1, prev2);
+                        const rightMin = Math.min(next1, next2);
+                        const prominence = current - Math.max(leftMin, rightMin);
+                        
+                        // Include even weak peaks for studio audio (clipped
+                        // neighbours leave only a shallow dip between them)
+                        if (prominence >= 8) {
+                            peaks.push({
+                                frequency: frequency,
+                                amplitude: current,
+                                bin: i,
+                                prominence: prominence
+                            });
+                        }
+                    }
+                }
+            }
+        }
+            
+        // Sort by amplitude for studio audio (more reliable than prominence)
+        peaks.sort((a, b) => b.amplitude - a.amplitude);
+        const fundamentals = [];
+        
+        // Peaks far below the strongest are the noise floor, not notes
+        const floor = peaks.length > 0 ? peaks[0].amplitude - this.peakRange : 0;
+        while (peaks.length > 0 && peaks[peaks.length - 1].amplitude < floor) {
+            peaks.pop();
+        }
+        
+        // More permissive harmonic filtering for studio audio
+        for (let i = 0; i < peaks.length && fundamentals.length < 8; i++) {
+            const peak = peaks[i];
+            let isHarmonic = false;
+            
+            // Check if this peak is a harmonic of an existing fundamental
+            for (let j = 0; j < fundamentals.length; j++) {
+                const fundamental = fundamentals[j];
+                const ratio = peak.frequency / fundamental.frequency;
+                
+                // More permissive harmonic detection for studio audio
+                if (Math.abs(ratio - Math.round(ratio)) < 0.1) {
+                    isHarmonic = true;
+                    break;
+                }
+                
+                // Also check if this could be the fundamental of existing harmonics
+                const inverseRatio = fundamental.frequency / peak.frequency;
+                if (Math.abs(inverseRatio - Math.round(inverseRatio)) < 0.1) {
+                    // Replace the harmonic with this fundamental
+                    fundamentals[j] = peak;
+                    isHarmonic = true;
+                    break;
+                }
+            }
+            
+            if (!isHarmonic) {
+                fundamentals.push(peak);
+            }
+        }
+        
+        // Sort by frequency for consistent ordering
+        fundamentals.sort((a, b) => a.frequency - b.frequency);
+        
+        return fundamentals.map(peak => peak.frequency);
+    }
+    
+    detectChordsByFrequencyRanges(frequencyData) {
+        const sampleRate = this.audioManager.audioContext.sampleRate;
+        const bufferLength = frequencyData.length;
+        
+        // Define frequency ranges for analysis
+        const frequencyRanges = [
+            { name: 'bass', minFreq: 50, maxFreq: 250, color: '#ff6b6b' },      // Graves (acordes de bajo)
+            { name: 'mid', minFreq: 250, maxFreq: 1000, color: '#4ecdc4' },    // Medios (acordes principales)
+            { name: 'treble', minFreq: 1000, maxFreq: 5000, color: '#45b7d1' } // Agudos (melodía/armonías)
+        ];
+        
+        const detectedChords = [];
+        const rangeNotes = {};
+        
+        // Analyze each frequency range separately
+        frequencyRanges.forEach(range => {
+            const rangeData = this.extractFrequencyRange(frequencyData, sampleRate, bufferLength, range.minFreq, range.maxFreq);
+            const fundamentals = this.findFundamentalFrequenciesInRange(rangeData, sampleRate, bufferLength, range.minFreq, range.maxFreq);
+            const notesWithOctaves = fundamentals.map(freq => this.frequencyToNoteWithOctave(freq));
+            rangeNotes[range.name] = { fundamentals, notesWithOctaves };
+            
+            if (fundamentals.length >= 2) {
+                const chord = this.identifyChordWithTemporalAnalysis(notesWithOctaves, fundamentals);
+                
+                if (chord && chord.confidence > 0.4) { // Lower threshold for multi-chord detection
+                    chord.range = range.name;
+                    chord.color = range.color;
+                    detectedChords.push(chord);
+                }
+            }
+        });
+        
+        // The lowest note of the bass band, once it holds steady, is the chord's bass
+        const bassRange = rangeNotes.bass;
+        const midRange = rangeNotes.mid;
+        const stableBass = this.updateStableBass(bassRange.notesWithOctaves);
+        
+        // Name the harmony from bass and mid bands together; the treble band
+        // mostly carries melody and upper harmonics
+        const harmonyNotes = [...bassRange.notesWithOctaves, ...midRange.notesWithOctaves];
+        const harmonyFrequencies = [...bassRange.fundamentals, ...midRange.fundamentals];
+        const chord = this.identifyChordWithTemporalAnalysis(harmonyNotes, harmonyFrequencies, stableBass);
+        
+        if (!chord || chord.confidence <= 0.4) {
+            return null;
+        }
+        
+        // Keep the per-range results for display and debugging
+        chord.chords = detectedChords;
+        chord.ranges = detectedChords.map(c => c.range);
+        return chord;
+    }
+
+    updateStableBass(bassNotes) {
+        // Fundamentals are sorted by frequency, so the first one is the lowest
+        const lowest = bassNotes.length > 0 ? bassNotes[0] : null;
+        
+        this.bassHistory.push(lowest);
+        if (this.bassHistory.length > this.bassHistorySize) {
+            this.bassHistory.shift();
+        }
+        
+        // Count how often each pitch class was the lowest note recently
+        const counts = new Map();
+        this.bassHistory.forEach(note => {
+            if (note) {
+                counts.set(note.pitchClass, (counts.get(note.pitchClass) || 0) + 1);
+            }
+        });
+        
+        let bestPitchClass = null;
+        let bestCount = 0;
+        for (const [pitchClass, count] of counts) {
+            if (count > bestCount) {
+                bestPitchClass = pitchClass;
+                bestCount = count;
+            }
+        }
+        
+        if (bestPitchClass === null || bestCount / this.bassHistorySize < this.minBassAgreement) {
+            return null;
+        }
+        
+        return this.noteSpeller.spellPitchClass(bestPitchClass, this.key);
+    }
+
+    extractFrequencyRange(frequencyData, sampleRate, bufferLength, minFreq, maxFreq) {
+        const rangeData = new Uint8Array(bufferLength);
+        const minBin = Math.floor(minFreq * bufferLength * 2 / sampleRate);
+        const maxBin = Math.floor(maxFreq * bufferLength * 2 / sampleRate);
+        
+        // Copy only the frequency bins within the specified range
+        for (let i = minBin; i <= Math.min(maxBin, bufferLength - 1); i++) {
+            rangeData[i] = frequencyData[i];
+        }
+        
+        return rangeData;
+    }
+
+    findFundamentalFrequenciesInRange(frequencyData, sampleRate, bufferLength, minFreq, maxFreq) {
+        const peaks = [];
+        const amplitudeThreshold = 12; // Lower threshold for range-specific detection
+        
+        if (this.spectrumSource === 'log') {
+            // Semitone bands resolve low notes that share a linear bin
+            const spectrum = this.logSpectrum.compute(frequencyData, sampleRate, this.tuning.getTuningFrequency());
+            peaks.push(...this.logSpectrum.findPeaks(spectrum, {
+                minFrequency: minFreq,
+                maxFrequency: maxFreq,
+                amplitudeThreshold: amplitudeThreshold
+            }));
+        } else {
+            // Find peaks only within the specified frequency range
+            const minBin = Math.floor(minFreq * bufferLength * 2 / sampleRate);
+            const maxBin = Math.floor(maxFreq * bufferLength * 2 / sampleRate);
+            
+            for (let i = Math.max(2, minBin); i < Math.min(bufferLength - 2, maxBin); i++) {
+                const current = frequencyData[i];
+                const prev1 = frequencyData[i - 1];
+                const prev2 = frequencyData[i - 2];
+                const next1 = frequencyData[i + 1];
+                const next2 = frequencyData[i + 2];
+                
+                if (current > prev1 && current > next1 &&
+                    current > prev2 && current > next2 &&
+                    current > amplitudeThreshold) {
+                    
+                    const frequency = i * sampleRate / (bufferLength * 2);
+                    
+                    // Calculate peak prominence
+                    const leftMin = Math.min(prev1, prev2);
+                    const rightMin = Math.min(next1, next2);
+                    const prominence = current - Math.max(leftMin, rightMin);
+                    
+                    if (prominence > 6) { // Lower prominence threshold for range detection
+                        peaks.push({
+                            frequency: frequency,
+                            amplitude: current,
+                            bin: i,
+                            prominence: prominence
+                        });
+                    }
+                }
+            }
+        }
+        
+        // Sort by amplitude and take top peaks
+        peaks.sort((a, b) => b.amplitude - a.amplitude);
+        const fundamentals = [];
+        
+        // More permissive harmonic filtering for range-specific detection
+        for (let i = 0; i < peaks.length && fundamentals.length < 6; i++) {
+            const peak = peaks[i];
+            let isHarmonic = false;
+            
+            for (let j = 0; j < fundamentals.length; j++) {
+                const fundamental = fundamentals[j];
+                const ratio = peak.frequency / fundamental.frequency;
+                
+                if (Math.abs(ratio - Math.round(ratio)) < 0.15) { // More tolerance for range detection
+                    isHarmonic = true;
+                    break;
+                }
+                
+                const inverseRatio = fundamental.frequency / peak.frequency;
+                if (Math.abs(inverseRatio - Math.round(inverseRatio)) < 0.15) {
+                    fundamentals[j] = peak;
+                    isHarmonic = true;
+                    break;
+                }
+            }
+            
+            if (!isHarmonic) {
+                fundamentals.push(peak);
+            }
+        }
+        
+        // Sort by frequency for consistent ordering
+        fundamentals.sort((a, b) => a.frequency - b.frequency);
+        
+        return fundamentals.map(peak => peak.frequency);
+    }
+
+    frequencyToNoteWithOctave(frequency) {
+        // Nearest MIDI note in the current tuning, spelled for the current key
+        const midiNote = Math.round(this.tuning.frequencyToMidi(frequency));
+        const spelled = this.noteSpeller.spellMidiNote(midiNote, this.key);
+        
+        return {
+            note: spelled.note,
+            octave: spelled.octave,
+            pitchClass: ((midiNote % 12) + 12) % 12
+        };
+    }
+
+    identifyChordWithTemporalAnalysis(notesWithOctaves, frequencies, stableBass = null) {
+        if (notesWithOctaves.length < 2) return null;
+        
+        // Extract just the note names for chord matching
+        const noteNames = notesWithOctaves.map(n => n.note);
+        const uniqueNotes = [...new Set(noteNames)].sort();
+        
+        // Fundamentals arrive sorted by frequency, so the first note is the lowest
+        const bassNote = stableBass || noteNames[0];
+        
+        // Score the notes against every template in the chord dictionary
+        const candidates = this.chordDictionary.identifyNotes(noteNames, { bass: bassNote, key: this.key });
+        
+        if (candidates.length > 0) {
+            const bestChord = candidates[0];
+            
+            // A confirmed bass note turns inversions into slash chords (C/E)
+            const voicing = stableBass
+                ? this.chordDictionary.withBass(bestChord.name, stableBass, this.key)
+                : { name: bestChord.name, bass: bestChord.root, inversion: 'root' };
+            
+            return {
+                name: voicing.name,
+                confidence: bestChord.confidence,
+                root: bestChord.root,
+                quality: bestChord.quality,
+                bass: voicing.bass,
+                inversion: voicing.inversion,
+                notes: uniqueNotes
+            };
+        }
+        
+        // Fallback: return most prominent note
+        return {
+            name: uniqueNotes[0],
+            confidence: 0.3,
+            root: uniqueNotes[0],
+            quality: null,
+            bass: bassNote,
+            notes: uniqueNotes
+        };
+    }
+}
+
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = ChordDetector;
+}
@@ -0,0 +1,308 @@
+class ChordDictionary {
+    constructor() {
+        // Pitch classes are handled as numbers internally; names only come
+        // from the speller so they match the current key
+        const NoteSpellerClass = typeof NoteSpeller !== 'undefined'
+            ? NoteSpeller
+            : require('./note-speller');
+        this.noteSpeller = new NoteSpellerClass();
+
+        // Chord templates: intervals in semitones above the root.
+        // Optional tones (usually the fifth) may be omitted by the player
+        // without the chord being penalized. Prior favours simpler chords
+        // when two templates explain the notes equally well. letterSteps
+        // overrides the default spelling of a degree (bb7 in dim7). harte is
+        // the shorthand used in MIREX / Harte chord labels (C:min7).
+        this.chordTypes = [
+            // Triads
+            { suffix: '', quality: 'major', harte: 'maj', intervals: [0, 4, 7], optional: [], prior: 1.0 },
+            { suffix: 'm', quality: 'minor', harte: 'min', intervals: [0, 3, 7], optional: [], prior: 1.0 },
+            { suffix: 'dim', quality: 'diminished', harte: 'dim', intervals: [0, 3, 6], optional: [], prior: 0.96 },
+            { suffix: 'aug', quality: 'augmented', harte: 'aug', intervals: [0, 4, 8], optional: [], prior: 0.94 },
+            { suffix: 'sus2', quality: 'suspended', harte: 'sus2', intervals: [0, 2, 7], optional: [], prior: 0.95 },
+            { suffix: 'sus4', quality: 'suspended', harte: 'sus4', intervals: [0, 5, 7], optional: [], prior: 0.95 },
+            { suffix: '5', quality: 'power', harte: '(1,5)', intervals: [0, 7], optional: [], prior: 0.9 },
+
+            // Sevenths
+            { suffix: '7', quality: 'dominant', harte: '7', intervals: [0, 4, 7, 10], optional: [7], prior: 0.98 },
+            { suffix: 'maj7', quality: 'major', harte: 'maj7', intervals: [0, 4, 7, 11], optional: [7], prior: 0.97 },
+            { suffix: 'm7', quality: 'minor', harte: 'min7', intervals: [0, 3, 7, 10], optional: [7], prior: 0.97 },
+            { suffix: 'm7b5', quality: 'half-diminished', harte: 'hdim7', intervals: [0, 3, 6, 10], optional: [], prior: 0.96 },
+            { suffix: 'dim7', quality: 'diminished', harte: 'dim7', intervals: [0, 3, 6, 9], optional: [], letterSteps: [0, 2, 4, 6], prior: 0.95 },
+            { suffix: 'mMaj7', quality: 'minor', harte: 'minmaj7', intervals: [0, 3, 7, 11], optional: [7], prior: 0.9 },
+            { suffix: '7sus4', quality: 'suspended', harte: 'sus4(b7)', intervals: [0, 5, 7, 10], optional: [7], prior: 0.93 },
+
+            // Sixths and added tones
+            { suffix: '6', quality: 'major', harte: 'maj6', intervals: [0, 4, 7, 9], optional: [7], prior: 0.95 },
+            { suffix: 'm6', quality: 'minor', harte: 'min6', intervals: [0, 3, 7, 9], optional: [7], prior: 0.94 },
+            { suffix: 'add9', quality: 'major', harte: 'maj(9)', intervals: [0, 2, 4, 7], optional: [7], prior: 0.94 },
+
+            // Extended chords
+            { suffix: '9', quality: 'dominant', harte: '9', intervals: [0, 2, 4, 7, 10], optional: [7], prior: 0.93 },
+            { suffix: 'maj9', quality: 'major', harte: 'maj9', intervals: [0, 2, 4, 7, 11], optional: [7], prior: 0.92 },
+            { suffix: 'm9', quality: 'minor', harte: 'min9', intervals: [0, 2, 3, 7, 10], optional: [7], prior: 0.92 },
+            { suffix: '11', quality: 'dominant', harte: '11', intervals: [0, 2, 5, 7, 10], optional: [2, 7], prior: 0.9 },
+            { suffix: '13', quality: 'dominant', harte: '13', intervals: [0, 2, 4, 7, 9, 10], optional: [2, 7], prior: 0.9 }
+        ];
+
+        // Minimum normalized weight for a pitch class to count as present
+        this.presenceThreshold = 0.2;
+
+        // Scoring adjustments
+        this.missingRootPenalty = 0.8;
+        this.bassRootBonus = 1.08;
+        this.maxConfidence = 0.95;
+
+        // Harte bass degrees by semitones above the root
+        this.harteDegrees = ['1', 'b2', '2', 'b3', '3', '4', 'b5', '5', '#5', '6', 'b7', '7'];
+    }
+
+    noteToPitchClass(noteName) {
+        return this.noteSpeller.toPitchClass(noteName);
+    }
+
+    // Build a 12-bin weight vector from a list of note names (repeats add weight)
+    notesToWeights(noteNames) {
+        const weights = new Array(12).fill(0);
+
+        noteNames.forEach(noteName => {
+            const pitchClass = this.noteToPitchClass(noteName);
+            if (pitchClass !== -1) {
+                weights[pitchClass] += 1;
+            }
+        });
+
+        return weights;
+    }
+
+    // Score every root/type combination against a 12-bin weight vector
+    // (note counts or chroma energy) and return candidates, best first.
+    // Pass options.key to spell chord names for that key.
+    identify(weights, options = {}) {
+        const maxWeight = Math.max(...weights);
+        if (!(maxWeight > 0)) return [];
+
+        const normalized = weights.map(value => Math.max(0, value) / maxWeight);
+        const totalWeight = normalized.reduce((sum, value) => sum + value, 0);
+        const present = normalized.map(value => value >= this.presenceThreshold);
+        const presentCount = present.filter(Boolean).length;
+
+        const bassPitchClass = options.bass !== undefined && options.bass !== null
+            ? this.noteToPitchClass(options.bass)
+            : -1;
+        const minScore = options.minScore !== undefined ? options.minScore : 0.3;
+
+        const candidates = [];
+
+        for (let root = 0; root < 12; root++) {
+            for (const type of this.chordTypes) {
+                // Templates larger than what was heard can't be confirmed
+                if (type.intervals.length - type.optional.length > presentCount + 1) continue;
+
+                let explainedWeight = 0;
+                let matchedTones = 0;
+                let expectedTones = 0;
+
+                type.intervals.forEach(interval => {
+                    const pitchClass = (root + interval) % 12;
+                    explainedWeight += normalized[pitchClass];
+
+                    if (present[pitchClass]) {
+                        matchedTones++;
+                        expectedTones++;
+                    } else if (!type.optional.includes(interval)) {
+                        expectedTones++;
+                    }
+                });
+
+                // Precision: how much of what we heard the chord explains.
+                // Recall: how many of the chord's required tones we heard.
+                const precision = explainedWeight / totalWeight;
+                const recall = expectedTones > 0 ? matchedTones / expectedTones : 0;
+
+                let score = precision * recall * type.prior;
+
+                if (!present[root]) {
+                    score *= this.missingRootPenalty;
+                }
+
+                if (root === bassPitchClass) {
+                    score *= this.bassRootBonus;
+                }
+
+                if (score >= minScore) {
+                    const rootName = this.noteSpeller.spellChordRoot(root, type.intervals, options.key, type.letterSteps);
+                    candidates.push({
+                        name: rootName + type.suffix,
+                        root: rootName,
+                        rootPitchClass: root,
+                        suffix: type.suffix,
+                        quality: type.quality,
+                        score: score,
+                        confidence: Math.min(score, this.maxConfidence)
+                    });
+                }
+            }
+        }
+
+        candidates.sort((a, b) => b.score - a.score);
+        return candidates;
+    }
+
+    // Convenience wrapper for note-name input
+    identifyNotes(noteNames, options = {}) {
+        return this.identify(this.notesToWeights(noteNames), options);
+    }
+
+    // Split a chord name into root, suffix and optional slash bass
+    // ("F#m7b5" -> F#, m7b5; "C/E" -> C, '', E)
+    parseChordName(chordName) {
+        if (!chordName) return null;
+
+        const match = /^([A-G](?:##|bb|#|b|x)?)([^/]*)(?:\/([A-G](?:##|bb|#|b|x)?))?$/.exec(chordName);
+        if (!match) return null;
+
+        const rootPitchClass = this.noteToPitchClass(match[1]);
+        const type = this.chordTypes.find(t => t.suffix === match[2]);
+        if (rootPitchClass === -1 || !type) return null;
+
+        return {
+            root: match[1],
+            rootPitchClass: rootPitchClass,
+            suffix: type.suffix,
+            quality: type.quality,
+            intervals: type.intervals,
+            letterSteps: type.letterSteps || [],
+            bass: match[3] || null
+        };
+    }
+
+    // Detector contract fields derived from a name; bass is the root
+    // unless the name has a slash
+    describeChord(chordName) {
+        const parsed = this.parseChordName(chordName);
+        if (!parsed) return null;
+
+        return {
+            name: chordName,
+            root: parsed.root,
+            quality: parsed.quality,
+            bass: parsed.bass || parsed.root,
+            notes: this.getChordNotes(chordName)
+        };
+    }
+
+    getChordPitchClasses(chordName) {
+        const parsed = this.parseChordName(chordName);
+        if (!parsed) return [];
+
+        return parsed.intervals.map(interval => (parsed.rootPitchClass + interval) % 12);
+    }
+
+    // Chord tones spelled from the root as written ("Ab" -> Ab, C, Eb)
+    getChordNotes(chordName) {
+        const parsed = this.parseChordName(chordName);
+        if (!parsed) return [];
+
+        return this.noteSpeller.spellChordTones(parsed.root, parsed.intervals, parsed.letterSteps);
+    }
+
+    // Respell a chord name for a key ("A#m" in F major -> "Bbm", "C/A#" -> "C/Bb")
+    spellChordName(chordName, key) {
+        if (!chordName || !key) return chordName;
+
+        const parsed = this.parseChordName(chordName);
+        if (!parsed) return chordName;
+
+        const rootName = this.noteSpeller.spellChordRoot(parsed.rootPitchClass, parsed.intervals, key, parsed.letterSteps);
+        const spelled = rootName + parsed.suffix;
+
+        return parsed.bass ? this.withBass(spelled, parsed.bass, key).name : spelled;
+    }
+
+    // Put a chord over a bass note. Root-position chords keep their name;
+    // otherwise the name becomes a slash chord ("C/E", "Am7/G") and, when
+    // the bass is the chord's third, fifth or seventh, an inversion is set.
+    withBass(chordName, bassNote, key) {
+        const parsed = this.parseChordName(chordName);
+        const bassPitchClass = this.noteToPitchClass(bassNote);
+
+        if (!parsed || bassPitchClass === -1) {
+            return { name: chordName, bass: parsed ? parsed.root : null, inversion: parsed ? 'root' : null };
+        }
+
+        const upperName = parsed.root + parsed.suffix;
+        if (bassPitchClass === parsed.rootPitchClass) {
+            return { name: upperName, bass: parsed.root, inversion: 'root' };
+        }
+
+        const interval = (bassPitchClass - parsed.rootPitchClass + 12) % 12;
+        const toneIndex = parsed.intervals.indexOf(interval);
+
+        let bassName;
+        let inversion = null;
+
+        if (toneIndex !== -1) {
+            // Chord tone in the bass: reuse the chord's own spelling (E in C, Fb in Ab-)
+            bassName = this.getChordNotes(upperName)[toneIndex];
+
+            const steps = parsed.letterSteps[toneIndex] !== undefined
+                ? parsed.letterSteps[toneIndex]
+                : this.noteSpeller.intervalLetterSteps[interval];
+            inversion = { 2: 'first', 4: 'second', 6: 'third' }[steps] || null;
+        } else {
+            bassName = this.noteSpeller.spellPitchClass(bassPitchClass, key);
+        }
+
+        return { name: `${upperName}/${bassName}`, bass: bassName, inversion: inversion };
+    }
+
+    // MIREX / Harte label for a chord name ("Am7" -> "A:min7", "C/E" -> "C:maj/3");
+    // null means no chord ("N")
+    toHarteLabel(chordName) {
+        if (!chordName) return 'N';
+
+        const parsed = this.parseChordName(chordName);
+        if (!parsed) return 'X';
+
+        const type = this.chordTypes.find(t => t.suffix === parsed.suffix);
+        let label = `${parsed.root}:${type.harte}`;
+
+        if (parsed.bass) {
+            const interval = (this.noteToPitchClass(parsed.bass) - parsed.rootPitchClass + 12) % 12;
+            label += '/' + this.harteDegrees[interval];
+        }
+
+        return label;
+    }
+
+    // Close-position voicing starting at the root in the given octave;
+    // a slash bass is added below the root
+    getVoicedNotes(chordName, octave = 4) {
+        const parsed = this.parseChordName(chordName);
+        if (!parsed) return [];
+
+        const tones = this.getChordNotes(chordName);
+        const rootMidi = this.noteSpeller.noteToMidi(parsed.root, octave);
+
+        const voiced = parsed.intervals.map((interval, index) => ({
+            note: tones[index],
+            octave: this.noteSpeller.octaveForSpelling(tones[index], rootMidi + interval)
+        }));
+
+        if (parsed.bass) {
+            const bassPitchClass = this.noteToPitchClass(parsed.bass);
+            const bassMidi = rootMidi - ((parsed.rootPitchClass - bassPitchClass + 12) % 12 || 12);
+            voiced.unshift({
+                note: parsed.bass,
+                octave: this.noteSpeller.octaveForSpelling(parsed.bass, bassMidi)
+            });
+        }
+
+        return voiced;
+    }
+}
+
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = ChordDictionary;
+}
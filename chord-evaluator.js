@@ -0,0 +1,276 @@
+class ChordEvaluator {
+    constructor() {
+        this.letterPitchClasses = { 'C': 0, 'D': 2, 'E': 4, 'F': 5, 'G': 7, 'A': 9, 'B': 11 };
+
+        // Semitones above the root for natural Harte degrees 1-13
+        this.degreeSemitones = [null, 0, 2, 4, 5, 7, 9, 11, 12, 14, 16, 17, 19, 21];
+
+        // Harte shorthands as semitone lists
+        this.shorthands = {
+            'maj': [0, 4, 7], 'min': [0, 3, 7], 'dim': [0, 3, 6], 'aug': [0, 4, 8],
+            'maj7': [0, 4, 7, 11], 'min7': [0, 3, 7, 10], '7': [0, 4, 7, 10],
+            'dim7': [0, 3, 6, 9], 'hdim7': [0, 3, 6, 10], 'minmaj7': [0, 3, 7, 11],
+            'maj6': [0, 4, 7, 9], 'min6': [0, 3, 7, 9],
+            '9': [0, 4, 7, 10, 14], 'maj9': [0, 4, 7, 11, 14], 'min9': [0, 3, 7, 10, 14],
+            '11': [0, 4, 7, 10, 14, 17], 'maj11': [0, 4, 7, 11, 14, 17], 'min11': [0, 3, 7, 10, 14, 17],
+            '13': [0, 4, 7, 10, 14, 21], 'maj13': [0, 4, 7, 11, 14, 21], 'min13': [0, 3, 7, 10, 14, 21],
+            'sus2': [0, 2, 7], 'sus4': [0, 5, 7], '1': [0], '5': [0, 7]
+        };
+
+        // Reference qualities scored at the majmin and sevenths levels
+        // (MIREX conventions; other chords are left out of those scores)
+        this.majminQualities = ['maj', 'min'].map(name => this.toBitmap(this.shorthands[name]));
+        this.seventhsQualities = ['maj', 'min', 'maj7', '7', 'min7'].map(name => this.toBitmap(this.shorthands[name]));
+
+        this.levels = ['root', 'majmin', 'sevenths', 'bass'];
+    }
+
+    // 12-bit pitch-class set relative to the root, extensions folded in
+    toBitmap(semitones) {
+        const bitmap = new Array(12).fill(0);
+        semitones.forEach(semitone => {
+            bitmap[((semitone % 12) + 12) % 12] = 1;
+        });
+        return bitmap.join('');
+    }
+
+    // "b3" -> 3, "#11" -> 18; null when malformed
+    parseDegree(text) {
+        const match = /^(b*|#*)(\d+)$/.exec(text);
+        if (!match) return null;
+
+        const natural = this.degreeSemitones[parseInt(match[2], 10)];
+        if (natural === undefined || natural === null) return null;
+
+        const accidentals = match[1].length * (match[1].startsWith('#') ? 1 : -1);
+        return natural + accidentals;
+    }
+
+    // Harte label -> { noChord, unknown, root, bass, bitmap } with root and
+    // bass as pitch classes ("A:min7/b7" -> root 9, bass 7)
+    parseHarte(label) {
+        const text = (label || '').trim();
+        if (text === 'N') return { noChord: true, unknown: false, root: null, bass: null, bitmap: null };
+        if (text === 'X' || text === '') return { noChord: false, unknown: true };
+
+        const match = /^([A-G])(b*|#*)(?::([^/(]*)(?:\(([^)]*)\))?)?(?:\/(.+))?$/.exec(text);
+        if (!match) return { noChord: false, unknown: true };
+
+        const root = (this.letterPitchClasses[match[1]] + match[2].length * (match[2].startsWith('#') ? 1 : -1) + 12) % 12;
+
+        // A bare root is major; a degree list without a shorthand holds the
+        // root plus the listed degrees ("C:(3,5)")
+        let semitones;
+        if (match[3]) {
+            if (!this.shorthands[match[3]]) return { noChord: false, unknown: true };
+            semitones = [...this.shorthands[match[3]]];
+        } else {
+            semitones = match[4] !== undefined ? [0] : [...this.shorthands.maj];
+        }
+
+        if (match[4]) {
+            for (const item of match[4].split(',').map(part => part.trim()).filter(Boolean)) {
+                const omitted = item.startsWith('*');
+                const semitone = this.parseDegree(omitted ? item.slice(1) : item);
+                if (semitone === null) return { noChord: false, unknown: true };
+
+                if (omitted) {
+                    semitones = semitones.filter(value => value % 12 !== semitone % 12);
+                } else {
+                    semitones.push(semitone);
+                }
+            }
+        }
+
+        let bassInterval = 0;
+        if (match[5]) {
+            bassInterval = this.parseDegree(match[5]);
+            if (bassInterval === null) return { noChord: false, unknown: true };
+            semitones.push(bassInterval);
+        }
+
+        return {
+            noChord: false,
+            unknown: false,
+            root: root,
+            bass: (root + bassInterval + 120) % 12,
+            bitmap: this.toBitmap(semitones)
+        };
+    }
+
+    // MIREX .lab text -> [{ start, end, label }] (seconds)
+    parseLab(text) {
+        return text.split(/\r?\n/)
+            .map(line => line.trim())
+            .filter(line => line && !line.startsWith('#'))
+            .map(line => {
+                const [start, end, ...label] = line.split(/\s+/);
+                return { start: parseFloat(start), end: parseFloat(end), label: label.join(' ') || 'N' };
+            })
+            .filter(segment => !isNaN(segment.start) && !isNaN(segment.end) && segment.end > segment.start);
+    }
+
+    // Whether a reference chord is scored at a level
+    isScored(reference, level) {
+        if (reference.unknown) return false;
+        if (reference.noChord) return true;
+        if (level === 'majmin') return this.majminQualities.includes(reference.bitmap.slice(0, 8) + '0000');
+        if (level === 'sevenths') return this.seventhsQualities.includes(reference.bitmap);
+        return true;
+    }
+
+    // Whether an estimate matches a reference at a level
+    compare(reference, estimate, level) {
+        if (estimate.unknown) return false;
+        if (reference.noChord || estimate.noChord) return reference.noChord === estimate.noChord;
+
+        if (level === 'root') return reference.root === estimate.root;
+        if (level === 'bass') return reference.bass === estimate.bass;
+        if (level === 'majmin') {
+            return reference.root === estimate.root &&
+                reference.bitmap.slice(0, 8) === estimate.bitmap.slice(0, 8);
+        }
+        return reference.root === estimate.root && reference.bitmap === estimate.bitmap;
+    }
+
+    // Merge neighbouring segments with the same label
+    mergeSegments(segments) {
+        const merged = [];
+        segments.forEach(segment => {
+            const last = merged[merged.length - 1];
+            if (last && last.label === segment.label && Math.abs(last.end - segment.start) < 1e-6) {
+                last.end = segment.end;
+            } else {
+                merged.push({ ...segment });
+            }
+        });
+        return merged;
+    }
+
+    // Share of `segments` time not covered by the best-overlapping segment of
+    // `other` (directional Hamming distance, normalized by duration)
+    directionalHamming(segments, other, duration) {
+        let missed = 0;
+        segments.forEach(segment => {
+            let best = 0;
+            other.forEach(candidate => {
+                const overlap = Math.min(segment.end, candidate.end) - Math.max(segment.start, candidate.start);
+                best = Math.max(best, overlap);
+            });
+            missed += (segment.end - segment.start) - best;
+        });
+        return duration > 0 ? missed / duration : 0;
+    }
+
+    // Weighted chord symbol recall per level (fraction of scored reference
+    // time where the estimate matches) and segmentation quality. Estimated
+    // time outside the reference is ignored; reference time without an
+    // estimate counts as no chord.
+    evaluate(reference, estimate) {
+        const boundaries = new Set();
+        reference.forEach(segment => {
+            boundaries.add(segment.start);
+            boundaries.add(segment.end);
+        });
+        estimate.forEach(segment => {
+            boundaries.add(segment.start);
+            boundaries.add(segment.end);
+        });
+        const times = [...boundaries].sort((a, b) => a - b);
+
+        const labelAt = (segments, time) => {
+            const segment = segments.find(item => item.start <= time && time < item.end);
+            return segment ? segment.label : null;
+        };
+
+        const scored = {};
+        const correct = {};
+        this.levels.forEach(level => {
+            scored[level] = 0;
+            correct[level] = 0;
+        });
+
+        const parsedCache = new Map();
+        const parse = label => {
+            if (!parsedCache.has(label)) parsedCache.set(label, this.parseHarte(label));
+            return parsedCache.get(label);
+        };
+
+        for (let i = 0; i < times.length - 1; i++) {
+            const duration = times[i + 1] - times[i];
+            const middle = (times[i] + times[i + 1]) / 2;
+
+            const referenceLabel = labelAt(reference, middle);
+            if (referenceLabel === null) continue;
+
+            const referenceChord = parse(referenceLabel);
+            const estimateChord = parse(labelAt(estimate, middle) || 'N');
+
+            this.levels.forEach(level => {
+                if (!this.isScored(referenceChord, level)) return;
+                scored[level] += duration;
+                if (this.compare(referenceChord, estimateChord, level)) {
+                    correct[level] += duration;
+                }
+            });
+        }
+
+        // Segmentation over the reference's time span
+        const start = reference.length > 0 ? reference[0].start : 0;
+        const end = reference.length > 0 ? reference[reference.length - 1].end : 0;
+        const clipped = estimate
+            .map(segment => ({ ...segment, start: Math.max(segment.start, start), end: Math.min(segment.end, end) }))
+            .filter(segment => segment.end > segment.start);
+        const referenceSegments = this.mergeSegments(reference);
+        const estimateSegments = this.mergeSegments(clipped);
+
+        const overSegmentation = 1 - this.directionalHamming(referenceSegments, estimateSegments, end - start);
+        const underSegmentation = 1 - this.directionalHamming(estimateSegments, referenceSegments, end - start);
+
+        const result = { duration: end - start, scoredDuration: scored };
+        this.levels.forEach(level => {
+            result[level] = scored[level] > 0 ? correct[level] / scored[level] : null;
+        });
+        result.overSegmentation = overSegmentation;
+        result.underSegmentation = underSegmentation;
+        result.segmentation = Math.min(overSegmentation, underSegmentation);
+
+        return result;
+    }
+
+    // Duration-weighted averages over several evaluate() results
+    summarize(results) {
+        const summary = { files: results.length, duration: 0 };
+        const totals = {};
+        const weights = {};
+
+        [...this.levels, 'segmentation', 'overSegmentation', 'underSegmentation'].forEach(metric => {
+            totals[metric] = 0;
+            weights[metric] = 0;
+        });
+
+        results.forEach(result => {
+            summary.duration += result.duration;
+
+            this.levels.forEach(level => {
+                if (result[level] === null) return;
+                totals[level] += result[level] * result.scoredDuration[level];
+                weights[level] += result.scoredDuration[level];
+            });
+            ['segmentation', 'overSegmentation', 'underSegmentation'].forEach(metric => {
+                totals[metric] += result[metric] * result.duration;
+                weights[metric] += result.duration;
+            });
+        });
+
+        Object.keys(totals).forEach(metric => {
+            summary[metric] = weights[metric] > 0 ? totals[metric] / weights[metric] : null;
+        });
+
+        return summary;
+    }
+}
+
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = ChordEvaluator;
+}
@@ -0,0 +1,248 @@
+const { spawn } = require('child_process');
+const path = require('path');
+const fs = require('fs');
+const os = require('os');
+const ChordSynth = require('./chord-synth');
+const ChordDictionary = require('./chord-dictionary');
+
+class ChordPlayer {
+    /**
+     * Checked copy of chord data sent by the renderer ({ name, notes,
+     * duration, velocity, referencePitch }). The duration is clamped to
+     * MAX_DURATION; anything else out of range throws, since render()
+     * allocates its samples from these values
+     */
+    static validate(chordData) {
+        if (!chordData || typeof chordData !== 'object') {
+            throw new Error('Chord data must be an object');
+        }
+        const { name, notes, duration, velocity, referencePitch } = chordData;
+        const checked = {};
+
+        if (name !== undefined) {
+            if (typeof name !== 'string' || name.length > ChordPlayer.MAX_NAME_LENGTH) {
+                throw new Error('Invalid chord name');
+            }
+            checked.name = name;
+        }
+
+        if (notes !== undefined) {
+            if (!Array.isArray(notes) || notes.length > ChordPlayer.MAX_NOTES) {
+                throw new Error(`A chord takes at most ${ChordPlayer.MAX_NOTES} notes`);
+            }
+            checked.notes = notes.map(note => {
+                // MIDI notes 0-127 (8.2 Hz to 12.5 kHz), half a semitone either side
+                const midiNote = note && 69 + 12 * Math.log2(note.frequency / 440);
+                if (!Number.isFinite(midiNote) || midiNote < -0.5 || midiNote > 127.5) {
+                    throw new Error('Notes must lie within the MIDI range');
+                }
+                return { note: String(note.note || ''), octave: Number(note.octave) || 0, frequency: note.frequency };
+            });
+        }
+        if (checked.name === undefined && (!checked.notes || checked.notes.length === 0)) {
+            throw new Error('A chord needs a name or notes');
+        }
+
+        if (duration !== undefined) {
+            if (typeof duration !== 'number' || !Number.isFinite(duration) || duration <= 0) {
+                throw new Error('Chord duration must be a positive number of seconds');
+            }
+            checked.duration = Math.min(duration, ChordPlayer.MAX_DURATION);
+        }
+
+        if (velocity !== undefined) {
+            if (typeof velocity !== 'number' || !(velocity >= 0 && velocity <= 1)) {
+                throw new Error('Chord velocity must be between 0 and 1');
+            }
+            checked.velocity = velocity;
+        }
+
+        if (referencePitch !== undefined) {
+            if (typeof referencePitch !== 'number' || !(referencePitch >= 400 && referencePitch <= 480)) {
+                throw new Error('Reference pitch must be between 400 and 480 Hz');
+            }
+            checked.referencePitch = referencePitch;
+        }
+
+        return checked;
+    }
+
+    constructor(options = {}) {
+        this.synth = new ChordSynth({ sampleRate: options.sampleRate });
+        this.chordDictionary = new ChordDictionary();
+        this.spawn = options.spawn || spawn;
+        this.platform = options.platform || process.platform;
+        this.tempDir = options.tempDir || os.tmpdir();
+
+        this.playback = null;
+        this.nextFile = 1;
+        this.callbacks = {
+            onError: null
+        };
+    }
+
+    /**
+     * Notes to sound for { name, notes, referencePitch }: the notes' own
+     * frequencies when given, else the dictionary's close voicing of name
+     */
+    resolveNotes(chordData) {
+        if (Array.isArray(chordData.notes) && chordData.notes.length > 0 &&
+            chordData.notes.every(note => note && note.frequency > 0)) {
+            return chordData.notes;
+        }
+
+        const referencePitch = chordData.referencePitch || 440;
+        const noteSpeller = this.chordDictionary.noteSpeller;
+
+        return this.chordDictionary.getVoicedNotes(chordData.name, 4).map(({ note, octave }) => ({
+            note: note,
+            octave: octave,
+            frequency: referencePitch * Math.pow(2, (noteSpeller.noteToMidi(note, octave) - 69) / 12)
+        }));
+    }
+
+    /**
+     * Render a chord ({ name, notes, duration, velocity, referencePitch })
+     * to PCM samples
+     */
+    render(chordData) {
+        const notes = this.resolveNotes(chordData);
+        if (notes.length === 0) {
+            throw new Error(`Unknown chord: ${chordData.name}`);
+        }
+
+        return this.synth.render(notes, {
+            duration: chordData.duration,
+            velocity: chordData.velocity
+        });
+    }
+
+    /**
+     * Render a chord to WAV file contents
+     */
+    renderWav(chordData) {
+        return this.synth.toWav(this.render(chordData));
+    }
+
+    /**
+     * Render a chord to a WAV file. Only files inside tempDir are written:
+     * chord data comes from the renderer and must not pick the path
+     */
+    writeFile(chordData, filePath) {
+        const relative = path.relative(path.resolve(this.tempDir), path.resolve(filePath));
+        if (!relative || relative.startsWith('..') || path.isAbsolute(relative)) {
+            throw new Error(`Refusing to write outside ${this.tempDir}: ${filePath}`);
+        }
+
+        fs.writeFileSync(filePath, this.renderWav(chordData));
+        return filePath;
+    }
+
+    /**
+     * Sound a chord through the system player; a new chord cuts off the one
+     * still ringing
+     */
+    play(chordData) {
+        try {
+            const filePath = path.join(this.tempDir, `chord-${process.pid}-${this.nextFile++}.wav`);
+            this.writeFile(chordData, filePath);
+
+            this.stop();
+            this.startPlayback(filePath, this.getPlayerCommands(filePath));
+            return filePath;
+        } catch (error) {
+            this.logError(error.message);
+            return null;
+        }
+    }
+
+    /**
+     * Candidate players for the platform, in order of preference
+     */
+    getPlayerCommands(filePath) {
+        if (this.platform === 'darwin') {
+            return [['afplay', [filePath]]];
+        }
+        if (this.platform === 'win32') {
+            return [['powershell', [
+                '-NoProfile', '-NonInteractive', '-Command',
+                `(New-Object Media.SoundPlayer '${filePath.replace(/'/g, "''")}').PlaySync()`
+            ]]];
+        }
+        return [
+            ['paplay', [filePath]],
+            ['aplay', ['-q', filePath]],
+            ['ffplay', ['-nodisp', '-autoexit', '-loglevel', 'quiet', filePath]]
+        ];
+    }
+
+    // Try each player until one starts; the file goes once playback ends
+    startPlayback(filePath, commands) {
+        if (commands.length === 0) {
+            this.removeFile(filePath);
+            this.logError('No audio player found to sound the chord');
+            return;
+        }
+
+        const [command, args] = commands[0];
+        const child = this.spawn(command, args, { stdio: 'ignore' });
+        const playback = { child: child, filePath: filePath };
+        this.playback = playback;
+
+        // A player that failed to start may still report an exit; by then
+        // the next candidate owns the file
+        child.on('error', () => {
+            playback.failed = true;
+            if (this.playback !== playback) {
+                this.removeFile(filePath);
+                return;
+            }
+            this.playback = null;
+            this.startPlayback(filePath, commands.slice(1));
+        });
+        child.on('exit', () => {
+            if (playback.failed) return;
+            if (this.playback === playback) this.playback = null;
+            this.removeFile(filePath);
+        });
+    }
+
+    /**
+     * Cut off the chord being played
+     */
+    stop() {
+        if (this.playback) {
+            const { child } = this.playback;
+            this.playback = null;
+            child.kill();
+        }
+    }
+
+    removeFile(filePath) {
+        fs.rmSync(filePath, { force: true });
+    }
+
+    /**
+     * Set callback for errors
+     */
+    onError(callback) {
+        this.callbacks.onError = callback;
+    }
+
+    /**
+     * Log error message
+     */
+    logError(message) {
+        console.error(`Chord player: ${message}`);
+        if (this.callbacks.onError) {
+            this.callbacks.onError(message);
+        }
+    }
+}
+
+// Limits on chord data from the renderer (see validate)
+ChordPlayer.MAX_DURATION = 10; // s
+ChordPlayer.MAX_NOTES = 12;
+ChordPlayer.MAX_NAME_LENGTH = 32;
+
+module.exports = ChordPlayer;
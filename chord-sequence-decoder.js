@@ -0,0 +1,293 @@
+class ChordSequenceDecoder {
+    constructor(options = {}) {
+        // Chord names (and slash basses) come from the shared dictionary
+        const ChordDictionaryClass = typeof ChordDictionary !== 'undefined'
+            ? ChordDictionary
+            : require('./chord-dictionary');
+        this.chordDictionary = options.chordDictionary || new ChordDictionaryClass();
+
+        this.noChordLabel = 'N';
+
+        // Average time a chord is held; sets the self-transition probability
+        // for the elapsed time between two frames: exp(-dt / meanChordDuration)
+        this.meanChordDuration = options.meanChordDuration || 2000; // ms
+        this.minFrameInterval = options.minFrameInterval || 20; // ms
+
+        // Chance that the frame detector names the sounding chord correctly
+        this.detectorReliability = options.detectorReliability || 0.6;
+
+        // Likelihood of a frame with no chord while silent / while a chord rings
+        this.noChordEvidence = options.noChordEvidence || 0.5;
+        this.missedChordEvidence = options.missedChordEvidence || 0.15;
+
+        // Relative likelihood of chord changes by root motion
+        this.fifthMotionWeight = options.fifthMotionWeight || 2.0; // C -> F, C -> G
+        this.stepMotionWeight = options.stepMotionWeight || 1.5;   // C -> Dm, C -> Bb
+        this.sameRootWeight = options.sameRootWeight || 1.5;       // C -> C7
+
+        // Size of the label space; spreads change probability over all
+        // chords we might move to, not just the ones seen so far
+        this.vocabularySize = options.vocabularySize ||
+            12 * this.chordDictionary.chordTypes.length + 1;
+
+        // Online state tracking is pruned to the most likely labels
+        this.maxStates = options.maxStates || 24;
+        this.pruneLogProbability = -20;
+
+        this.reset();
+    }
+
+    reset() {
+        this.states = [this.noChordLabel];
+        this.logBelief = [0];
+        this.lastTime = null;
+        this.lastObservations = new Map(); // label -> most recent chord object
+        this.currentLabel = this.noChordLabel;
+    }
+
+    // Normalize a frame result into a list of { name, confidence, chord }
+    normalizeObservation(observation) {
+        if (!observation) return [];
+
+        const list = Array.isArray(observation) ? observation : [observation];
+        return list
+            .filter(item => item && item.name)
+            .map(item => ({
+                name: item.name,
+                confidence: Math.max(0, Math.min(1, item.confidence !== undefined ? item.confidence : 1)),
+                chord: item
+            }));
+    }
+
+    logEmission(label, hypotheses) {
+        if (hypotheses.length === 0) {
+            return Math.log(label === this.noChordLabel ? this.noChordEvidence : this.missedChordEvidence);
+        }
+
+        // Mixture of "detector was right" and "detector was confused"
+        const uniform = 1 / this.vocabularySize;
+        const match = hypotheses.find(h => h.name === label);
+        const confidence = match ? match.confidence : 0;
+
+        const likelihood = confidence * this.detectorReliability +
+            (1 - this.detectorReliability) * uniform;
+        return Math.log(likelihood);
+    }
+
+    transitionWeight(fromLabel, toLabel) {
+        if (fromLabel === this.noChordLabel || toLabel === this.noChordLabel) {
+            return 1;
+        }
+
+        const from = this.chordDictionary.parseChordName(fromLabel);
+        const to = this.chordDictionary.parseChordName(toLabel);
+        if (!from || !to) return 1;
+
+        const rootMotion = (to.rootPitchClass - from.rootPitchClass + 12) % 12;
+        if (rootMotion === 0) return this.sameRootWeight;
+        if (rootMotion === 5 || rootMotion === 7) return this.fifthMotionWeight;
+        if (rootMotion === 2 || rootMotion === 10) return this.stepMotionWeight;
+        return 1;
+    }
+
+    logTransition(fromLabel, toLabel, elapsed) {
+        const stay = Math.exp(-Math.max(elapsed, this.minFrameInterval) / this.meanChordDuration);
+
+        if (fromLabel === toLabel) {
+            return Math.log(stay);
+        }
+
+        const change = (1 - stay) * this.transitionWeight(fromLabel, toLabel) / this.vocabularySize;
+        return Math.log(change);
+    }
+
+    logSumExp(values) {
+        const max = Math.max(...values);
+        if (max === -Infinity) return -Infinity;
+
+        let sum = 0;
+        values.forEach(value => {
+            sum += Math.exp(value - max);
+        });
+        return max + Math.log(sum);
+    }
+
+    // Online (forward filtering) update for live use: one call per frame,
+    // returns the most probable current chord or null for "no chord"
+    update(observation, time) {
+        const hypotheses = this.normalizeObservation(observation);
+        const elapsed = this.lastTime === null ? this.minFrameInterval : time - this.lastTime;
+        this.lastTime = time;
+
+        // New labels enter with no belief; they gain it through transitions
+        hypotheses.forEach(hypothesis => {
+            this.lastObservations.set(hypothesis.name, hypothesis.chord);
+            if (!this.states.includes(hypothesis.name)) {
+                this.states.push(hypothesis.name);
+                this.logBelief.push(-Infinity);
+            }
+        });
+
+        const nextBelief = this.states.map(toLabel => {
+            const incoming = this.states.map((fromLabel, fromIndex) =>
+                this.logBelief[fromIndex] + this.logTransition(fromLabel, toLabel, elapsed)
+            );
+            return this.logSumExp(incoming) + this.logEmission(toLabel, hypotheses);
+        });
+
+        // Normalize so beliefs are log posteriors
+        const total = this.logSumExp(nextBelief);
+        this.logBelief = nextBelief.map(value => value - total);
+
+        this.pruneStates();
+
+        let bestIndex = 0;
+        this.logBelief.forEach((value, index) => {
+            if (value > this.logBelief[bestIndex]) bestIndex = index;
+        });
+
+        const label = this.states[bestIndex];
+        const changed = label !== this.currentLabel;
+        this.currentLabel = label;
+
+        if (label === this.noChordLabel) {
+            return null;
+        }
+
+        return {
+            name: label,
+            confidence: Math.exp(this.logBelief[bestIndex]),
+            chord: this.lastObservations.get(label) || null,
+            changed: changed
+        };
+    }
+
+    pruneStates() {
+        if (this.states.length <= 1) return;
+
+        const ranked = this.states
+            .map((label, index) => ({ label, logBelief: this.logBelief[index] }))
+            .filter(item =>
+                item.label === this.noChordLabel ||
+                item.label === this.currentLabel ||
+                item.logBelief > this.pruneLogProbability
+            )
+            .sort((a, b) => b.logBelief - a.logBelief)
+            .slice(0, this.maxStates);
+
+        this.states = ranked.map(item => item.label);
+        this.logBelief = ranked.map(item => item.logBelief);
+
+        [...this.lastObservations.keys()].forEach(label => {
+            if (!this.states.includes(label)) {
+                this.lastObservations.delete(label);
+            }
+        });
+    }
+
+    // Offline Viterbi decoding of a whole sequence of frames
+    // ([{ time, chord }], chord being a frame result, candidate list or null).
+    // Returns one entry per frame with the decoded label.
+    decode(frames) {
+        if (frames.length === 0) return [];
+
+        const observations = frames.map(frame => this.normalizeObservation(frame.chord));
+
+        const labels = [this.noChordLabel];
+        observations.forEach(hypotheses => {
+            hypotheses.forEach(hypothesis => {
+                if (!labels.includes(hypothesis.name)) labels.push(hypothesis.name);
+            });
+        });
+
+        // Uniform start, then the usual recursion keeping back-pointers
+        let scores = labels.map(label => this.logEmission(label, observations[0]) - Math.log(labels.length));
+        const backPointers = [];
+
+        for (let t = 1; t < frames.length; t++) {
+            const elapsed = frames[t].time - frames[t - 1].time;
+            const pointers = new Array(labels.length);
+
+            scores = labels.map((toLabel, toIndex) => {
+                let bestScore = -Infinity;
+                let bestFrom = 0;
+
+                labels.forEach((fromLabel, fromIndex) => {
+                    const score = scores[fromIndex] + this.logTransition(fromLabel, toLabel, elapsed);
+                    if (score > bestScore) {
+                        bestScore = score;
+                        bestFrom = fromIndex;
+                    }
+                });
+
+                pointers[toIndex] = bestFrom;
+                return bestScore + this.logEmission(toLabel, observations[t]);
+            });
+
+            backPointers.push(pointers);
+        }
+
+        let stateIndex = scores.indexOf(Math.max(...scores));
+        const path = new Array(frames.length);
+
+        for (let t = frames.length - 1; t >= 0; t--) {
+            const label = labels[stateIndex];
+            const match = observations[t].find(h => h.name === label);
+
+            path[t] = {
+                time: frames[t].time,
+                name: label === this.noChordLabel ? null : label,
+                confidence: match ? match.confidence : 0,
+                chord: match ? match.chord : null
+            };
+
+            if (t > 0) {
+                stateIndex = backPointers[t - 1][stateIndex];
+            }
+        }
+
+        return path;
+    }
+
+    // Merge consecutive frames with the same label into segments
+    // ({ start, end, name, confidence, chord }); endTime closes the last one
+    toSegments(path, endTime) {
+        const segments = [];
+
+        path.forEach((frame, index) => {
+            const last = segments[segments.length - 1];
+
+            if (last && last.name === frame.name) {
+                last.confidenceSum += frame.confidence;
+                last.frames++;
+                if (!last.chord && frame.chord) last.chord = frame.chord;
+            } else {
+                if (last) last.end = frame.time;
+                segments.push({
+                    start: frame.time,
+                    end: frame.time,
+                    name: frame.name,
+                    chord: frame.chord,
+                    confidenceSum: frame.confidence,
+                    frames: 1
+                });
+            }
+
+            if (index === path.length - 1) {
+                segments[segments.length - 1].end = endTime !== undefined ? endTime : frame.time;
+            }
+        });
+
+        return segments.map(segment => ({
+            start: segment.start,
+            end: segment.end,
+            name: segment.name,
+            confidence: segment.confidenceSum / segment.frames,
+            chord: segment.chord
+        }));
+    }
+}
+
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = ChordSequenceDecoder;
+}
@@ -0,0 +1,139 @@
+// Offline chord voice: renders notes to mono PCM and WAV without an
+// AudioContext, so the main process can sound chords on its own
+
+class ChordSynth {
+    constructor(options = {}) {
+        this.sampleRate = options.sampleRate || 44100;
+
+        // Electric-piano-like partials: relative amplitude and how much faster
+        // than the fundamental each one dies away
+        this.partials = [
+            { amplitude: 1, decay: 1 },
+            { amplitude: 0.5, decay: 1.6 },
+            { amplitude: 0.28, decay: 2.4 },
+            { amplitude: 0.16, decay: 3.2 },
+            { amplitude: 0.08, decay: 4.5 },
+            { amplitude: 0.04, decay: 6 }
+        ];
+        this.decayRate = 1.2; // fundamental, per second
+
+        // Envelope (s): short attack, fall to the sustain level, release
+        // after the note's duration
+        this.attack = 0.005;
+        this.decay = 0.3;
+        this.sustain = 0.6;
+        this.release = 0.25;
+
+        // Each note sounds as two voices this many cents apart
+        this.detuneCents = 6;
+
+        // Notes enter low to high this far apart (s), like a soft strum
+        this.strum = 0.012;
+
+        this.peakLevel = 0.7;
+    }
+
+    // notes: [{ frequency }] (low to high). Options: duration (s the chord is
+    // held before its release), velocity (0-1). Returns a Float32Array
+    render(notes, options = {}) {
+        const duration = options.duration || 1.0;
+        const velocity = options.velocity !== undefined ? options.velocity : 0.8;
+
+        const strumLength = this.strum * Math.max(0, notes.length - 1);
+        const length = Math.ceil((duration + this.release + strumLength) * this.sampleRate);
+        const samples = new Float32Array(length);
+
+        notes.forEach((note, index) => {
+            const offset = Math.round(index * this.strum * this.sampleRate);
+            this.renderNote(samples, note.frequency, offset, duration);
+        });
+
+        // Every chord peaks at the same level, however many notes it has
+        let peak = 0;
+        for (let i = 0; i < length; i++) {
+            peak = Math.max(peak, Math.abs(samples[i]));
+        }
+        const gain = peak > 0 ? this.peakLevel * velocity / peak : 0;
+        for (let i = 0; i < length; i++) {
+            samples[i] *= gain;
+        }
+
+        return samples;
+    }
+
+    renderNote(samples, frequency, offset, duration) {
+        const nyquist = this.sampleRate / 2;
+        const spread = Math.pow(2, this.detuneCents / 2400);
+        const voices = [frequency / spread, frequency * spread];
+        const noteLength = Math.min(
+            samples.length - offset,
+            Math.ceil((duration + this.release) * this.sampleRate)
+        );
+
+        for (let i = 0; i < noteLength; i++) {
+            const t = i / this.sampleRate;
+            const envelope = this.envelopeAt(t, duration);
+            if (envelope === 0) continue;
+
+            let value = 0;
+            this.partials.forEach((partial, index) => {
+                const harmonic = index + 1;
+                if (frequency * harmonic >= nyquist) return;
+
+                const level = partial.amplitude * Math.exp(-this.decayRate * partial.decay * t);
+                voices.forEach(voiceFrequency => {
+                    value += level * Math.sin(2 * Math.PI * voiceFrequency * harmonic * t);
+                });
+            });
+
+            samples[offset + i] += value * envelope;
+        }
+    }
+
+    // ADSR gain at t seconds into a note held for duration seconds
+    envelopeAt(t, duration) {
+        let level;
+        if (t < this.attack) {
+            level = t / this.attack;
+        } else if (t < this.attack + this.decay) {
+            level = 1 - (1 - this.sustain) * (t - this.attack) / this.decay;
+        } else {
+            level = this.sustain;
+        }
+
+        if (t < duration) return level;
+        if (t >= duration + this.release) return 0;
+
+        // Release from wherever the note had got to
+        return this.envelopeAt(duration - 1e-9, Infinity) * (1 - (t - duration) / this.release);
+    }
+
+    // Float samples (-1..1) -> 16-bit mono PCM WAV file contents
+    toWav(samples) {
+        const dataSize = samples.length * 2;
+        const buffer = Buffer.alloc(44 + dataSize);
+
+        buffer.write('RIFF', 0, 'ascii');
+        buffer.writeUInt32LE(36 + dataSize, 4);
+        buffer.write('WAVE', 8, 'ascii');
+        buffer.write('fmt ', 12, 'ascii');
+        buffer.writeUInt32LE(16, 16);
+        buffer.writeUInt16LE(1, 20); // PCM
+        buffer.writeUInt16LE(1, 22); // mono
+        buffer.writeUInt32LE(this.sampleRate, 24);
+        buffer.writeUInt32LE(this.sampleRate * 2, 28);
+        buffer.writeUInt16LE(2, 32);
+        buffer.writeUInt16LE(16, 34);
+        buffer.write('data', 36, 'ascii');
+        buffer.writeUInt32LE(dataSize, 40);
+
+        for (let i = 0; i < samples.length; i++) {
+            const value = Math.max(-1, Math.min(1, samples[i]));
+            buffer.writeInt16LE(Math.round(value * 32767), 44 + i * 2);
+        }
+
+        return buffer;
+    }
+}
+
+module.exports = ChordSynth;
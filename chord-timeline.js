@@ -0,0 +1,302 @@
+class ChordTimeline {
+    constructor(metadata = {}) {
+        const ChordDictionaryClass = typeof ChordDictionary !== 'undefined'
+            ? ChordDictionary
+            : require('./chord-dictionary');
+        this.chordDictionary = metadata.chordDictionary || new ChordDictionaryClass();
+
+        // 'live' for a detection session, 'file' for offline analysis
+        this.source = metadata.source || 'live';
+        this.fileName = metadata.fileName || null;
+        this.duration = metadata.duration || 0; // seconds
+        this.key = metadata.key || null;
+        this.tuning = metadata.tuning || null;
+        this.tempo = metadata.tempo || null; // BPM, when the beat tracker found one
+        this.meter = metadata.meter || null; // { beats, beatType }
+
+        // Tracked beats (seconds) and the index of the first one that starts a bar
+        this.beats = metadata.beats ? [...metadata.beats] : [];
+        this.downbeat = metadata.downbeat || 0;
+        this.createdAt = metadata.createdAt || new Date().toISOString();
+
+        // Closed segments: { start, end, name, confidence, notes, bass } (seconds)
+        this.segments = [];
+
+        // Live recording state (times in ms on the performance.now() clock)
+        this.startTime = null;
+        this.openSegment = null;
+    }
+
+    // Wrap finished segments (e.g. from offline analysis)
+    static fromSegments(segments, metadata = {}) {
+        const timeline = new ChordTimeline(metadata);
+        timeline.segments = segments.map(segment => ({
+            start: segment.start,
+            end: segment.end,
+            name: segment.name,
+            confidence: segment.confidence,
+            notes: segment.chord && segment.chord.notes ? segment.chord.notes : [],
+            bass: segment.chord && segment.chord.bass ? segment.chord.bass : null
+        }));
+        return timeline;
+    }
+
+    start(time) {
+        this.startTime = time;
+        this.segments = [];
+        this.beats = [];
+        this.openSegment = null;
+
+        // Cover the session from 0 even before the first chord settles
+        this.update(null, time);
+    }
+
+    // Record the current stable chord (object with name, or null for no chord).
+    // A new segment starts whenever the name changes.
+    update(chord, time) {
+        if (this.startTime === null) return;
+
+        const name = chord ? chord.name : null;
+        const seconds = (time - this.startTime) / 1000;
+
+        if (this.openSegment && this.openSegment.name === name) {
+            if (chord) {
+                this.openSegment.confidenceSum += chord.confidence || 0;
+                this.openSegment.frames++;
+            }
+            return;
+        }
+
+        this.closeOpenSegment(seconds);
+
+        this.openSegment = {
+            start: seconds,
+            name: name,
+            confidenceSum: chord ? chord.confidence || 0 : 0,
+            frames: 1,
+            notes: chord && chord.notes ? [...chord.notes] : [],
+            bass: chord && chord.bass ? chord.bass : null
+        };
+    }
+
+    // Record a tracked beat of a live recording (time in ms)
+    addBeat(time) {
+        if (this.startTime === null) return;
+
+        const seconds = (time - this.startTime) / 1000;
+        if (seconds >= 0 && (this.beats.length === 0 || seconds > this.beats[this.beats.length - 1])) {
+            this.beats.push(seconds);
+        }
+    }
+
+    closeOpenSegment(seconds) {
+        if (!this.openSegment) return;
+
+        const segment = this.openSegment;
+        this.openSegment = null;
+
+        if (seconds <= segment.start) return;
+
+        this.segments.push({
+            start: segment.start,
+            end: seconds,
+            name: segment.name,
+            confidence: segment.name ? segment.confidenceSum / segment.frames : 0,
+            notes: segment.notes,
+            bass: segment.bass
+        });
+    }
+
+    finish(time) {
+        if (this.startTime === null) return;
+
+        const seconds = (time - this.startTime) / 1000;
+        this.closeOpenSegment(seconds);
+        this.duration = seconds;
+        this.startTime = null;
+    }
+
+    // Copy of a live recording with the open segment closed at `time`,
+    // so a session can be exported while it is still running
+    snapshot(time) {
+        const copy = ChordTimeline.fromSegments([], this);
+        copy.segments = this.segments.map(segment => ({ ...segment }));
+
+        if (this.startTime !== null) {
+            const seconds = (time - this.startTime) / 1000;
+            copy.openSegment = this.openSegment ? { ...this.openSegment } : null;
+            copy.closeOpenSegment(seconds);
+            copy.duration = seconds;
+        }
+
+        return copy;
+    }
+
+    isEmpty() {
+        return !this.segments.some(segment => segment.name);
+    }
+
+    // Segments with times rounded for export (ms precision)
+    getSegments() {
+        return this.segments.map(segment => ({
+            ...segment,
+            start: Math.round(segment.start * 1000) / 1000,
+            end: Math.round(segment.end * 1000) / 1000
+        }));
+    }
+
+    // MIREX .lab: "start end label" per line, Harte chord syntax, N for no chord
+    toLab() {
+        return this.getSegments()
+            .map(segment => `${segment.start.toFixed(3)}\t${segment.end.toFixed(3)}\t${this.chordDictionary.toHarteLabel(segment.name)}`)
+            .join('\n') + '\n';
+    }
+
+    // Tracked beats per bar: compound meters (6/8, 9/8, 12/8) are felt, and
+    // tracked, in dotted quarters
+    beatsPerBar(meter = this.meter) {
+        if (!meter) return 4;
+        const compound = meter.beatType === 8 && meter.beats % 3 === 0;
+        return compound ? meter.beats / 3 : meter.beats;
+    }
+
+    // Meter found while recording; downbeatTime (ms) is a tracked beat
+    // that starts a bar
+    setMeter(meter, downbeatTime) {
+        this.meter = meter;
+        if (this.startTime === null || this.beats.length === 0) return;
+
+        const seconds = (downbeatTime - this.startTime) / 1000;
+        let nearest = 0;
+        this.beats.forEach((beat, index) => {
+            if (Math.abs(beat - seconds) < Math.abs(this.beats[nearest] - seconds)) nearest = index;
+        });
+        this.downbeat = nearest % this.beatsPerBar();
+    }
+
+    // Seconds on the ideal grid of the timeline's tempo: tracked beat i,
+    // counted from the first downbeat, lands exactly on grid beat i, with
+    // times in between interpolated. The first downbeat is put on a bar line
+    // late enough to leave room for the pickup. Without a tempo and beats,
+    // times are returned unchanged
+    toGridTime(seconds) {
+        const beats = this.beats;
+        if (!this.tempo || beats.length < 2) return seconds;
+
+        const beatDuration = 60 / this.tempo;
+        const barDuration = beatDuration * this.beatsPerBar();
+        const downbeat = Math.min(this.downbeat, beats.length - 1);
+        const pickup = this.getPickupBars() * barDuration;
+        const gridBeat = index => pickup + (index - downbeat) * beatDuration;
+
+        // Outside the tracked beats the clock runs at its own rate
+        if (seconds <= beats[0]) return Math.max(0, gridBeat(0) - (beats[0] - seconds));
+        if (seconds >= beats[beats.length - 1]) {
+            return gridBeat(beats.length - 1) + (seconds - beats[beats.length - 1]);
+        }
+
+        let index = 0;
+        while (beats[index + 1] <= seconds) index++;
+        const fraction = (seconds - beats[index]) / (beats[index + 1] - beats[index]);
+        return gridBeat(index) + fraction * beatDuration;
+    }
+
+    // Whole grid bars before the first downbeat
+    getPickupBars() {
+        const beats = this.beats;
+        if (!this.tempo || beats.length < 2) return 0;
+
+        const beatDuration = 60 / this.tempo;
+        const downbeat = Math.min(this.downbeat, beats.length - 1);
+
+        // A downbeat within half a beat of the start needs no pickup bar
+        return Math.max(0, Math.ceil((beats[downbeat] - beatDuration / 2) / (beatDuration * this.beatsPerBar())));
+    }
+
+    // Number of the first grid bar in charts: a single pickup bar is bar 0,
+    // so that bar 1 starts on the downbeat
+    getFirstBarNumber() {
+        return this.getPickupBars() === 1 ? 0 : 1;
+    }
+
+    // Segments moved onto the beat grid (see toGridTime), for the score-like
+    // exports (MIDI, MusicXML, ChordPro); the other exports keep clock time
+    getGridSegments() {
+        return this.getSegments()
+            .map(segment => ({
+                ...segment,
+                start: Math.round(this.toGridTime(segment.start) * 1000) / 1000,
+                end: Math.round(this.toGridTime(segment.end) * 1000) / 1000
+            }))
+            .filter(segment => segment.end > segment.start);
+    }
+
+    getGridDuration() {
+        return Math.round(this.toGridTime(this.duration) * 1000) / 1000;
+    }
+
+    // Structured export with confidences and notes
+    toJson() {
+        return JSON.stringify({
+            source: this.source,
+            fileName: this.fileName,
+            createdAt: this.createdAt,
+            duration: Math.round(this.duration * 1000) / 1000,
+            key: this.key ? { tonic: this.key.tonic, mode: this.key.mode, confidence: this.key.confidence } : null,
+            tuning: this.tuning,
+            tempo: this.tempo,
+            meter: this.meter,
+            beats: this.beats.map(beat => Math.round(beat * 1000) / 1000),
+            downbeat: this.downbeat,
+            segments: this.getSegments().map(segment => ({
+                start: segment.start,
+                end: segment.end,
+                chord: segment.name,
+                label: this.chordDictionary.toHarteLabel(segment.name),
+                confidence: Math.round(segment.confidence * 1000) / 1000,
+                notes: segment.notes,
+                bass: segment.bass
+            }))
+        }, null, 2);
+    }
+
+    toCSV() {
+        const escape = value => {
+            const text = value === null || value === undefined ? '' : String(value);
+            return /[",\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+        };
+
+        const rows = [['start', 'end', 'chord', 'label', 'confidence', 'notes', 'bass']];
+        this.getSegments().forEach(segment => {
+            rows.push([
+                segment.start.toFixed(3),
+                segment.end.toFixed(3),
+                segment.name || 'N',
+                this.chordDictionary.toHarteLabel(segment.name),
+                segment.confidence.toFixed(3),
+                segment.notes.join(' '),
+                segment.bass
+            ]);
+        });
+
+        return rows.map(row => row.map(escape).join(',')).join('\n') + '\n';
+    }
+
+    // Serialized export by format name: 'lab', 'json' or 'csv'
+    export(format) {
+        const exporters = {
+            lab: () => this.toLab(),
+            json: () => this.toJson(),
+            csv: () => this.toCSV()
+        };
+
+        if (!exporters[format]) {
+            throw new Error(`Formato de exportación desconocido: ${format}`);
+        }
+        return exporters[format]();
+    }
+}
+
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = ChordTimeline;
+}
@@ -0,0 +1,174 @@
+class ChordPro {
+    constructor(options = {}) {
+        const ChordDictionaryClass = typeof ChordDictionary !== 'undefined'
+            ? ChordDictionary
+            : require('./chord-dictionary');
+        this.chordDictionary = options.chordDictionary || new ChordDictionaryClass();
+
+        this.beatsPerBar = options.beatsPerBar || 4;
+
+        // Chord spellings found in charts, mapped to the dictionary's suffixes
+        this.suffixAliases = {
+            'M': '', 'maj': '', 'major': '',
+            'min': 'm', '-': 'm', 'minor': 'm',
+            'M7': 'maj7', 'Maj7': 'maj7', 'Δ': 'maj7', 'Δ7': 'maj7',
+            'min7': 'm7', '-7': 'm7',
+            'ø': 'm7b5', 'ø7': 'm7b5', 'min7b5': 'm7b5', '-7b5': 'm7b5',
+            '°': 'dim', 'o': 'dim', '°7': 'dim7', 'o7': 'dim7',
+            '+': 'aug',
+            'sus': 'sus4', '7sus': '7sus4',
+            'mmaj7': 'mMaj7', 'm(maj7)': 'mMaj7', 'minmaj7': 'mMaj7',
+            'add2': 'add9', 'min6': 'm6', 'min9': 'm9', 'M9': 'maj9'
+        };
+        this.noChordLabels = ['N.C.', 'NC', 'N'];
+    }
+
+    keyToString(key) {
+        if (!key) return null;
+        if (typeof key === 'string') return key;
+        return key.tonic + (key.mode === 'minor' ? 'm' : '');
+    }
+
+    // Chart text for a ChordTimeline. With a tempo the progression is laid
+    // out one numbered bar per line; without one, one segment per line.
+    export(timeline, options = {}) {
+        const title = options.title || (timeline.fileName
+            ? timeline.fileName.replace(/\.[^.]+$/, '')
+            : 'Sesión de acordes');
+        const key = options.key || timeline.key;
+        const tempo = options.tempo || timeline.tempo;
+        const meter = options.meter || timeline.meter;
+        const beatsPerBar = meter ? timeline.beatsPerBar(meter) : this.beatsPerBar;
+
+        const lines = [`{title: ${title}}`];
+        if (key) lines.push(`{key: ${this.keyToString(key)}}`);
+        if (tempo) lines.push(`{tempo: ${Math.round(tempo)}}`);
+        if (tempo) lines.push(`{time: ${meter ? `${meter.beats}/${meter.beatType}` : `${this.beatsPerBar}/4`}}`);
+        lines.push('');
+
+        const segments = tempo ? timeline.getGridSegments() : timeline.getSegments();
+        const spell = name => this.chordDictionary.spellChordName(name, key);
+
+        if (tempo) {
+            const firstBar = timeline.getFirstBarNumber();
+            this.toBars(segments, tempo, timeline.getGridDuration(), beatsPerBar).forEach((bar, index) => {
+                const chords = bar.length > 0 ? bar.map(name => `[${spell(name)}]`).join(' ') : '[N.C.]';
+                lines.push(`[*${firstBar + index}] ${chords}`);
+            });
+        } else {
+            segments.filter(segment => segment.name).forEach(segment => {
+                lines.push(`[${spell(segment.name)}]`);
+            });
+        }
+
+        return lines.join('\n') + '\n';
+    }
+
+    // Chord names per bar: the chord sounding at the downbeat, then every
+    // change inside the bar. beatsPerBar counts beats of the tempo
+    toBars(segments, tempo, duration, beatsPerBar = this.beatsPerBar) {
+        const barDuration = beatsPerBar * 60 / tempo;
+        const end = duration || (segments.length > 0 ? segments[segments.length - 1].end : 0);
+        const barCount = Math.ceil(end / barDuration - 1e-6);
+        const bars = [];
+
+        for (let bar = 0; bar < barCount; bar++) {
+            const barStart = bar * barDuration;
+            const barEnd = barStart + barDuration;
+
+            const names = segments
+                .filter(segment => segment.name && segment.start < barEnd && segment.end > barStart)
+                .map(segment => segment.name)
+                .filter((name, index, list) => index === 0 || list[index - 1] !== name);
+
+            bars.push(names);
+        }
+
+        return bars;
+    }
+
+    // Map a chart chord ("Bbmaj7", "F#-7", "C/E") to a dictionary chord name;
+    // null for no chord or a chord the dictionary does not know
+    normalizeChord(label) {
+        const text = label.trim();
+        if (this.noChordLabels.includes(text)) return null;
+
+        const match = /^([A-G](?:#|b)?)([^/]*)(?:\/([A-G](?:#|b)?))?$/.exec(text);
+        if (!match) return null;
+
+        const suffix = this.suffixAliases[match[2]] !== undefined ? this.suffixAliases[match[2]] : match[2];
+        const name = match[1] + suffix + (match[3] ? `/${match[3]}` : '');
+
+        return this.chordDictionary.parseChordName(name) ? name : null;
+    }
+
+    // Parse a chart into { title, artist, key, tempo, lines, chords, unknownChords }.
+    // `chords` is the expected progression with repeated chords merged;
+    // `lines` keeps each lyric line with the chords written above it.
+    parse(text) {
+        const chart = {
+            title: null,
+            artist: null,
+            key: null,
+            tempo: null,
+            lines: [],
+            chords: [],
+            unknownChords: []
+        };
+
+        text.split(/\r?\n/).forEach(rawLine => {
+            const line = rawLine.trim();
+            if (line.startsWith('#')) return;
+
+            const directive = /^\{\s*([a-z_]+)\s*(?::\s*(.*?))?\s*\}$/i.exec(line);
+            if (directive) {
+                const name = directive[1].toLowerCase();
+                const value = directive[2] || '';
+
+                if (name === 'title' || name === 't') chart.title = value;
+                if (name === 'artist') chart.artist = value;
+                if (name === 'key') chart.key = value || null;
+                if (name === 'tempo' && parseFloat(value) > 0) chart.tempo = parseFloat(value);
+                return;
+            }
+
+            const lineChords = [];
+            const lyrics = line.replace(/\[([^\]]*)\]/g, (_, label) => {
+                if (label.startsWith('*')) return ''; // annotation, not a chord
+
+                const name = this.normalizeChord(label);
+                if (name) {
+                    lineChords.push(name);
+                    if (chart.chords[chart.chords.length - 1] !== name) {
+                        chart.chords.push(name);
+                    }
+                } else if (!this.noChordLabels.includes(label.trim()) && !chart.unknownChords.includes(label)) {
+                    chart.unknownChords.push(label);
+                }
+                return '';
+            });
+
+            if (lineChords.length > 0 || lyrics.trim()) {
+                chart.lines.push({ chords: lineChords, lyrics: lyrics.replace(/\s+/g, ' ').trim() });
+            }
+        });
+
+        if (chart.chords.length === 0) {
+            throw new Error('El archivo ChordPro no contiene acordes reconocibles');
+        }
+
+        return chart;
+    }
+
+    // Same root and chord type; the bass is ignored because detection often
+    // misses inversions that a chart writes out
+    chordsMatch(expected, detected) {
+        const a = this.chordDictionary.parseChordName(expected);
+        const b = this.chordDictionary.parseChordName(detected);
+        return !!a && !!b && a.rootPitchClass === b.rootPitchClass && a.suffix === b.suffix;
+    }
+}
+
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = ChordPro;
+}
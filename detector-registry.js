@@ -0,0 +1,77 @@
+class DetectorRegistry {
+    constructor(options = {}) {
+        const ChordDictionaryClass = typeof ChordDictionary !== 'undefined'
+            ? ChordDictionary
+            : require('./chord-dictionary');
+        this.chordDictionary = options.chordDictionary || new ChordDictionaryClass();
+
+        // Engine definitions by id: { id, label, create(host), isAvailable() }
+        // plus any caller-specific fields. Every engine implements
+        //   detectChord(audioData, frequencyData, currentTime) -> chord | null
+        // with chord = { name, root, quality, bass, notes, confidence }
+        // and may implement reset(), setReferencePitch() and setSpectrumSource()
+        this.engines = new Map();
+    }
+
+    // create(host) builds a fresh engine; host provides audioContext,
+    // setFftSize(), detectOnset() and shouldSample() like AudioManager
+    register(id, definition) {
+        if (!definition || typeof definition.create !== 'function') {
+            throw new Error(`Detector "${id}" needs a create() function`);
+        }
+
+        this.engines.set(id, { ...definition, id: id, label: definition.label || id });
+        return this;
+    }
+
+    get(id) {
+        return this.engines.get(id) || null;
+    }
+
+    has(id) {
+        return this.engines.has(id);
+    }
+
+    // Engines whose dependencies are loaded (e.g. the Meyda bundle)
+    isAvailable(id) {
+        const definition = this.get(id);
+        return Boolean(definition) && (!definition.isAvailable || definition.isAvailable());
+    }
+
+    list() {
+        return [...this.engines.values()].map(definition => ({
+            id: definition.id,
+            label: definition.label,
+            available: this.isAvailable(definition.id)
+        }));
+    }
+
+    create(id, host) {
+        const definition = this.get(id);
+        if (!definition) {
+            throw new Error(`Unknown detector: ${id} (available: ${[...this.engines.keys()].join(', ')})`);
+        }
+
+        return definition.create(host);
+    }
+
+    // Fill in whatever contract fields an engine left out, from the chord
+    // name; extra fields (fullNotes, ranges...) pass through
+    normalize(chord) {
+        if (!chord || !chord.name) return null;
+
+        const description = this.chordDictionary.describeChord(chord.name) || {};
+        return {
+            ...chord,
+            root: chord.root || description.root || null,
+            quality: chord.quality || description.quality || null,
+            bass: chord.bass || description.bass || chord.root || null,
+            notes: chord.notes || description.notes || [],
+            confidence: typeof chord.confidence === 'number' ? chord.confidence : 0
+        };
+    }
+}
+
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = DetectorRegistry;
+}
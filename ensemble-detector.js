@@ -0,0 +1,164 @@
+class EnsembleDetector {
+    constructor(audioManager, options = {}) {
+        this.audioManager = audioManager;
+
+        // Member engines come from the registry and answer through its contract
+        this.registry = options.registry;
+        this.chordDictionary = this.registry.chordDictionary;
+
+        // Engine id -> weight; missing ids weigh 1 and 0 switches an engine off
+        this.weights = { ...options.weights };
+
+        // Member frames below this confidence do not vote (the live loop's gate)
+        this.minMemberConfidence = 0.5;
+
+        // Engines that skip frames between analyses (null = "not analysed")
+        // keep voting with their last chord for this long (ms)
+        this.holdTime = 1000;
+
+        const engineIds = options.engines || this.registry.list()
+            .filter(engine => engine.available && !this.registry.get(engine.id).composite)
+            .map(engine => engine.id);
+
+        this.members = engineIds.map(id => ({
+            id: id,
+            engine: this.registry.create(id, audioManager),
+            holdBetweenAnalyses: Boolean(this.registry.get(id).holdBetweenAnalyses),
+            held: null,
+            heldAt: 0
+        }));
+    }
+
+    getWeight(id) {
+        const weight = this.weights[id];
+        return typeof weight === 'number' && weight >= 0 ? weight : 1;
+    }
+
+    setWeight(id, weight) {
+        this.weights[id] = weight;
+    }
+
+    // Run every weighted engine on the frame and fuse their hypotheses
+    detectChord(audioData, frequencyData, currentTime = performance.now()) {
+        const hypotheses = this.members.map(member => {
+            const weight = this.getWeight(member.id);
+            if (weight === 0) {
+                return { id: member.id, weight: 0, chord: null };
+            }
+
+            return {
+                id: member.id,
+                weight: weight,
+                chord: this.detectWithMember(member, audioData, frequencyData, currentTime)
+            };
+        });
+
+        return this.combine(hypotheses);
+    }
+
+    detectWithMember(member, audioData, frequencyData, currentTime) {
+        let result;
+        try {
+            result = this.registry.normalize(member.engine.detectChord(audioData, frequencyData, currentTime));
+        } catch (error) {
+            console.warn(`Ensemble member ${member.id} failed:`, error);
+            result = null;
+        }
+
+        const chord = result && result.confidence > this.minMemberConfidence ? result : null;
+        if (!member.holdBetweenAnalyses) {
+            return chord;
+        }
+
+        if (result) {
+            member.held = chord;
+            member.heldAt = currentTime;
+        }
+        return currentTime - member.heldAt <= this.holdTime ? member.held : null;
+    }
+
+    // hypotheses: [{ id, weight, chord }]. Chords vote by root and type, so
+    // A#m and Bbm (or C and C/E) count as one; the winner's confidence is
+    // its weighted vote over the total weight, and agreement lists its voters
+    combine(hypotheses) {
+        const totalWeight = hypotheses.reduce((sum, hypothesis) => sum + hypothesis.weight, 0);
+        if (totalWeight <= 0) return null;
+
+        const groups = new Map();
+        hypotheses.forEach(hypothesis => {
+            if (!hypothesis.chord || hypothesis.weight <= 0) return;
+
+            const vote = hypothesis.weight * hypothesis.chord.confidence;
+            const key = this.chordKey(hypothesis.chord.name);
+            const group = groups.get(key) || { score: 0, agreement: [], chord: null, bestVote: 0 };
+
+            group.score += vote;
+            group.agreement.push(hypothesis.id);
+
+            // The most confident voter names the chord (and its bass)
+            if (!group.chord || vote > group.bestVote) {
+                group.chord = hypothesis.chord;
+                group.bestVote = vote;
+            }
+
+            groups.set(key, group);
+        });
+
+        let best = null;
+        groups.forEach(group => {
+            if (!best || group.score > best.score ||
+                (group.score === best.score && group.agreement.length > best.agreement.length)) {
+                best = group;
+            }
+        });
+        if (!best) return null;
+
+        const votes = {};
+        hypotheses.forEach(hypothesis => {
+            votes[hypothesis.id] = hypothesis.chord ? hypothesis.chord.name : null;
+        });
+
+        return {
+            ...best.chord,
+            confidence: best.score / totalWeight,
+            agreement: best.agreement,
+            votes: votes
+        };
+    }
+
+    // Root pitch class and chord type; unknown names only match themselves
+    chordKey(chordName) {
+        const parsed = this.chordDictionary.parseChordName(chordName);
+        return parsed ? `${parsed.rootPitchClass}:${parsed.suffix}` : chordName;
+    }
+
+    setReferencePitch(frequency) {
+        this.members.forEach(member => {
+            if (member.engine.setReferencePitch) member.engine.setReferencePitch(frequency);
+        });
+    }
+
+    setSpectrumSource(source) {
+        this.members.forEach(member => {
+            if (member.engine.setSpectrumSource) member.engine.setSpectrumSource(source);
+        });
+    }
+
+    setMultiChordMode(enabled) {
+        this.members.forEach(member => {
+            if (member.engine.setMultiChordMode) member.engine.setMultiChordMode(enabled);
+        });
+    }
+
+    reset() {
+        this.members.forEach(member => {
+            if (member.engine.reset) member.engine.reset();
+            member.held = null;
+            member.heldAt = 0;
+        });
+    }
+}
+
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = EnsembleDetector;
+}
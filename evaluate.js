@@ -0,0 +1,305 @@
+// Accuracy evaluation: runs the detectors over a folder of WAV files paired
+// with MIREX .lab annotations (song.wav + song.lab) and reports weighted
+// chord symbol recall (root, majmin, sevenths, bass) and segmentation.
+//
+//   node evaluate.js <folder> [--detectors browser,realtime,harmonic,ensemble]
+//                    [--spectrum linear|log] [--json results.json] [--verbose]
+
+const fs = require('fs');
+const path = require('path');
+
+const AudioManager = require('./audio-manager');
+const ChordDetector = require('./chord-detector');
+const BrowserChordDetector = require('./browser-chord-detector');
+const ChordTimeline = require('./chord-timeline');
+const ChordEvaluator = require('./chord-evaluator');
+const SpectrumAnalyser = require('./spectrum-analyser');
+const DetectorRegistry = require('./detector-registry');
+const EnsembleDetector = require('./ensemble-detector');
+
+// Frame hop of the live detection loop
+const HOP_DURATION = 0.05; // seconds
+
+// Same gate the renderer applies to frame results
+const MIN_CONFIDENCE = 0.5;
+
+const detectors = new DetectorRegistry()
+    // Chroma templates + HMM smoothing; null means no chord
+    .register('browser', {
+        create: audioManager => new BrowserChordDetector(audioManager)
+    })
+    // Meyda chroma + HMM smoothing
+    .register('realtime', {
+        create: audioManager => {
+            const RealTimeChordDetector = require('./real-time-chord-detector');
+            return new RealTimeChordDetector(audioManager);
+        }
+    })
+    // Harmonic peak picking; null means "not analysed this frame", so the
+    // last chord is held until the next analysis
+    .register('harmonic', {
+        create: audioManager => new ChordDetector(audioManager),
+        holdBetweenAnalyses: true
+    })
+    // Weighted vote of the engines above (equal weights)
+    .register('ensemble', {
+        create: audioManager => new EnsembleDetector(audioManager, { registry: detectors }),
+        composite: true
+    });
+
+function parseArguments(argv) {
+    const options = {
+        folder: null,
+        detectors: [...detectors.engines.keys()],
+        spectrum: 'linear',
+        json: null,
+        verbose: false
+    };
+
+    for (let i = 0; i < argv.length; i++) {
+        const arg = argv[i];
+        if (arg === '--detectors') options.detectors = argv[++i].split(',').map(name => name.trim());
+        else if (arg === '--spectrum') options.spectrum = argv[++i];
+        else if (arg === '--json') options.json = argv[++i];
+        else if (arg === '--verbose') options.verbose = true;
+        else if (!options.folder) options.folder = arg;
+    }
+
+    const unknown = options.detectors.filter(name => !detectors.has(name));
+    if (unknown.length > 0) {
+        throw new Error(`Unknown detector(s): ${unknown.join(', ')} (available: ${[...detectors.engines.keys()].join(', ')})`);
+    }
+    if (!options.folder) {
+        throw new Error('Usage: node evaluate.js <folder> [--detectors browser,realtime,harmonic,ensemble] [--spectrum linear|log] [--json results.json] [--verbose]');
+    }
+
+    return options;
+}
+
+// PCM / IEEE float WAV -> { sampleRate, samples } with channels mixed to mono
+function decodeWav(buffer) {
+    if (buffer.toString('ascii', 0, 4) !== 'RIFF' || buffer.toString('ascii', 8, 12) !== 'WAVE') {
+        throw new Error('Not a RIFF/WAVE file');
+    }
+
+    let format = null;
+    let offset = 12;
+
+    while (offset + 8 <= buffer.length) {
+        const chunkId = buffer.toString('ascii', offset, offset + 4);
+        const chunkSize = buffer.readUInt32LE(offset + 4);
+        const body = offset + 8;
+
+        if (chunkId === 'fmt ') {
+            let audioFormat = buffer.readUInt16LE(body);
+            if (audioFormat === 0xfffe) {
+                audioFormat = buffer.readUInt16LE(body + 24); // WAVE_FORMAT_EXTENSIBLE sub-format
+            }
+            format = {
+                audioFormat: audioFormat,
+                channels: buffer.readUInt16LE(body + 2),
+                sampleRate: buffer.readUInt32LE(body + 4),
+                bitsPerSample: buffer.readUInt16LE(body + 14)
+            };
+        } else if (chunkId === 'data') {
+            if (!format) throw new Error('data chunk before fmt chunk');
+
+            const bytesPerSample = format.bitsPerSample / 8;
+            const frameCount = Math.floor(Math.min(chunkSize, buffer.length - body) / (bytesPerSample * format.channels));
+            const samples = new Float32Array(frameCount);
+
+            const read = position => {
+                if (format.audioFormat === 3 && format.bitsPerSample === 32) return buffer.readFloatLE(position);
+                if (format.audioFormat === 3 && format.bitsPerSample === 64) return buffer.readDoubleLE(position);
+                if (format.audioFormat !== 1) throw new Error(`Unsupported WAV encoding ${format.audioFormat}`);
+                if (format.bitsPerSample === 8) return (buffer.readUInt8(position) - 128) / 128;
+                if (format.bitsPerSample === 16) return buffer.readInt16LE(position) / 32768;
+                if (format.bitsPerSample === 24) return buffer.readIntLE(position, 3) / 8388608;
+                if (format.bitsPerSample === 32) return buffer.readInt32LE(position) / 2147483648;
+                throw new Error(`Unsupported bit depth ${format.bitsPerSample}`);
+            };
+
+            for (let frame = 0; frame < frameCount; frame++) {
+                let sum = 0;
+                for (let channel = 0; channel < format.channels; channel++) {
+                    sum += read(body + (frame * format.channels + channel) * bytesPerSample);
+                }
+                samples[frame] = sum / format.channels;
+            }
+
+            return { sampleRate: format.sampleRate, samples: samples };
+        }
+
+        offset = body + chunkSize + (chunkSize % 2);
+    }
+
+    throw new Error('No data chunk found');
+}
+
+// Audio/annotation pairs in a folder, matched by base name
+function findPairs(folder) {
+    const files = fs.readdirSync(folder);
+    const pairs = [];
+    const skipped = [];
+
+    files.filter(file => path.extname(file).toLowerCase() === '.lab').sort().forEach(labFile => {
+        const base = path.basename(labFile, path.extname(labFile));
+        const audioFile = files.find(file => path.basename(file, path.extname(file)) === base &&
+            path.extname(file).toLowerCase() === '.wav');
+
+        if (audioFile) {
+            pairs.push({ name: base, audio: path.join(folder, audioFile), lab: path.join(folder, labFile) });
+        } else {
+            skipped.push(labFile);
+        }
+    });
+
+    return { pairs, skipped };
+}
+
+// Replay a decoded file through one detector frame by frame (hop as in the
+// live loop, times on the file's clock) and record a chord timeline
+function runDetector(name, audio, options) {
+    const definition = detectors.get(name);
+
+    const audioManager = new AudioManager();
+    audioManager.audioContext = { sampleRate: audio.sampleRate }; // only the rate is read offline
+
+    const detector = detectors.create(name, audioManager);
+    if (typeof detector.setSpectrumSource === 'function') {
+        detector.setSpectrumSource(options.spectrum);
+    }
+
+    const analyser = new SpectrumAnalyser({ fftSize: audioManager.fftSize });
+    const timeline = new ChordTimeline({ source: 'file', chordDictionary: detector.chordDictionary });
+    timeline.start(0);
+
+    const hop = Math.round(HOP_DURATION * audio.sampleRate);
+    let heldChord = null;
+
+    for (let end = hop; end <= audio.samples.length; end += hop) {
+        const time = end / audio.sampleRate * 1000;
+        const frequencyData = analyser.getByteFrequencyData(audio.samples, end);
+        const timeData = analyser.getTimeDomainData(audio.samples, end);
+
+        const result = detectors.normalize(detector.detectChord(timeData, frequencyData, time));
+        let chord = result && result.confidence > MIN_CONFIDENCE ? result : null;
+
+        if (definition.holdBetweenAnalyses) {
+            if (result) heldChord = chord;
+            chord = heldChord;
+        }
+
+        timeline.update(chord, time);
+    }
+
+    timeline.finish(audio.samples.length / audio.sampleRate * 1000);
+
+    return timeline.getSegments().map(segment => ({
+        start: segment.start,
+        end: segment.end,
+        label: timeline.chordDictionary.toHarteLabel(segment.name)
+    }));
+}
+
+function formatScore(value) {
+    return value === null ? '   --' : (value * 100).toFixed(1).padStart(5);
+}
+
+function formatRow(label, result) {
+    return [
+        label.padEnd(32).slice(0, 32),
+        formatScore(result.root),
+        formatScore(result.majmin),
+        formatScore(result.sevenths),
+        formatScore(result.bass),
+        formatScore(result.segmentation)
+    ].join('  ');
+}
+
+function main() {
+    const options = parseArguments(process.argv.slice(2));
+    const evaluator = new ChordEvaluator();
+    const { pairs, skipped } = findPairs(options.folder);
+
+    skipped.forEach(labFile => console.warn(`Skipping ${labFile}: no matching .wav file`));
+    if (pairs.length === 0) {
+        throw new Error(`No .wav/.lab pairs found in ${options.folder}`);
+    }
+
+    // Detectors log every onset and chord; keep the report readable
+    const log = console.log;
+    const quiet = () => {
+        if (!options.verbose) console.log = () => {};
+    };
+    const restore = () => {
+        console.log = log;
+    };
+
+    const files = [];
+    pairs.forEach(pair => {
+        const reference = evaluator.parseLab(fs.readFileSync(pair.lab, 'utf8'));
+        let audio;
+        try {
+            audio = decodeWav(fs.readFileSync(pair.audio));
+        } catch (error) {
+            console.warn(`Skipping ${pair.name}: ${error.message}`);
+            return;
+        }
+
+        const file = { name: pair.name, duration: audio.samples.length / audio.sampleRate, results: {} };
+        options.detectors.forEach(name => {
+            quiet();
+            let estimate;
+            try {
+                estimate = runDetector(name, audio, options);
+            } finally {
+                restore();
+            }
+            file.results[name] = evaluator.evaluate(reference, estimate);
+        });
+        files.push(file);
+    });
+
+    const summary = {};
+    options.detectors.forEach(name => {
+        summary[name] = evaluator.summarize(files.map(file => file.results[name]));
+    });
+
+    const header = ['File'.padEnd(32), ' Root', 'MajMn', ' 7ths', ' Bass', '  Seg'].join('  ');
+    options.detectors.forEach(name => {
+        log(`\n${name} (${options.spectrum} spectrum)`);
+        log(header);
+        log('-'.repeat(header.length));
+        files.forEach(file => log(formatRow(file.name, file.results[name])));
+        log('-'.repeat(header.length));
+        log(formatRow(`Total (${summary[name].files} files)`, summary[name]));
+    });
+
+    if (options.json) {
+        const report = {
+            createdAt: new Date().toISOString(),
+            folder: path.resolve(options.folder),
+            settings: {
+                spectrum: options.spectrum,
+                hopDuration: HOP_DURATION,
+                minConfidence: MIN_CONFIDENCE
+            },
+            summary: summary,
+            files: files
+        };
+        fs.writeFileSync(options.json, JSON.stringify(report, null, 2));
+        log(`\nJSON report written to ${options.json}`);
+    }
+}
+
+if (require.main === module) {
+    try {
+        main();
+    } catch (error) {
+        console.error(error.message);
+        process.exit(1);
+    }
+}
+
+module.exports = { decodeWav, runDetector, findPairs };
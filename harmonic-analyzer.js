@@ -0,0 +1,150 @@
+class HarmonicAnalyzer {
+    constructor(options = {}) {
+        const ChordDictionaryClass = typeof ChordDictionary !== 'undefined'
+            ? ChordDictionary
+            : require('./chord-dictionary');
+        this.chordDictionary = options.chordDictionary || new ChordDictionaryClass();
+        this.noteSpeller = this.chordDictionary.noteSpeller;
+
+        // Degrees are measured against the major scale of the tonic in both
+        // modes, so minor keys read i, bIII, iv, v, bVI, bVII
+        this.majorScale = [0, 2, 4, 5, 7, 9, 11];
+        this.romanNumerals = ['I', 'II', 'III', 'IV', 'V', 'VI', 'VII'];
+
+        // Diatonic triad qualities, used to name secondary dominant targets
+        this.diatonicQualities = {
+            major: ['major', 'minor', 'minor', 'major', 'major', 'minor', 'diminished'],
+            minor: ['minor', 'diminished', 'major', 'minor', 'minor', 'major', 'major']
+        };
+
+        // Roman numeral suffixes; case already carries major / minor
+        this.romanSuffixes = {
+            'm': '', 'dim': '°', 'aug': '+', 'm7': '7', 'm7b5': 'ø7', 'dim7': '°7',
+            'mMaj7': 'maj7', 'm6': '6', 'm9': '9'
+        };
+
+        // Figured bass for inverted triads and seventh chords
+        this.triadFigures = { first: '6', second: '64' };
+        this.seventhFigures = { first: '65', second: '43', third: '42' };
+
+        // Nashville charts write diminished chords with symbols, not letters
+        this.nashvilleSuffixes = { 'dim': '°', 'dim7': '°7', 'm7b5': 'ø7' };
+
+        this.superscriptDigits = ['⁰', '¹', '²', '³', '⁴', '⁵', '⁶', '⁷', '⁸', '⁹'];
+    }
+
+    // Scale degree (0-6) and accidental of a spelled note relative to the
+    // key's tonic ("Bb" in C -> degree 6, offset -1)
+    getDegree(noteName, parsedKey) {
+        const letterDistance = (this.noteSpeller.letters.indexOf(noteName[0]) -
+            this.noteSpeller.letters.indexOf(parsedKey.tonic[0]) + 7) % 7;
+        const interval = (this.noteSpeller.toPitchClass(noteName) - parsedKey.tonicPitchClass + 12) % 12;
+        const offset = ((interval - this.majorScale[letterDistance] + 18) % 12) - 6;
+
+        return { degree: letterDistance, offset: offset };
+    }
+
+    isMinorQuality(quality) {
+        return quality === 'minor' || quality === 'diminished' || quality === 'half-diminished';
+    }
+
+    // Roman numeral for a degree, lowercase for minor-family chords
+    formatNumeral(degree, offset, quality) {
+        const numeral = this.romanNumerals[degree];
+        return this.noteSpeller.accidentalString(offset) +
+            (this.isMinorQuality(quality) ? numeral.toLowerCase() : numeral);
+    }
+
+    // Dominant chords resolving to a diatonic chord other than the tonic are
+    // labelled as secondary dominants (D7 in C -> V7/V)
+    getSecondaryTarget(parsedChord, parsedKey) {
+        if (parsedChord.quality !== 'dominant') return null;
+
+        const targetPitchClass = (parsedChord.rootPitchClass + 5) % 12;
+        if (targetPitchClass === parsedKey.tonicPitchClass) return null;
+        if (!this.noteSpeller.isDiatonic(targetPitchClass, parsedKey)) return null;
+
+        const targetName = parsedKey.names[targetPitchClass];
+        const target = this.getDegree(targetName, parsedKey);
+        const quality = this.diatonicQualities[parsedKey.mode][target.degree];
+        if (quality === 'diminished') return null;
+
+        return this.formatNumeral(target.degree, target.offset, quality);
+    }
+
+    romanSuffix(parsedChord) {
+        if (this.romanSuffixes[parsedChord.suffix] !== undefined) {
+            return this.romanSuffixes[parsedChord.suffix];
+        }
+        return parsedChord.suffix;
+    }
+
+    // Swap a triad or seventh suffix for its inversion figures (V7 -> V65)
+    applyFigures(roman, parsedChord, inversion) {
+        const isSeventh = parsedChord.intervals.length === 4 && /7$/.test(this.romanSuffix(parsedChord));
+        const isTriad = parsedChord.intervals.length === 3;
+
+        if (isSeventh && this.seventhFigures[inversion]) {
+            return roman.replace(/7$/, this.seventhFigures[inversion]);
+        }
+        if (isTriad && this.triadFigures[inversion]) {
+            return roman + this.triadFigures[inversion];
+        }
+        return roman;
+    }
+
+    // Nashville numbers keep the chord suffix; numeric parts are raised
+    // so "5⁷" doesn't read as fifty-seven
+    nashvilleSuffix(suffix) {
+        const symbol = this.nashvilleSuffixes[suffix] !== undefined ? this.nashvilleSuffixes[suffix] : suffix;
+        return symbol.replace(/\d+/, digits =>
+            digits.split('').map(digit => this.superscriptDigits[Number(digit)]).join(''));
+    }
+
+    // Roman numeral and Nashville number for a chord in a key, or null when
+    // either is unknown. Returns { roman, nashville, degree, offset }.
+    analyze(chordName, key) {
+        const parsedKey = this.noteSpeller.parseKey(key);
+        if (!parsedKey) return null;
+
+        // Spell for the key first so the letter gives the degree (Bb -> bVII, not #VI)
+        const spelledName = this.chordDictionary.spellChordName(chordName, parsedKey);
+        const parsedChord = this.chordDictionary.parseChordName(spelledName);
+        if (!parsedChord) return null;
+
+        const rootDegree = this.getDegree(parsedChord.root, parsedKey);
+        const inversion = parsedChord.bass
+            ? this.chordDictionary.withBass(parsedChord.root + parsedChord.suffix, parsedChord.bass, parsedKey).inversion
+            : 'root';
+
+        let roman;
+        const secondaryTarget = this.getSecondaryTarget(parsedChord, parsedKey);
+        if (secondaryTarget) {
+            roman = 'V' + this.applyFigures(this.romanSuffix(parsedChord), parsedChord, inversion) + '/' + secondaryTarget;
+        } else {
+            roman = this.applyFigures(
+                this.formatNumeral(rootDegree.degree, rootDegree.offset, parsedChord.quality) + this.romanSuffix(parsedChord),
+                parsedChord,
+                inversion
+            );
+        }
+
+        let nashville = this.noteSpeller.accidentalString(rootDegree.offset) +
+            (rootDegree.degree + 1) + this.nashvilleSuffix(parsedChord.suffix);
+        if (parsedChord.bass) {
+            const bassDegree = this.getDegree(parsedChord.bass, parsedKey);
+            nashville += '/' + this.noteSpeller.accidentalString(bassDegree.offset) + (bassDegree.degree + 1);
+        }
+
+        return {
+            roman: roman,
+            nashville: nashville,
+            degree: rootDegree.degree + 1,
+            offset: rootDegree.offset
+        };
+    }
+}
+
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = HarmonicAnalyzer;
+}
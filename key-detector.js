@@ -0,0 +1,132 @@
+class KeyDetector {
+    constructor(options = {}) {
+        const NoteSpellerClass = typeof NoteSpeller !== 'undefined'
+            ? NoteSpeller
+            : require('./note-speller');
+        this.noteSpeller = options.noteSpeller || new NoteSpellerClass();
+
+        // Krumhansl-Kessler key profiles (tonic first)
+        this.majorProfile = [6.35, 2.23, 3.48, 2.33, 4.38, 4.09, 2.52, 5.19, 2.39, 3.66, 2.29, 2.88];
+        this.minorProfile = [6.33, 2.68, 3.52, 5.38, 2.60, 3.53, 2.54, 4.75, 3.98, 2.69, 3.34, 3.17];
+
+        // Sliding window of chroma frames
+        this.windowDuration = options.windowDuration || 20000; // ms
+        this.minFrames = options.minFrames || 20;
+        this.silenceThreshold = options.silenceThreshold || 0.05; // Summed chroma below this is ignored
+
+        // Softmax temperature turning profile correlations into a confidence
+        this.temperature = options.temperature || 0.05;
+
+        this.reset();
+    }
+
+    reset() {
+        this.frames = [];
+        this.currentKey = null;
+    }
+
+    // Add one 12-bin chroma frame (C first); returns the current estimate
+    addChroma(chroma, time) {
+        const total = chroma.reduce((sum, value) => sum + Math.max(0, value), 0);
+
+        if (total >= this.silenceThreshold) {
+            // Normalize per frame so loud passages don't outweigh quiet ones
+            this.frames.push({
+                time: time,
+                chroma: chroma.map(value => Math.max(0, value) / total)
+            });
+        }
+
+        const cutoff = time - this.windowDuration;
+        while (this.frames.length > 0 && this.frames[0].time < cutoff) {
+            this.frames.shift();
+        }
+
+        this.currentKey = this.estimate();
+        return this.currentKey;
+    }
+
+    // Fold linear FFT magnitudes (AnalyserNode byte data) into chroma;
+    // referencePitch is the A4 the recording is tuned to
+    addSpectrum(frequencyData, sampleRate, time, referencePitch = 440) {
+        const chroma = new Array(12).fill(0);
+        const bufferLength = frequencyData.length;
+
+        for (let i = 1; i < bufferLength; i++) {
+            const frequency = i * sampleRate / (bufferLength * 2);
+            if (frequency < 65 || frequency > 2000) continue;
+
+            const midiNote = Math.round(69 + 12 * Math.log2(frequency / referencePitch));
+            chroma[((midiNote % 12) + 12) % 12] += frequencyData[i] / 255;
+        }
+
+        return this.addChroma(chroma, time);
+    }
+
+    pearson(values, profile, rotation) {
+        const n = 12;
+        const meanValues = values.reduce((sum, value) => sum + value, 0) / n;
+        const meanProfile = profile.reduce((sum, value) => sum + value, 0) / n;
+
+        let covariance = 0;
+        let varianceValues = 0;
+        let varianceProfile = 0;
+
+        for (let i = 0; i < n; i++) {
+            const x = values[(i + rotation) % n] - meanValues;
+            const y = profile[i] - meanProfile;
+            covariance += x * y;
+            varianceValues += x * x;
+            varianceProfile += y * y;
+        }
+
+        if (varianceValues === 0 || varianceProfile === 0) return 0;
+        return covariance / Math.sqrt(varianceValues * varianceProfile);
+    }
+
+    // Correlate the window's chroma with all 24 rotated profiles
+    estimate() {
+        if (this.frames.length < this.minFrames) return null;
+
+        const summed = new Array(12).fill(0);
+        this.frames.forEach(frame => {
+            for (let i = 0; i < 12; i++) {
+                summed[i] += frame.chroma[i];
+            }
+        });
+
+        const scores = [];
+        for (let tonic = 0; tonic < 12; tonic++) {
+            scores.push({ tonicPitchClass: tonic, mode: 'major', correlation: this.pearson(summed, this.majorProfile, tonic) });
+            scores.push({ tonicPitchClass: tonic, mode: 'minor', correlation: this.pearson(summed, this.minorProfile, tonic) });
+        }
+
+        scores.sort((a, b) => b.correlation - a.correlation);
+        const best = scores[0];
+
+        const expSum = scores.reduce((sum, score) =>
+            sum + Math.exp((score.correlation - best.correlation) / this.temperature), 0);
+
+        const tonicNames = best.mode === 'minor'
+            ? this.noteSpeller.minorTonicNames
+            : this.noteSpeller.majorTonicNames;
+        const tonic = tonicNames[best.tonicPitchClass];
+
+        return {
+            tonic: tonic,
+            mode: best.mode,
+            name: tonic + (best.mode === 'minor' ? 'm' : ''),
+            tonicPitchClass: best.tonicPitchClass,
+            correlation: best.correlation,
+            confidence: 1 / expSum
+        };
+    }
+
+    getKey() {
+        return this.currentKey;
+    }
+}
+
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = KeyDetector;
+}
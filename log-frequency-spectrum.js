@@ -0,0 +1,146 @@
+class LogFrequencySpectrum {
+    constructor(options = {}) {
+        // Semitone range covered by the filterbank (MIDI notes)
+        this.minNote = options.minNote || 28; // E1, 41 Hz
+        this.maxNote = options.maxNote || 96; // C7, 2093 Hz
+
+        // FFT size that gives the low notes several bins per semitone
+        // (16384 points at 44.1 kHz: 2.7 Hz bins, ~0.37 s window)
+        this.recommendedFftSize = options.recommendedFftSize || 16384;
+
+        // AnalyserNode byte range in dB, to turn bytes back into amplitudes
+        this.minDecibels = options.minDecibels !== undefined ? options.minDecibels : -100;
+        this.maxDecibels = options.maxDecibels !== undefined ? options.maxDecibels : -30;
+
+        this.filterCache = new Map();
+        this.maxCachedLayouts = 8;
+    }
+
+    noteFrequency(midiNote, referencePitch = 440) {
+        return referencePitch * Math.pow(2, (midiNote - 69) / 12);
+    }
+
+    // One filter per semitone: the fractional bin of its centre frequency plus
+    // every FFT bin within half a semitone, weighted by a triangle that peaks
+    // at the centre. Low semitones narrower than a bin rely on the centre value.
+    getFilters(bufferLength, sampleRate, referencePitch) {
+        const cacheKey = `${bufferLength}:${sampleRate}:${referencePitch.toFixed(1)}`;
+        if (this.filterCache.has(cacheKey)) {
+            return this.filterCache.get(cacheKey);
+        }
+
+        const binWidth = sampleRate / (bufferLength * 2);
+        const filters = [];
+
+        for (let note = this.minNote; note <= this.maxNote; note++) {
+            const centerFrequency = this.noteFrequency(note, referencePitch);
+            const lowBin = Math.ceil(this.noteFrequency(note - 0.5, referencePitch) / binWidth);
+            const highBin = Math.floor(this.noteFrequency(note + 0.5, referencePitch) / binWidth);
+
+            const bins = [];
+            for (let bin = Math.max(1, lowBin); bin <= Math.min(bufferLength - 1, highBin); bin++) {
+                const semitones = 12 * Math.log2(bin * binWidth / centerFrequency);
+                bins.push({ bin: bin, weight: 1 - Math.abs(semitones) });
+            }
+
+            filters.push({
+                note: note,
+                frequency: centerFrequency,
+                centerBin: centerFrequency / binWidth,
+                bins: bins
+            });
+        }
+
+        if (this.filterCache.size >= this.maxCachedLayouts) {
+            this.filterCache.clear();
+        }
+        this.filterCache.set(cacheKey, filters);
+        return filters;
+    }
+
+    // Semitone-resolution spectrum from AnalyserNode byte data. Values stay
+    // on the analyser's 0-255 scale so existing thresholds still apply.
+    compute(frequencyData, sampleRate, referencePitch = 440) {
+        const filters = this.getFilters(frequencyData.length, sampleRate, referencePitch);
+
+        return filters.map(filter => {
+            // Linear interpolation at the centre frequency
+            const lower = Math.floor(filter.centerBin);
+            const fraction = filter.centerBin - lower;
+            const upper = Math.min(lower + 1, frequencyData.length - 1);
+            let value = lower < frequencyData.length
+                ? frequencyData[lower] * (1 - fraction) + frequencyData[upper] * fraction
+                : 0;
+
+            // Weighted maximum keeps a partial's level wherever it falls in the band
+            filter.bins.forEach(({ bin, weight }) => {
+                value = Math.max(value, frequencyData[bin] * weight);
+            });
+
+            return {
+                note: filter.note,
+                frequency: filter.frequency,
+                amplitude: value
+            };
+        });
+    }
+
+    // 12-bin chroma (C first) from a semitone spectrum within a frequency
+    // range. Bands add up as linear amplitudes: on the byte (dB) scale an
+    // overtone 10 dB down still counts almost as much as its fundamental
+    toChroma(spectrum, minFrequency = 0, maxFrequency = Infinity) {
+        const chroma = new Array(12).fill(0);
+
+        spectrum.forEach(band => {
+            if (band.frequency < minFrequency || band.frequency > maxFrequency) return;
+            chroma[band.note % 12] += this.byteToAmplitude(band.amplitude);
+        });
+
+        return chroma;
+    }
+
+    // Byte (dB) -> linear amplitude relative to maxDecibels
+    byteToAmplitude(byte) {
+        if (byte <= 0) return 0;
+        const decibels = this.minDecibels + (byte / 255) * (this.maxDecibels - this.minDecibels);
+        return Math.pow(10, (decibels - this.maxDecibels) / 20);
+    }
+
+    // Local maxima across semitones, shaped like the linear peak pickers'
+    // results ({ frequency, amplitude, bin, prominence }) so the same
+    // harmonic filtering can run on them
+    findPeaks(spectrum, options = {}) {
+        const minFrequency = options.minFrequency || 0;
+        const maxFrequency = options.maxFrequency || Infinity;
+        const amplitudeThreshold = options.amplitudeThreshold || 16;
+        const minProminence = options.minProminence || 3;
+
+        const peaks = [];
+
+        for (let i = 0; i < spectrum.length; i++) {
+            const band = spectrum[i];
+            if (band.frequency < minFrequency || band.frequency > maxFrequency) continue;
+
+            const prev = i > 0 ? spectrum[i - 1].amplitude : 0;
+            const next = i < spectrum.length - 1 ? spectrum[i + 1].amplitude : 0;
+
+            if (band.amplitude > amplitudeThreshold && band.amplitude >= prev && band.amplitude > next) {
+                const prominence = band.amplitude - Math.max(prev, next);
+                if (prominence >= minProminence) {
+                    peaks.push({
+                        frequency: band.frequency,
+                        amplitude: band.amplitude,
+                        bin: band.note,
+                        prominence: prominence
+                    });
+                }
+            }
+        }
+
+        return peaks;
+    }
+}
+
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = LogFrequencySpectrum;
+}
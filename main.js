@@ -1,119 +1,196 @@
-const { app, BrowserWindow, ipcMain } = require('electron');
-const path = require('path');
-const VSTManager = require('./vst-manager');
-
-let vstManager = null;
-
-function createWindow() {
-  const mainWindow = new BrowserWindow({
-    width: 1600,
-    height: 850,
-    webPreferences: {
-      nodeIntegration: false,
-      contextIsolation: true,
-      preload: path.join(__dirname, 'preload.js')
-    }
-  });
-
-  mainWindow.loadFile('index.html');
-  
-  // Always open DevTools for debugging
-  mainWindow.webContents.openDevTools();
-
-  // Initialize VST manager
-  vstManager = new VSTManager();
-  
-  // Set up VST manager callbacks
-  vstManager.onStatus((message) => {
-    mainWindow.webContents.send('vst-status', message);
-  });
-
-  vstManager.onError((message) => {
-    mainWindow.webContents.send('vst-error', message);
-  });
-
-  // Scan for VST plugins on startup
-  setTimeout(() => {
-    vstManager.scanVSTPlugins().then(plugins => {
-      mainWindow.webContents.send('vst-plugins-scanned', plugins);
-    });
-  }, 1000);
-}
-
-// IPC handlers for VST functionality
-ipcMain.handle('scan-vst-plugins', async () => {
-  if (vstManager) {
-    return await vstManager.scanVSTPlugins();
-  }
-  return [];
-});
-
-ipcMain.handle('get-vst-plugins', async () => {
-  if (vstManager) {
-    return vstManager.getAvailablePlugins();
-  }
-  return [];
-});
-
-ipcMain.handle('load-vst-plugin', async (event, pluginPath) => {
-  if (vstManager) {
-    return await vstManager.loadPlugin(pluginPath);
-  }
-  return false;
-});
-
-ipcMain.handle('start-vst-processing', async (event, pluginPath, sampleRate, bufferSize) => {
-  if (vstManager) {
-    return await vstManager.startVSTProcessing(pluginPath, sampleRate, bufferSize);
-  }
-  return false;
-});
-
-ipcMain.handle('stop-vst-processing', async () => {
-  if (vstManager) {
-    return await vstManager.stopVSTProcessing();
-  }
-  return false;
-});
-
-ipcMain.handle('get-active-vst-plugin', async () => {
-  if (vstManager) {
-    return vstManager.getActivePlugin();
-  }
-  return null;
-});
-
-ipcMain.handle('is-vst-available', async () => {
-  if (vstManager) {
-    return vstManager.isVSTAvailable();
-  }
-  return false;
-});
-
-ipcMain.handle('show-vst-plugin-gui', async () => {
-  if (vstManager) {
-    return await vstManager.showPluginGUI();
-  }
-  return false;
-});
-
-ipcMain.handle('is-vst-plugin-loaded', async () => {
-  if (vstManager) {
-    return vstManager.isPluginLoaded();
-  }
-  return false;
-});
-
-app.whenReady().then(createWindow);
-
-app.on('window-all-closed', () => {
-  if (process.platform !== 'darwin') {
-    app.quit();
-  }
-});
-
-app.on('activate', () => {
-  if (BrowserWindow.getAllWindows().length === 0) {
-    createWindow();
-  }
+const { app, BrowserWindow, ipcMain } = require('electron');
+const path = require('path');
+const VSTManager = require('./vst-manager');
+const AnalysisService = require('./analysis-service');
+const ChordPlayer = require('./chord-player');
+
+let mainWindow = null;
+let vstManager = null;
+let analysisService = null;
+let chordPlayer = null;
+
+// Messages for the current window; dropped while none is open (on macOS
+// the app outlives its windows)
+function sendToWindow(channel, message) {
+  if (mainWindow && !mainWindow.isDestroyed()) {
+    mainWindow.webContents.send(channel, message);
+  }
+}
+
+// Chord analysis in a utility process, started on the first request; one
+// for the app's lifetime, whatever window is open
+function createAnalysisService() {
+  analysisService = new AnalysisService();
+  analysisService.onError((message) => {
+    sendToWindow('analysis-error', message);
+  });
+}
+
+// Chord previews and announcements rendered here, so they sound even
+// without a running AudioContext in the renderer
+function createChordPlayer() {
+  chordPlayer = new ChordPlayer();
+  chordPlayer.onError((message) => {
+    sendToWindow('chord-player-error', message);
+  });
+}
+
+function createWindow() {
+  mainWindow = new BrowserWindow({
+    width: 1600,
+    height: 850,
+    webPreferences: {
+      nodeIntegration: false,
+      contextIsolation: true,
+      preload: path.join(__dirname, 'preload.js'),
+      // Keep timers and message handling at full rate while minimized; chord
+      // detection runs on the audio worklet's messages
+      backgroundThrottling: false
+    }
+  });
+
+  mainWindow.loadFile('index.html');
+  
+  // Always open DevTools for debugging
+  mainWindow.webContents.openDevTools();
+
+  // Initialize VST manager
+  vstManager = new VSTManager();
+  
+  // Set up VST manager callbacks
+  vstManager.onStatus((message) => {
+    mainWindow.webContents.send('vst-status', message);
+  });
+
+  vstManager.onError((message) => {
+    mainWindow.webContents.send('vst-error', message);
+  });
+
+  // Scan for VST plugins on startup
+  setTimeout(() => {
+    vstManager.scanVSTPlugins().then(plugins => {
+      mainWindow.webContents.send('vst-plugins-scanned', plugins);
+    });
+  }, 1000);
+}
+
+// IPC handlers for VST functionality
+ipcMain.handle('scan-vst-plugins', async () => {
+  if (vstManager) {
+    return await vstManager.scanVSTPlugins();
+  }
+  return [];
+});
+
+ipcMain.handle('get-vst-plugins', async () => {
+  if (vstManager) {
+    return vstManager.getAvailablePlugins();
+  }
+  return [];
+});
+
+ipcMain.handle('load-vst-plugin', async (event, pluginPath) => {
+  if (vstManager) {
+    return await vstManager.loadPlugin(pluginPath);
+  }
+  return false;
+});
+
+ipcMain.handle('start-vst-processing', async (event, pluginPath, sampleRate, bufferSize) => {
+  if (vstManager) {
+    return await vstManager.startVSTProcessing(pluginPath, sampleRate, bufferSize);
+  }
+  return false;
+});
+
+ipcMain.handle('stop-vst-processing', async () => {
+  if (vstManager) {
+    return await vstManager.stopVSTProcessing();
+  }
+  return false;
+});
+
+ipcMain.handle('get-active-vst-plugin', async () => {
+  if (vstManager) {
+    return vstManager.getActivePlugin();
+  }
+  return null;
+});
+
+ipcMain.handle('is-vst-available', async () => {
+  if (vstManager) {
+    return vstManager.isVSTAvailable();
+  }
+  return false;
+});
+
+ipcMain.handle('show-vst-plugin-gui', async () => {
+  if (vstManager) {
+    return await vstManager.showPluginGUI();
+  }
+  return false;
+});
+
+ipcMain.handle('is-vst-plugin-loaded', async () => {
+  if (vstManager) {
+    return vstManager.isPluginLoaded();
+  }
+  return false;
+});
+
+// IPC handlers for backend chord analysis
+ipcMain.handle('configure-analysis', async (event, settings) => {
+  return await analysisService.configure(settings);
+});
+
+ipcMain.handle('process-audio', async (event, frame) => {
+  return await analysisService.process(frame);
+});
+
+ipcMain.handle('reset-analysis', async () => {
+  return await analysisService.reset();
+});
+
+// IPC handlers for backend chord playback; chord data is checked before
+// it sizes any buffer here
+ipcMain.on('play-chord', (event, chordData) => {
+  if (!chordPlayer) {
+    return;
+  }
+
+  let checked;
+  try {
+    checked = ChordPlayer.validate(chordData);
+  } catch (error) {
+    chordPlayer.logError(`Rejected chord: ${error.message}`);
+    return;
+  }
+  chordPlayer.play(checked);
+});
+
+app.whenReady().then(() => {
+  createAnalysisService();
+  createChordPlayer();
+  createWindow();
+});
+
+app.on('before-quit', () => {
+  if (analysisService) {
+    analysisService.stop();
+  }
+  if (chordPlayer) {
+    chordPlayer.stop();
+  }
+});
+
+app.on('window-all-closed', () => {
+  if (process.platform !== 'darwin') {
+    app.quit();
+  }
+});
+
+app.on('activate', () => {
+  if (BrowserWindow.getAllWindows().length === 0) {
+    createWindow();
+  }
 });
\ No newline at end of file
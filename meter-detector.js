@@ -0,0 +1,234 @@
+class MeterDetector {
+    constructor(options = {}) {
+        // Beats per bar tried; with a ternary subdivision two beats make 6/8
+        // (the tracked beat being the dotted quarter)
+        this.candidates = options.candidates || [2, 3, 4];
+
+        // Beats kept for the estimate, and how many are needed before the first
+        this.maxBeats = options.maxBeats || 48;
+        this.minBeats = options.minBeats || 12;
+
+        // Weight of a chord change against the (mean-normalised) onset accent
+        // in a beat's downbeat evidence
+        this.changeWeight = options.changeWeight || 1;
+
+        // Grouping by two must beat grouping by four by this factor: a 4/4
+        // song changing chords every two beats should stay in 4/4
+        this.duplePenalty = options.duplePenalty || 0.8;
+
+        // Onsets this close (relative to the beat period) to a beat are its
+        // accent; between beats they vote for the subdivision
+        this.accentTolerance = 0.15;
+        this.subdivisionTolerance = 0.08;
+
+        // onMeter(result, detector) whenever the meter or the downbeat changes
+        this.onMeter = options.onMeter || null;
+
+        const BeatSynchronizerClass = typeof BeatSynchronizer !== 'undefined'
+            ? BeatSynchronizer
+            : require('./beat-synchronizer');
+        this.beatSynchronizer = new BeatSynchronizerClass({ unit: 'beat' });
+
+        this.reset();
+    }
+
+    reset() {
+        this.beatSynchronizer.reset();
+        this.beatTimes = []; // ms of beats beatOffset onwards
+        this.beatOffset = 0;
+        this.onsets = []; // { time, strength }
+        this.beats = []; // { index, time, accent, chord }
+        this.beatsPerBar = null;
+        this.downbeat = null; // index of a beat that starts a bar
+        this.meter = null; // time signature last reported
+        this.subdivision = null; // 2 or 3
+        this.confidence = 0;
+        this.pending = null;
+    }
+
+    // Note onset (time ms, strength) from an onset detector
+    addOnset(time, strength) {
+        this.onsets.push({ time: time, strength: strength });
+        if (this.onsets.length > this.maxBeats * 8) this.onsets.shift();
+    }
+
+    // Tracked beat (time ms); beats are numbered from 0 in order
+    addBeat(time) {
+        const last = this.beatTimes[this.beatTimes.length - 1];
+        if (last !== undefined && time <= last) return;
+
+        this.beatTimes.push(time);
+        if (this.beatTimes.length > this.maxBeats * 2) {
+            this.beatTimes.shift();
+            this.beatOffset++;
+        }
+        this.beatSynchronizer.addBeat(time);
+    }
+
+    beatTime(index) {
+        return this.beatTimes[index - this.beatOffset];
+    }
+
+    // Frame chord (or null) at time ms; the chords heard over each beat
+    // tell whether the harmony changed on it
+    addFrame(chord, time) {
+        this.beatSynchronizer.addFrame(chord, time).forEach(slot => this.addSlot(slot));
+    }
+
+    // End of the audio: close the beat still open
+    flush(time) {
+        this.beatSynchronizer.flush(time).forEach(slot => this.addSlot(slot));
+    }
+
+    addSlot(slot) {
+        if (slot.beat < 0) return;
+
+        const time = this.beatTime(slot.beat);
+        const next = this.beatTime(slot.beat + 1);
+        const previous = this.beatTime(slot.beat - 1);
+        const period = next !== undefined ? next - time : (previous !== undefined ? time - previous : null);
+        if (time === undefined || period === null) return;
+
+        // Strongest onset around the beat
+        const window = this.accentTolerance * period;
+        const accent = this.onsets
+            .filter(onset => Math.abs(onset.time - time) <= window)
+            .reduce((max, onset) => Math.max(max, onset.strength), 0);
+
+        this.beats.push({
+            index: slot.beat,
+            time: time,
+            period: period,
+            accent: accent,
+            chord: slot.observation ? slot.observation[0].name : null
+        });
+        if (this.beats.length > this.maxBeats) this.beats.shift();
+
+        this.estimate();
+    }
+
+    // Onsets between beats at half the period vote binary; at a third or
+    // two thirds, ternary. Null without onsets in between
+    estimateSubdivision() {
+        let binary = 0;
+        let ternary = 0;
+
+        this.beats.forEach(beat => {
+            this.onsets.forEach(onset => {
+                const phase = (onset.time - beat.time) / beat.period;
+                if (phase <= 0 || phase >= 1) return;
+
+                if (Math.abs(phase - 1 / 2) <= this.subdivisionTolerance) binary += onset.strength;
+                if (Math.abs(phase - 1 / 3) <= this.subdivisionTolerance ||
+                    Math.abs(phase - 2 / 3) <= this.subdivisionTolerance) {
+                    ternary += onset.strength / 2;
+                }
+            });
+        });
+
+        if (binary === 0 && ternary === 0) return null;
+        return ternary > binary ? 3 : 2;
+    }
+
+    // Score every grouping and phase by how much more downbeat evidence
+    // (accent plus chord change) its bar starts have than the other beats
+    estimate() {
+        if (this.beats.length < this.minBeats) return;
+
+        const meanAccent = this.beats.reduce((sum, beat) => sum + beat.accent, 0) / this.beats.length;
+        const evidence = this.beats.map((beat, i) => {
+            const previous = this.beats[i - 1];
+            const change = previous && previous.index === beat.index - 1 && beat.chord && beat.chord !== previous.chord;
+            return {
+                index: beat.index,
+                value: (meanAccent > 0 ? beat.accent / meanAccent : 0) + (change ? this.changeWeight : 0)
+            };
+        });
+
+        const results = [];
+        this.candidates.forEach(beatsPerBar => {
+            for (let phase = 0; phase < beatsPerBar; phase++) {
+                let onSum = 0;
+                let onCount = 0;
+                let offSum = 0;
+                let offCount = 0;
+                evidence.forEach(({ index, value }) => {
+                    if (index % beatsPerBar === phase) {
+                        onSum += value;
+                        onCount++;
+                    } else {
+                        offSum += value;
+                        offCount++;
+                    }
+                });
+                if (onCount === 0 || offCount === 0) continue;
+
+                const contrast = onSum / onCount - offSum / offCount;
+                const score = beatsPerBar === 2 ? contrast * this.duplePenalty : contrast;
+                results.push({ beatsPerBar: beatsPerBar, downbeat: phase, score: score });
+            }
+        });
+        results.sort((a, b) => b.score - a.score);
+
+        const best = results[0];
+        if (!best || best.score <= 0) return;
+
+        // Confidence: margin over the best reading with another bar length
+        const rival = results.find(result => result.beatsPerBar !== best.beatsPerBar);
+        this.confidence = rival ? Math.min(1, (best.score - Math.max(0, rival.score)) / best.score) : 1;
+        this.subdivision = this.estimateSubdivision();
+
+        // A new reading must come out twice in a row before it is taken
+        const same = (a, b) => a && b && a.beatsPerBar === b.beatsPerBar && a.downbeat === b.downbeat;
+        const current = this.beatsPerBar !== null ? { beatsPerBar: this.beatsPerBar, downbeat: this.downbeat } : null;
+        if (same(best, current)) {
+            this.pending = null;
+
+            // Same bars, but the subdivision may have turned 2/4 into 6/8
+            const meter = this.getMeter();
+            if (meter.beats !== this.meter.beats) {
+                this.meter = meter;
+                if (this.onMeter) this.onMeter(this.getResult(), this);
+            }
+            return;
+        }
+        if (current && !same(best, this.pending)) {
+            this.pending = best;
+            return;
+        }
+
+        this.pending = null;
+        this.beatsPerBar = best.beatsPerBar;
+        this.downbeat = best.downbeat;
+        this.meter = this.getMeter();
+        if (this.onMeter) this.onMeter(this.getResult(), this);
+    }
+
+    // Time signature of the current reading, or null before there is one
+    getMeter() {
+        if (this.beatsPerBar === null) return null;
+        if (this.beatsPerBar === 2 && this.subdivision === 3) return { beats: 6, beatType: 8 };
+        return { beats: this.beatsPerBar, beatType: 4 };
+    }
+
+    // { meter, beatsPerBar, downbeat (beat index), downbeatTime (ms of the
+    // latest bar start), confidence }, or null
+    getResult() {
+        if (this.beatsPerBar === null) return null;
+
+        let index = this.beatOffset + this.beatTimes.length - 1;
+        while (index > this.beatOffset && (index - this.downbeat) % this.beatsPerBar !== 0) index--;
+
+        return {
+            meter: this.getMeter(),
+            beatsPerBar: this.beatsPerBar,
+            downbeat: this.downbeat,
+            downbeatTime: this.beatTime(index),
+            confidence: this.confidence
+        };
+    }
+}
+
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = MeterDetector;
+}
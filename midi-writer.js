@@ -0,0 +1,158 @@
+class MidiWriter {
+    constructor(options = {}) {
+        const NoteSpellerClass = typeof NoteSpeller !== 'undefined'
+            ? NoteSpeller
+            : require('./note-speller');
+        this.noteSpeller = options.noteSpeller || new NoteSpellerClass();
+
+        this.ticksPerQuarter = options.ticksPerQuarter || 480;
+        this.defaultTempo = options.defaultTempo || 120; // BPM when none was detected
+        this.velocity = options.velocity || 90;
+        this.channel = options.channel || 0;
+
+        // 'block' plays the chord notes as given; 'voiced' adds a bass note
+        // and moves the upper voices as little as possible between chords
+        this.voicing = options.voicing || 'block';
+        this.bassOctave = 2;
+        this.voicingCenter = 64; // E4, middle of the upper-voice range
+    }
+
+    // Variable-length quantity used for delta times and meta lengths
+    encodeVariableLength(value) {
+        const bytes = [value & 0x7f];
+        let remaining = value >> 7;
+
+        while (remaining > 0) {
+            bytes.unshift((remaining & 0x7f) | 0x80);
+            remaining >>= 7;
+        }
+
+        return bytes;
+    }
+
+    encodeText(text) {
+        return Array.from(new TextEncoder().encode(text));
+    }
+
+    metaEvent(type, data) {
+        return [0xff, type, ...this.encodeVariableLength(data.length), ...data];
+    }
+
+    secondsToTicks(seconds, tempo) {
+        return Math.round(seconds * tempo / 60 * this.ticksPerQuarter);
+    }
+
+    // { note, octave } list -> sorted, de-duplicated MIDI note numbers
+    notesToMidi(notes) {
+        const midiNotes = notes
+            .map(({ note, octave }) => this.noteSpeller.noteToMidi(note, octave))
+            .filter(midiNote => midiNote !== null && midiNote >= 0 && midiNote <= 127);
+
+        return [...new Set(midiNotes)].sort((a, b) => a - b);
+    }
+
+    // Bass note in a low octave plus each upper pitch class placed nearest
+    // to the previous chord's centre
+    voiceChord(midiNotes, bass, previousCenter) {
+        const pitchClasses = [...new Set(midiNotes.map(note => note % 12))];
+        const bassPitchClass = bass !== null ? this.noteSpeller.toPitchClass(bass) : midiNotes[0] % 12;
+
+        const upper = pitchClasses.map(pitchClass => {
+            let candidate = pitchClass + 12 * Math.round((previousCenter - pitchClass) / 12);
+            if (candidate - previousCenter > 6) candidate -= 12;
+            if (previousCenter - candidate > 6) candidate += 12;
+            return candidate;
+        });
+
+        const bassNote = (this.bassOctave + 1) * 12 + bassPitchClass;
+        return [bassNote, ...upper].sort((a, b) => a - b);
+    }
+
+    // Build a format 0 Standard MIDI File from timeline segments
+    // ({ start, end, name, bass } in seconds). getChordNotes(name) returns
+    // the { note, octave } list to play for a chord. options.meter
+    // ({ beats, beatType }, 4/4 by default) sets the time signature; in
+    // compound meters the tempo counts dotted quarters. Returns a Uint8Array.
+    write(segments, getChordNotes, options = {}) {
+        const meter = options.meter || { beats: 4, beatType: 4 };
+        const compound = meter.beatType === 8 && meter.beats % 3 === 0;
+        const tempo = (options.tempo || this.defaultTempo) * (compound ? 1.5 : 1);
+        const events = []; // { tick, order, bytes }
+
+        const microsecondsPerQuarter = Math.round(60000000 / tempo);
+        events.push({ tick: 0, order: 0, bytes: this.metaEvent(0x03, this.encodeText(options.trackName || 'Acordes')) });
+        events.push({
+            tick: 0,
+            order: 0,
+            bytes: this.metaEvent(0x51, [
+                (microsecondsPerQuarter >> 16) & 0xff,
+                (microsecondsPerQuarter >> 8) & 0xff,
+                microsecondsPerQuarter & 0xff
+            ])
+        });
+        events.push({
+            tick: 0,
+            order: 0,
+            bytes: this.metaEvent(0x58, [meter.beats, Math.log2(meter.beatType), compound ? 36 : 24, 8])
+        });
+
+        let previousCenter = this.voicingCenter;
+
+        segments.forEach(segment => {
+            if (!segment.name) return;
+
+            const startTick = this.secondsToTicks(segment.start, tempo);
+            const endTick = Math.max(startTick + 1, this.secondsToTicks(segment.end, tempo));
+
+            let midiNotes = this.notesToMidi(getChordNotes(segment.name));
+            if (midiNotes.length === 0) return;
+
+            if (this.voicing === 'voiced') {
+                midiNotes = this.voiceChord(midiNotes, segment.bass || null, previousCenter);
+                const upper = midiNotes.slice(1);
+                previousCenter = upper.reduce((sum, note) => sum + note, 0) / upper.length;
+            }
+
+            const label = this.encodeText(segment.name);
+            events.push({ tick: startTick, order: 1, bytes: this.metaEvent(0x06, label) }); // marker
+            events.push({ tick: startTick, order: 1, bytes: this.metaEvent(0x01, label) }); // text
+
+            midiNotes.forEach(note => {
+                events.push({ tick: startTick, order: 2, bytes: [0x90 | this.channel, note, this.velocity] });
+                events.push({ tick: endTick, order: 0, bytes: [0x80 | this.channel, note, 0] });
+            });
+        });
+
+        // Note-offs sort before note-ons and markers on the same tick
+        events.sort((a, b) => a.tick - b.tick || a.order - b.order);
+
+        const trackData = [];
+        let lastTick = 0;
+        events.forEach(event => {
+            trackData.push(...this.encodeVariableLength(event.tick - lastTick), ...event.bytes);
+            lastTick = event.tick;
+        });
+        trackData.push(0x00, ...this.metaEvent(0x2f, [])); // end of track
+
+        const header = [
+            0x4d, 0x54, 0x68, 0x64, // MThd
+            0, 0, 0, 6,
+            0, 0, // format 0
+            0, 1, // one track
+            (this.ticksPerQuarter >> 8) & 0xff, this.ticksPerQuarter & 0xff
+        ];
+        const trackHeader = [
+            0x4d, 0x54, 0x72, 0x6b, // MTrk
+            (trackData.length >>> 24) & 0xff,
+            (trackData.length >> 16) & 0xff,
+            (trackData.length >> 8) & 0xff,
+            trackData.length & 0xff
+        ];
+
+        return new Uint8Array([...header, ...trackHeader, ...trackData]);
+    }
+}
+
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = MidiWriter;
+}
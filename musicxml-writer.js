@@ -0,0 +1,203 @@
+class MusicXmlWriter {
+    constructor(options = {}) {
+        const ChordDictionaryClass = typeof ChordDictionary !== 'undefined'
+            ? ChordDictionary
+            : require('./chord-dictionary');
+        this.chordDictionary = options.chordDictionary || new ChordDictionaryClass();
+        this.noteSpeller = this.chordDictionary.noteSpeller;
+
+        this.divisions = 1; // Chords are placed on whole beats
+        this.defaultTempo = options.defaultTempo || 120;
+        this.defaultMeter = { beats: 4, beatType: 4 };
+
+        // Dictionary suffix -> MusicXML <kind>, plus <degree> additions for
+        // chords without a kind of their own (degrees are relative to the
+        // major scale, so a minor seventh is 7 with alter -1)
+        this.kinds = {
+            '': { kind: 'major' },
+            'm': { kind: 'minor' },
+            'dim': { kind: 'diminished' },
+            'aug': { kind: 'augmented' },
+            'sus2': { kind: 'suspended-second' },
+            'sus4': { kind: 'suspended-fourth' },
+            '5': { kind: 'power' },
+            '7': { kind: 'dominant' },
+            'maj7': { kind: 'major-seventh' },
+            'm7': { kind: 'minor-seventh' },
+            'm7b5': { kind: 'half-diminished' },
+            'dim7': { kind: 'diminished-seventh' },
+            'mMaj7': { kind: 'major-minor' },
+            '7sus4': { kind: 'suspended-fourth', degrees: [{ value: 7, alter: -1 }] },
+            '6': { kind: 'major-sixth' },
+            'm6': { kind: 'minor-sixth' },
+            'add9': { kind: 'major', degrees: [{ value: 9, alter: 0 }] },
+            '9': { kind: 'dominant-ninth' },
+            'maj9': { kind: 'major-ninth' },
+            'm9': { kind: 'minor-ninth' },
+            '11': { kind: 'dominant-11th' },
+            '13': { kind: 'dominant-13th' }
+        };
+    }
+
+    escapeXml(text) {
+        return String(text)
+            .replace(/&/g, '&amp;')
+            .replace(/</g, '&lt;')
+            .replace(/>/g, '&gt;')
+            .replace(/"/g, '&quot;');
+    }
+
+    // "F#" -> { step: 'F', alter: 1 }
+    splitNote(noteName) {
+        const accidental = noteName.slice(1);
+        return { step: noteName[0], alter: this.noteSpeller.accidentalOffset(accidental) };
+    }
+
+    stepXml(prefix, noteName) {
+        const { step, alter } = this.splitNote(noteName);
+        const alterXml = alter !== 0 ? `<${prefix}-alter>${alter}</${prefix}-alter>` : '';
+        return `<${prefix}-step>${step}</${prefix}-step>${alterXml}`;
+    }
+
+    // <harmony> for a chord object ({ name, bass }) as the detectors return
+    // it, spelled for the key; null name writes N.C.
+    harmonyXml(chord, key) {
+        if (!chord || !chord.name) {
+            return '<harmony print-frame="no"><root><root-step>C</root-step></root><kind text="N.C.">none</kind></harmony>';
+        }
+
+        const spelledName = this.chordDictionary.spellChordName(chord.name, key);
+        const parsed = this.chordDictionary.parseChordName(spelledName);
+        if (!parsed) return null;
+
+        const kind = this.kinds[parsed.suffix] || { kind: 'other' };
+        const parts = [
+            `<root>${this.stepXml('root', parsed.root)}</root>`,
+            `<kind text="${this.escapeXml(parsed.suffix)}">${kind.kind}</kind>`
+        ];
+
+        // Slash chords name their bass; otherwise use the detected bass note
+        const bass = parsed.bass || (chord.bass ? this.noteSpeller.spellNote(chord.bass, key) : null);
+        if (bass && this.noteSpeller.toPitchClass(bass) !== parsed.rootPitchClass) {
+            parts.push(`<bass>${this.stepXml('bass', bass)}</bass>`);
+        }
+
+        (kind.degrees || []).forEach(degree => {
+            parts.push(`<degree><degree-value>${degree.value}</degree-value><degree-alter>${degree.alter}</degree-alter><degree-type>add</degree-type></degree>`);
+        });
+
+        return `<harmony>${parts.join('')}</harmony>`;
+    }
+
+    // Chord changes snapped to the beat grid: [{ beat, chord }] with at most
+    // one change per beat (the chord held longest on that beat wins)
+    quantize(segments, secondsPerBeat) {
+        const changes = new Map();
+
+        segments.forEach(segment => {
+            const beat = Math.round(segment.start / secondsPerBeat);
+            const length = segment.end - segment.start;
+            const existing = changes.get(beat);
+
+            if (!existing || length > existing.length) {
+                changes.set(beat, { beat: beat, chord: segment.name ? segment : null, length: length });
+            }
+        });
+
+        // Drop changes that repeat the chord already sounding
+        let previousName;
+        return [...changes.values()]
+            .sort((a, b) => a.beat - b.beat)
+            .filter(change => {
+                const name = change.chord ? change.chord.name : null;
+                const keep = name !== previousName;
+                previousName = name;
+                return keep;
+            });
+    }
+
+    // Lead sheet for a ChordTimeline: one part of measures filled with rests,
+    // carrying the chord symbols at their beats
+    write(timeline, options = {}) {
+        const tempo = options.tempo || timeline.tempo || this.defaultTempo;
+        const meter = options.meter || timeline.meter || this.defaultMeter;
+        const key = options.key || timeline.key;
+        const title = options.title || (timeline.fileName
+            ? timeline.fileName.replace(/\.[^.]+$/, '')
+            : 'Sesión de acordes');
+
+        // Tracked beats, when there are any, put the changes on the grid. In
+        // compound meters the tempo counts dotted quarters
+        const segments = timeline.getGridSegments();
+        const compound = meter.beatType === 8 && meter.beats % 3 === 0;
+        const secondsPerBeat = compound ? 60 / tempo / 3 : 60 / tempo * (4 / meter.beatType);
+        const firstBar = timeline.getFirstBarNumber();
+
+        // Divisions count per quarter note; beats of the meter (eighths in
+        // 6/8) are 4 / beatType quarters long
+        const divisions = this.divisions * Math.max(1, meter.beatType / 4);
+        const beatDivisions = divisions * 4 / meter.beatType;
+        const duration = timeline.getGridDuration() || (segments.length > 0 ? segments[segments.length - 1].end : 0);
+        const totalBeats = Math.max(1, Math.ceil(duration / secondsPerBeat - 1e-6));
+        const measureCount = Math.ceil(totalBeats / meter.beats);
+
+        const changes = this.quantize(segments, secondsPerBeat);
+        const parsedKey = this.noteSpeller.parseKey(key);
+
+        const measures = [];
+        for (let measure = 0; measure < measureCount; measure++) {
+            const firstBeat = measure * meter.beats;
+            const lastBeat = firstBeat + meter.beats;
+            const number = firstBar + measure;
+            const lines = [`    <measure number="${number}"${number === 0 ? ' implicit="yes"' : ''}>`];
+
+            if (measure === 0) {
+                lines.push('      <attributes>');
+                lines.push(`        <divisions>${divisions}</divisions>`);
+                if (parsedKey) {
+                    lines.push(`        <key><fifths>${parsedKey.fifths}</fifths><mode>${parsedKey.mode}</mode></key>`);
+                }
+                lines.push(`        <time><beats>${meter.beats}</beats><beat-type>${meter.beatType}</beat-type></time>`);
+                lines.push('        <clef><sign>G</sign><line>2</line></clef>');
+                lines.push('      </attributes>');
+                lines.push(`      <direction placement="above"><direction-type><metronome><beat-unit>quarter</beat-unit>${compound ? '<beat-unit-dot/>' : ''}<per-minute>${Math.round(tempo)}</per-minute></metronome></direction-type><sound tempo="${Math.round(compound ? tempo * 1.5 : tempo)}"/></direction>`);
+            }
+
+            // Rests split at each chord change so every symbol has a note to sit on
+            const measureChanges = changes.filter(change => change.beat >= firstBeat && change.beat < lastBeat);
+            const points = [firstBeat, ...measureChanges.map(change => change.beat).filter(beat => beat > firstBeat), lastBeat];
+
+            for (let i = 0; i < points.length - 1; i++) {
+                const change = measureChanges.find(item => item.beat === points[i]);
+                if (change) {
+                    const harmony = this.harmonyXml(change.chord, key);
+                    if (harmony) lines.push(`      ${harmony}`);
+                }
+                lines.push(`      <note><rest/><duration>${(points[i + 1] - points[i]) * beatDivisions}</duration><voice>1</voice></note>`);
+            }
+
+            lines.push('    </measure>');
+            measures.push(lines.join('\n'));
+        }
+
+        return [
+            '<?xml version="1.0" encoding="UTF-8" standalone="no"?>',
+            '<!DOCTYPE score-partwise PUBLIC "-//Recordare//DTD MusicXML 4.0 Partwise//EN" "http://www.musicxml.org/dtds/partwise.dtd">',
+            '<score-partwise version="4.0">',
+            `  <work><work-title>${this.escapeXml(title)}</work-title></work>`,
+            '  <identification><encoding><software>Detector de Acordes</software></encoding></identification>',
+            '  <part-list>',
+            '    <score-part id="P1"><part-name>Acordes</part-name></score-part>',
+            '  </part-list>',
+            '  <part id="P1">',
+            ...measures,
+            '  </part>',
+            '</score-partwise>',
+            ''
+        ].join('\n');
+    }
+}
+
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = MusicXmlWriter;
+}
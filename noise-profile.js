@@ -0,0 +1,187 @@
+class NoiseProfile {
+    constructor(options = {}) {
+        // AnalyserNode byte range in dB, to turn bytes back into amplitudes
+        this.minDecibels = options.minDecibels !== undefined ? options.minDecibels : -100;
+        this.maxDecibels = options.maxDecibels !== undefined ? options.maxDecibels : -30;
+
+        // 'gate' silences bins that do not rise above the room, 'subtract'
+        // takes the noise power off every bin, 'off' leaves frames alone
+        this.mode = NoiseProfile.MODES.includes(options.mode) ? options.mode : 'gate';
+
+        // Gate level per bin: noise mean plus spreadFactor standard
+        // deviations plus margin (dB)
+        this.spreadFactor = options.spreadFactor !== undefined ? options.spreadFactor : 2;
+        this.margin = options.margin !== undefined ? options.margin : 6;
+
+        // Noise power taken off per bin in subtract mode, as a multiple of
+        // the power at the noise mean plus spreadFactor deviations
+        // (over-subtraction keeps the fluctuating residue down)
+        this.overSubtraction = options.overSubtraction || 2;
+
+        // Silence recorded by a calibration (ms), and frames it needs
+        this.calibrationDuration = options.calibrationDuration || 3000;
+        this.minCalibrationFrames = options.minCalibrationFrames || 10;
+
+        this.clear();
+    }
+
+    // Forget the profile (and any calibration in progress)
+    clear() {
+        this.binCount = 0;
+        this.mean = null; // byte level per bin
+        this.spread = null; // standard deviation per bin, in bytes
+        this.resampled = null; // { binCount, levels, power } for another FFT size
+        this.cancelCalibration();
+    }
+
+    hasProfile() {
+        return this.mean !== null;
+    }
+
+    setMode(mode) {
+        this.mode = NoiseProfile.MODES.includes(mode) ? mode : 'gate';
+    }
+
+    // Record silence from startTime (ms) for duration ms; the profile is
+    // built from the frames passed to addFrame meanwhile
+    startCalibration(startTime, duration = this.calibrationDuration) {
+        this.calibration = { endTime: startTime + duration, frames: 0, sum: null, sumOfSquares: null };
+    }
+
+    cancelCalibration() {
+        this.calibration = null;
+    }
+
+    isCalibrating() {
+        return this.calibration !== null;
+    }
+
+    // Calibration frame (AnalyserNode byte spectrum at time ms). True once
+    // the recording is over and the profile has been built from it; a
+    // recording with too few frames is dropped and leaves the old profile
+    addFrame(frequencyData, currentTime) {
+        const calibration = this.calibration;
+        if (!calibration) return false;
+
+        if (!calibration.sum || calibration.sum.length !== frequencyData.length) {
+            // New recording, or the FFT size changed under it: start over
+            calibration.sum = new Float64Array(frequencyData.length);
+            calibration.sumOfSquares = new Float64Array(frequencyData.length);
+            calibration.frames = 0;
+        }
+        for (let i = 0; i < frequencyData.length; i++) {
+            calibration.sum[i] += frequencyData[i];
+            calibration.sumOfSquares[i] += frequencyData[i] * frequencyData[i];
+        }
+        calibration.frames++;
+
+        if (currentTime < calibration.endTime) return false;
+
+        this.calibration = null;
+        if (calibration.frames < this.minCalibrationFrames) return false;
+
+        const mean = new Float32Array(calibration.sum.length);
+        const spread = new Float32Array(calibration.sum.length);
+        for (let i = 0; i < mean.length; i++) {
+            mean[i] = calibration.sum[i] / calibration.frames;
+            spread[i] = Math.sqrt(Math.max(0, calibration.sumOfSquares[i] / calibration.frames - mean[i] * mean[i]));
+        }
+        this.setProfile(mean, spread);
+        return true;
+    }
+
+    setProfile(mean, spread) {
+        this.binCount = mean.length;
+        this.mean = Float32Array.from(mean);
+        this.spread = Float32Array.from(spread);
+        this.resampled = null;
+    }
+
+    // Copy of the frame with the room taken out; the frame itself when
+    // there is no profile or the mode is 'off'. Only the byte spectrum is
+    // cleaned: whatever reads the time-domain window (the Meyda engine,
+    // complex-domain onsets) hears the room as it is
+    apply(frequencyData) {
+        if (!this.hasProfile() || this.mode === 'off') return frequencyData;
+
+        const { levels, power } = this.getLevels(frequencyData.length);
+        const cleaned = new Uint8Array(frequencyData.length);
+        for (let i = 0; i < frequencyData.length; i++) {
+            if (this.mode === 'gate') {
+                cleaned[i] = frequencyData[i] > levels[i] ? frequencyData[i] : 0;
+            } else {
+                const amplitude = this.byteToAmplitude(frequencyData[i]);
+                const remaining = amplitude * amplitude - this.overSubtraction * power[i];
+                cleaned[i] = remaining > 0 ? this.amplitudeToByte(Math.sqrt(remaining)) : 0;
+            }
+        }
+        return cleaned;
+    }
+
+    // Gate levels (bytes) and noise power per bin for frames of
+    // binCount bins. Another FFT size reads the profile at the same
+    // frequencies; its broadband noise sits a little lower per bin, so the
+    // gate errs towards letting sound through
+    getLevels(binCount) {
+        if (this.resampled && this.resampled.binCount === binCount) return this.resampled;
+
+        const bytesPerDecibel = 255 / (this.maxDecibels - this.minDecibels);
+        const levels = new Float32Array(binCount);
+        const power = new Float32Array(binCount);
+        for (let i = 0; i < binCount; i++) {
+            const position = i * this.binCount / binCount;
+            const lower = Math.min(Math.floor(position), this.binCount - 1);
+            const upper = Math.min(lower + 1, this.binCount - 1);
+            const fraction = position - lower;
+            const mean = this.mean[lower] + (this.mean[upper] - this.mean[lower]) * fraction;
+            const spread = this.spread[lower] + (this.spread[upper] - this.spread[lower]) * fraction;
+
+            levels[i] = mean + this.spreadFactor * spread + this.margin * bytesPerDecibel;
+            power[i] = Math.pow(this.byteToAmplitude(mean + this.spreadFactor * spread), 2);
+        }
+
+        this.resampled = { binCount: binCount, levels: levels, power: power };
+        return this.resampled;
+    }
+
+    // Byte (dB) -> linear amplitude relative to maxDecibels
+    byteToAmplitude(byte) {
+        if (byte <= 0) return 0;
+        const decibels = this.minDecibels + (byte / 255) * (this.maxDecibels - this.minDecibels);
+        return Math.pow(10, (decibels - this.maxDecibels) / 20);
+    }
+
+    amplitudeToByte(amplitude) {
+        const decibels = this.maxDecibels + 20 * Math.log10(amplitude);
+        const scaled = Math.floor(255 * (decibels - this.minDecibels) / (this.maxDecibels - this.minDecibels));
+        return Math.max(0, Math.min(255, scaled));
+    }
+
+    // Plain object for storage (one profile per input device)
+    toJSON() {
+        if (!this.hasProfile()) return null;
+        return {
+            binCount: this.binCount,
+            mean: Array.from(this.mean, value => Math.round(value * 100) / 100),
+            spread: Array.from(this.spread, value => Math.round(value * 100) / 100)
+        };
+    }
+
+    // Load a profile saved with toJSON; false (and no profile) when the
+    // data is missing or malformed
+    load(data) {
+        this.clear();
+        if (!data || !Array.isArray(data.mean) || !Array.isArray(data.spread) ||
+            data.mean.length === 0 || data.mean.length !== data.spread.length) {
+            return false;
+        }
+        this.setProfile(data.mean, data.spread);
+        return true;
+    }
+}
+
+NoiseProfile.MODES = ['off', 'gate', 'subtract'];
+
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = NoiseProfile;
+}
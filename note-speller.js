@@ -0,0 +1,254 @@
+class NoteSpeller {
+    constructor() {
+        this.letters = ['C', 'D', 'E', 'F', 'G', 'A', 'B'];
+        this.letterPitchClasses = { 'C': 0, 'D': 2, 'E': 4, 'F': 5, 'G': 7, 'A': 9, 'B': 11 };
+
+        // Spellings used when no key is known (common lead-sheet choices)
+        this.neutralNames = ['C', 'C#', 'D', 'Eb', 'E', 'F', 'F#', 'G', 'Ab', 'A', 'Bb', 'B'];
+        this.sharpNames = ['C', 'C#', 'D', 'D#', 'E', 'F', 'F#', 'G', 'G#', 'A', 'A#', 'B'];
+        this.flatNames = ['C', 'Db', 'D', 'Eb', 'E', 'F', 'Gb', 'G', 'Ab', 'A', 'Bb', 'B'];
+
+        // Position on the circle of fifths (positive = sharps, negative = flats)
+        this.majorKeyFifths = {
+            'C': 0, 'G': 1, 'D': 2, 'A': 3, 'E': 4, 'B': 5, 'F#': 6, 'C#': 7,
+            'F': -1, 'Bb': -2, 'Eb': -3, 'Ab': -4, 'Db': -5, 'Gb': -6, 'Cb': -7
+        };
+        this.minorKeyFifths = {
+            'A': 0, 'E': 1, 'B': 2, 'F#': 3, 'C#': 4, 'G#': 5, 'D#': 6, 'A#': 7,
+            'D': -1, 'G': -2, 'C': -3, 'F': -4, 'Bb': -5, 'Eb': -6, 'Ab': -7
+        };
+
+        // Preferred tonic spelling when a key arrives as a bare pitch class
+        this.majorTonicNames = ['C', 'Db', 'D', 'Eb', 'E', 'F', 'F#', 'G', 'Ab', 'A', 'Bb', 'B'];
+        this.minorTonicNames = ['C', 'C#', 'D', 'Eb', 'E', 'F', 'F#', 'G', 'G#', 'A', 'Bb', 'B'];
+
+        this.sharpOrder = ['F', 'C', 'G', 'D', 'A', 'E', 'B'];
+        this.flatOrder = ['B', 'E', 'A', 'D', 'G', 'C', 'F'];
+
+        // Letter steps above the root for each chord interval (9 = 6th / 13th)
+        this.intervalLetterSteps = [0, 1, 1, 2, 2, 3, 4, 4, 4, 5, 6, 6];
+
+        this.keyCache = new Map();
+    }
+
+    // Normalize any spelling ("Eb", "D#", "Fx", "Bbb", "C#4") or number to 0-11
+    toPitchClass(noteName) {
+        if (typeof noteName === 'number') {
+            return ((Math.round(noteName) % 12) + 12) % 12;
+        }
+
+        const match = /^([A-Ga-g])(#{1,2}|b{1,2}|x)?(-?\d+)?$/.exec(String(noteName).trim());
+        if (!match) return -1;
+
+        const natural = this.letterPitchClasses[match[1].toUpperCase()];
+        return (natural + this.accidentalOffset(match[2] || '') + 12) % 12;
+    }
+
+    accidentalOffset(accidental) {
+        if (accidental === 'x') return 2;
+        if (accidental.startsWith('#')) return accidental.length;
+        if (accidental.startsWith('b')) return -accidental.length;
+        return 0;
+    }
+
+    accidentalString(offset) {
+        if (offset > 0) return '#'.repeat(offset);
+        if (offset < 0) return 'b'.repeat(-offset);
+        return '';
+    }
+
+    // Accepts "F", "F#m", "Bb minor", { tonic, mode } or a key estimate object
+    parseKey(key) {
+        if (!key) return null;
+
+        let tonic;
+        let mode;
+
+        if (typeof key === 'string') {
+            const match = /^([A-G](?:#|b)?)\s*(m|min|minor|maj|major)?$/.exec(key.trim());
+            if (!match) return null;
+            tonic = match[1];
+            mode = match[2] && match[2].startsWith('m') && !match[2].startsWith('maj') ? 'minor' : 'major';
+        } else {
+            tonic = key.tonic;
+            mode = key.mode === 'minor' ? 'minor' : 'major';
+        }
+
+        const cacheKey = `${tonic}:${mode}`;
+        if (this.keyCache.has(cacheKey)) {
+            return this.keyCache.get(cacheKey);
+        }
+
+        const tonicPitchClass = this.toPitchClass(tonic);
+        if (tonicPitchClass === -1) return null;
+
+        // Fall back to the conventional enharmonic when the given tonic
+        // isn't a standard key (e.g. "A#" major -> Bb major)
+        const fifthsTable = mode === 'minor' ? this.minorKeyFifths : this.majorKeyFifths;
+        if (typeof tonic !== 'string' || fifthsTable[tonic] === undefined) {
+            tonic = (mode === 'minor' ? this.minorTonicNames : this.majorTonicNames)[tonicPitchClass];
+        }
+
+        const fifths = fifthsTable[tonic];
+        const parsed = {
+            tonic: tonic,
+            mode: mode,
+            tonicPitchClass: tonicPitchClass,
+            fifths: fifths,
+            names: this.buildKeyNames(tonic, mode, fifths)
+        };
+
+        this.keyCache.set(cacheKey, parsed);
+        return parsed;
+    }
+
+    // Pitch class -> name table for a key: diatonic notes from the key
+    // signature, the raised leading tone in minor, and sharps or flats
+    // (depending on the signature) for the remaining chromatic notes
+    buildKeyNames(tonic, mode, fifths) {
+        let names;
+        if (fifths > 0) {
+            names = [...this.sharpNames];
+        } else if (fifths < 0) {
+            names = [...this.flatNames];
+        } else {
+            names = [...this.neutralNames];
+        }
+
+        const sharpened = fifths > 0 ? this.sharpOrder.slice(0, fifths) : [];
+        const flattened = fifths < 0 ? this.flatOrder.slice(0, -fifths) : [];
+
+        this.letters.forEach(letter => {
+            let offset = 0;
+            if (sharpened.includes(letter)) offset = 1;
+            if (flattened.includes(letter)) offset = -1;
+
+            const pitchClass = (this.letterPitchClasses[letter] + offset + 12) % 12;
+            names[pitchClass] = letter + this.accidentalString(offset);
+        });
+
+        if (mode === 'minor') {
+            const tonicLetterIndex = this.letters.indexOf(tonic[0]);
+            const seventhLetter = this.letters[(tonicLetterIndex + 6) % 7];
+            const leadingTone = (this.toPitchClass(tonic) + 11) % 12;
+            const offset = ((leadingTone - this.letterPitchClasses[seventhLetter] + 18) % 12) - 6;
+            names[leadingTone] = seventhLetter + this.accidentalString(offset);
+        }
+
+        return names;
+    }
+
+    isDiatonic(pitchClass, key) {
+        const parsed = this.parseKey(key);
+        if (!parsed) return false;
+
+        const scale = parsed.mode === 'minor' ? [0, 2, 3, 5, 7, 8, 10] : [0, 2, 4, 5, 7, 9, 11];
+        return scale.includes((pitchClass - parsed.tonicPitchClass + 12) % 12);
+    }
+
+    spellPitchClass(pitchClass, key) {
+        const pc = this.toPitchClass(pitchClass);
+        if (pc === -1) return null;
+
+        const parsed = this.parseKey(key);
+        return parsed ? parsed.names[pc] : this.neutralNames[pc];
+    }
+
+    // Respell an existing note name for the key, keeping any octave number
+    spellNote(noteName, key) {
+        const match = /^(.*?)(-?\d+)?$/.exec(String(noteName));
+        const pitchClass = this.toPitchClass(match[1]);
+        if (pitchClass === -1) return noteName;
+
+        return this.spellPitchClass(pitchClass, key) + (match[2] || '');
+    }
+
+    // MIDI note number -> { note, octave }
+    spellMidiNote(midiNote, key) {
+        const rounded = Math.round(midiNote);
+        const note = this.spellPitchClass(rounded, key);
+
+        return { note: note, octave: this.octaveForSpelling(note, rounded) };
+    }
+
+    // Inverse of spellMidiNote ("Cb", 5 -> 71)
+    noteToMidi(noteName, octave) {
+        const match = /^([A-G])(#{1,2}|b{1,2}|x)?$/.exec(noteName);
+        if (!match) return null;
+
+        return (octave + 1) * 12 + this.letterPitchClasses[match[1]] + this.accidentalOffset(match[2] || '');
+    }
+
+    // Octave numbers follow the letter, so B#3 and Cb5 sit across the
+    // octave boundary from the pitch they sound
+    octaveForSpelling(noteName, midiNote) {
+        const pitchClass = ((midiNote % 12) + 12) % 12;
+        let octave = Math.floor(midiNote / 12) - 1;
+
+        if (noteName[0] === 'B' && pitchClass < 2) octave -= 1;
+        if (noteName[0] === 'C' && pitchClass > 9) octave += 1;
+
+        return octave;
+    }
+
+    // Name the note `interval` semitones above a spelled root using the
+    // letter that matches the chord degree (third, fifth, seventh...)
+    spellInterval(rootName, interval, letterSteps) {
+        const rootLetterIndex = this.letters.indexOf(rootName[0]);
+        const rootPitchClass = this.toPitchClass(rootName);
+        const steps = letterSteps !== undefined ? letterSteps : this.intervalLetterSteps[interval % 12];
+
+        const letter = this.letters[(rootLetterIndex + steps) % 7];
+        const pitchClass = (rootPitchClass + interval) % 12;
+        const offset = ((pitchClass - this.letterPitchClasses[letter] + 18) % 12) - 6;
+
+        // Avoid triple accidentals; fall back to a plain enharmonic name
+        if (Math.abs(offset) > 2) {
+            return this.neutralNames[pitchClass];
+        }
+
+        return letter + this.accidentalString(offset);
+    }
+
+    spellChordTones(rootName, intervals, letterSteps = []) {
+        return intervals.map((interval, index) => this.spellInterval(rootName, interval, letterSteps[index]));
+    }
+
+    // Choose the root spelling for a chord in a key. Diatonic roots use the
+    // key's name; chromatic roots pick whichever enharmonic produces chord
+    // tones that best fit the key (Bb rather than A# for bIII in G major).
+    spellChordRoot(rootPitchClass, intervals, key, letterSteps = []) {
+        const parsed = this.parseKey(key);
+        const preferred = this.spellPitchClass(rootPitchClass, key);
+
+        if (!parsed || this.isDiatonic(rootPitchClass, key) || preferred.length === 1) {
+            return preferred;
+        }
+
+        const candidates = [preferred, this.sharpNames[rootPitchClass], this.flatNames[rootPitchClass]]
+            .filter((name, index, all) => all.indexOf(name) === index);
+
+        let bestName = preferred;
+        let bestCost = Infinity;
+
+        candidates.forEach(name => {
+            const tones = this.spellChordTones(name, intervals, letterSteps);
+            const cost = tones.reduce((sum, tone) => {
+                const inKey = parsed.names[this.toPitchClass(tone)] === tone;
+                const doubleAccidental = /##|bb/.test(tone.slice(1));
+                return sum + (inKey ? 0 : 1) + (doubleAccidental ? 2 : 0);
+            }, 0);
+
+            if (cost < bestCost) {
+                bestCost = cost;
+                bestName = name;
+            }
+        });
+
+        return bestName;
+    }
+}
+
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = NoteSpeller;
+}
@@ -0,0 +1,205 @@
+class OfflineAnalyzer {
+    constructor(options = {}) {
+        // Same analyser settings as live detection so frames look alike
+        this.fftSize = options.fftSize || 2048;
+        this.smoothingTimeConstant = options.smoothingTimeConstant !== undefined
+            ? options.smoothingTimeConstant
+            : 0.8;
+
+        // Time between analysed frames (live detection runs about every 50 ms)
+        this.hopDuration = options.hopDuration || 0.05; // seconds
+
+        const ChordSequenceDecoderClass = typeof ChordSequenceDecoder !== 'undefined'
+            ? ChordSequenceDecoder
+            : require('./chord-sequence-decoder');
+        this.sequenceDecoder = options.sequenceDecoder || new ChordSequenceDecoderClass();
+
+        // Beats tracked while the frames are collected; chords are then
+        // labelled per beat (or half-bar, see BeatSynchronizer)
+        const BeatTrackerClass = typeof BeatTracker !== 'undefined'
+            ? BeatTracker
+            : require('./beat-tracker');
+        const BeatSynchronizerClass = typeof BeatSynchronizer !== 'undefined'
+            ? BeatSynchronizer
+            : require('./beat-synchronizer');
+        this.beatTracker = new BeatTrackerClass({
+            onsetPreset: options.onsetPreset,
+            onOnset: (time, strength) => this.onsets.push({ time: time, strength: strength })
+        });
+        this.beatSynchronizer = new BeatSynchronizerClass({ unit: options.unit });
+        this.onsets = [];
+
+        // Meter and downbeats from the onsets, beats and frame chords
+        const MeterDetectorClass = typeof MeterDetector !== 'undefined'
+            ? MeterDetector
+            : require('./meter-detector');
+        this.meterDetector = new MeterDetectorClass();
+
+        this.supportedExtensions = ['wav', 'mp3', 'ogg', 'flac'];
+    }
+
+    isSupportedFile(file) {
+        const extension = file.name.split('.').pop().toLowerCase();
+        return this.supportedExtensions.includes(extension) || (file.type || '').startsWith('audio/');
+    }
+
+    async decodeFile(file) {
+        if (!this.isSupportedFile(file)) {
+            throw new Error(`Formato no soportado: ${file.name}`);
+        }
+
+        const arrayBuffer = await file.arrayBuffer();
+
+        // A one-sample context is enough to decode (audio is resampled to 44.1 kHz)
+        const decodingContext = new OfflineAudioContext(1, 1, 44100);
+        return decodingContext.decodeAudioData(arrayBuffer);
+    }
+
+    // Render the buffer through an AnalyserNode faster than real time,
+    // pausing every hop to read the spectrum. detectFrame receives
+    // (frequencyData, timeData, sampleRate, timeMs) and returns a frame
+    // chord or null. Resolves to [{ time, chord }] with time in ms; the
+    // beat tracker follows the same frames.
+    async collectFrames(audioBuffer, detectFrame, onProgress = null) {
+        this.beatTracker.reset();
+        this.onsets = [];
+
+        const context = new OfflineAudioContext(1, audioBuffer.length, audioBuffer.sampleRate);
+
+        const source = context.createBufferSource();
+        source.buffer = audioBuffer;
+
+        const analyser = context.createAnalyser();
+        analyser.fftSize = this.fftSize;
+        analyser.smoothingTimeConstant = this.smoothingTimeConstant;
+
+        source.connect(analyser);
+        analyser.connect(context.destination);
+
+        const frequencyData = new Uint8Array(analyser.frequencyBinCount);
+        const timeData = new Float32Array(analyser.fftSize);
+        const frames = [];
+
+        const frameCount = Math.floor(audioBuffer.duration / this.hopDuration);
+        for (let index = 1; index < frameCount; index++) {
+            const frameTime = index * this.hopDuration;
+
+            context.suspend(frameTime).then(() => {
+                analyser.getByteFrequencyData(frequencyData);
+                analyser.getFloatTimeDomainData(timeData);
+
+                const timeMs = frameTime * 1000;
+                this.beatTracker.addSpectrum(frequencyData, timeMs, timeData);
+                frames.push({
+                    time: timeMs,
+                    chord: detectFrame(frequencyData, timeData, audioBuffer.sampleRate, timeMs)
+                });
+
+                if (onProgress) {
+                    onProgress(index / frameCount);
+                }
+
+                context.resume();
+            });
+        }
+
+        source.start(0);
+        await context.startRendering();
+
+        return frames;
+    }
+
+    // Tracked beats (ms), extended back to the start of the file: the
+    // tracker needs a few seconds of music before its first beat
+    getBeats() {
+        const beats = [...this.beatTracker.beats];
+        if (beats.length < 2) return beats;
+
+        const intervals = beats.slice(1, 9).map((beat, index) => beat - beats[index]).sort((a, b) => a - b);
+        const period = intervals[Math.floor(intervals.length / 2)];
+        while (beats[0] - period >= 0) {
+            beats.unshift(beats[0] - period);
+        }
+        return beats;
+    }
+
+    // Meter reading at the end of the file ({ meter, beatsPerBar, downbeat,
+    // ... }, see MeterDetector.getResult), or null. Onsets are fed in time
+    // order with the frames, as they were heard
+    detectMeter(frames, beats, duration) {
+        this.meterDetector.reset();
+        beats.forEach(beat => this.meterDetector.addBeat(beat));
+
+        let next = 0;
+        frames.forEach(frame => {
+            while (next < this.onsets.length && this.onsets[next].time <= frame.time) {
+                this.meterDetector.addOnset(this.onsets[next].time, this.onsets[next].strength);
+                next++;
+            }
+            this.meterDetector.addFrame(frame.chord, frame.time);
+        });
+        this.meterDetector.flush(duration * 1000);
+
+        return this.meterDetector.getResult();
+    }
+
+    // Pool the frames per beat slot: [{ time, chord }] with one entry per
+    // slot, its chord being the slot's candidate list
+    poolFrames(frames, beats, duration) {
+        this.beatSynchronizer.reset();
+        beats.forEach(beat => this.beatSynchronizer.addBeat(beat));
+
+        const slots = [];
+        frames.forEach(frame => slots.push(...this.beatSynchronizer.addFrame(frame.chord, frame.time)));
+        slots.push(...this.beatSynchronizer.flush(duration * 1000));
+
+        return slots.map(slot => ({ time: slot.start, chord: slot.observation }));
+    }
+
+    // Decode the whole frame sequence at once (Viterbi) and merge it into
+    // a timeline of { start, end, name, confidence, chord }, times in
+    // seconds. With beats (ms) the frames are pooled per beat first, so
+    // chords change on beats
+    buildTimeline(frames, duration, beats = []) {
+        if (beats.length >= 2) {
+            frames = this.poolFrames(frames, beats, duration);
+        }
+
+        this.sequenceDecoder.reset();
+        const path = this.sequenceDecoder.decode(frames);
+
+        // The first frame is read one hop in; the timeline covers the file from 0
+        return this.sequenceDecoder.toSegments(path, duration * 1000).map((segment, index) => ({
+            start: index === 0 ? 0 : segment.start / 1000,
+            end: segment.end / 1000,
+            name: segment.name,
+            confidence: segment.confidence,
+            chord: segment.chord
+        }));
+    }
+
+    async analyzeFile(file, detectFrame, onProgress = null) {
+        const audioBuffer = await this.decodeFile(file);
+        const frames = await this.collectFrames(audioBuffer, detectFrame, onProgress);
+        const beats = this.beatTracker.getTempo() !== null ? this.getBeats() : [];
+        const meter = beats.length >= 2 ? this.detectMeter(frames, beats, audioBuffer.duration) : null;
+        if (meter) {
+            this.beatSynchronizer.setMeter(meter.beatsPerBar, meter.downbeat);
+        }
+
+        return {
+            fileName: file.name,
+            duration: audioBuffer.duration,
+            sampleRate: audioBuffer.sampleRate,
+            tempo: this.beatTracker.getTempo(),
+            beats: beats.map(beat => beat / 1000),
+            meter: meter ? meter.meter : null,
+            downbeat: meter ? meter.downbeat % meter.beatsPerBar : 0,
+            segments: this.buildTimeline(frames, audioBuffer.duration, beats)
+        };
+    }
+}
+
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = OfflineAnalyzer;
+}
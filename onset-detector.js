@@ -0,0 +1,235 @@
+class OnsetDetector {
+    constructor(options = {}) {
+        // AnalyserNode byte range in dB, to turn bytes back into amplitudes
+        this.minDecibels = options.minDecibels !== undefined ? options.minDecibels : -100;
+        this.maxDecibels = options.maxDecibels !== undefined ? options.maxDecibels : -30;
+
+        const SpectrumAnalyserClass = typeof SpectrumAnalyser !== 'undefined'
+            ? SpectrumAnalyser
+            : require('./spectrum-analyser');
+        this.SpectrumAnalyser = SpectrumAnalyserClass;
+        this.fftAnalyser = null; // for the complex-domain function, sized on first use
+
+        this.setPreset(options.preset || 'default', options);
+    }
+
+    reset() {
+        this.previousMagnitudes = null; // compressed (flux) or linear (complex) spectrum
+        this.previousHfc = null;
+        this.previousPhases = []; // two frames back, for the complex-domain prediction
+        this.history = []; // detection function values, oldest first
+        this.lastOnsetTime = -Infinity;
+        this.above = false; // previous frame was over the threshold
+        this.value = null; // until the function has enough frames
+        this.threshold = 0;
+    }
+
+    // Apply a preset by name (starting afresh); explicit options override
+    // its settings, zero included
+    setPreset(name, options = {}) {
+        const preset = OnsetDetector.PRESETS[name] || OnsetDetector.PRESETS.default;
+        this.preset = OnsetDetector.PRESETS[name] ? name : 'default';
+
+        // 'flux' (log-compressed spectral flux), 'hfc' (high-frequency
+        // content) or 'complex' (complex domain; needs the time-domain frame)
+        this.detectionFunction = options.detectionFunction ?? preset.detectionFunction;
+
+        // log(1 + compression * amplitude) before differencing (flux, hfc)
+        this.compression = options.compression ?? preset.compression;
+
+        // Moving threshold: delta + ratio * median (or mean) of the last
+        // historyLength values
+        this.historyLength = options.historyLength ?? preset.historyLength;
+        this.average = options.average ?? preset.average;
+        this.thresholdRatio = options.thresholdRatio ?? preset.thresholdRatio;
+        this.thresholdDelta = options.thresholdDelta ?? preset.thresholdDelta;
+
+        // Shortest time between two onsets (ms)
+        this.minInterval = options.minInterval ?? preset.minInterval;
+
+        // Mean strength (value above its local mean) under which a stretch
+        // holds no attacks, only the jitter of a held or silent spectrum;
+        // the beat tracker finds no tempo below it
+        this.minStrength = options.minStrength ?? preset.minStrength;
+
+        this.reset();
+    }
+
+    // Whether the frame (AnalyserNode byte spectrum, time ms, and for the
+    // complex domain its Float32 time-domain samples) starts a note. The
+    // frame's value and threshold stay in this.value and this.threshold
+    detect(frequencyData, currentTime, timeData = null) {
+        let value;
+        if (this.detectionFunction === 'complex' && timeData) {
+            value = this.complexDomain(timeData);
+        } else if (this.detectionFunction === 'hfc') {
+            value = this.highFrequencyContent(frequencyData);
+        } else {
+            value = this.spectralFlux(frequencyData);
+        }
+        if (value === null) {
+            this.value = null;
+            return false;
+        }
+
+        this.threshold = this.thresholdDelta + this.thresholdRatio * this.averageHistory();
+        this.value = value;
+
+        this.history.push(value);
+        if (this.history.length > this.historyLength) this.history.shift();
+
+        // An attack spreads over a few frames (and the analyser smooths it):
+        // only the frame that crosses the threshold is the onset
+        const above = value > this.threshold;
+        const onset = above && !this.above && currentTime - this.lastOnsetTime > this.minInterval;
+        this.above = above;
+        if (onset) {
+            this.lastOnsetTime = currentTime;
+        }
+        return onset;
+    }
+
+    averageHistory() {
+        if (this.history.length === 0) return 0;
+
+        if (this.average === 'mean') {
+            return this.history.reduce((sum, value) => sum + value, 0) / this.history.length;
+        }
+
+        const sorted = [...this.history].sort((a, b) => a - b);
+        const middle = Math.floor(sorted.length / 2);
+        return sorted.length % 2 === 0 ? (sorted[middle - 1] + sorted[middle]) / 2 : sorted[middle];
+    }
+
+    // Byte (dB) -> linear amplitude relative to maxDecibels
+    byteToAmplitude(byte) {
+        const decibels = this.minDecibels + (byte / 255) * (this.maxDecibels - this.minDecibels);
+        return byte === 0 ? 0 : Math.pow(10, (decibels - this.maxDecibels) / 20);
+    }
+
+    // Rising energy per bin, on log-compressed amplitudes so quiet partials
+    // count without noise dominating; null on the first frame
+    spectralFlux(frequencyData) {
+        const compressed = new Float32Array(frequencyData.length);
+        for (let i = 0; i < frequencyData.length; i++) {
+            compressed[i] = Math.log1p(this.compression * this.byteToAmplitude(frequencyData[i]));
+        }
+
+        const previous = this.previousMagnitudes;
+        this.previousMagnitudes = compressed;
+        if (!previous || previous.length !== compressed.length) return null;
+
+        let sum = 0;
+        for (let i = 0; i < compressed.length; i++) {
+            const difference = compressed[i] - previous[i];
+            if (difference > 0) sum += difference;
+        }
+        return sum / compressed.length;
+    }
+
+    // Rise of the bin-weighted energy (Masri): attacks are broadband, so
+    // the upper bins jump most when a note is plucked or struck
+    highFrequencyContent(frequencyData) {
+        let hfc = 0;
+        for (let i = 0; i < frequencyData.length; i++) {
+            const amplitude = this.byteToAmplitude(frequencyData[i]);
+            hfc += (i + 1) * amplitude * amplitude;
+        }
+        const compressed = Math.log1p(this.compression * hfc / frequencyData.length);
+
+        const previous = this.previousHfc;
+        this.previousHfc = compressed;
+        if (previous === null) return null;
+
+        return Math.max(0, compressed - previous);
+    }
+
+    // Rectified complex-domain distance (Bello/Duxbury): each bin is
+    // predicted to keep its amplitude and phase advance; growth away from
+    // the prediction marks an onset, even a soft one without an energy jump.
+    // Linear amplitudes keep the noise bins' random phases from counting
+    complexDomain(timeData) {
+        if (!this.fftAnalyser || this.fftAnalyser.fftSize !== timeData.length) {
+            this.fftAnalyser = new this.SpectrumAnalyser({ fftSize: timeData.length });
+            this.previousPhases = [];
+            this.previousMagnitudes = null;
+        }
+
+        const analyser = this.fftAnalyser;
+        for (let i = 0; i < timeData.length; i++) {
+            analyser.real[i] = timeData[i] * analyser.window[i];
+            analyser.imag[i] = 0;
+        }
+        analyser.fft(analyser.real, analyser.imag);
+
+        const bins = timeData.length / 2;
+        const magnitudes = new Float32Array(bins);
+        const phases = new Float32Array(bins);
+        for (let k = 0; k < bins; k++) {
+            magnitudes[k] = Math.hypot(analyser.real[k], analyser.imag[k]) / bins;
+            phases[k] = Math.atan2(analyser.imag[k], analyser.real[k]);
+        }
+
+        const [older, previous] = this.previousPhases;
+        const previousMagnitudes = this.previousMagnitudes;
+        this.previousPhases = [previous, phases];
+        this.previousMagnitudes = magnitudes;
+        if (!older || !previous || !previousMagnitudes) return null;
+
+        // Relative to the frame's total amplitude, so the level of the
+        // input does not matter
+        let sum = 0;
+        let total = 0;
+        for (let k = 0; k < bins; k++) {
+            total += magnitudes[k];
+            if (magnitudes[k] < previousMagnitudes[k]) continue;
+
+            const predictedPhase = 2 * previous[k] - older[k];
+            const real = magnitudes[k] * Math.cos(phases[k]) - previousMagnitudes[k] * Math.cos(predictedPhase);
+            const imag = magnitudes[k] * Math.sin(phases[k]) - previousMagnitudes[k] * Math.sin(predictedPhase);
+            sum += Math.hypot(real, imag);
+        }
+        return total > 0 ? sum / total : 0;
+    }
+}
+
+// Settings per kind of instrument: soft pads swell slowly, so they use the
+// complex domain with a longer, lower threshold and no re-triggering while
+// they grow; plucked guitar attacks are sharp and bright (high-frequency
+// content, short memory)
+OnsetDetector.PRESETS = {
+    default: {
+        detectionFunction: 'flux',
+        compression: 10,
+        historyLength: 16,
+        average: 'median',
+        thresholdRatio: 1.5,
+        thresholdDelta: 0.001,
+        minInterval: 50,
+        minStrength: 0.001
+    },
+    pad: {
+        detectionFunction: 'complex',
+        compression: 10, // unused by the complex domain
+        historyLength: 32,
+        average: 'mean',
+        thresholdRatio: 1.5,
+        thresholdDelta: 0.1,
+        minInterval: 250,
+        minStrength: 0.03
+    },
+    guitar: {
+        detectionFunction: 'hfc',
+        compression: 1000,
+        historyLength: 10,
+        average: 'median',
+        thresholdRatio: 2,
+        thresholdDelta: 0.05,
+        minInterval: 40,
+        minStrength: 0.03
+    }
+};
+
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = OnsetDetector;
+}
@@ -1,355 +1,430 @@
-class RealTimeChordDetector {
-    constructor(audioManager) {
-        this.audioManager = audioManager;
-        
-        // Meyda for real-time chroma analysis
-        this.meyda = require('meyda');
-        
-        // Tonal.js for chord detection
-        this.chordDetect = require('@tonaljs/chord-detect');
-        this.chord = require('@tonaljs/chord');
-        this.note = require('@tonaljs/note');
-        
-        // Detection parameters
-        this.minConfidence = 0.75;
-        this.chromaBuffer = [];
-        this.maxChromaBuffer = 8;
-        this.chordHistory = [];
-        this.maxChordHistory = 10;
-        
-        // Chroma to note mapping
-        this.chromaNotes = ['C', 'C#', 'D', 'D#', 'E', 'F', 'F#', 'G', 'G#', 'A', 'A#', 'B'];
-        
-        // Spectral change detection
-        this.previousChroma = new Array(12).fill(0);
-        this.chromaChangeThreshold = 0.15;
-        this.consecutiveChanges = 0;
-        this.minConsecutiveChanges = 3;
-        
-        // Chord stabilization
-        this.currentChord = null;
-        this.chordConfidence = 0;
-        this.chordStability = 0;
-        this.minStability = 5;
-        
-        console.log("Real-time chord detector initialized");
-    }
-
-    detectChord(audioData, frequencyData) {
-        const currentTime = performance.now();
-        
-        try {
-            // Extract chroma features using Meyda
-            const features = this.meyda.extract([
-                'chroma',
-                'spectralCentroid',
-                'rms',
-                'spectralRolloff'
-            ], audioData, frequencyData);
-            
-            if (!features || !features.chroma) {
-                return null;
-            }
-            
-            // Check for significant spectral change
-            const hasSignificantChange = this.detectSpectralChange(features.chroma);
-            
-            // Only analyze if there's a significant change or we need to stabilize
-            if (hasSignificantChange || this.chordStability < this.minStability) {
-                const chord = this.analyzeChromaForChord(features.chroma, currentTime);
-                
-                if (chord && chord.confidence >= this.minConfidence) {
-                    return this.stabilizeChord(chord, currentTime);
-                }
-            }
-            
-            // Return current chord if stable and no significant change
-            if (this.currentChord && this.chordStability >= this.minStability) {
-                return {
-                    name: this.currentChord,
-                    confidence: this.chordConfidence,
-                    notes: this.getChordNotes(this.currentChord),
-                    fullNotes: this.getFullNotes(this.currentChord),
-                    stable: true
-                };
-            }
-            
-            return null;
-            
-        } catch (error) {
-            console.error("Real-time detector error:", error);
-            return null;
-        }
-    }
-
-    detectSpectralChange(currentChroma) {
-        // Calculate chroma change using cosine similarity
-        let dotProduct = 0;
-        let magnitudeCurrent = 0;
-        let magnitudePrevious = 0;
-        
-        for (let i = 0; i < 12; i++) {
-            dotProduct += currentChroma[i] * this.previousChroma[i];
-            magnitudeCurrent += currentChroma[i] * currentChroma[i];
-            magnitudePrevious += this.previousChroma[i] * this.previousChroma[i];
-        }
-        
-        magnitudeCurrent = Math.sqrt(magnitudeCurrent);
-        magnitudePrevious = Math.sqrt(magnitudePrevious);
-        
-        let similarity = 0;
-        if (magnitudeCurrent > 0 && magnitudePrevious > 0) {
-            similarity = dotProduct / (magnitudeCurrent * magnitudePrevious);
-        }
-        
-        const change = 1 - similarity;
-        
-        // Update consecutive changes counter
-        if (change > this.chromaChangeThreshold) {
-            this.consecutiveChanges++;
-        } else {
-            this.consecutiveChanges = Math.max(0, this.consecutiveChanges - 1);
-        }
-        
-        // Update previous chroma
-        this.previousChroma = [...currentChroma];
-        
-        // Significant change detected if we have enough consecutive changes
-        return this.consecutiveChanges >= this.minConsecutiveChanges;
-    }
-
-    analyzeChromaForChord(chromaVector, currentTime) {
-        // Normalize chroma vector
-        const maxValue = Math.max(...chromaVector);
-        if (maxValue === 0) return null;
-        
-        const normalizedChroma = chromaVector.map(value => value / maxValue);
-        
-        // Find dominant notes with adaptive threshold
-        const dominantNotes = this.findDominantNotes(normalizedChroma);
-        
-        if (dominantNotes.length < 2) {
-            return null;
-        }
-        
-        // Identify chord using tonal.js
-        const chord = this.identifyChord(dominantNotes, normalizedChroma);
-        
-        if (chord && chord.confidence >= this.minConfidence) {
-            // Add to chroma buffer for temporal analysis
-            this.addToChromaBuffer(chord, currentTime);
-            
-            return chord;
-        }
-        
-        return null;
-    }
-
-    findDominantNotes(normalizedChroma) {
-        // Calculate adaptive threshold based on chroma distribution
-        const sortedChroma = [...normalizedChroma].sort((a, b) => b - a);
-        const adaptiveThreshold = Math.max(0.25, sortedChroma[2] * 0.8); // Use 3rd strongest as reference
-        
-        const dominantIndices = [];
-        
-        for (let i = 0; i < normalizedChroma.length; i++) {
-            if (normalizedChroma[i] >= adaptiveThreshold) {
-                dominantIndices.push(i);
-            }
-        }
-        
-        // If too many notes, take strongest ones
-        if (dominantIndices.length > 6) {
-            dominantIndices.sort((a, b) => normalizedChroma[b] - normalizedChroma[a]);
-            dominantIndices.splice(6);
-        }
-        
-        // Convert indices to note names
-        return dominantIndices.map(index => this.chromaNotes[index]);
-    }
-
-    identifyChord(dominantNotes, chromaVector) {
-        try {
-            const detectedChords = this.chordDetect.detect(dominantNotes);
-            
-            if (detectedChords && detectedChords.length > 0) {
-                // Score each possible chord
-                const chordScores = detectedChords.map(chordName => {
-                    const chordObj = this.chord.get(chordName);
-                    const chordNotes = chordObj.notes || [];
-                    
-                    // Calculate chroma match
-                    const chromaMatch = this.calculateChromaMatch(chordNotes, chromaVector);
-                    
-                    // Calculate note match
-                    const matchingNotes = dominantNotes.filter(note => chordNotes.includes(note));
-                    const noteMatch = matchingNotes.length / Math.max(chordNotes.length, dominantNotes.length);
-                    
-                    // Combined confidence
-                    const confidence = Math.min(
-                        (chromaMatch * 0.7) + (noteMatch * 0.3),
-                        0.95
-                    );
-                    
-                    return {
-                        name: chordName,
-                        confidence: confidence,
-                        notes: dominantNotes,
-                        chromaMatch: chromaMatch,
-                        noteMatch: noteMatch
-                    };
-                });
-                
-                // Return best chord
-                chordScores.sort((a, b) => b.confidence - a.confidence);
-                const bestChord = chordScores[0];
-                
-                if (bestChord.confidence >= this.minConfidence) {
-                    // Add full notes for display
-                    bestChord.fullNotes = dominantNotes.map(note => ({
-                        note: note,
-                        octave: 4,
-                        frequency: this.noteToFrequency(note, 4),
-                        confidence: 0.8
-                    }));
-                    
-                    return bestChord;
-                }
-            }
-        } catch (error) {
-            console.warn("Chord identification error:", error);
-        }
-        
-        return null;
-    }
-
-    calculateChromaMatch(chordNotes, chromaVector) {
-        // Create ideal chroma vector for this chord
-        const idealChroma = new Array(12).fill(0);
-        
-        chordNotes.forEach(note => {
-            const noteIndex = this.chromaNotes.indexOf(note);
-            if (noteIndex !== -1) {
-                idealChroma[noteIndex] = 1.0;
-            }
-        });
-        
-        // Calculate cosine similarity
-        let dotProduct = 0;
-        let magnitudeActual = 0;
-        let magnitudeIdeal = 0;
-        
-        for (let i = 0; i < 12; i++) {
-            dotProduct += chromaVector[i] * idealChroma[i];
-            magnitudeActual += chromaVector[i] * chromaVector[i];
-            magnitudeIdeal += idealChroma[i] * idealChroma[i];
-        }
-        
-        magnitudeActual = Math.sqrt(magnitudeActual);
-        magnitudeIdeal = Math.sqrt(magnitudeIdeal);
-        
-        if (magnitudeActual === 0 || magnitudeIdeal === 0) {
-            return 0;
-        }
-        
-        return Math.max(0, dotProduct / (magnitudeActual * magnitudeIdeal));
-    }
-
-    addToChromaBuffer(chord, currentTime) {
-        this.chromaBuffer.push({
-            chord: chord.name,
-            confidence: chord.confidence,
-            timestamp: currentTime
-        });
-        
-        // Keep buffer size limited
-        if (this.chromaBuffer.length > this.maxChromaBuffer) {
-            this.chromaBuffer.shift();
-        }
-    }
-
-    stabilizeChord(newChord, currentTime) {
-        // Count occurrences of this chord in recent buffer
-        const recentBuffer = this.chromaBuffer.filter(item => 
-            currentTime - item.timestamp < 1000 // Last second
-        );
-        
-        const chordCounts = new Map();
-        for (const item of recentBuffer) {
-            chordCounts.set(item.chord, (chordCounts.get(item.chord) || 0) + item.confidence);
-        }
-        
-        const currentChordScore = chordCounts.get(newChord.name) || 0;
-        const totalScore = Array.from(chordCounts.values()).reduce((sum, score) => sum + score, 0);
-        
-        if (totalScore === 0) return newChord;
-        
-        const dominanceRatio = currentChordScore / totalScore;
-        
-        // Update chord stability
-        if (newChord.name === this.currentChord) {
-            this.chordStability = Math.min(this.chordStability + 1, 20);
-            this.chordConfidence = Math.max(this.chordConfidence, newChord.confidence);
-        } else {
-            // Chord changed
-            if (dominanceRatio >= 0.6) {
-                this.currentChord = newChord.name;
-                this.chordStability = 1;
-                this.chordConfidence = newChord.confidence;
-                this.consecutiveChanges = 0; // Reset change counter
-            } else {
-                // Not dominant enough, keep current chord
-                return {
-                    name: this.currentChord,
-                    confidence: this.chordConfidence,
-                    notes: this.getChordNotes(this.currentChord),
-                    fullNotes: this.getFullNotes(this.currentChord),
-                    stable: true
-                };
-            }
-        }
-        
-        return newChord;
-    }
-
-    getChordNotes(chordName) {
-        try {
-            const chordObj = this.chord.get(chordName);
-            return chordObj.notes || [chordName.replace(/m$/, '')]; // Remove 'm' for minor chords
-        } catch (error) {
-            return [chordName];
-        }
-    }
-
-    getFullNotes(chordName) {
-        const notes = this.getChordNotes(chordName);
-        return notes.map(note => ({
-            note: note,
-            octave: 4,
-            frequency: this.noteToFrequency(note, 4),
-            confidence: 0.8
-        }));
-    }
-
-    noteToFrequency(noteName, octave) {
-        try {
-            const fullNote = `${noteName}${octave}`;
-            const freq = this.note.freq(fullNote);
-            return freq || 440;
-        } catch (error) {
-            return 440;
-        }
-    }
-
-    // Reset detector state
-    reset() {
-        this.currentChord = null;
-        this.chordConfidence = 0;
-        this.chordStability = 0;
-        this.consecutiveChanges = 0;
-        this.chromaBuffer = [];
-        this.previousChroma = new Array(12).fill(0);
-    }
-}
-
-module.exports = RealTimeChordDetector;
+class RealTimeChordDetector {
+    constructor(audioManager) {
+        this.audioManager = audioManager;
+        
+        // Meyda for real-time chroma analysis (browser bundle or npm module)
+        this.meyda = typeof Meyda !== 'undefined' ? Meyda : require('meyda');
+        
+        // Tonal.js for chord detection; the browser bundle groups detect()
+        // with the rest of the chord functions
+        this.chordDetect = typeof Tonal !== 'undefined' ? Tonal.Chord : require('@tonaljs/chord-detect');
+        this.chord = typeof Tonal !== 'undefined' ? Tonal.Chord : require('@tonaljs/chord');
+        this.note = typeof Tonal !== 'undefined' ? Tonal.Note : require('@tonaljs/note');
+        
+        // Chord templates shared by all detectors: tonal's names are
+        // rewritten in the dictionary's vocabulary
+        const ChordDictionaryClass = typeof ChordDictionary !== 'undefined'
+            ? ChordDictionary
+            : require('./chord-dictionary');
+        this.chordDictionary = new ChordDictionaryClass();
+        this.noteSpeller = this.chordDictionary.noteSpeller;
+        
+        // Detection parameters
+        this.minConfidence = 0.75;
+        this.chordHistory = [];
+        this.maxChordHistory = 10;
+        
+        // Chroma bins are pitch classes; names are spelled for the current key
+        this.key = null;
+        
+        // Key estimation from the chroma history (drives spelling when confident)
+        const KeyDetectorClass = typeof KeyDetector !== 'undefined'
+            ? KeyDetector
+            : require('./key-detector');
+        this.keyDetector = new KeyDetectorClass({ noteSpeller: this.noteSpeller });
+        this.autoKey = true;
+        this.minKeyConfidence = 0.6;
+        
+        // Reference pitch plus the recording's estimated offset in cents
+        const TuningEstimatorClass = typeof TuningEstimator !== 'undefined'
+            ? TuningEstimator
+            : require('./tuning-estimator');
+        this.tuning = new TuningEstimatorClass();
+        
+        // Meyda computes its own spectrum from the analyser's window, so the
+        // spectrum source only picks the window: 'log' takes the long one
+        // the log filterbank uses, where low chord tones get a bin each.
+        // Below middle C a 2048-point bin spans more than a semitone and
+        // Meyda's chroma filters spread it over three pitch classes, so
+        // 'linear' takes twice that
+        this.fftSizes = { linear: 4096, log: 16384 };
+        this.spectrumSource = 'linear';
+        
+        // Chroma carries no register: the bass is the lowest spectral peak
+        // above minBassFrequency within bassLevel of the strongest one
+        this.minBassFrequency = 50;
+        this.bassLevel = 0.2;
+        
+        // Chord stabilization: HMM decoding of the frame-by-frame guesses
+        const ChordSequenceDecoderClass = typeof ChordSequenceDecoder !== 'undefined'
+            ? ChordSequenceDecoder
+            : require('./chord-sequence-decoder');
+        this.sequenceDecoder = new ChordSequenceDecoderClass();
+        this.currentChord = null;
+        this.chordConfidence = 0;
+        
+        console.log("Real-time chord detector initialized");
+    }
+
+    detectChord(audioData, frequencyData, currentTime = performance.now()) {
+        try {
+            // Meyda is configured globally; follow the analyser's frame. It
+            // only rebuilds its chroma filters when the band count changes,
+            // so they are dropped for a new frame size or sample rate
+            const sampleRate = this.audioManager.audioContext.sampleRate;
+            if (this.meyda.bufferSize !== audioData.length || this.meyda.sampleRate !== sampleRate) {
+                this.meyda.chromaFilterBank = undefined;
+            }
+            this.meyda.bufferSize = audioData.length;
+            this.meyda.sampleRate = sampleRate;
+            
+            // Extract chroma features using Meyda
+            const features = this.meyda.extract([
+                'chroma',
+                'amplitudeSpectrum',
+                'spectralCentroid',
+                'rms',
+                'spectralRolloff'
+            ], audioData, frequencyData);
+            
+            if (!features || !features.chroma) {
+                return null;
+            }
+            
+            // Meyda's chroma assumes A4 = 440 Hz; the estimated tuning is
+            // still used for note frequencies
+            this.tuning.addSpectrum(frequencyData, this.audioManager.audioContext.sampleRate);
+            
+            // Track the key over the recent chroma history
+            this.applyKeyEstimate(this.keyDetector.addChroma(features.chroma, currentTime));
+            
+            // Frame-level guess (null when nothing chord-like is heard)
+            const bassPitchClass = this.findBassPitchClass(features.amplitudeSpectrum, sampleRate);
+            const chord = this.analyzeChromaForChord(features.chroma, bassPitchClass);
+            
+            // Smooth the frame guesses over time with the sequence decoder
+            return this.stabilizeChord(chord, currentTime);
+            
+        } catch (error) {
+            console.error("Real-time detector error:", error);
+            return null;
+        }
+    }
+
+    // bassPitchClass: lowest sounding pitch class, or null when unknown
+    analyzeChromaForChord(chromaVector, bassPitchClass = null) {
+        // Normalize chroma vector
+        const maxValue = Math.max(...chromaVector);
+        if (maxValue === 0) return null;
+        
+        const normalizedChroma = chromaVector.map(value => value / maxValue);
+        
+        // Find dominant notes with adaptive threshold
+        const dominantNotes = this.findDominantNotes(normalizedChroma, bassPitchClass);
+        
+        if (dominantNotes.length < 2) {
+            return null;
+        }
+        
+        // Identify chord using tonal.js; the bass only counts when it is
+        // one of the dominant notes
+        const bassKnown = this.noteSpeller.toPitchClass(dominantNotes[0]) === bassPitchClass;
+        const chord = this.identifyChord(dominantNotes, normalizedChroma, bassKnown);
+        
+        if (chord && chord.confidence >= this.minConfidence) {
+            return chord;
+        }
+        
+        return null;
+    }
+
+    // Note names in pitch-class order, the bass first when it is among them
+    findDominantNotes(normalizedChroma, bassPitchClass = null) {
+        // Calculate adaptive threshold based on chroma distribution
+        const sortedChroma = [...normalizedChroma].sort((a, b) => b - a);
+        const adaptiveThreshold = Math.max(0.25, sortedChroma[2] * 0.8); // Use 3rd strongest as reference
+        
+        const dominantIndices = [];
+        
+        for (let i = 0; i < normalizedChroma.length; i++) {
+            if (normalizedChroma[i] >= adaptiveThreshold) {
+                dominantIndices.push(i);
+            }
+        }
+        
+        // If too many notes, take strongest ones
+        if (dominantIndices.length > 6) {
+            dominantIndices.sort((a, b) => normalizedChroma[b] - normalizedChroma[a]);
+            dominantIndices.splice(6);
+        }
+        
+        // Tonal reads the first note as the bass
+        const bassIndex = dominantIndices.indexOf(bassPitchClass);
+        if (bassIndex > 0) {
+            dominantIndices.splice(bassIndex, 1);
+            dominantIndices.unshift(bassPitchClass);
+        }
+        
+        // Convert indices to note names
+        return dominantIndices.map(index => this.noteSpeller.spellPitchClass(index, this.key));
+    }
+
+    identifyChord(dominantNotes, chromaVector, bassKnown = false) {
+        try {
+            const detectedChords = this.chordDetect.detect(dominantNotes);
+            
+            if (detectedChords && detectedChords.length > 0) {
+                // Score each possible chord
+                const chordScores = detectedChords.map(chordName => {
+                    const chordObj = this.chord.get(chordName);
+                    const description = this.describeTonalChord(chordObj, bassKnown);
+                    if (!description) return null;
+                    const chordNotes = chordObj.notes || [];
+                    
+                    // Calculate chroma match
+                    const chromaMatch = this.calculateChromaMatch(chordNotes, chromaVector);
+                    
+                    // Calculate note match (by pitch class, so Eb and D# agree)
+                    const chordPitchClasses = chordNotes.map(note => this.noteSpeller.toPitchClass(note));
+                    const matchingNotes = dominantNotes.filter(note =>
+                        chordPitchClasses.includes(this.noteSpeller.toPitchClass(note))
+                    );
+                    const noteMatch = matchingNotes.length / Math.max(chordNotes.length, dominantNotes.length);
+                    
+                    // Combined confidence
+                    const confidence = Math.min(
+                        (chromaMatch * 0.7) + (noteMatch * 0.3),
+                        0.95
+                    );
+                    
+                    return {
+                        name: description.name,
+                        confidence: confidence,
+                        root: description.root,
+                        quality: description.quality,
+                        bass: description.bass,
+                        notes: dominantNotes,
+                        chromaMatch: chromaMatch,
+                        noteMatch: noteMatch
+                    };
+                }).filter(Boolean);
+                
+                if (chordScores.length === 0) return null;
+                
+                // Return best chord
+                chordScores.sort((a, b) => b.confidence - a.confidence);
+                const bestChord = chordScores[0];
+                
+                if (bestChord.confidence >= this.minConfidence) {
+                    // Add full notes for display
+                    bestChord.fullNotes = dominantNotes.map(note => ({
+                        note: note,
+                        octave: 4,
+                        frequency: this.noteToFrequency(note, 4),
+                        confidence: 0.8
+                    }));
+                    
+                    return bestChord;
+                }
+            }
+        } catch (error) {
+            console.warn("Chord identification error:", error);
+        }
+        
+        return null;
+    }
+
+    // Dictionary name, root, quality and bass for a tonal chord ("CM" -> C,
+    // "Amadd9/C" -> Am/C); null when the dictionary's best reading of the
+    // notes has another root (tonal's "Em#5" over C, E, G is C/E).
+    // Tonal's bass is the first dominant note, which is only the sounding
+    // bass when bassKnown; otherwise the root is taken as the bass
+    describeTonalChord(chordObj, bassKnown = false) {
+        if (!chordObj || chordObj.empty || !chordObj.tonic) return null;
+        
+        const rootPitchClass = this.noteSpeller.toPitchClass(chordObj.tonic);
+        const match = this.chordDictionary
+            .identifyNotes(chordObj.notes, { bass: chordObj.tonic, key: this.key })[0];
+        if (!match || match.rootPitchClass !== rootPitchClass) return null;
+        
+        const voicing = bassKnown && chordObj.bass
+            ? this.chordDictionary.withBass(match.name, chordObj.bass, this.key)
+            : { name: match.name, bass: match.root };
+        
+        return {
+            name: voicing.name,
+            root: match.root,
+            quality: match.quality,
+            bass: voicing.bass
+        };
+    }
+
+    // Pitch class of the lowest clear peak in Meyda's amplitude spectrum,
+    // or null when there is none
+    findBassPitchClass(amplitudeSpectrum, sampleRate) {
+        if (!amplitudeSpectrum || amplitudeSpectrum.length < 3) return null;
+        
+        const binWidth = sampleRate / this.meyda.bufferSize;
+        const level = Math.max(...amplitudeSpectrum) * this.bassLevel;
+        if (!(level > 0)) return null;
+        
+        const firstBin = Math.max(1, Math.ceil(this.minBassFrequency / binWidth));
+        for (let i = firstBin; i < amplitudeSpectrum.length - 1; i++) {
+            const value = amplitudeSpectrum[i];
+            if (value < level || value <= amplitudeSpectrum[i - 1] || value < amplitudeSpectrum[i + 1]) {
+                continue;
+            }
+            
+            // Parabolic interpolation on the log magnitudes: low notes are
+            // less than a bin apart
+            const left = Math.log(amplitudeSpectrum[i - 1] + 1e-12);
+            const center = Math.log(value);
+            const right = Math.log(amplitudeSpectrum[i + 1] + 1e-12);
+            const curvature = left - 2 * center + right;
+            const offset = curvature < 0 ? 0.5 * (left - right) / curvature : 0;
+            
+            const midiNote = Math.round(this.tuning.frequencyToMidi((i + offset) * binWidth));
+            return ((midiNote % 12) + 12) % 12;
+        }
+        return null;
+    }
+
+    calculateChromaMatch(chordNotes, chromaVector) {
+        // Create ideal chroma vector for this chord
+        const idealChroma = new Array(12).fill(0);
+        
+        chordNotes.forEach(note => {
+            const noteIndex = this.noteSpeller.toPitchClass(note);
+            if (noteIndex !== -1) {
+                idealChroma[noteIndex] = 1.0;
+            }
+        });
+        
+        // Calculate cosine similarity
+        let dotProduct = 0;
+        let magnitudeActual = 0;
+        let magnitudeIdeal = 0;
+        
+        for (let i = 0; i < 12; i++) {
+            dotProduct += chromaVector[i] * idealChroma[i];
+            magnitudeActual += chromaVector[i] * chromaVector[i];
+            magnitudeIdeal += idealChroma[i] * idealChroma[i];
+        }
+        
+        magnitudeActual = Math.sqrt(magnitudeActual);
+        magnitudeIdeal = Math.sqrt(magnitudeIdeal);
+        
+        if (magnitudeActual === 0 || magnitudeIdeal === 0) {
+            return 0;
+        }
+        
+        return Math.max(0, dotProduct / (magnitudeActual * magnitudeIdeal));
+    }
+
+    // Analyser window for the spectrum source: 'linear' or 'log'
+    setSpectrumSource(source) {
+        this.spectrumSource = source === 'log' ? 'log' : 'linear';
+        this.audioManager.setFftSize(this.fftSizes[this.spectrumSource]);
+    }
+
+    stabilizeChord(frameChord, currentTime) {
+        const decoded = this.sequenceDecoder.update(frameChord, currentTime);
+        
+        if (!decoded) {
+            this.currentChord = null;
+            this.chordConfidence = 0;
+            return null;
+        }
+        
+        this.currentChord = decoded.name;
+        this.chordConfidence = decoded.chord ? decoded.chord.confidence : decoded.confidence;
+        
+        // The latest frame agrees with the decoded chord
+        if (frameChord && frameChord.name === decoded.name) {
+            return frameChord;
+        }
+        
+        // Keep reporting the decoded chord through weak or outlier frames
+        return {
+            ...this.chordDictionary.describeChord(this.currentChord),
+            name: this.currentChord,
+            confidence: this.chordConfidence,
+            notes: this.getChordNotes(this.currentChord),
+            fullNotes: this.getFullNotes(this.currentChord),
+            stable: true
+        };
+    }
+
+    getChordNotes(chordName) {
+        const notes = this.chordDictionary.getChordNotes(chordName);
+        return notes.length > 0 ? notes : [chordName.replace(/m$/, '')];
+    }
+
+    getFullNotes(chordName) {
+        const notes = this.getChordNotes(chordName);
+        return notes.map(note => ({
+            note: note,
+            octave: 4,
+            frequency: this.noteToFrequency(note, 4),
+            confidence: 0.8
+        }));
+    }
+
+    noteToFrequency(noteName, octave) {
+        try {
+            const midiNote = this.note.midi(`${noteName}${octave}`);
+            return this.tuning.midiToFrequency(midiNote !== null ? midiNote : 69);
+        } catch (error) {
+            return this.tuning.getTuningFrequency();
+        }
+    }
+
+    // Nominal A4 in Hz (e.g. 432); the estimated offset is applied on top
+    setReferencePitch(frequency) {
+        this.tuning.setReferencePitch(frequency);
+    }
+
+    // { referencePitch, offsetCents, frequency } with frequency the effective A4
+    getTuning() {
+        return {
+            referencePitch: this.tuning.referencePitch,
+            offsetCents: this.tuning.getOffsetCents(),
+            frequency: this.tuning.getTuningFrequency()
+        };
+    }
+
+    // Follow the estimated key for spelling unless one was set by hand
+    applyKeyEstimate(estimate) {
+        if (this.autoKey && estimate && estimate.confidence >= this.minKeyConfidence) {
+            this.key = estimate;
+        }
+    }
+
+    // Current key estimate ({ tonic, mode, name, confidence }) or null
+    getKey() {
+        return this.keyDetector.getKey();
+    }
+
+    // Key used to spell note and chord names; null returns to automatic detection
+    setKey(key) {
+        this.key = key;
+        this.autoKey = !key;
+    }
+
+    // Reset detector state
+    reset() {
+        this.currentChord = null;
+        this.chordConfidence = 0;
+        this.sequenceDecoder.reset();
+        this.keyDetector.reset();
+        this.tuning.reset();
+        
+        if (this.autoKey) {
+            this.key = null;
+        }
+    }
+}
+
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = RealTimeChordDetector;
+}
@@ -1,1927 +1,2696 @@
-class ChordDetector {
-    constructor() {
-        this.audioContext = null;
-        this.analyser = null;
-        this.source = null;
-        this.stream = null;
-        this.isRunning = false;
-        this.animationId = null;
-        
-        // Chord stabilization variables
-        this.lastChordDetectionTime = 0;
-        this.minDetectionInterval = 100; // Minimum time between detections (ms)
-        this.chordVotes = new Map(); // Track chord votes over time
-        this.multiChordVotes = new Map(); // Track multiple chords by frequency range
-        this.votingWindow = 500; // 500ms voting window
-        this.stableChordThreshold = 0.6; // 60% of votes needed to confirm chord
-        this.currentStableChord = null;
-        this.currentMultiChords = []; // Array for multiple chords
-        this.lastStableChordTime = 0;
-        this.multiChordMode = true; // Always enabled for multi-chord detection
-        
-        // Ticker variables
-        this.lastChord = null;
-        this.tickerItems = [];
-        this.maxTickerItems = 15;
-        this.chordTimestamps = new Map(); // Track when chords were detected
-        this.lastDetectionTime = 0; // Track when chord was detected
-        this.playingChords = new Map(); // Track chords currently playing (red highlight)
-        
-        // Chord buffer for 2-second delay synchronization
-        this.chordBuffer = [];
-        this.maxBufferSize = 10;
-        this.currentDisplayedChord = null;
-        
-        // Audio output with delay and announcements
-        this.audioOutputEnabled = false;
-        this.delayBuffer = null;
-        this.delayTime = 2.0; // 2 second delay
-        this.lastAnnouncedChord = null;
-        this.announcementOscillator = null;
-        this.announcementGain = null;
-        this.delayNode = null;
-        this.delayGain = null;
-        
-        // Improved detection variables
-        this.previousSpectrum = null;
-        this.onsetThreshold = 0.1;
-        this.noiseFloor = 0.01;
-        this.frameHistory = [];
-        this.maxFrameHistory = 8;
-        this.adaptiveThreshold = 0.02;
-        this.spectralFluxHistory = [];
-        this.lastOnsetTime = 0;
-        
-        // Browser chord detector (compatible with Electron)
-        this.browserDetector = null;
-        
-        this.initializeElements();
-        this.loadAudioDevices();
-        this.setupEventListeners();
-        this.setupVisibilityHandlers();
-    }
-
-    restoreLastDevice() {
-        const lastInputDeviceId = localStorage.getItem('lastAudioInputDevice');
-        const lastOutputDeviceId = localStorage.getItem('lastAudioOutputDevice');
-        
-        if (lastInputDeviceId) {
-            setTimeout(() => {
-                this.audioInput.value = lastInputDeviceId;
-                if (lastInputDeviceId) {
-                    this.startDetection();
-                }
-            }, 100);
-        }
-        
-        if (lastOutputDeviceId) {
-            setTimeout(() => {
-                this.audioOutput.value = lastOutputDeviceId;
-                if (lastOutputDeviceId && this.isRunning) {
-                    this.enableAudioOutput();
-                }
-            }, 150);
-        }
-    }
-
-    initializeElements() {
-        this.audioInput = document.getElementById('audioInput');
-        this.audioOutput = document.getElementById('audioOutput');
-        this.vstPlugin = document.getElementById('vstPlugin');
-        this.scanVSTBtn = document.getElementById('scanVSTBtn');
-        this.showVSTGUIBtn = document.getElementById('showVSTGUIBtn');
-        this.startBtn = document.getElementById('startBtn');
-        this.stopBtn = document.getElementById('stopBtn');
-        this.currentChord = document.getElementById('currentChord');
-        this.detectedNotes = document.getElementById('detectedNotes');
-        this.confidence = document.getElementById('confidence');
-        this.bpmDisplay = document.getElementById('bpmDisplay');
-        this.ticker = document.getElementById('ticker');
-        this.status = document.getElementById('status');
-        this.canvas = document.getElementById('waveformCanvas');
-        this.canvasContext = this.canvas.getContext('2d');
-        this.enableAudioOutputBtn = document.getElementById('enableAudioOutput');
-        this.disableAudioOutputBtn = document.getElementById('disableAudioOutput');
-        this.multiChordBtn = document.getElementById('multiChordBtn');
-        this.announcementBtn = document.getElementById('announcementBtn');
-        
-        // Set canvas dimensions
-        this.canvas.width = this.canvas.offsetWidth;
-        this.canvas.height = this.canvas.offsetHeight;
-        
-        // Initialize multi-chord button state
-        this.updateMultiChordButton();
-    }
-
-    async loadAudioDevices() {
-        try {
-            await navigator.mediaDevices.getUserMedia({ audio: true });
-            const devices = await navigator.mediaDevices.enumerateDevices();
-            const audioInputDevices = devices.filter(device => device.kind === 'audioinput');
-            const audioOutputDevices = devices.filter(device => device.kind === 'audiooutput');
-            
-            // Load input devices
-            audioInputDevices.forEach(device => {
-                const option = document.createElement('option');
-                option.value = device.deviceId;
-                option.textContent = device.label || `Dispositivo de entrada ${audioInputDevices.indexOf(device) + 1}`;
-                this.audioInput.appendChild(option);
-            });
-            
-            // Load output devices
-            audioOutputDevices.forEach(device => {
-                const option = document.createElement('option');
-                option.value = device.deviceId;
-                option.textContent = device.label || `Dispositivo de salida ${audioOutputDevices.indexOf(device) + 1}`;
-                this.audioOutput.appendChild(option);
-            });
-            
-            if (audioInputDevices.length > 0) {
-                this.status.textContent = 'Dispositivos de audio cargados. Selecciona uno para iniciar la detección automática';
-                // Restore last device after devices are loaded
-                this.restoreLastDevice();
-            } else {
-                this.status.textContent = 'No se encontraron dispositivos de audio. Verifica que tengas un micrófono conectado.';
-                this.status.className = 'status error';
-            }
-        } catch (error) {
-            console.error('Error loading audio devices:', error);
-            this.status.textContent = 'Error al cargar dispositivos de audio: ' + error.message;
-            this.status.className = 'status error';
-        }
-    }
-
-    setupEventListeners() {
-        this.startBtn.addEventListener('click', () => this.startDetection());
-        this.stopBtn.addEventListener('click', () => this.stopDetection());
-        this.audioInput.addEventListener('change', () => this.onDeviceChange());
-        this.audioOutput.addEventListener('change', () => this.onDeviceChange());
-        this.vstPlugin.addEventListener('change', () => this.onVSTPluginChange());
-        this.scanVSTBtn.addEventListener('click', () => this.scanVSTPlugins());
-        this.showVSTGUIBtn.addEventListener('click', () => this.showVSTPluginGUI());
-        this.enableAudioOutputBtn.addEventListener('click', () => this.enableAudioOutput());
-        this.disableAudioOutputBtn.addEventListener('click', () => this.disableAudioOutput());
-        this.multiChordBtn.addEventListener('click', () => this.toggleMultiChordMode());
-        this.announcementBtn.addEventListener('click', () => this.toggleAnnouncements());
-
-        // Setup VST event listeners
-        this.setupVSTEventListeners();
-    }
-
-    setupVisibilityHandlers() {
-        // Handle page visibility changes to prevent AudioContext suspension
-        document.addEventListener('visibilitychange', () => {
-            if (document.hidden) {
-                this.handlePageHidden();
-            } else {
-                this.handlePageVisible();
-            }
-        });
-
-        // Handle window focus/blur events
-        window.addEventListener('blur', () => {
-            this.handlePageHidden();
-        });
-
-        window.addEventListener('focus', () => {
-            this.handlePageVisible();
-        });
-    }
-
-    async handlePageHidden() {
-        // When page loses focus, we don't need to do anything special
-        // The AudioContext will automatically suspend, but we'll resume it when needed
-    }
-
-    async handlePageVisible() {
-        // When page becomes visible again, resume AudioContext if it was suspended
-        if (this.audioContext && this.audioContext.state === 'suspended') {
-            try {
-                await this.audioContext.resume();
-                
-                // If audio output was enabled, restart it
-                if (this.audioOutputEnabled) {
-                    setTimeout(() => {
-                        this.enableAudioOutput();
-                    }, 100);
-                }
-            } catch (error) {
-                // Silently handle error
-            }
-        }
-    }
-
-    onDeviceChange() {
-        const inputDeviceId = this.audioInput.value;
-        const outputDeviceId = this.audioOutput.value;
-        
-        // Save the selected devices
-        if (inputDeviceId) {
-            localStorage.setItem('lastAudioInputDevice', inputDeviceId);
-        }
-        if (outputDeviceId) {
-            localStorage.setItem('lastAudioOutputDevice', outputDeviceId);
-        }
-        
-        // Determine which device triggered the change
-        const eventTarget = event ? event.target : null;
-        const isOutputChange = eventTarget && eventTarget.id === 'audioOutput';
-        
-        // Handle input device change (only if input was changed)
-        if (!isOutputChange && inputDeviceId && this.isRunning) {
-            // If already running and input device changed, restart with new device
-            this.stopDetection();
-            setTimeout(() => this.startDetection(), 100);
-        } else if (!isOutputChange && inputDeviceId && !this.isRunning) {
-            // If not running and input device selected, start automatically
-            this.startDetection();
-        }
-        
-        // Handle output device change - SIMPLIFIED LOGIC
-        if (outputDeviceId && this.isRunning) {
-            // If running and output device selected, enable/restart output
-            if (this.audioOutputEnabled) {
-                // If already enabled, update output device
-                this.updateOutputDevice();
-            } else {
-                // If not enabled, enable it
-                this.enableAudioOutput();
-            }
-        } else if (!outputDeviceId && this.audioOutputEnabled) {
-            // If output device deselected while enabled, disable
-            this.disableAudioOutput();
-        }
-    }
-
-    async startDetection() {
-        const deviceId = this.audioInput.value;
-        
-        if (!deviceId) {
-            this.status.textContent = 'Por favor selecciona un dispositivo de audio';
-            this.status.className = 'status error';
-            return;
-        }
-
-        try {
-            this.status.textContent = 'Iniciando captura de audio...';
-            this.status.className = 'status info';
-
-            const constraints = {
-                audio: {
-                    deviceId: deviceId ? { exact: deviceId } : undefined,
-                    echoCancellation: false,
-                    noiseSuppression: false,
-                    autoGainControl: false
-                }
-            };
-
-            this.stream = await navigator.mediaDevices.getUserMedia(constraints);
-            
-            this.audioContext = new (window.AudioContext || window.webkitAudioContext)();
-            
-            // Configure AudioContext to be more resilient to suspension
-            this.audioContext.onstatechange = () => {
-                console.log(`AudioContext state changed: ${this.audioContext.state}`);
-                if (this.audioContext.state === 'suspended' && this.isRunning) {
-                    console.log('AudioContext suspended while running - attempting to resume');
-                    setTimeout(() => {
-                        if (this.audioContext && this.audioContext.state === 'suspended') {
-                            this.audioContext.resume().catch(err => {
-                                console.warn('Failed to resume AudioContext:', err);
-                            });
-                        }
-                    }, 100);
-                }
-            };
-            
-            this.analyser = this.audioContext.createAnalyser();
-            
-            this.source = this.audioContext.createMediaStreamSource(this.stream);
-            this.source.connect(this.analyser);
-            
-            this.analyser.fftSize = 2048;
-            this.analyser.smoothingTimeConstant = 0.8;
-            
-            this.isRunning = true;
-            this.startBtn.classList.add('hidden');
-            this.stopBtn.classList.remove('hidden');
-            this.status.textContent = 'Detección activa. Tocando música...';
-            this.status.className = 'status info';
-            
-            // If audio output was previously enabled, re-enable it
-            if (this.audioOutputEnabled) {
-                setTimeout(() => {
-                    this.enableAudioOutput();
-                }, 500);
-            }
-            
-            this.processAudio();
-            
-        } catch (error) {
-            console.error('Error starting audio capture:', error);
-            this.status.textContent = 'Error al iniciar la captura de audio: ' + error.message;
-            this.status.className = 'status error';
-        }
-    }
-
-    stopDetection() {
-        this.isRunning = false;
-        
-        if (this.animationId) {
-            cancelAnimationFrame(this.animationId);
-            this.animationId = null;
-        }
-        
-        // Clean up audio output resources
-        this.disableAudioOutput();
-        
-        if (this.stream) {
-            this.stream.getTracks().forEach(track => track.stop());
-            this.stream = null;
-        }
-        
-        if (this.audioContext) {
-            this.audioContext.close();
-            this.audioContext = null;
-        }
-        
-        this.startBtn.classList.remove('hidden');
-        this.stopBtn.classList.add('hidden');
-        this.currentChord.textContent = '--';
-        this.confidence.textContent = 'Confianza: 0%';
-        this.bpmDisplay.textContent = 'BPM: --';
-        this.ticker.innerHTML = '';
-        this.tickerItems = [];
-        this.lastChord = null;
-        this.lastAnnouncedChord = null;
-        this.status.textContent = 'Detección detenida';
-        this.status.className = 'status';
-    }
-
-    toggleMultiChordMode() {
-        this.multiChordMode = !this.multiChordMode;
-        this.updateMultiChordButton();
-        
-        if (this.multiChordMode) {
-            this.status.textContent = 'Modo multi-acorde activado. Analizando graves, medios y agudos por separado.';
-            this.status.className = 'status info';
-        } else {
-            this.status.textContent = 'Modo multi-acorde desactivado. Usando detección estándar.';
-            this.status.className = 'status';
-        }
-        
-        // Clear chord buffers when switching modes
-        this.chordVotes.clear();
-        this.multiChordVotes.clear();
-        this.currentStableChord = null;
-        this.currentMultiChords = [];
-        this.chordBuffer = [];
-    }
-
-    updateMultiChordButton() {
-        if (this.multiChordMode) {
-            this.multiChordBtn.textContent = 'Desactivar Multi-Acorde';
-            this.multiChordBtn.classList.add('active');
-        } else {
-            this.multiChordBtn.textContent = 'Activar Multi-Acorde';
-            this.multiChordBtn.classList.remove('active');
-        }
-    }
-
-    updateDisplayWithMultiChords(multiChord) {
-        if (!multiChord || !multiChord.isMultiChord) {
-            this.updateDisplayWithDelayedChord(performance.now());
-            return;
-        }
-
-        // Display multiple chords with their ranges and colors
-        const chordDisplay = multiChord.chords.map((chord, index) => {
-            const color = chord.color || '#4ecdc4';
-            const rangeName = this.getRangeDisplayName(chord.range);
-            return `<span style="color: ${color}">${chord.name} (${rangeName})</span>`;
-        }).join(' / ');
-
-        this.currentChord.innerHTML = chordDisplay;
-        this.confidence.textContent = `Confianza: ${Math.round(multiChord.confidence * 100)}%`;
-        
-        // Show all detected notes from all chords
-        if (multiChord.notes && multiChord.notes.length > 0) {
-            this.detectedNotes.textContent = `Notas: ${multiChord.notes.join(', ')}`;
-        } else {
-            this.detectedNotes.textContent = 'Notas: --';
-        }
-    }
-
-    getRangeDisplayName(range) {
-        const rangeNames = {
-            'bass': 'Graves',
-            'mid': 'Medios',
-            'treble': 'Agudos'
-        };
-        return rangeNames[range] || range;
-    }
-
-    toggleAnnouncements() {
-        if (this.audioOutputEnabled) {
-            console.log('toggleAnnouncements: Disabling audio output');
-            this.disableAudioOutput();
-            this.announcementBtn.textContent = 'Activar Anuncios de Audio';
-            this.announcementBtn.classList.remove('active');
-            this.status.textContent = 'Anuncios de audio desactivados';
-            this.status.className = 'status';
-        } else {
-            console.log('toggleAnnouncements: Enabling audio output');
-            this.enableAudioOutput();
-            this.announcementBtn.textContent = 'Desactivar Anuncios de Audio';
-            this.announcementBtn.classList.add('active');
-            this.status.textContent = 'Anuncios de audio activados con 2 segundos de retraso';
-            this.status.className = 'status info';
-        }
-    }
-
-    processAudio() {
-        if (!this.isRunning) return;
-
-        // In VST mode, we don't have audioContext/analyser
-        if (this.audioContext && this.analyser) {
-            // Regular audio device mode
-            // Check if AudioContext is suspended and try to resume it
-            if (this.audioContext.state === 'suspended') {
-                console.log('processAudio: AudioContext is suspended, attempting to resume');
-                this.audioContext.resume().then(() => {
-                    console.log('processAudio: AudioContext resumed successfully');
-                }).catch(err => {
-                    console.warn('processAudio: Failed to resume AudioContext:', err);
-                });
-            }
-
-            const bufferLength = this.analyser.frequencyBinCount;
-            const dataArray = new Float32Array(bufferLength);
-            this.analyser.getFloatTimeDomainData(dataArray);
-
-            // Draw waveform visualization
-            this.drawWaveform(dataArray);
-
-            // Improved chord detection with stabilization
-            const currentTime = performance.now();
-            
-            // Detect chord with minimum interval to avoid over-processing
-            if (currentTime - this.lastChordDetectionTime > this.minDetectionInterval) {
-                const chord = this.detectChord(dataArray);
-                
-                if (chord && chord.confidence > 0.5) { // Lower confidence threshold for better detection
-                    // Add vote for this chord
-                    this.addChordVote(chord.name, currentTime);
-                    
-                    // Check if we have a stable chord
-                    const stableChord = this.getStableChord(currentTime);
-                    
-                    if (stableChord && stableChord !== this.currentStableChord) {
-                        // New stable chord detected
-                        this.currentStableChord = stableChord;
-                        this.lastStableChordTime = currentTime;
-                        
-                        // Store chord in buffer with timestamp for 2-second delay synchronization
-                        this.addChordToBuffer(chord, currentTime);
-                        
-                        // Add to ticker only if chord changed
-                        if (this.lastChord !== stableChord) {
-                            this.addToTicker(stableChord);
-                            this.lastChord = stableChord;
-                            this.lastDetectionTime = currentTime;
-                            
-                        // Play chord announcement if audio output is enabled
-                        if (this.audioOutputEnabled) {
-                            this.playNotesAnnouncement(chord, currentTime);
-                        }
-                        } else {
-                            // Add empty space when chord doesn't change
-                            this.addToTicker(null);
-                        }
-                    } else if (stableChord) {
-                        // Same stable chord - add empty space
-                        this.addToTicker(null);
-                    } else {
-                        // No stable chord - add empty space
-                        this.addToTicker(null);
-                    }
-                    
-                    this.lastChordDetectionTime = currentTime;
-                } else {
-                    // No chord detected - add empty space to ticker
-                    this.addToTicker(null);
-                    this.lastChordDetectionTime = currentTime;
-                }
-            }
-            
-            // Always update display with delayed chord (continuous display update)
-            this.updateDisplayWithDelayedChord(currentTime);
-
-            // Update ticker colors based on timing
-            this.updateTicker();
-        } else {
-            // VST mode - simulate processing without audio data
-            const currentTime = performance.now();
-            
-            // In VST mode, we need to get audio data from the VST bridge
-            // For now, we'll just update the display and ticker
-            this.updateDisplayWithDelayedChord(currentTime);
-            this.updateTicker();
-            
-            // Add empty space to ticker to keep it moving
-            this.addToTicker(null);
-        }
-        
-        this.animationId = requestAnimationFrame(() => this.processAudio());
-    }
-
-    addToTicker(chordName) {
-        const currentTime = Date.now();
-        
-        // Add new item to ticker (note or empty space)
-        this.tickerItems.push({
-            chord: chordName,
-            timestamp: new Date().toLocaleTimeString(),
-            detectionTime: currentTime
-        });
-        
-        // Store detection time for chord timing
-        if (chordName) {
-            this.chordTimestamps.set(chordName, currentTime);
-        }
-        
-        // Limit the number of items (keep the most recent ones)
-        if (this.tickerItems.length > this.maxTickerItems) {
-            this.tickerItems = this.tickerItems.slice(-this.maxTickerItems);
-        }
-        
-        // Update ticker display
-        this.updateTicker();
-    }
-
-    updateTicker() {
-        const currentTime = Date.now();
-        const tickerHTML = this.tickerItems.map(item => {
-            if (item.chord) {
-                // Check if chord has been playing for more than 1 second
-                const timeSinceDetection = currentTime - item.detectionTime;
-                const hasPlayed = timeSinceDetection > 2000; // 2 second delay
-                
-                // Check if chord is currently playing (red highlight for 0.5 seconds)
-                const isPlaying = this.playingChords.has(item.chord) &&
-                                 currentTime - this.playingChords.get(item.chord) < 500;
-                
-                let className;
-                if (isPlaying) {
-                    className = 'ticker-item playing';
-                } else if (hasPlayed) {
-                    className = 'ticker-item played';
-                } else {
-                    className = 'ticker-item upcoming';
-                }
-                
-                return `<span class="${className}">${item.chord}</span>`;
-            } else {
-                return `<span class="ticker-empty">•</span>`;
-            }
-        }).join('');
-        
-        this.ticker.innerHTML = tickerHTML;
-    }
-
-    // BPM display is now static since we use continuous detection
-    // This method is kept for display purposes only
-    updateBPMDisplay() {
-        this.bpmDisplay.textContent = 'BPM: --';
-    }
-
-    drawWaveform(dataArray) {
-        const canvas = this.canvas;
-        const ctx = this.canvasContext;
-        const width = canvas.width;
-        const height = canvas.height;
-
-        // Clear canvas
-        ctx.fillStyle = 'rgba(0, 0, 0, 0.3)';
-        ctx.fillRect(0, 0, width, height);
-
-        // In VST mode, we don't have audio data, so draw a placeholder
-        if (!dataArray || dataArray.length === 0) {
-            // Draw VST mode indicator
-            ctx.fillStyle = 'rgba(78, 205, 196, 0.5)';
-            ctx.font = '16px Arial';
-            ctx.textAlign = 'center';
-            ctx.fillText('VST Mode - Audio from Plugin', width / 2, height / 2);
-            return;
-        }
-
-        // Draw waveform with more amplitude
-        ctx.beginPath();
-        ctx.lineWidth = 3;
-        ctx.strokeStyle = '#4ecdc4';
-        
-        const sliceWidth = width / dataArray.length;
-        let x = 0;
-
-        for (let i = 0; i < dataArray.length; i++) {
-            const v = dataArray[i] * 18.0; // Reduced by 10% from 20.0
-            const y = (v * height / 2) + height / 2;
-
-            if (i === 0) {
-                ctx.moveTo(x, y);
-            } else {
-                ctx.lineTo(x, y);
-            }
-
-            x += sliceWidth;
-        }
-
-        ctx.stroke();
-
-        // Draw center line
-        ctx.beginPath();
-        ctx.strokeStyle = 'rgba(255, 255, 255, 0.5)';
-        ctx.lineWidth = 2;
-        ctx.moveTo(0, height / 2);
-        ctx.lineTo(width, height / 2);
-        ctx.stroke();
-    }
-
-    detectChord(audioData) {
-        // Check if we have an analyser (not available in VST mode)
-        if (!this.analyser) {
-            // In VST mode, we need to handle audio differently
-            // For now, return null since we don't have frequency data
-            return null;
-        }
-        
-        // Use both time domain and frequency domain analysis
-        const bufferLength = this.analyser.frequencyBinCount;
-        const frequencyData = new Uint8Array(bufferLength);
-        this.analyser.getByteFrequencyData(frequencyData);
-        
-        // Use multi-chord detection by frequency ranges
-        if (this.multiChordMode) {
-            return this.detectChordsByFrequencyRanges(frequencyData);
-        } else {
-            // Always use the browser-based detection method
-            return this.fallbackChordDetection(audioData, frequencyData);
-        }
-    }
-
-    detectChordsByFrequencyRanges(frequencyData) {
-        // Check if we have audio context (not available in VST mode)
-        if (!this.audioContext) {
-            return null;
-        }
-        
-        const sampleRate = this.audioContext.sampleRate;
-        const bufferLength = frequencyData.length;
-        
-        // Define frequency ranges for analysis
-        const frequencyRanges = [
-            { name: 'bass', minFreq: 50, maxFreq: 250, color: '#ff6b6b' },      // Graves (acordes de bajo)
-            { name: 'mid', minFreq: 250, maxFreq: 1000, color: '#4ecdc4' },    // Medios (acordes principales)
-            { name: 'treble', minFreq: 1000, maxFreq: 5000, color: '#45b7d1' } // Agudos (melodía/armonías)
-        ];
-        
-        const detectedChords = [];
-        
-        // Analyze each frequency range separately
-        frequencyRanges.forEach(range => {
-            // Extract frequency data for this range
-            const rangeData = this.extractFrequencyRange(frequencyData, sampleRate, bufferLength, range.minFreq, range.maxFreq);
-            
-            if (rangeData.length > 0) {
-                // Find fundamental frequencies in this range
-                const fundamentals = this.findFundamentalFrequenciesInRange(rangeData, sampleRate, bufferLength, range.minFreq, range.maxFreq);
-                
-                if (fundamentals.length >= 2) {
-                    // Convert frequencies to notes
-                    const notesWithOctaves = fundamentals.map(freq => this.frequencyToNoteWithOctave(freq));
-                    
-                    // Identify chord for this range
-                    const chord = this.identifyChordWithTemporalAnalysis(notesWithOctaves, fundamentals);
-                    
-                    if (chord && chord.confidence > 0.4) { // Lower threshold for multi-chord detection
-                        chord.range = range.name;
-                        chord.color = range.color;
-                        detectedChords.push(chord);
-                    }
-                }
-            }
-        });
-        
-        // Return the best chord if only one detected, or multiple if available
-        if (detectedChords.length === 0) {
-            return null;
-        } else if (detectedChords.length === 1) {
-            return detectedChords[0];
-        } else {
-            // Return multiple chords sorted by confidence
-            detectedChords.sort((a, b) => b.confidence - a.confidence);
-            return {
-                name: detectedChords.map(c => c.name).join(' / '),
-                confidence: Math.max(...detectedChords.map(c => c.confidence)),
-                notes: detectedChords.flatMap(c => c.notes || []),
-                ranges: detectedChords.map(c => c.range),
-                colors: detectedChords.map(c => c.color),
-                isMultiChord: true,
-                chords: detectedChords
-            };
-        }
-    }
-
-    extractFrequencyRange(frequencyData, sampleRate, bufferLength, minFreq, maxFreq) {
-        const rangeData = new Uint8Array(bufferLength);
-        const minBin = Math.floor(minFreq * bufferLength * 2 / sampleRate);
-        const maxBin = Math.floor(maxFreq * bufferLength * 2 / sampleRate);
-        
-        // Copy only the frequency bins within the specified range
-        for (let i = 0; i < bufferLength; i++) {
-            if (i >= minBin && i <= maxBin) {
-                rangeData[i] = frequencyData[i];
-            } else {
-                rangeData[i] = 0;
-            }
-        }
-        
-        return rangeData;
-    }
-
-    findFundamentalFrequenciesInRange(frequencyData, sampleRate, bufferLength, minFreq, maxFreq) {
-        const peaks = [];
-        const amplitudeThreshold = 12; // Lower threshold for range-specific detection
-        
-        // Find peaks only within the specified frequency range
-        const minBin = Math.floor(minFreq * bufferLength * 2 / sampleRate);
-        const maxBin = Math.floor(maxFreq * bufferLength * 2 / sampleRate);
-        
-        for (let i = Math.max(2, minBin); i < Math.min(bufferLength - 2, maxBin); i++) {
-            const current = frequencyData[i];
-            const prev1 = frequencyData[i - 1];
-            const prev2 = frequencyData[i - 2];
-            const next1 = frequencyData[i + 1];
-            const next2 = frequencyData[i + 2];
-            
-            if (current > prev1 && current > next1 &&
-                current > prev2 && current > next2 &&
-                current > amplitudeThreshold) {
-                
-                const frequency = i * sampleRate / (bufferLength * 2);
-                
-                // Calculate peak prominence
-                const leftMin = Math.min(prev1, prev2);
-                const rightMin = Math.min(next1, next2);
-                const prominence = current - Math.max(leftMin, rightMin);
-                
-                if (prominence > 6) { // Lower prominence threshold for range detection
-                    peaks.push({
-                        frequency: frequency,
-                        amplitude: current,
-                        bin: i,
-                        prominence: prominence
-                    });
-                }
-            }
-        }
-        
-        // Sort by amplitude and take top peaks
-        peaks.sort((a, b) => b.amplitude - a.amplitude);
-        const fundamentals = [];
-        
-        // More permissive harmonic filtering for range-specific detection
-        for (let i = 0; i < peaks.length && fundamentals.length < 6; i++) {
-            const peak = peaks[i];
-            let isHarmonic = false;
-            
-            for (let j = 0; j < fundamentals.length; j++) {
-                const fundamental = fundamentals[j];
-                const ratio = peak.frequency / fundamental.frequency;
-                
-                if (Math.abs(ratio - Math.round(ratio)) < 0.15) { // More tolerance for range detection
-                    isHarmonic = true;
-                    break;
-                }
-                
-                const inverseRatio = fundamental.frequency / peak.frequency;
-                if (Math.abs(inverseRatio - Math.round(inverseRatio)) < 0.15) {
-                    fundamentals[j] = peak;
-                    isHarmonic = true;
-                    break;
-                }
-            }
-            
-            if (!isHarmonic) {
-                fundamentals.push(peak);
-            }
-        }
-        
-        // Sort by frequency for consistent ordering
-        fundamentals.sort((a, b) => a.frequency - b.frequency);
-        
-        return fundamentals.map(peak => peak.frequency);
-    }
-
-    fallbackChordDetection(audioData, frequencyData) {
-        // Check if we have audio context (not available in VST mode)
-        if (!this.audioContext) {
-            return null;
-        }
-        
-        // Original chord detection method that worked before
-        const hasOnset = this.detectOnset(frequencyData);
-        const currentTime = performance.now();
-        const shouldAnalyze = hasOnset || this.shouldSample(currentTime);
-        
-        if (!shouldAnalyze) {
-            return null;
-        }
-        
-        const fundamentals = this.findFundamentalFrequencies(frequencyData);
-        const notesWithOctaves = fundamentals.map(freq => this.frequencyToNoteWithOctave(freq));
-        return this.identifyChordWithTemporalAnalysis(notesWithOctaves, fundamentals);
-    }
-
-    shouldSample(currentTime) {
-        // Sample every 500ms if no onset detected
-        return currentTime - this.lastChordDetectionTime > 500;
-    }
-
-    findFundamentalFrequencies(frequencyData) {
-        // Check if we have audio context (not available in VST mode)
-        if (!this.audioContext) {
-            return [];
-        }
-        
-        const peaks = [];
-        const sampleRate = this.audioContext.sampleRate;
-        const bufferLength = frequencyData.length;
-        
-        // Fixed high sensitivity threshold for studio audio (much lower)
-        const amplitudeThreshold = 16; // Very low threshold for maximum sensitivity
-        
-        // Find all local maxima with improved peak detection
-        for (let i = 2; i < bufferLength - 2; i++) {
-            const current = frequencyData[i];
-            const prev1 = frequencyData[i - 1];
-            const prev2 = frequencyData[i - 2];
-            const next1 = frequencyData[i + 1];
-            const next2 = frequencyData[i + 2];
-            
-            // Relaxed peak detection for more sensitivity
-            if (current > prev1 && current > next1 &&
-                current > prev2 && current > next2 &&
-                current > amplitudeThreshold) {
-                
-                const frequency = i * sampleRate / (bufferLength * 2);
-                
-                // Extended frequency range for better detection
-                if (frequency > 50 && frequency < 1500) { // Wider range
-                    // Calculate peak prominence
-                    const leftMin = Math.min(prev1, prev2);
-                    const rightMin = Math.min(next1, next2);
-                    const prominence = current - Math.max(leftMin, rightMin);
-                    
-                    // Include even weak peaks for studio audio
-                    if (prominence > 8) { // Lower prominence threshold
-                        peaks.push({
-                            frequency: frequency,
-                            amplitude: current,
-                            bin: i,
-                            prominence: prominence
-                        });
-                    }
-                }
-            }
-        }
-        
-        // Sort by amplitude for studio audio (more reliable than prominence)
-        peaks.sort((a, b) => b.amplitude - a.amplitude);
-        const fundamentals = [];
-        
-        // More permissive harmonic filtering for studio audio
-        for (let i = 0; i < peaks.length && fundamentals.length < 8; i++) { // More peaks allowed
-            const peak = peaks[i];
-            let isHarmonic = false;
-            
-            // Check if this peak is a harmonic of an existing fundamental
-            for (let j = 0; j < fundamentals.length; j++) {
-                const fundamental = fundamentals[j];
-                const ratio = peak.frequency / fundamental.frequency;
-                
-                // More permissive harmonic detection for studio audio
-                if (Math.abs(ratio - Math.round(ratio)) < 0.1) { // More tolerance
-                    isHarmonic = true;
-                    break;
-                }
-                
-                // Also check if this could be the fundamental of existing harmonics
-                const inverseRatio = fundamental.frequency / peak.frequency;
-                if (Math.abs(inverseRatio - Math.round(inverseRatio)) < 0.1) {
-                    // Replace the harmonic with this fundamental
-                    fundamentals[j] = peak;
-                    isHarmonic = true;
-                    break;
-                }
-            }
-            
-            if (!isHarmonic) {
-                fundamentals.push(peak);
-            }
-        }
-        
-        // Sort by frequency for consistent ordering
-        fundamentals.sort((a, b) => a.frequency - b.frequency);
-        
-        return fundamentals.map(peak => peak.frequency);
-    }
-
-    detectOnset(frequencyData) {
-        if (!this.previousSpectrum) {
-            this.previousSpectrum = new Array(frequencyData.length).fill(0);
-            return false;
-        }
-        
-        // Calculate spectral flux (difference between current and previous spectrum)
-        let spectralFlux = 0;
-        for (let i = 0; i < frequencyData.length; i++) {
-            const diff = frequencyData[i] - this.previousSpectrum[i];
-            if (diff > 0) spectralFlux += diff;
-        }
-        
-        // Normalize spectral flux
-        spectralFlux = spectralFlux / frequencyData.length;
-        
-        // Update spectral flux history
-        this.spectralFluxHistory.push(spectralFlux);
-        if (this.spectralFluxHistory.length > 10) {
-            this.spectralFluxHistory.shift();
-        }
-        
-        // Fixed low threshold for studio audio - much more sensitive
-        const onsetThreshold = 0.5; // Very low threshold for maximum sensitivity
-        
-        const currentTime = performance.now();
-        const onsetDetected = spectralFlux > onsetThreshold &&
-                             currentTime - this.lastOnsetTime > 50; // Shorter cooldown
-        
-        // Update previous spectrum
-        this.previousSpectrum = [...frequencyData];
-        
-        if (onsetDetected) {
-            this.lastOnsetTime = currentTime;
-        }
-        
-        return onsetDetected;
-    }
-    
-    frequencyToNoteWithOctave(frequency) {
-        const A4 = 440;
-        const noteNames = ['C', 'C#', 'D', 'D#', 'E', 'F', 'F#', 'G', 'G#', 'A', 'A#', 'B'];
-        
-        const noteNumber = 12 * (Math.log2(frequency / A4));
-        const noteIndex = Math.round(noteNumber) % 12;
-        const octave = Math.floor(noteNumber / 12) + 4;
-        
-        return {
-            note: noteNames[(noteIndex + 12) % 12],
-            octave: octave
-        };
-    }
-
-    identifyChordWithTemporalAnalysis(notesWithOctaves, frequencies) {
-        if (notesWithOctaves.length < 2) return null;
-        
-        // Extract just the note names for chord matching
-        const noteNames = notesWithOctaves.map(n => n.note);
-        const uniqueNotes = [...new Set(noteNames)].sort();
-        
-        // Enhanced chord patterns with better confidence calculation
-        const chordPatterns = {
-            // Major chords
-            'C,E,G': { name: 'C', confidence: 0.9 },
-            'C#,F,G#': { name: 'C#', confidence: 0.9 },
-            'D,F#,A': { name: 'D', confidence: 0.9 },
-            'D#,G,A#': { name: 'D#', confidence: 0.9 },
-            'E,G#,B': { name: 'E', confidence: 0.9 },
-            'F,A,C': { name: 'F', confidence: 0.9 },
-            'F#,A#,C#': { name: 'F#', confidence: 0.9 },
-            'G,B,D': { name: 'G', confidence: 0.9 },
-            'G#,C,D#': { name: 'G#', confidence: 0.9 },
-            'A,C#,E': { name: 'A', confidence: 0.9 },
-            'A#,D,F': { name: 'A#', confidence: 0.9 },
-            'B,D#,F#': { name: 'B', confidence: 0.9 },
-            
-            // Minor chords
-            'C,Eb,G': { name: 'Cm', confidence: 0.8 },
-            'C#,E,G#': { name: 'C#m', confidence: 0.8 },
-            'D,F,A': { name: 'Dm', confidence: 0.8 },
-            'D#,F#,A#': { name: 'D#m', confidence: 0.8 },
-            'E,G,B': { name: 'Em', confidence: 0.8 },
-            'F,Ab,C': { name: 'Fm', confidence: 0.8 },
-            'F#,A,C#': { name: 'F#m', confidence: 0.8 },
-            'G,Bb,D': { name: 'Gm', confidence: 0.8 },
-            'G#,B,D#': { name: 'G#m', confidence: 0.8 },
-            'A,C,E': { name: 'Am', confidence: 0.8 },
-            'A#,C#,F': { name: 'A#m', confidence: 0.8 },
-            'B,D,F#': { name: 'Bm', confidence: 0.8 }
-        };
-        
-        const noteString = uniqueNotes.join(',');
-        
-        if (chordPatterns[noteString]) {
-            return chordPatterns[noteString];
-        }
-        
-        // Try partial matches (2 out of 3 notes)
-        if (uniqueNotes.length >= 2) {
-            for (const pattern in chordPatterns) {
-                const patternNotes = pattern.split(',');
-                const matchingNotes = uniqueNotes.filter(note => patternNotes.includes(note));
-                
-                if (matchingNotes.length >= 2) {
-                    return {
-                        name: chordPatterns[pattern].name,
-                        confidence: chordPatterns[pattern].confidence * 0.7
-                    };
-                }
-            }
-        }
-        
-        // Fallback: return most prominent note
-        return {
-            name: uniqueNotes[0],
-            confidence: 0.3
-        };
-    }
-
-    async enableAudioOutput() {
-        if (!this.isRunning) {
-            console.log('enableAudioOutput: Not running, skipping');
-            return; // Silently return if not running
-        }
-
-        try {
-            console.log('enableAudioOutput: Starting...');
-            
-            // Get selected output device
-            const outputDeviceId = this.audioOutput.value;
-            if (!outputDeviceId) {
-                console.log('enableAudioOutput: No output device selected');
-                this.status.textContent = 'Selecciona un dispositivo de salida primero';
-                this.status.className = 'status error';
-                return;
-            }
-            
-            // Set output device using setSinkId
-            try {
-                await this.audioContext.setSinkId(outputDeviceId);
-                console.log('enableAudioOutput: Output device set to:', outputDeviceId);
-            } catch (error) {
-                console.warn('enableAudioOutput: setSinkId not supported, using default device:', error);
-            }
-            
-            // Create delay node for audio output with 1 second delay
-            this.delayNode = this.audioContext.createDelay();
-            this.delayNode.delayTime.setValueAtTime(this.delayTime, this.audioContext.currentTime);
-            
-            // Create gain node for delayed audio
-            this.delayGain = this.audioContext.createGain();
-            this.delayGain.gain.setValueAtTime(1.0, this.audioContext.currentTime);
-            
-            // Connect source -> delay -> gain -> destination
-            this.source.connect(this.delayNode);
-            this.delayNode.connect(this.delayGain);
-            this.delayGain.connect(this.audioContext.destination);
-            
-            console.log('enableAudioOutput: Audio delay chain created with 1 second delay');
-            
-            // Only create new oscillator if one doesn't exist
-            if (!this.announcementOscillator) {
-                console.log('enableAudioOutput: Creating new oscillator');
-                
-                // Create announcement oscillator and gain
-                this.announcementOscillator = this.audioContext.createOscillator();
-                this.announcementGain = this.audioContext.createGain();
-                
-                // Configure oscillator
-                this.announcementOscillator.type = 'sine';
-                this.announcementOscillator.frequency.setValueAtTime(440, this.audioContext.currentTime); // Default A4
-                
-                // Configure gain - start silent
-                this.announcementGain.gain.setValueAtTime(0, this.audioContext.currentTime);
-                
-                // Connect nodes
-                this.announcementOscillator.connect(this.announcementGain);
-                this.announcementGain.connect(this.audioContext.destination);
-                
-                // Start oscillator (it will be silent until we adjust gain)
-                this.announcementOscillator.start();
-                console.log('enableAudioOutput: Oscillator started');
-            } else {
-                console.log('enableAudioOutput: Using existing oscillator');
-            }
-            
-            this.audioOutputEnabled = true;
-            
-            // Hide manual buttons since it's now automatic
-            this.enableAudioOutputBtn.classList.add('hidden');
-            this.disableAudioOutputBtn.classList.add('hidden');
-            
-            console.log('enableAudioOutput: Successfully enabled');
-            this.status.textContent = 'Audio con retraso de 2 segundos activado. Los acordes se muestran antes de reproducirse.';
-            this.status.className = 'status info';
-            
-            // Test tone to verify audio is working
-            setTimeout(() => {
-                if (this.audioOutputEnabled) {
-                    console.log('enableAudioOutput: Testing audio with test tone');
-                    this.playTestTone();
-                }
-            }, 500);
-            
-        } catch (error) {
-            console.error('Error enabling audio output:', error);
-            this.status.textContent = 'Error al activar audio con retraso: ' + error.message;
-            this.status.className = 'status error';
-        }
-    }
-
-    playTestTone() {
-        if (!this.audioOutputEnabled || !this.announcementOscillator || !this.announcementGain) {
-            return;
-        }
-        
-        console.log('playTestTone: Playing test tone');
-        
-        const now = this.audioContext.currentTime;
-        this.announcementOscillator.frequency.setValueAtTime(440, now); // A4
-        this.announcementGain.gain.cancelScheduledValues(now);
-        this.announcementGain.gain.setValueAtTime(0.3, now);
-        this.announcementGain.gain.exponentialRampToValueAtTime(0.001, now + 0.4); // Fade out over 0.4 seconds
-        this.announcementGain.gain.linearRampToValueAtTime(0, now + 0.5); // Ensure complete silence at 0.5 seconds
-    }
-
-    async updateOutputDevice() {
-        if (!this.audioOutputEnabled || !this.audioContext) {
-            return;
-        }
-        
-        const outputDeviceId = this.audioOutput.value;
-        if (!outputDeviceId) {
-            return;
-        }
-        
-        try {
-            await this.audioContext.setSinkId(outputDeviceId);
-            console.log('updateOutputDevice: Output device updated to:', outputDeviceId);
-            
-            // Test tone to verify audio is working on new device
-            setTimeout(() => {
-                if (this.audioOutputEnabled) {
-                    console.log('updateOutputDevice: Testing audio with test tone');
-                    this.playTestTone();
-                }
-            }, 100);
-        } catch (error) {
-            console.warn('updateOutputDevice: setSinkId not supported:', error);
-        }
-    }
-
-    disableAudioOutput() {
-        if (this.audioOutputEnabled) {
-            console.log('disableAudioOutput: Disabling chord announcements only');
-            
-            // Solo silencia el oscilador de acordes, mantiene el audio original
-            if (this.announcementGain) {
-                this.announcementGain.gain.cancelScheduledValues(this.audioContext.currentTime);
-                this.announcementGain.gain.setValueAtTime(0, this.audioContext.currentTime);
-            }
-            
-            // NO desconectamos el delay chain para mantener el audio original
-            // El audio de entrada sigue reproduciéndose normalmente
-            
-            this.audioOutputEnabled = false;
-            this.lastAnnouncedChord = null;
-            
-            // Hide manual buttons since it's now automatic
-            this.enableAudioOutputBtn.classList.add('hidden');
-            this.disableAudioOutputBtn.classList.add('hidden');
-            
-            this.status.textContent = 'Anuncios de acordes desactivados - Audio original sigue reproduciéndose';
-            this.status.className = 'status';
-        }
-    }
-
-    addChordToBuffer(chord, detectionTime) {
-        // Add chord to buffer with timestamp
-        this.chordBuffer.push({
-            chord: chord,
-            detectionTime: detectionTime,
-            playTime: detectionTime + 2000 // 2-second delay
-        });
-        
-        // Limit buffer size
-        if (this.chordBuffer.length > this.maxBufferSize) {
-            this.chordBuffer.shift();
-        }
-        
-        console.log(`Chord buffer: added ${chord.name} at ${detectionTime}, will play at ${detectionTime + 2000}`);
-    }
-
-    updateDisplayWithDelayedChord(currentTime) {
-        // Find the chord that should be playing now (after 2-second delay)
-        const currentPlayTime = currentTime;
-        let chordToDisplay = null;
-        
-        // Look for chords that should be playing now
-        for (let i = this.chordBuffer.length - 1; i >= 0; i--) {
-            const chordData = this.chordBuffer[i];
-            
-            // If this chord's play time is in the past or very close to current time
-            if (chordData.playTime <= currentPlayTime + 100) { // 100ms tolerance
-                chordToDisplay = chordData.chord;
-                break;
-            }
-        }
-        
-        // Update display if we found a chord to show
-        if (chordToDisplay) {
-            this.currentChord.textContent = chordToDisplay.name;
-            this.confidence.textContent = `Confianza: ${Math.round(chordToDisplay.confidence * 100)}%`;
-            
-                // Update detected notes display with octaves
-                if (chordToDisplay.notes && chordToDisplay.notes.length > 0) {
-                    // Get the full notes array with octaves from the chord buffer
-                    const chordData = this.chordBuffer.find(data => data.chord === chordToDisplay);
-                    if (chordData && chordData.chord.fullNotes) {
-                        const notesWithOctaves = chordData.chord.fullNotes.map(n => `${n.note}${n.octave}`);
-                        this.detectedNotes.textContent = `Notas: ${notesWithOctaves.join(', ')}`;
-                    } else {
-                        this.detectedNotes.textContent = `Notas: ${chordToDisplay.notes.join(', ')}`;
-                    }
-                } else {
-                    this.detectedNotes.textContent = 'Notas: --';
-                }
-            
-            this.currentDisplayedChord = chordToDisplay;
-        } else if (this.currentDisplayedChord) {
-            // Keep displaying the current chord if no new chord found
-            this.currentChord.textContent = this.currentDisplayedChord.name;
-            this.confidence.textContent = `Confianza: ${Math.round(this.currentDisplayedChord.confidence * 100)}%`;
-            
-            if (this.currentDisplayedChord.notes && this.currentDisplayedChord.notes.length > 0) {
-                this.detectedNotes.textContent = `Notas: ${this.currentDisplayedChord.notes.join(', ')}`;
-            } else {
-                this.detectedNotes.textContent = 'Notas: --';
-            }
-        } else {
-            // No chord to display
-            this.currentChord.textContent = '--';
-            this.detectedNotes.textContent = 'Notas: --';
-            this.confidence.textContent = 'Confianza: 0%';
-        }
-    }
-
-    addChordVote(chordName, currentTime) {
-        // Add vote for this chord
-        if (!this.chordVotes.has(chordName)) {
-            this.chordVotes.set(chordName, []);
-        }
-        
-        const votes = this.chordVotes.get(chordName);
-        votes.push(currentTime);
-        
-        // Clean old votes (keep only votes from the voting window)
-        const cutoffTime = currentTime - this.votingWindow;
-        const recentVotes = votes.filter(time => time > cutoffTime);
-        this.chordVotes.set(chordName, recentVotes);
-    }
-
-    getStableChord(currentTime) {
-        let bestChord = null;
-        let bestVoteCount = 0;
-        let totalVotes = 0;
-        
-        // Count total votes in the voting window
-        for (const [chordName, votes] of this.chordVotes) {
-            const recentVotes = votes.filter(time => time > currentTime - this.votingWindow);
-            totalVotes += recentVotes.length;
-            
-            if (recentVotes.length > bestVoteCount) {
-                bestVoteCount = recentVotes.length;
-                bestChord = chordName;
-            }
-        }
-        
-        // Check if the best chord meets the threshold
-        if (bestChord && totalVotes > 0) {
-            const voteRatio = bestVoteCount / totalVotes;
-            if (voteRatio >= this.stableChordThreshold) {
-                return bestChord;
-            }
-        }
-        
-        return null;
-    }
-
-    playNotesAnnouncement(chord, detectionTime) {
-        if (!this.audioOutputEnabled) {
-            console.log(`playNotesAnnouncement: Audio output not enabled`);
-            return;
-        }
-
-        // Only announce if chord changed
-        if (this.lastAnnouncedChord === chord.name) {
-            console.log(`playNotesAnnouncement: Chord ${chord.name} same as last, skipping`);
-            return;
-        }
-
-        this.lastAnnouncedChord = chord.name;
-
-        // Calculate remaining delay time (2 seconds minus time already passed since detection)
-        const currentTime = performance.now();
-        const timeSinceDetection = currentTime - detectionTime;
-        const remainingDelay = Math.max(0, 2000 - timeSinceDetection); // Ensure at least 0ms delay
-        
-        console.log(`playNotesAnnouncement: Chord ${chord.name} detected at ${detectionTime}, current time ${currentTime}, time since detection ${timeSinceDetection}ms, scheduling in ${remainingDelay}ms`);
-
-        // Schedule the announcement using setTimeout for precise timing
-        setTimeout(() => {
-            if (!this.audioOutputEnabled) {
-                return;
-            }
-
-            // Mark chord as playing for red highlight
-            this.playingChords.set(chord.name, Date.now());
-            
-            // Auto-remove playing status after 0.5 seconds
-            setTimeout(() => {
-                this.playingChords.delete(chord.name);
-                this.updateTicker(); // Update ticker to remove red highlight
-            }, 500);
-
-            // Play the chord immediately (no additional delay)
-            console.log(`playNotesAnnouncement: Playing chord ${chord.name} NOW`);
-            
-            // Generate generic notes for the chord if they don't exist
-            const notesToPlay = chord.fullNotes || this.generateGenericChordNotes(chord.name);
-            this.playNotesSequentially(notesToPlay);
-            
-        }, remainingDelay);
-    }
-
-    playNotesSequentially(notes) {
-        if (!notes || notes.length === 0) {
-            console.log('playNotesSequentially: No notes to play');
-            return;
-        }
-
-        console.log(`playNotesSequentially: Playing chord with ${notes.length} notes:`, notes.map(n => `${n.note}${n.octave}`));
-
-        // Play the chord as a harmonious chord (all notes together)
-        const chordStartTime = this.audioContext.currentTime;
-        
-        // Play all notes simultaneously to create a rich chord sound
-        notes.forEach((note, index) => {
-            // Very slight delay for each note to create a richer sound (2-10ms spread)
-            const noteDelay = index * 0.002; // 2ms between note starts
-            const noteStartTime = chordStartTime + noteDelay;
-            
-            // Schedule the note with musical characteristics
-            this.scheduleSimpleChordNote(note.frequency, noteStartTime, 1.0); // 1 second duration for chord
-        });
-    }
-
-    scheduleMusicalChordNote(frequency, startTime, duration) {
-        // Create a new oscillator for each note with richer, more musical sound
-        const oscillator = this.audioContext.createOscillator();
-        const gainNode = this.audioContext.createGain();
-        
-        // Use sawtooth wave for richer harmonic content (sounds more like real instruments)
-        oscillator.type = 'sawtooth';
-        oscillator.frequency.setValueAtTime(frequency, startTime);
-        
-        // Add slight detuning for richer sound (3-5 cents) - more realistic
-        const detune = (Math.random() - 0.5) * 5; // ±2.5 cents
-        oscillator.detune.setValueAtTime(detune, startTime);
-        
-        // Create a more musical envelope with gentle attack and release
-        gainNode.gain.setValueAtTime(0, startTime);
-        gainNode.gain.linearRampToValueAtTime(0.2, startTime + 0.05); // Quick attack
-        gainNode.gain.exponentialRampToValueAtTime(0.15, startTime + 0.2); // Slight decay
-        gainNode.gain.setValueAtTime(0.15, startTime + duration - 0.3); // Sustain
-        gainNode.gain.exponentialRampToValueAtTime(0.001, startTime + duration - 0.1); // Gentle fade out
-        gainNode.gain.linearRampToValueAtTime(0, startTime + duration); // Complete silence
-        
-        // Connect nodes
-        oscillator.connect(gainNode);
-        gainNode.connect(this.audioContext.destination);
-        
-        // Start and stop the oscillator
-        oscillator.start(startTime);
-        oscillator.stop(startTime + duration);
-        
-        console.log(`Scheduled musical chord note: ${frequency.toFixed(1)}Hz at ${startTime.toFixed(2)}s`);
-    }
-
-    scheduleSimpleChordNote(frequency, startTime, duration) {
-        // Create a simple oscillator for each note
-        const oscillator = this.audioContext.createOscillator();
-        const gainNode = this.audioContext.createGain();
-        
-        // Use sine wave for clean sound
-        oscillator.type = 'sine';
-        oscillator.frequency.setValueAtTime(frequency, startTime);
-        
-        // Simple gain envelope
-        gainNode.gain.setValueAtTime(0, startTime);
-        gainNode.gain.linearRampToValueAtTime(0.3, startTime + 0.05); // Quick attack
-        gainNode.gain.setValueAtTime(0.3, startTime + duration - 0.1); // Sustain
-        gainNode.gain.exponentialRampToValueAtTime(0.001, startTime + duration - 0.05); // Fade out
-        gainNode.gain.linearRampToValueAtTime(0, startTime + duration); // Complete silence
-        
-        // Connect nodes
-        oscillator.connect(gainNode);
-        gainNode.connect(this.audioContext.destination);
-        
-        // Start and stop the oscillator
-        oscillator.start(startTime);
-        oscillator.stop(startTime + duration);
-        
-        console.log(`Scheduled simple chord note: ${frequency.toFixed(1)}Hz at ${startTime.toFixed(2)}s`);
-    }
-
-    scheduleChordNote(frequency, startTime, duration) {
-        // Create a new oscillator for each note with richer sound
-        const oscillator = this.audioContext.createOscillator();
-        const gainNode = this.audioContext.createGain();
-        
-        // Use triangle wave for softer, more musical sound
-        oscillator.type = 'triangle';
-        oscillator.frequency.setValueAtTime(frequency, startTime);
-        
-        // Add slight detuning for richer sound (1-2 cents)
-        const detune = (Math.random() - 0.5) * 2; // ±1 cent
-        oscillator.detune.setValueAtTime(detune, startTime);
-        
-        // Configure gain envelope for musical chord sound
-        gainNode.gain.setValueAtTime(0, startTime);
-        gainNode.gain.linearRampToValueAtTime(0.15, startTime + 0.1); // Gentle attack
-        gainNode.gain.setValueAtTime(0.15, startTime + duration - 0.2); // Sustain
-        gainNode.gain.exponentialRampToValueAtTime(0.001, startTime + duration - 0.05); // Gentle fade out
-        gainNode.gain.linearRampToValueAtTime(0, startTime + duration); // Complete silence
-        
-        // Connect nodes
-        oscillator.connect(gainNode);
-        gainNode.connect(this.audioContext.destination);
-        
-        // Start and stop the oscillator
-        oscillator.start(startTime);
-        oscillator.stop(startTime + duration);
-        
-        console.log(`Scheduled chord note: ${frequency.toFixed(1)}Hz at ${startTime.toFixed(2)}s`);
-    }
-
-    generateGenericChordNotes(chordName) {
-        // Generate generic notes for common chords (root, third, fifth)
-        const chordNotes = {
-            // Major chords
-            'C': ['C4', 'E4', 'G4'],
-            'C#': ['C#4', 'F4', 'G#4'],
-            'D': ['D4', 'F#4', 'A4'],
-            'D#': ['D#4', 'G4', 'A#4'],
-            'E': ['E4', 'G#4', 'B4'],
-            'F': ['F4', 'A4', 'C5'],
-            'F#': ['F#4', 'A#4', 'C#5'],
-            'G': ['G4', 'B4', 'D5'],
-            'G#': ['G#4', 'C5', 'D#5'],
-            'A': ['A4', 'C#5', 'E5'],
-            'A#': ['A#4', 'D5', 'F5'],
-            'B': ['B4', 'D#5', 'F#5'],
-            
-            // Minor chords
-            'Cm': ['C4', 'Eb4', 'G4'],
-            'C#m': ['C#4', 'E4', 'G#4'],
-            'Dm': ['D4', 'F4', 'A4'],
-            'D#m': ['D#4', 'F#4', 'A#4'],
-            'Em': ['E4', 'G4', 'B4'],
-            'Fm': ['F4', 'Ab4', 'C5'],
-            'F#m': ['F#4', 'A4', 'C#5'],
-            'Gm': ['G4', 'Bb4', 'D5'],
-            'G#m': ['G#4', 'B4', 'D#5'],
-            'Am': ['A4', 'C5', 'E5'],
-            'A#m': ['A#4', 'C#5', 'F5'],
-            'Bm': ['B4', 'D5', 'F#5']
-        };
-
-        const notes = chordNotes[chordName] || ['C4', 'E4', 'G4']; // Default to C major
-        
-        // Convert note strings to frequency objects
-        return notes.map(noteString => {
-            const note = noteString.slice(0, -1); // Remove octave
-            const octave = parseInt(noteString.slice(-1));
-            const frequency = this.noteToFrequency(note, octave);
-            
-            return {
-                note: note,
-                octave: octave,
-                frequency: frequency
-            };
-        });
-    }
-
-    noteToFrequency(note, octave) {
-        // Standard note frequencies (A4 = 440Hz)
-        const noteFrequencies = {
-            'C': 261.63, 'C#': 277.18, 'D': 293.66, 'D#': 311.13,
-            'E': 329.63, 'F': 349.23, 'F#': 369.99, 'G': 392.00,
-            'G#': 415.30, 'A': 440.00, 'A#': 466.16, 'B': 493.88
-        };
-        
-        const baseFrequency = noteFrequencies[note] || 440;
-        const octaveDifference = octave - 4;
-        return baseFrequency * Math.pow(2, octaveDifference);
-    }
-
-    playChordAnnouncement(chordName, detectionTime) {
-        if (!this.audioOutputEnabled || !this.announcementOscillator || !this.announcementGain) {
-            console.log(`playChordAnnouncement: Not ready - enabled: ${this.audioOutputEnabled}, osc: ${!!this.announcementOscillator}, gain: ${!!this.announcementGain}`);
-            return;
-        }
-
-        // Only announce if chord changed
-        if (this.lastAnnouncedChord === chordName) {
-            console.log(`playChordAnnouncement: Chord ${chordName} same as last, skipping`);
-            return;
-        }
-
-        this.lastAnnouncedChord = chordName;
-
-        // Calculate remaining delay time (1 second minus time already passed since detection)
-        const currentTime = performance.now();
-        const timeSinceDetection = currentTime - detectionTime;
-        const remainingDelay = Math.max(0, 2000 - timeSinceDetection); // Ensure at least 0ms delay
-        
-        console.log(`playChordAnnouncement: Chord ${chordName}, scheduling announcement in ${remainingDelay}ms`);
-
-        // Schedule the announcement using setTimeout for precise timing
-        setTimeout(() => {
-            if (!this.audioOutputEnabled || !this.announcementOscillator || !this.announcementGain) {
-                return;
-            }
-
-            // Mark chord as playing for red highlight
-            this.playingChords.set(chordName, Date.now());
-            
-            // Auto-remove playing status after 0.5 seconds
-            setTimeout(() => {
-                this.playingChords.delete(chordName);
-                this.updateTicker(); // Update ticker to remove red highlight
-            }, 500);
-
-            // Map chord to frequency for announcement tone - use root note frequency
-            const noteFrequencies = {
-                // Major chords - root note frequencies
-                'C': 261.63, 'C#': 277.18, 'D': 293.66, 'D#': 311.13,
-                'E': 329.63, 'F': 349.23, 'F#': 369.99, 'G': 392.00,
-                'G#': 415.30, 'A': 440.00, 'A#': 466.16, 'B': 493.88,
-                
-                // Minor chords - same root note frequencies as major
-                'Cm': 261.63, 'C#m': 277.18, 'Dm': 293.66, 'D#m': 311.13,
-                'Em': 329.63, 'Fm': 349.23, 'F#m': 369.99, 'Gm': 392.00,
-                'G#m': 415.30, 'Am': 440.00, 'A#m': 466.16, 'Bm': 493.88,
-                
-                // Extended chords - use root note frequencies
-                'C7': 261.63, 'C#7': 277.18, 'D7': 293.66, 'D#7': 311.13,
-                'E7': 329.63, 'F7': 349.23, 'F#7': 369.99, 'G7': 392.00,
-                'G#7': 415.30, 'A7': 440.00, 'A#7': 466.16, 'B7': 493.88,
-                'Cm7': 261.63, 'C#m7': 277.18, 'Dm7': 293.66, 'D#m7': 311.13,
-                'Em7': 329.63, 'Fm7': 349.23, 'F#m7': 369.99, 'Gm7': 392.00,
-                'G#m7': 415.30, 'Am7': 440.00, 'A#m7': 466.16, 'Bm7': 493.88,
-                'Cmaj7': 261.63, 'C#maj7': 277.18, 'Dmaj7': 293.66, 'D#maj7': 311.13,
-                'Emaj7': 329.63, 'Fmaj7': 349.23, 'F#maj7': 369.99, 'Gmaj7': 392.00,
-                'G#maj7': 415.30, 'Amaj7': 440.00, 'A#maj7': 466.16, 'Bmaj7': 493.88
-            };
-
-            const frequency = noteFrequencies[chordName] || 440;
-            
-            // Set oscillator type and frequency
-            this.announcementOscillator.type = 'sine';
-            this.announcementOscillator.frequency.setValueAtTime(frequency, this.audioContext.currentTime);
-            
-            // Create a short beep sound (0.3 seconds) with clean fade-out
-            const now = this.audioContext.currentTime;
-            this.announcementGain.gain.cancelScheduledValues(now); // Cancel any previous schedules
-            this.announcementGain.gain.setValueAtTime(0.5, now); // Start at 50% volume
-            this.announcementGain.gain.exponentialRampToValueAtTime(0.001, now + 0.25); // Fade out over 0.25 seconds
-            this.announcementGain.gain.linearRampToValueAtTime(0, now + 0.3); // Ensure complete silence at 0.3 seconds
-            
-            console.log(`playChordAnnouncement: Playing chord ${chordName} at frequency ${frequency}Hz`);
-        }, remainingDelay);
-    }
-}
-
-
-// VST Plugin Management Methods
-ChordDetector.prototype.setupVSTEventListeners = function() {
-    if (window.electronAPI) {
-        window.electronAPI.onVSTStatus((message) => {
-            console.log('VST Status:', message);
-            this.status.textContent = `VST: ${message}`;
-            this.status.className = 'status info';
-        });
-
-        window.electronAPI.onVSTError((message) => {
-            console.error('VST Error:', message);
-            this.status.textContent = `VST Error: ${message}`;
-            this.status.className = 'status error';
-        });
-
-        window.electronAPI.onVSTPluginsScanned((plugins) => {
-            this.populateVSTPluginList(plugins);
-        });
-    }
-};
-
-ChordDetector.prototype.scanVSTPlugins = async function() {
-    if (!window.electronAPI) {
-        this.status.textContent = 'VST functionality not available';
-        this.status.className = 'status error';
-        return;
-    }
-
-    this.status.textContent = 'Escaneando plugins VST...';
-    this.status.className = 'status info';
-
-    try {
-        const plugins = await window.electronAPI.scanVSTPlugins();
-        this.populateVSTPluginList(plugins);
-        
-        if (plugins.length > 0) {
-            this.status.textContent = `Encontrados ${plugins.length} plugins VST`;
-            this.status.className = 'status info';
-        } else {
-            this.status.textContent = 'No se encontraron plugins VST';
-            this.status.className = 'status';
-        }
-    } catch (error) {
-        this.status.textContent = `Error al escanear plugins VST: ${error.message}`;
-        this.status.className = 'status error';
-    }
-};
-
-ChordDetector.prototype.populateVSTPluginList = function(plugins) {
-    this.vstPlugin.innerHTML = '<option value="">Selecciona un plugin VST...</option>';
-    
-    plugins.forEach(plugin => {
-        const option = document.createElement('option');
-        option.value = plugin.path;
-        option.textContent = `${plugin.name} (${plugin.type})`;
-        this.vstPlugin.appendChild(option);
-    });
-};
-
-ChordDetector.prototype.onVSTPluginChange = async function() {
-    const pluginPath = this.vstPlugin.value;
-    
-    if (!pluginPath) {
-        // Hide GUI button when no plugin selected
-        this.showVSTGUIBtn.classList.add('hidden');
-        this.showVSTGUIBtn.disabled = true;
-        return;
-    }
-
-    try {
-        const pluginName = pluginPath.split(/[\\/]/).pop();
-        this.status.textContent = `Cargando plugin VST: ${pluginName}`;
-        this.status.className = 'status info';
-        
-        // Disable GUI button while loading
-        this.showVSTGUIBtn.classList.add('hidden');
-        this.showVSTGUIBtn.disabled = true;
-
-        const success = await window.electronAPI.loadVSTPlugin(pluginPath);
-        
-        if (success) {
-            this.status.textContent = `Plugin VST cargado: ${pluginName}`;
-            this.status.className = 'status info';
-            
-            // Enable and show GUI button when plugin is loaded
-            this.showVSTGUIBtn.classList.remove('hidden');
-            this.showVSTGUIBtn.disabled = false;
-            
-            // If already running, restart with VST
-            if (this.isRunning) {
-                this.stopDetection();
-                setTimeout(() => this.startDetection(), 500);
-            }
-        } else {
-            this.status.textContent = 'Error al cargar el plugin VST';
-            this.status.className = 'status error';
-            this.showVSTGUIBtn.classList.add('hidden');
-            this.showVSTGUIBtn.disabled = true;
-        }
-    } catch (error) {
-        this.status.textContent = `Error al cargar plugin VST: ${error.message}`;
-        this.status.className = 'status error';
-        this.showVSTGUIBtn.classList.add('hidden');
-        this.showVSTGUIBtn.disabled = true;
-    }
-};
-
-ChordDetector.prototype.showVSTPluginGUI = async function() {
-    if (!window.electronAPI) {
-        this.status.textContent = 'VST functionality not available';
-        this.status.className = 'status error';
-        return;
-    }
-
-    try {
-        // First check if a plugin is actually loaded
-        const isLoaded = await window.electronAPI.isVSTPluginLoaded();
-        if (!isLoaded) {
-            this.status.textContent = 'No hay ningún plugin VST cargado';
-            this.status.className = 'status error';
-            return;
-        }
-
-        this.status.textContent = 'Abriendo interfaz del plugin VST...';
-        this.status.className = 'status info';
-
-        const success = await window.electronAPI.showVSTPluginGUI();
-        
-        if (success) {
-            this.status.textContent = 'Interfaz VST abierta (modo simulación)';
-            this.status.className = 'status info';
-        } else {
-            this.status.textContent = 'No se pudo abrir la interfaz VST';
-            this.status.className = 'status error';
-        }
-    } catch (error) {
-        this.status.textContent = `Error al abrir interfaz VST: ${error.message}`;
-        this.status.className = 'status error';
-    }
-};
-
-ChordDetector.prototype.startVSTProcessing = async function() {
-    const pluginPath = this.vstPlugin.value;
-    
-    if (!pluginPath) {
-        return false;
-    }
-
-    try {
-        const success = await window.electronAPI.startVSTProcessing(pluginPath, 44100, 1024);
-        return success;
-    } catch (error) {
-        console.error('Error starting VST processing:', error);
-        return false;
-    }
-};
-
-ChordDetector.prototype.stopVSTProcessing = async function() {
-    try {
-        await window.electronAPI.stopVSTProcessing();
-    } catch (error) {
-        console.error('Error stopping VST processing:', error);
-    }
-};
-
-// Override startDetection to include VST support
-ChordDetector.prototype.startDetection = async function() {
-    const deviceId = this.audioInput.value;
-    const vstPluginPath = this.vstPlugin.value;
-    
-    // If VST plugin is selected, use VST processing
-    if (vstPluginPath) {
-        const vstSuccess = await this.startVSTProcessing();
-        if (vstSuccess) {
-            this.status.textContent = 'Procesando audio desde plugin VST...';
-            this.status.className = 'status info';
-            // In VST mode, we don't use audioContext/analyser
-            this.audioContext = null;
-            this.analyser = null;
-            this.isRunning = true;
-            this.startBtn.classList.add('hidden');
-            this.stopBtn.classList.remove('hidden');
-            this.processAudio();
-            return;
-        }
-    }
-    
-    // Fall back to regular audio device detection
-    if (!deviceId) {
-        this.status.textContent = 'Por favor selecciona un dispositivo de audio o plugin VST';
-        this.status.className = 'status error';
-        return;
-    }
-
-    try {
-        this.status.textContent = 'Iniciando captura de audio...';
-        this.status.className = 'status info';
-
-        const constraints = {
-            audio: {
-                deviceId: deviceId ? { exact: deviceId } : undefined,
-                echoCancellation: false,
-                noiseSuppression: false,
-                autoGainControl: false
-            }
-        };
-
-        this.stream = await navigator.mediaDevices.getUserMedia(constraints);
-        
-        this.audioContext = new (window.AudioContext || window.webkitAudioContext)();
-        
-        // Configure AudioContext to be more resilient to suspension
-        this.audioContext.onstatechange = () => {
-            // Check if audioContext still exists (might be null in VST mode)
-            if (!this.audioContext) return;
-            
-            console.log(`AudioContext state changed: ${this.audioContext.state}`);
-            if (this.audioContext.state === 'suspended' && this.isRunning) {
-                console.log('AudioContext suspended while running - attempting to resume');
-                setTimeout(() => {
-                    if (this.audioContext && this.audioContext.state === 'suspended') {
-                        this.audioContext.resume().catch(err => {
-                            console.warn('Failed to resume AudioContext:', err);
-                        });
-                    }
-                }, 100);
-            }
-        };
-        
-        this.analyser = this.audioContext.createAnalyser();
-        
-        this.source = this.audioContext.createMediaStreamSource(this.stream);
-        this.source.connect(this.analyser);
-        
-        this.analyser.fftSize = 2048;
-        this.analyser.smoothingTimeConstant = 0.8;
-        
-        this.isRunning = true;
-        this.startBtn.classList.add('hidden');
-        this.stopBtn.classList.remove('hidden');
-        this.status.textContent = 'Detección activa. Tocando música...';
-        this.status.className = 'status info';
-        
-        // If audio output was previously enabled, re-enable it
-        if (this.audioOutputEnabled) {
-            setTimeout(() => {
-                this.enableAudioOutput();
-            }, 500);
-        }
-        
-        this.processAudio();
-        
-    } catch (error) {
-        console.error('Error starting audio capture:', error);
-        this.status.textContent = 'Error al iniciar la captura de audio: ' + error.message;
-        this.status.className = 'status error';
-    }
-};
-
-// Override stopDetection to include VST cleanup
-ChordDetector.prototype.stopDetection = function() {
-    this.isRunning = false;
-    
-    if (this.animationId) {
-        cancelAnimationFrame(this.animationId);
-        this.animationId = null;
-    }
-    
-    // Clean up VST processing
-    this.stopVSTProcessing();
-    
-    // Clean up audio output resources
-    this.disableAudioOutput();
-    
-    if (this.stream) {
-        this.stream.getTracks().forEach(track => track.stop());
-        this.stream = null;
-    }
-    
-    if (this.audioContext) {
-        this.audioContext.close();
-        this.audioContext = null;
-    }
-    
-    this.startBtn.classList.remove('hidden');
-    this.stopBtn.classList.add('hidden');
-    this.currentChord.textContent = '--';
-    this.confidence.textContent = 'Confianza: 0%';
-    this.bpmDisplay.textContent = 'BPM: --';
-    this.ticker.innerHTML = '';
-    this.tickerItems = [];
-    this.lastChord = null;
-    this.lastAnnouncedChord = null;
-    this.status.textContent = 'Detección detenida';
-    this.status.className = 'status';
-};
-
-// Initialize the chord detector when the page loads
-document.addEventListener('DOMContentLoaded', () => {
-    new ChordDetector();
-});
+// Window controller; the engines it drives (ChordDetector and the rest)
+// are the shared detector modules
+class ChordDetectorApp {
+    constructor() {
+        this.audioContext = null;
+        this.analysisPipeline = null; // AudioWorklet capture, one frame per hop
+        this.latestTimeData = null; // Last analysed frame, for the waveform
+        this.source = null;
+        this.stream = null;
+        this.isRunning = false;
+        this.animationId = null;
+        
+        // Chord stabilization variables
+        this.lastChordDetectionTime = 0;
+        this.lastSampleTime = 0; // last frame analysed without an onset
+        this.tickerInterval = 100; // Time per empty ticker step (ms)
+        this.lastTickerTime = 0;
+        this.chordDecoder = new ChordSequenceDecoder(); // HMM smoothing of frame decisions
+        this.multiChordVotes = new Map(); // Track multiple chords by frequency range
+        this.currentStableChord = null;
+        this.currentMultiChords = []; // Array for multiple chords
+        this.lastStableChordTime = 0;
+        this.multiChordMode = true; // Always enabled for multi-chord detection
+        
+        // Ticker variables
+        this.lastChord = null;
+        this.tickerItems = [];
+        this.maxTickerItems = 15;
+        this.chordTimestamps = new Map(); // Track when chords were detected
+        this.lastDetectionTime = 0; // Track when chord was detected
+        this.playingChords = new Map(); // Track chords currently playing (red highlight)
+        
+        // Chord buffer for 2-second delay synchronization
+        this.chordBuffer = [];
+        this.maxBufferSize = 10;
+        this.currentDisplayedChord = null;
+        this.currentDisplayedAnalysis = null;
+        
+        // Audio output with delay and announcements
+        this.audioOutputEnabled = false;
+        this.delayBuffer = null;
+        this.delayTime = 2.0; // 2 second delay
+        this.lastAnnouncedChord = null;
+        this.announcementOscillator = null;
+        this.announcementGain = null;
+        this.delayNode = null;
+        this.delayGain = null;
+        
+        // Improved detection variables
+        this.onsetThreshold = 0.1;
+        this.noiseFloor = 0.01;
+        this.frameHistory = [];
+        this.maxFrameHistory = 8;
+        this.adaptiveThreshold = 0.02;
+        
+        // Adaptive onset detection, tuned per kind of instrument
+        // ('default' | 'pad' | 'guitar', saved between sessions)
+        this.onsetPreset = localStorage.getItem('onsetPreset') || 'default';
+        this.onsetDetector = new OnsetDetector({ preset: this.onsetPreset });
+        
+        // Room noise of the input device ('off' | 'gate' | 'subtract'): live
+        // frames are cleaned against its calibrated profile before detection
+        this.noiseProfile = new NoiseProfile({ mode: localStorage.getItem('noiseReduction') || 'gate' });
+        this.noiseProfileSavedAt = null;
+        this.noiseCalibrationDeviceId = null; // Input the running calibration records
+        
+        // Chord templates used to name detected note sets
+        this.chordDictionary = new ChordDictionary();
+        this.noteSpeller = this.chordDictionary.noteSpeller;
+        
+        // Key used to spell note and chord names (null = neutral spelling)
+        this.key = null;
+        
+        // Key estimation from the spectrum history (drives spelling when confident)
+        this.keyDetector = new KeyDetector({ noteSpeller: this.noteSpeller });
+        this.autoKey = true;
+        this.minKeyConfidence = 0.6;
+        
+        // Reference pitch (saved between sessions) plus automatic tuning offset
+        this.tuning = new TuningEstimator({
+            referencePitch: Number(localStorage.getItem('referencePitch')) || 440
+        });
+        
+        // Spectral front end for peak picking: 'linear' FFT bins or the
+        // semitone 'log' filterbank (uses a larger FFT for the low notes)
+        this.logSpectrum = new LogFrequencySpectrum();
+        this.spectrumSource = localStorage.getItem('spectrumSource') === 'log' ? 'log' : 'linear';
+        
+        // Offline analysis of audio files into a full chord timeline
+        this.offlineAnalyzer = null;
+        this.offlineEngine = null; // Selected engine, fresh for each file
+        this.chordTimeline = null;
+        this.isAnalyzingFile = false;
+        
+        // Every stable chord of the live session, kept after stop for export
+        this.sessionTimeline = null;
+        this.lastTimeline = null;
+        
+        // Standard MIDI File export of timelines; tempo comes from the beat
+        // tracker when it has one (null falls back to the writer's 120 BPM)
+        this.midiWriter = new MidiWriter();
+        this.bpm = null;
+        
+        // Tempo and beat times (ms, frame clock) of the live input, from the
+        // onsets of the detector above
+        this.beatTracker = new BeatTracker({
+            onsetDetector: this.onsetDetector,
+            onBeat: time => this.onBeat(time),
+            onPulseLost: () => this.resetBeatGrid(),
+            onOnset: (time, strength) => this.meterDetector.addOnset(time, strength)
+        });
+        
+        // Time signature and downbeats, from the onsets, beats and chords
+        this.meterDetector = new MeterDetector({ onMeter: result => this.onMeter(result) });
+        this.meter = null;
+        
+        // While there is a pulse, chords are pooled and decided per beat or
+        // per half-bar ('beat' | 'half-bar', saved between sessions)
+        this.chordGridUnit = localStorage.getItem('chordGridUnit') || 'beat';
+        this.beatSynchronizer = new BeatSynchronizer({ unit: this.chordGridUnit });
+        
+        // ChordPro charts: export of timelines and import of a song's
+        // expected progression, followed as chords are detected
+        this.chordPro = new ChordPro({ chordDictionary: this.chordDictionary });
+        this.musicXmlWriter = new MusicXmlWriter({ chordDictionary: this.chordDictionary });
+        this.expectedProgression = null;
+        this.expectedPosition = -1; // Index of the last matched chord
+        this.progressionLookahead = 3;
+        
+        // Roman numeral / Nashville number analysis once a key is known
+        this.harmonicAnalyzer = new HarmonicAnalyzer({ chordDictionary: this.chordDictionary });
+        this.chordNotations = ['letter', 'roman', 'nashville'];
+        this.chordNotation = 'letter';
+        
+        // Chord detection engines behind one contract; the selected engine
+        // (saved between sessions) can be switched while detecting
+        this.detectorRegistry = this.createDetectorRegistry();
+        this.detectorEngineId = localStorage.getItem('detectorEngine') || 'harmonic';
+        this.detectorEngine = null;
+        
+        // Per-engine weights of the ensemble ({ harmonic: 1, ... }; 0 = off)
+        this.ensembleWeights = this.loadEnsembleWeights();
+        
+        // Run the selected engine in the main process's analysis service
+        // instead of this window; frames beyond the limit wait their turn
+        this.backendAnalysis = localStorage.getItem('backendAnalysis') === 'true';
+        this.backendFramesInFlight = 0;
+        this.maxBackendFramesInFlight = 4;
+        this.backendSkippedFrames = 0; // in the current stall
+        
+        this.initializeElements();
+        this.loadAudioDevices();
+        this.setupEventListeners();
+        this.setupVisibilityHandlers();
+    }
+
+    restoreLastDevice() {
+        const lastInputDeviceId = localStorage.getItem('lastAudioInputDevice');
+        const lastOutputDeviceId = localStorage.getItem('lastAudioOutputDevice');
+        
+        if (lastInputDeviceId) {
+            setTimeout(() => {
+                this.audioInput.value = lastInputDeviceId;
+                if (lastInputDeviceId) {
+                    this.startDetection();
+                }
+            }, 100);
+        }
+        
+        if (lastOutputDeviceId) {
+            setTimeout(() => {
+                this.audioOutput.value = lastOutputDeviceId;
+                if (lastOutputDeviceId && this.isRunning) {
+                    this.enableAudioOutput();
+                }
+            }, 150);
+        }
+    }
+
+    initializeElements() {
+        this.audioInput = document.getElementById('audioInput');
+        this.audioOutput = document.getElementById('audioOutput');
+        this.vstPlugin = document.getElementById('vstPlugin');
+        this.scanVSTBtn = document.getElementById('scanVSTBtn');
+        this.showVSTGUIBtn = document.getElementById('showVSTGUIBtn');
+        this.startBtn = document.getElementById('startBtn');
+        this.stopBtn = document.getElementById('stopBtn');
+        this.currentChord = document.getElementById('currentChord');
+        this.detectedNotes = document.getElementById('detectedNotes');
+        this.confidence = document.getElementById('confidence');
+        this.bpmDisplay = document.getElementById('bpmDisplay');
+        this.keyDisplay = document.getElementById('keyDisplay');
+        this.tuningDisplay = document.getElementById('tuningDisplay');
+        this.referencePitchInput = document.getElementById('referencePitch');
+        this.autoTuneCheckbox = document.getElementById('autoTune');
+        this.ticker = document.getElementById('ticker');
+        this.status = document.getElementById('status');
+        this.canvas = document.getElementById('waveformCanvas');
+        this.canvasContext = this.canvas.getContext('2d');
+        this.enableAudioOutputBtn = document.getElementById('enableAudioOutput');
+        this.disableAudioOutputBtn = document.getElementById('disableAudioOutput');
+        this.multiChordBtn = document.getElementById('multiChordBtn');
+        this.announcementBtn = document.getElementById('announcementBtn');
+        this.notationBtn = document.getElementById('notationBtn');
+        this.spectrumBtn = document.getElementById('spectrumBtn');
+        this.detectorSelect = document.getElementById('detectorEngine');
+        this.backendAnalysisCheckbox = document.getElementById('backendAnalysis');
+        this.chordGridSelect = document.getElementById('chordGridUnit');
+        this.onsetPresetSelect = document.getElementById('onsetPreset');
+        this.noiseReductionSelect = document.getElementById('noiseReduction');
+        this.calibrateNoiseBtn = document.getElementById('calibrateNoiseBtn');
+        this.noiseProfileStatus = document.getElementById('noiseProfileStatus');
+        this.ensembleControl = document.getElementById('ensembleControl');
+        this.ensembleWeightInputs = document.getElementById('ensembleWeights');
+        this.audioFileInput = document.getElementById('audioFileInput');
+        this.analyzeFileBtn = document.getElementById('analyzeFileBtn');
+        this.timelineContainer = document.getElementById('timelineContainer');
+        this.timelineSummary = document.getElementById('timelineSummary');
+        this.timeline = document.getElementById('chordTimeline');
+        this.exportFormat = document.getElementById('exportFormat');
+        this.exportBtn = document.getElementById('exportBtn');
+        this.importChordProBtn = document.getElementById('importChordProBtn');
+        this.chordProFileInput = document.getElementById('chordProFileInput');
+        this.progressionContainer = document.getElementById('progressionContainer');
+        this.progressionSummary = document.getElementById('progressionSummary');
+        this.progression = document.getElementById('expectedProgression');
+        
+        // Set canvas dimensions
+        this.canvas.width = this.canvas.offsetWidth;
+        this.canvas.height = this.canvas.offsetHeight;
+        
+        // Fill the engine selector and create the saved engine
+        this.backendAnalysisCheckbox.checked = this.backendAnalysis;
+        this.backendAnalysisCheckbox.disabled = !window.electronAPI;
+        this.populateDetectorSelect();
+        this.populateEnsembleWeights();
+        this.chordGridSelect.value = this.chordGridUnit;
+        this.onsetPresetSelect.value = this.onsetPreset;
+        this.noiseReductionSelect.value = this.noiseProfile.mode;
+        this.setDetectorEngine(this.detectorEngineId);
+        
+        // Initialize multi-chord button state
+        this.updateMultiChordButton();
+        this.updateNotationButton();
+        this.updateSpectrumButton();
+        
+        // Initialize tuning controls from the saved reference pitch
+        this.referencePitchInput.value = this.tuning.referencePitch;
+        this.autoTuneCheckbox.checked = this.tuning.autoTune;
+        this.updateTuningDisplay();
+    }
+
+    async loadAudioDevices() {
+        try {
+            await navigator.mediaDevices.getUserMedia({ audio: true });
+            const devices = await navigator.mediaDevices.enumerateDevices();
+            const audioInputDevices = devices.filter(device => device.kind === 'audioinput');
+            const audioOutputDevices = devices.filter(device => device.kind === 'audiooutput');
+            
+            // Load input devices
+            audioInputDevices.forEach(device => {
+                const option = document.createElement('option');
+                option.value = device.deviceId;
+                option.textContent = device.label || `Dispositivo de entrada ${audioInputDevices.indexOf(device) + 1}`;
+                this.audioInput.appendChild(option);
+            });
+            
+            // Load output devices
+            audioOutputDevices.forEach(device => {
+                const option = document.createElement('option');
+                option.value = device.deviceId;
+                option.textContent = device.label || `Dispositivo de salida ${audioOutputDevices.indexOf(device) + 1}`;
+                this.audioOutput.appendChild(option);
+            });
+            
+            if (audioInputDevices.length > 0) {
+                this.status.textContent = 'Dispositivos de audio cargados. Selecciona uno para iniciar la detección automática';
+                // Restore last device after devices are loaded
+                this.restoreLastDevice();
+            } else {
+                this.status.textContent = 'No se encontraron dispositivos de audio. Verifica que tengas un micrófono conectado.';
+                this.status.className = 'status error';
+            }
+        } catch (error) {
+            console.error('Error loading audio devices:', error);
+            this.status.textContent = 'Error al cargar dispositivos de audio: ' + error.message;
+            this.status.className = 'status error';
+        }
+    }
+
+    setupEventListeners() {
+        this.startBtn.addEventListener('click', () => this.startDetection());
+        this.stopBtn.addEventListener('click', () => this.stopDetection());
+        this.audioInput.addEventListener('change', () => this.onDeviceChange());
+        this.audioOutput.addEventListener('change', () => this.onDeviceChange());
+        this.vstPlugin.addEventListener('change', () => this.onVSTPluginChange());
+        this.scanVSTBtn.addEventListener('click', () => this.scanVSTPlugins());
+        this.showVSTGUIBtn.addEventListener('click', () => this.showVSTPluginGUI());
+        this.enableAudioOutputBtn.addEventListener('click', () => this.enableAudioOutput());
+        this.disableAudioOutputBtn.addEventListener('click', () => this.disableAudioOutput());
+        this.multiChordBtn.addEventListener('click', () => this.toggleMultiChordMode());
+        this.announcementBtn.addEventListener('click', () => this.toggleAnnouncements());
+        this.notationBtn.addEventListener('click', () => this.toggleChordNotation());
+        this.spectrumBtn.addEventListener('click', () => this.toggleSpectrumSource());
+        this.detectorSelect.addEventListener('change', () => this.selectDetectorEngine(this.detectorSelect.value));
+        this.backendAnalysisCheckbox.addEventListener('change', () => this.setBackendAnalysis(this.backendAnalysisCheckbox.checked));
+        this.chordGridSelect.addEventListener('change', () => this.setChordGridUnit(this.chordGridSelect.value));
+        this.onsetPresetSelect.addEventListener('change', () => this.setOnsetPreset(this.onsetPresetSelect.value));
+        this.noiseReductionSelect.addEventListener('change', () => this.setNoiseReduction(this.noiseReductionSelect.value));
+        this.calibrateNoiseBtn.addEventListener('click', () => this.startNoiseCalibration());
+        if (window.electronAPI) {
+            window.electronAPI.onBackendAnalysisError(message => this.onBackendAnalysisError(message));
+            window.electronAPI.onChordPlayerError(message => this.onChordPlayerError(message));
+        }
+        this.ticker.addEventListener('click', event => {
+            const item = event.target.closest('[data-chord]');
+            if (item) {
+                this.previewChord(item.dataset.chord);
+            }
+        });
+        this.analyzeFileBtn.addEventListener('click', () => this.audioFileInput.click());
+        this.exportBtn.addEventListener('click', () => this.exportTimeline(this.exportFormat.value));
+        this.audioFileInput.addEventListener('change', () => {
+            const file = this.audioFileInput.files[0];
+            if (file) {
+                this.analyzeFile(file);
+            }
+            this.audioFileInput.value = '';
+        });
+        this.importChordProBtn.addEventListener('click', () => this.chordProFileInput.click());
+        this.chordProFileInput.addEventListener('change', () => {
+            const file = this.chordProFileInput.files[0];
+            if (file) {
+                this.importChordPro(file);
+            }
+            this.chordProFileInput.value = '';
+        });
+        this.referencePitchInput.addEventListener('change', () => this.setReferencePitch(this.referencePitchInput.value));
+        this.autoTuneCheckbox.addEventListener('change', () => this.setAutoTune(this.autoTuneCheckbox.checked));
+
+        // Setup VST event listeners
+        this.setupVSTEventListeners();
+    }
+
+    setupVisibilityHandlers() {
+        // Handle page visibility changes to prevent AudioContext suspension
+        document.addEventListener('visibilitychange', () => {
+            if (document.hidden) {
+                this.handlePageHidden();
+            } else {
+                this.handlePageVisible();
+            }
+        });
+
+        // Handle window focus/blur events
+        window.addEventListener('blur', () => {
+            this.handlePageHidden();
+        });
+
+        window.addEventListener('focus', () => {
+            this.handlePageVisible();
+        });
+    }
+
+    async handlePageHidden() {
+        // When page loses focus, we don't need to do anything special
+        // The AudioContext will automatically suspend, but we'll resume it when needed
+    }
+
+    async handlePageVisible() {
+        // When page becomes visible again, resume AudioContext if it was suspended
+        if (this.audioContext && this.audioContext.state === 'suspended') {
+            try {
+                await this.audioContext.resume();
+                
+                // If audio output was enabled, restart it
+                if (this.audioOutputEnabled) {
+                    setTimeout(() => {
+                        this.enableAudioOutput();
+                    }, 100);
+                }
+            } catch (error) {
+                // Silently handle error
+            }
+        }
+    }
+
+    onDeviceChange() {
+        const inputDeviceId = this.audioInput.value;
+        const outputDeviceId = this.audioOutput.value;
+        
+        // Save the selected devices
+        if (inputDeviceId) {
+            localStorage.setItem('lastAudioInputDevice', inputDeviceId);
+        }
+        if (outputDeviceId) {
+            localStorage.setItem('lastAudioOutputDevice', outputDeviceId);
+        }
+        
+        // Determine which device triggered the change
+        const eventTarget = event ? event.target : null;
+        const isOutputChange = eventTarget && eventTarget.id === 'audioOutput';
+        
+        // Handle input device change (only if input was changed)
+        if (!isOutputChange && inputDeviceId && this.isRunning) {
+            // If already running and input device changed, restart with new device
+            this.stopDetection();
+            setTimeout(() => this.startDetection(), 100);
+        } else if (!isOutputChange && inputDeviceId && !this.isRunning) {
+            // If not running and input device selected, start automatically
+            this.startDetection();
+        }
+        
+        // Handle output device change - SIMPLIFIED LOGIC
+        if (outputDeviceId && this.isRunning) {
+            // If running and output device selected, enable/restart output
+            if (this.audioOutputEnabled) {
+                // If already enabled, update output device
+                this.updateOutputDevice();
+            } else {
+                // If not enabled, enable it
+                this.enableAudioOutput();
+            }
+        } else if (!outputDeviceId && this.audioOutputEnabled) {
+            // If output device deselected while enabled, disable
+            this.disableAudioOutput();
+        }
+    }
+
+    async startDetection() {
+        const deviceId = this.audioInput.value;
+        
+        if (!deviceId) {
+            this.status.textContent = 'Por favor selecciona un dispositivo de audio';
+            this.status.className = 'status error';
+            return;
+        }
+        this.loadNoiseProfile(deviceId);
+
+        try {
+            this.status.textContent = 'Iniciando captura de audio...';
+            this.status.className = 'status info';
+
+            const constraints = {
+                audio: {
+                    deviceId: deviceId ? { exact: deviceId } : undefined,
+                    echoCancellation: false,
+                    noiseSuppression: false,
+                    autoGainControl: false
+                }
+            };
+
+            this.stream = await navigator.mediaDevices.getUserMedia(constraints);
+            
+            this.audioContext = new (window.AudioContext || window.webkitAudioContext)();
+            
+            // Configure AudioContext to be more resilient to suspension
+            this.audioContext.onstatechange = () => {
+                console.log(`AudioContext state changed: ${this.audioContext.state}`);
+                if (this.audioContext.state === 'suspended' && this.isRunning) {
+                    console.log('AudioContext suspended while running - attempting to resume');
+                    setTimeout(() => {
+                        if (this.audioContext && this.audioContext.state === 'suspended') {
+                            this.audioContext.resume().catch(err => {
+                                console.warn('Failed to resume AudioContext:', err);
+                            });
+                        }
+                    }, 100);
+                }
+            };
+            
+            this.source = this.audioContext.createMediaStreamSource(this.stream);
+            
+            // Contiguous capture: the worklet hands over every sample once and
+            // each hop is analysed as it arrives, visible window or not
+            this.analysisPipeline = new AnalysisPipeline({
+                fftSize: this.getAnalyserFftSize(),
+                onFrame: frame => this.analyzeFrame(frame)
+            });
+            await this.analysisPipeline.start(this.audioContext, this.source);
+            this.configureBackendAnalysis(); // now with the capture's sample rate
+            
+            this.isRunning = true;
+            this.startBtn.classList.add('hidden');
+            this.stopBtn.classList.remove('hidden');
+            this.status.textContent = 'Detección activa. Tocando música...';
+            this.status.className = 'status info';
+            
+            // If audio output was previously enabled, re-enable it
+            if (this.audioOutputEnabled) {
+                setTimeout(() => {
+                    this.enableAudioOutput();
+                }, 500);
+            }
+            
+            this.startSessionTimeline();
+            this.processAudio();
+            
+        } catch (error) {
+            console.error('Error starting audio capture:', error);
+            this.status.textContent = 'Error al iniciar la captura de audio: ' + error.message;
+            this.status.className = 'status error';
+        }
+    }
+
+    stopDetection() {
+        this.isRunning = false;
+        
+        if (this.animationId) {
+            cancelAnimationFrame(this.animationId);
+            this.animationId = null;
+        }
+        
+        // Clean up audio output resources
+        this.disableAudioOutput();
+        
+        if (this.analysisPipeline) {
+            this.analysisPipeline.stop();
+            this.analysisPipeline = null;
+        }
+        this.latestTimeData = null;
+        this.noiseProfile.cancelCalibration();
+        this.calibrateNoiseBtn.disabled = false;
+        
+        if (this.stream) {
+            this.stream.getTracks().forEach(track => track.stop());
+            this.stream = null;
+        }
+        
+        if (this.audioContext) {
+            this.audioContext.close();
+            this.audioContext = null;
+        }
+        
+        this.startBtn.classList.remove('hidden');
+        this.stopBtn.classList.add('hidden');
+        this.currentChord.textContent = '--';
+        this.confidence.textContent = 'Confianza: 0%';
+        this.bpmDisplay.textContent = 'BPM: --';
+        this.finishSessionTimeline();
+        this.beatTracker.reset();
+        this.bpm = null;
+        this.lastSampleTime = 0;
+        this.resetBeatGrid();
+        this.keyDetector.reset();
+        if (this.autoKey) {
+            this.key = null;
+        }
+        this.updateKeyDisplay(null);
+        this.tuning.reset();
+        this.updateTuningDisplay();
+        if (this.detectorEngine.reset) {
+            this.detectorEngine.reset();
+        }
+        this.ticker.innerHTML = '';
+        this.tickerItems = [];
+        this.lastChord = null;
+        this.currentStableChord = null;
+        this.chordDecoder.reset();
+        this.lastAnnouncedChord = null;
+        this.status.textContent = 'Detección detenida';
+        this.status.className = 'status';
+    }
+
+    toggleMultiChordMode() {
+        this.multiChordMode = !this.multiChordMode;
+        this.updateMultiChordButton();
+        
+        if (this.multiChordMode) {
+            this.status.textContent = 'Modo multi-acorde activado. Analizando graves, medios y agudos por separado.';
+            this.status.className = 'status info';
+        } else {
+            this.status.textContent = 'Modo multi-acorde desactivado. Usando detección estándar.';
+            this.status.className = 'status';
+        }
+        
+        // Clear chord buffers when switching modes
+        this.chordDecoder.reset();
+        this.multiChordVotes.clear();
+        this.currentStableChord = null;
+        this.currentMultiChords = [];
+        this.chordBuffer = [];
+        if (this.detectorEngine.setMultiChordMode) {
+            this.detectorEngine.setMultiChordMode(this.multiChordMode);
+        }
+        this.configureBackendAnalysis();
+    }
+
+    toggleSpectrumSource() {
+        this.spectrumSource = this.spectrumSource === 'log' ? 'linear' : 'log';
+        localStorage.setItem('spectrumSource', this.spectrumSource);
+        this.updateSpectrumButton();
+        
+        this.setFftSize(this.getAnalyserFftSize());
+        if (this.detectorEngine.setSpectrumSource) {
+            this.detectorEngine.setSpectrumSource(this.spectrumSource);
+        }
+        this.configureBackendAnalysis();
+        
+        // Onset detection and band history were built from the old spectrum
+        this.onsetDetector.reset();
+        if (this.detectorEngine.reset) {
+            this.detectorEngine.reset();
+        }
+        
+        if (this.spectrumSource === 'log') {
+            this.status.textContent = 'Espectro logarítmico activado. Mejor resolución en graves, algo más de latencia.';
+            this.status.className = 'status info';
+        } else {
+            this.status.textContent = 'Espectro lineal activado.';
+            this.status.className = 'status';
+        }
+    }
+
+    updateSpectrumButton() {
+        if (this.spectrumSource === 'log') {
+            this.spectrumBtn.textContent = 'Espectro: Logarítmico';
+            this.spectrumBtn.classList.add('active');
+        } else {
+            this.spectrumBtn.textContent = 'Espectro: Lineal';
+            this.spectrumBtn.classList.remove('active');
+        }
+    }
+
+    getAnalyserFftSize() {
+        return this.spectrumSource === 'log' ? this.logSpectrum.recommendedFftSize : 2048;
+    }
+
+    // AudioManager interface for the detector engines (they size the FFT
+    // for their spectrum source)
+    setFftSize(fftSize) {
+        if (this.analysisPipeline) {
+            this.analysisPipeline.setFftSize(fftSize);
+        }
+    }
+
+    // Engines share the tuning reference and spectrum source; 'harmonic' is
+    // the peak picker module (multi-chord mode, bass tracking). Engines
+    // marked smoothed decode their own frame guesses, so their chords skip
+    // this window's decoder; timeDomain engines read the time-domain
+    // window, which the noise profile leaves as it is
+    createDetectorRegistry() {
+        return new DetectorRegistry({ chordDictionary: this.chordDictionary })
+            .register('harmonic', {
+                label: 'Picos armónicos',
+                create: host => new ChordDetector(host),
+                holdBetweenAnalyses: true
+            })
+            .register('browser', {
+                label: 'Croma (plantillas)',
+                create: host => new BrowserChordDetector(host),
+                smoothed: true
+            })
+            .register('realtime', {
+                label: 'Meyda / Tonal',
+                create: host => new RealTimeChordDetector(host),
+                smoothed: true,
+                timeDomain: true,
+                isAvailable: () => typeof Meyda !== 'undefined' && typeof Tonal !== 'undefined'
+            })
+            .register('ensemble', {
+                label: 'Conjunto (votación ponderada)',
+                create: host => new EnsembleDetector(host, {
+                    registry: this.detectorRegistry,
+                    weights: this.ensembleWeights
+                }),
+                composite: true
+            });
+    }
+
+    loadEnsembleWeights() {
+        try {
+            const weights = JSON.parse(localStorage.getItem('ensembleWeights') || '{}');
+            return weights && typeof weights === 'object' ? weights : {};
+        } catch (error) {
+            console.warn('Ignoring saved ensemble weights:', error);
+            return {};
+        }
+    }
+
+    // One weight input per ensemble member
+    populateEnsembleWeights() {
+        this.ensembleWeightInputs.innerHTML = '';
+        this.detectorRegistry.list()
+            .filter(engine => engine.available && !this.detectorRegistry.get(engine.id).composite)
+            .forEach(engine => {
+                const label = document.createElement('label');
+                label.style.marginRight = '10px';
+                label.textContent = `${engine.label}: `;
+                
+                const input = document.createElement('input');
+                input.type = 'number';
+                input.min = '0';
+                input.max = '5';
+                input.step = '0.1';
+                input.value = this.ensembleWeights[engine.id] !== undefined ? this.ensembleWeights[engine.id] : 1;
+                input.addEventListener('change', () => this.setEnsembleWeight(engine.id, input));
+                
+                label.appendChild(input);
+                this.ensembleWeightInputs.appendChild(label);
+            });
+    }
+
+    setEnsembleWeight(id, input) {
+        const weight = Number(input.value);
+        if (!(weight >= 0 && weight <= 5)) {
+            input.value = this.ensembleWeights[id] !== undefined ? this.ensembleWeights[id] : 1;
+            this.status.textContent = 'El peso de cada motor debe estar entre 0 y 5';
+            this.status.className = 'status error';
+            return;
+        }
+        
+        this.ensembleWeights[id] = weight;
+        localStorage.setItem('ensembleWeights', JSON.stringify(this.ensembleWeights));
+        if (this.detectorEngine.setWeight) {
+            this.detectorEngine.setWeight(id, weight);
+        }
+        this.configureBackendAnalysis();
+    }
+
+    // Confidence line; ensemble results also name the engines that agreed
+    formatConfidence(chord) {
+        const text = `Confianza: ${Math.round(chord.confidence * 100)}%`;
+        if (!chord.agreement) return text;
+        
+        const labels = chord.agreement.map(id => this.detectorRegistry.get(id).label);
+        return `${text} · Coinciden: ${labels.join(', ')}`;
+    }
+
+    populateDetectorSelect() {
+        this.detectorSelect.innerHTML = '';
+        this.detectorRegistry.list().forEach(engine => {
+            const option = document.createElement('option');
+            option.value = engine.id;
+            option.textContent = engine.label;
+            option.disabled = !engine.available;
+            this.detectorSelect.appendChild(option);
+        });
+    }
+
+    // Create a fresh engine; unknown or unavailable ids fall back to 'harmonic'
+    setDetectorEngine(id) {
+        const engineId = this.detectorRegistry.isAvailable(id) ? id : 'harmonic';
+        
+        this.detectorEngineId = engineId;
+        this.detectorEngine = this.createDetectorEngine(engineId, this);
+        localStorage.setItem('detectorEngine', engineId);
+        
+        this.detectorSelect.value = engineId;
+        this.ensembleControl.classList.toggle('hidden', engineId !== 'ensemble');
+        this.updateMultiChordButton();
+        this.updateNoiseProfileStatus();
+        this.configureBackendAnalysis();
+    }
+
+    // Engine with the window's tuning reference, spectrum source and
+    // multi-chord mode; host is this window live, or a file's stand-in
+    createDetectorEngine(id, host) {
+        const engine = this.detectorRegistry.create(id, host);
+        
+        if (engine.setReferencePitch) {
+            engine.setReferencePitch(this.tuning.referencePitch);
+        }
+        if (engine.setSpectrumSource) {
+            engine.setSpectrumSource(this.spectrumSource);
+        }
+        if (engine.setMultiChordMode) {
+            engine.setMultiChordMode(this.multiChordMode);
+        }
+        return engine;
+    }
+
+    setBackendAnalysis(enabled) {
+        this.backendAnalysis = enabled && Boolean(window.electronAPI);
+        this.backendAnalysisCheckbox.checked = this.backendAnalysis;
+        localStorage.setItem('backendAnalysis', String(this.backendAnalysis));
+        
+        // Chords decoded so far came from the other side
+        this.chordDecoder.reset();
+        this.backendSkippedFrames = 0;
+        this.configureBackendAnalysis();
+    }
+
+    // Send the engine settings to the analysis service (starts a fresh engine)
+    configureBackendAnalysis() {
+        if (!this.backendAnalysis || !window.electronAPI) {
+            return;
+        }
+        
+        window.electronAPI.configureBackendAnalysis({
+            engine: this.detectorEngineId,
+            sampleRate: this.getLiveSampleRate() || 44100,
+            spectrumSource: this.spectrumSource,
+            referencePitch: this.tuning.referencePitch,
+            onsetPreset: this.onsetPreset,
+            multiChordMode: this.multiChordMode,
+            weights: this.ensembleWeights
+        }).catch(error => this.onBackendAnalysisError(error.message));
+    }
+
+    // While the service is behind, frames are dropped: the status line
+    // says so once per stall, and how many were lost once it catches up
+    onBackendFrameSkipped() {
+        if (this.backendSkippedFrames === 0) {
+            this.status.textContent = 'Análisis en segundo plano retrasado; se omiten fragmentos';
+            this.status.className = 'status error';
+        }
+        this.backendSkippedFrames++;
+    }
+    
+    onBackendCaughtUp() {
+        this.status.textContent = `Análisis en segundo plano al día (${this.backendSkippedFrames} fragmentos omitidos)`;
+        this.status.className = 'status info';
+        this.backendSkippedFrames = 0;
+    }
+    
+    // Fall back to analysing in this window
+    onBackendAnalysisError(message) {
+        console.error('Backend analysis error:', message);
+        if (!this.backendAnalysis) {
+            return;
+        }
+        
+        this.setBackendAnalysis(false);
+        this.status.textContent = 'El análisis en segundo plano falló; se analiza en la ventana';
+        this.status.className = 'status error';
+    }
+
+    selectDetectorEngine(id) {
+        this.setDetectorEngine(id);
+        
+        // Chords decoded from the previous engine's frames no longer apply
+        this.chordDecoder.reset();
+        this.currentStableChord = null;
+        this.chordBuffer = [];
+        
+        const label = this.detectorRegistry.get(this.detectorEngineId).label;
+        this.status.textContent = `Motor de detección: ${label}`;
+        this.status.className = 'status info';
+    }
+
+    // Cycle the chord labels between letter names, Roman numerals and Nashville numbers
+    toggleChordNotation() {
+        const index = this.chordNotations.indexOf(this.chordNotation);
+        this.chordNotation = this.chordNotations[(index + 1) % this.chordNotations.length];
+        this.updateNotationButton();
+        
+        if (this.chordNotation !== 'letter' && !this.key) {
+            this.status.textContent = 'La notación por grados se mostrará cuando se detecte la tonalidad.';
+            this.status.className = 'status info';
+        }
+        
+        this.updateDisplayWithDelayedChord(performance.now());
+        this.updateTicker();
+    }
+
+    updateNotationButton() {
+        const labels = {
+            letter: 'Notación: Letras',
+            roman: 'Notación: Romanos',
+            nashville: 'Notación: Nashville'
+        };
+        this.notationBtn.textContent = labels[this.chordNotation];
+        this.notationBtn.classList.toggle('active', this.chordNotation !== 'letter');
+    }
+
+    updateMultiChordButton() {
+        // Band splitting is part of the peak picker (alone or in the ensemble)
+        this.multiChordBtn.disabled = !['harmonic', 'ensemble'].includes(this.detectorEngineId);
+        
+        if (this.multiChordMode) {
+            this.multiChordBtn.textContent = 'Desactivar Multi-Acorde';
+            this.multiChordBtn.classList.add('active');
+        } else {
+            this.multiChordBtn.textContent = 'Activar Multi-Acorde';
+            this.multiChordBtn.classList.remove('active');
+        }
+    }
+
+    updateDisplayWithMultiChords(multiChord) {
+        if (!multiChord || !multiChord.isMultiChord) {
+            this.updateDisplayWithDelayedChord(performance.now());
+            return;
+        }
+
+        // Display multiple chords with their ranges and colors
+        const chordDisplay = multiChord.chords.map((chord, index) => {
+            const color = chord.color || '#4ecdc4';
+            const rangeName = this.getRangeDisplayName(chord.range);
+            return `<span style="color: ${color}">${chord.name} (${rangeName})</span>`;
+        }).join(' / ');
+
+        this.currentChord.innerHTML = chordDisplay;
+        this.confidence.textContent = this.formatConfidence(multiChord);
+        
+        // Show all detected notes from all chords
+        if (multiChord.notes && multiChord.notes.length > 0) {
+            this.detectedNotes.textContent = `Notas: ${multiChord.notes.join(', ')}`;
+        } else {
+            this.detectedNotes.textContent = 'Notas: --';
+        }
+    }
+
+    getRangeDisplayName(range) {
+        const rangeNames = {
+            'bass': 'Graves',
+            'mid': 'Medios',
+            'treble': 'Agudos'
+        };
+        return rangeNames[range] || range;
+    }
+
+    toggleAnnouncements() {
+        if (this.audioOutputEnabled) {
+            console.log('toggleAnnouncements: Disabling audio output');
+            this.disableAudioOutput();
+            this.announcementBtn.textContent = 'Activar Anuncios de Audio';
+            this.announcementBtn.classList.remove('active');
+            this.status.textContent = 'Anuncios de audio desactivados';
+            this.status.className = 'status';
+        } else {
+            console.log('toggleAnnouncements: Enabling audio output');
+            this.enableAudioOutput();
+            this.announcementBtn.textContent = 'Desactivar Anuncios de Audio';
+            this.announcementBtn.classList.add('active');
+            this.status.textContent = 'Anuncios de audio activados con 2 segundos de retraso';
+            this.status.className = 'status info';
+        }
+    }
+
+    // Display loop: detection runs per hop in analyzeFrame, so this only
+    // redraws and may slow down or pause while the window is hidden
+    processAudio() {
+        if (!this.isRunning) return;
+
+        // In VST mode, we don't have audioContext/analysis pipeline
+        if (this.audioContext && this.analysisPipeline) {
+            // Regular audio device mode
+            // Check if AudioContext is suspended and try to resume it
+            if (this.audioContext.state === 'suspended') {
+                console.log('processAudio: AudioContext is suspended, attempting to resume');
+                this.audioContext.resume().then(() => {
+                    console.log('processAudio: AudioContext resumed successfully');
+                }).catch(err => {
+                    console.warn('processAudio: Failed to resume AudioContext:', err);
+                });
+            }
+
+            // Draw waveform visualization (latest 1024 samples of the frame)
+            if (this.latestTimeData) {
+                this.drawWaveform(this.latestTimeData.subarray(-1024));
+            }
+
+            // Always update display with delayed chord (continuous display update)
+            const currentTime = performance.now();
+            this.updateDisplayWithDelayedChord(currentTime);
+
+            // Update ticker colors based on timing
+            this.updateTicker();
+        } else {
+            // VST mode - simulate processing without audio data
+            const currentTime = performance.now();
+            
+            // In VST mode, we need to get audio data from the VST bridge
+            // For now, we'll just update the display and ticker
+            this.updateDisplayWithDelayedChord(currentTime);
+            this.updateTicker();
+            
+            // Add empty space to ticker to keep it moving
+            this.addToTicker(null);
+        }
+        
+        this.animationId = requestAnimationFrame(() => this.processAudio());
+    }
+
+    // Chord detection with stabilization for one hop of captured audio;
+    // time is the end of the hop on the performance.now() clock
+    analyzeFrame({ timeData, frequencyData, time: currentTime }) {
+        if (!this.isRunning) return;
+        
+        this.latestTimeData = timeData;
+        
+        // Calibration frames are the room's silence, not music
+        if (this.noiseProfile.isCalibrating()) {
+            const calibrated = this.noiseProfile.addFrame(frequencyData, currentTime);
+            if (!this.noiseProfile.isCalibrating()) {
+                this.finishNoiseCalibration(calibrated);
+            }
+            return;
+        }
+        frequencyData = this.noiseProfile.apply(frequencyData);
+        
+        this.updateBeat(frequencyData, currentTime, timeData);
+        if (this.backendAnalysis) {
+            this.analyzeFrameInBackend(timeData, frequencyData, currentTime);
+            return;
+        }
+        
+        this.handleFrameChord(this.detectChord(timeData, frequencyData, currentTime), currentTime);
+    }
+
+    // Same frame through the analysis service; answers arrive in order
+    async analyzeFrameInBackend(timeData, frequencyData, currentTime) {
+        const sampleRate = this.getLiveSampleRate();
+        if (!sampleRate) {
+            return;
+        }
+        
+        // Tuning and key displays still follow the spectrum here
+        this.updateTuning(frequencyData, sampleRate);
+        this.updateKey(frequencyData, sampleRate, currentTime);
+        
+        if (this.backendFramesInFlight >= this.maxBackendFramesInFlight) {
+            this.onBackendFrameSkipped();
+            return;
+        }
+        if (this.backendSkippedFrames > 0) {
+            this.onBackendCaughtUp();
+        }
+        
+        this.backendFramesInFlight++;
+        try {
+            const frameChord = await window.electronAPI.processAudioInBackend(timeData, frequencyData, currentTime);
+            if (this.isRunning && this.backendAnalysis) {
+                this.handleFrameChord(frameChord, currentTime);
+            }
+        } catch (error) {
+            this.onBackendAnalysisError(error.message);
+        } finally {
+            this.backendFramesInFlight--;
+        }
+    }
+
+    // Decode one frame result into stable chords for the display, ticker,
+    // session timeline and announcements
+    handleFrameChord(frameChord, currentTime) {
+        // Weak frames count as "no chord" evidence for the decoder
+        const observation = frameChord && frameChord.confidence > 0.5 ? frameChord : null;
+        
+        // With a pulse the frame only joins its beat; beat slots are decoded
+        // as they close
+        if (this.bpm !== null) {
+            this.meterDetector.addFrame(observation, currentTime);
+            this.beatSynchronizer.addFrame(observation, currentTime).forEach(slot => this.handleBeatSlot(slot));
+            return;
+        }
+        
+        // Most probable chord given everything heard so far
+        const decoded = this.decodeObservation(observation, currentTime);
+        const stableChord = decoded ? decoded.name : null;
+        const chord = decoded ? decoded.chord || frameChord : null;
+        
+        // Keep the whole session's progression for export
+        if (this.sessionTimeline) {
+            this.sessionTimeline.update(chord ? { ...chord, name: stableChord } : null, currentTime);
+        }
+        
+        if (stableChord && stableChord !== this.currentStableChord) {
+            // New stable chord detected
+            this.currentStableChord = stableChord;
+            this.lastStableChordTime = currentTime;
+            
+            // Store chord in buffer with timestamp for 2-second delay synchronization
+            this.addChordToBuffer(chord, currentTime);
+            
+            // Add to ticker only if chord changed
+            if (this.lastChord !== stableChord) {
+                this.addToTicker(stableChord, chord.bass);
+                this.lastTickerTime = currentTime;
+                this.followExpectedProgression(stableChord);
+                this.lastChord = stableChord;
+                this.lastDetectionTime = currentTime;
+                
+                // Play chord announcement if audio output is enabled
+                if (this.audioOutputEnabled) {
+                    this.playNotesAnnouncement(chord, currentTime);
+                }
+            } else {
+                this.addTickerSpace(currentTime);
+            }
+        } else {
+            // Same stable chord or no chord
+            this.addTickerSpace(currentTime);
+        }
+        
+        this.lastChordDetectionTime = currentTime;
+    }
+
+    // Frame or beat-slot chord through the sequence decoder, unless the
+    // engine already smoothed it (decoding twice lags every change)
+    decodeObservation(observation, time) {
+        if (!this.detectorRegistry.get(this.detectorEngineId).smoothed) {
+            return this.chordDecoder.update(observation, time);
+        }
+        return observation
+            ? { name: observation.name, chord: observation, confidence: observation.confidence }
+            : null;
+    }
+
+    // Decode a closed beat slot (see BeatSynchronizer) like a frame: the
+    // chord holds from the slot's first beat, and the ticker gets one step
+    // per beat with the chord on the first
+    handleBeatSlot(slot) {
+        const decoded = this.decodeObservation(slot.observation, slot.end);
+        const stableChord = decoded ? decoded.name : null;
+        const chord = decoded ? decoded.chord || { name: stableChord, confidence: decoded.confidence } : null;
+        
+        if (this.sessionTimeline) {
+            this.sessionTimeline.update(chord ? { ...chord, name: stableChord } : null, slot.start);
+        }
+        
+        let tickerChord = null;
+        if (stableChord && stableChord !== this.currentStableChord) {
+            this.currentStableChord = stableChord;
+            this.lastStableChordTime = slot.end;
+            this.addChordToBuffer(chord, slot.end);
+            
+            if (this.lastChord !== stableChord) {
+                tickerChord = stableChord;
+                this.followExpectedProgression(stableChord);
+                this.lastChord = stableChord;
+                this.lastDetectionTime = slot.end;
+                
+                if (this.audioOutputEnabled) {
+                    this.playNotesAnnouncement(chord, slot.end);
+                }
+            }
+        }
+        
+        for (let i = 0; i < slot.beats; i++) {
+            const beat = slot.beat + i;
+            this.addToTicker(i === 0 ? tickerChord : null, i === 0 && tickerChord ? chord.bass : null, {
+                downbeat: beat >= 0 && this.beatSynchronizer.beatInBar(beat) === 0,
+                bar: this.meter ? this.beatSynchronizer.barNumber(beat) : null
+            });
+        }
+        this.lastTickerTime = slot.end;
+        this.lastChordDetectionTime = slot.end;
+    }
+
+    onBeat(time) {
+        this.meterDetector.addBeat(time);
+        this.beatSynchronizer.addBeat(time);
+        if (this.sessionTimeline) {
+            this.sessionTimeline.addBeat(time);
+        }
+        this.pulseBPMDisplay();
+    }
+
+    // New time signature or downbeat: bars (and half-bars) regroup from the
+    // next slot on
+    onMeter(result) {
+        this.meter = result.meter;
+        this.beatSynchronizer.setMeter(result.beatsPerBar, result.downbeat);
+        if (this.sessionTimeline) {
+            this.sessionTimeline.setMeter(result.meter, result.downbeatTime);
+        }
+        this.updateBPMDisplay();
+    }
+
+    // Beats are counted afresh (no pulse, or a new session); the meter is
+    // found again from them
+    resetBeatGrid() {
+        this.beatSynchronizer.reset();
+        this.meterDetector.reset();
+        if (this.meter) {
+            this.meter = null;
+            this.beatSynchronizer.setMeter(4, 0);
+            this.updateBPMDisplay();
+        }
+    }
+
+    setChordGridUnit(unit) {
+        this.chordGridUnit = unit;
+        localStorage.setItem('chordGridUnit', unit);
+        this.beatSynchronizer.setUnit(unit);
+    }
+
+    // Empty ticker steps keep a fixed pace whatever the hop size
+    addTickerSpace(currentTime) {
+        if (currentTime - this.lastTickerTime >= this.tickerInterval) {
+            this.addToTicker(null);
+            this.lastTickerTime = currentTime;
+        }
+    }
+
+    // options.downbeat draws a bar line before the step, numbered with
+    // options.bar when the meter is known (beat-synchronous ticker)
+    addToTicker(chordName, bass = null, options = {}) {
+        const currentTime = Date.now();
+        const analysis = chordName ? this.analyzeChord(chordName) : null;
+        
+        // Add new item to ticker (note or empty space)
+        this.tickerItems.push({
+            chord: chordName,
+            bass: bass,
+            downbeat: Boolean(options.downbeat),
+            bar: options.bar !== undefined ? options.bar : null,
+            roman: analysis ? analysis.roman : null,
+            nashville: analysis ? analysis.nashville : null,
+            timestamp: new Date().toLocaleTimeString(),
+            detectionTime: currentTime
+        });
+        
+        // Store detection time for chord timing
+        if (chordName) {
+            this.chordTimestamps.set(chordName, currentTime);
+        }
+        
+        // Limit the number of items (keep the most recent ones)
+        if (this.tickerItems.length > this.maxTickerItems) {
+            this.tickerItems = this.tickerItems.slice(-this.maxTickerItems);
+        }
+        
+        // Update ticker display
+        this.updateTicker();
+    }
+
+    updateTicker() {
+        const currentTime = Date.now();
+        const tickerHTML = this.tickerItems.map(item => {
+            const barNumber = item.bar !== null ? `<span class="ticker-bar-number">${item.bar}</span>` : '';
+            const barLine = item.downbeat ? `<span class="ticker-bar"></span>${barNumber}` : '';
+            if (item.chord) {
+                // Check if chord has been playing for more than 1 second
+                const timeSinceDetection = currentTime - item.detectionTime;
+                const hasPlayed = timeSinceDetection > 2000; // 2 second delay
+                
+                // Check if chord is currently playing (red highlight for 0.5 seconds)
+                const isPlaying = this.playingChords.has(item.chord) &&
+                                 currentTime - this.playingChords.get(item.chord) < 500;
+                
+                let className;
+                if (isPlaying) {
+                    className = 'ticker-item playing';
+                } else if (hasPlayed) {
+                    className = 'ticker-item played';
+                } else {
+                    className = 'ticker-item upcoming';
+                }
+                
+                return `${barLine}<span class="${className}" data-chord="${item.chord}" title="Escuchar acorde">${this.formatChordLabel(item.chord, item)}</span>`;
+            } else {
+                return `${barLine}<span class="ticker-empty">•</span>`;
+            }
+        }).join('');
+        
+        this.ticker.innerHTML = tickerHTML;
+    }
+
+    updateBeat(frequencyData, currentTime, timeData = null) {
+        this.beatTracker.addSpectrum(frequencyData, currentTime, timeData);
+        this.bpm = this.beatTracker.getTempo();
+        this.updateBPMDisplay();
+    }
+
+    // Tracked tempo with its confidence; -- while there is no steady pulse
+    updateBPMDisplay() {
+        this.bpmDisplay.textContent = this.bpm !== null
+            ? `BPM: ${this.bpm} (${Math.round(this.beatTracker.confidence * 100)}%)` +
+                (this.meter ? ` · ${this.meter.beats}/${this.meter.beatType}` : '')
+            : 'BPM: --';
+    }
+
+    // Flash the tempo on every tracked beat
+    pulseBPMDisplay() {
+        this.bpmDisplay.classList.add('beat');
+        setTimeout(() => this.bpmDisplay.classList.remove('beat'), 100);
+    }
+
+    drawWaveform(dataArray) {
+        const canvas = this.canvas;
+        const ctx = this.canvasContext;
+        const width = canvas.width;
+        const height = canvas.height;
+
+        // Clear canvas
+        ctx.fillStyle = 'rgba(0, 0, 0, 0.3)';
+        ctx.fillRect(0, 0, width, height);
+
+        // In VST mode, we don't have audio data, so draw a placeholder
+        if (!dataArray || dataArray.length === 0) {
+            // Draw VST mode indicator
+            ctx.fillStyle = 'rgba(78, 205, 196, 0.5)';
+            ctx.font = '16px Arial';
+            ctx.textAlign = 'center';
+            ctx.fillText('VST Mode - Audio from Plugin', width / 2, height / 2);
+            return;
+        }
+
+        // Draw waveform with more amplitude
+        ctx.beginPath();
+        ctx.lineWidth = 3;
+        ctx.strokeStyle = '#4ecdc4';
+        
+        const sliceWidth = width / dataArray.length;
+        let x = 0;
+
+        for (let i = 0; i < dataArray.length; i++) {
+            const v = dataArray[i] * 18.0; // Reduced by 10% from 20.0
+            const y = (v * height / 2) + height / 2;
+
+            if (i === 0) {
+                ctx.moveTo(x, y);
+            } else {
+                ctx.lineTo(x, y);
+            }
+
+            x += sliceWidth;
+        }
+
+        ctx.stroke();
+
+        // Draw center line
+        ctx.beginPath();
+        ctx.strokeStyle = 'rgba(255, 255, 255, 0.5)';
+        ctx.lineWidth = 2;
+        ctx.moveTo(0, height / 2);
+        ctx.lineTo(width, height / 2);
+        ctx.stroke();
+    }
+
+    // One pipeline frame: time-domain window plus its byte spectrum
+    detectChord(audioData, frequencyData, currentTime = performance.now()) {
+        // No audio context in VST mode, so no sample rate to analyse with
+        const sampleRate = this.getLiveSampleRate();
+        if (!sampleRate) {
+            return null;
+        }
+        
+        // Track tuning and key over the recent spectrum history
+        this.updateTuning(frequencyData, sampleRate);
+        this.updateKey(frequencyData, sampleRate, currentTime);
+        
+        // Frame chord from the selected engine, in the common chord shape
+        const chord = this.detectorEngine.detectChord(audioData, frequencyData, currentTime);
+        return this.detectorRegistry.normalize(chord);
+    }
+
+    async analyzeFile(file) {
+        if (this.isAnalyzingFile) {
+            return;
+        }
+        
+        // Live capture and file analysis share the tuning and key state
+        if (this.isRunning) {
+            this.stopDetection();
+        }
+        
+        this.isAnalyzingFile = true;
+        this.analyzeFileBtn.disabled = true;
+        this.tuning.reset();
+        this.keyDetector.reset();
+        if (this.autoKey) {
+            this.key = null;
+        }
+        
+        // A fresh instance of the selected engine reads the file. Its host
+        // stands in for the live one: files decode at 44.1 kHz (see
+        // OfflineAnalyzer), the FFT is the one the engine asks for, and
+        // there is no onset / sampling gate
+        const offlineHost = {
+            audioContext: { sampleRate: 44100 },
+            fftSize: this.getAnalyserFftSize(),
+            setFftSize(fftSize) {
+                this.fftSize = fftSize;
+            },
+            detectOnset: () => false,
+            shouldSample: () => true
+        };
+        this.offlineEngine = this.createDetectorEngine(this.detectorEngineId, offlineHost);
+        
+        this.offlineAnalyzer = new OfflineAnalyzer({
+            fftSize: offlineHost.fftSize,
+            onsetPreset: this.onsetPreset,
+            unit: this.chordGridUnit
+        });
+        
+        try {
+            this.status.textContent = `Analizando ${file.name}...`;
+            this.status.className = 'status info';
+            
+            const result = await this.offlineAnalyzer.analyzeFile(
+                file,
+                (frequencyData, timeData, sampleRate, time) => this.detectOfflineFrame(frequencyData, timeData, sampleRate, time),
+                progress => {
+                    this.status.textContent = `Analizando ${file.name}... ${Math.round(progress * 100)}%`;
+                }
+            );
+            
+            this.chordTimeline = ChordTimeline.fromSegments(result.segments, {
+                source: 'file',
+                fileName: result.fileName,
+                duration: result.duration,
+                key: this.keyDetector.getKey(),
+                tempo: result.tempo,
+                meter: result.meter,
+                beats: result.beats,
+                downbeat: result.downbeat,
+                tuning: {
+                    referencePitch: this.tuning.referencePitch,
+                    offsetCents: Math.round(this.tuning.getOffsetCents())
+                },
+                chordDictionary: this.chordDictionary
+            });
+            this.lastTimeline = this.chordTimeline;
+            this.renderTimeline();
+            
+            const chordCount = result.segments.filter(segment => segment.name).length;
+            this.status.textContent = `Análisis completado: ${chordCount} acordes en ${this.formatTimelineTime(result.duration)}`;
+            this.status.className = 'status info';
+        } catch (error) {
+            console.error('Error analyzing audio file:', error);
+            this.status.textContent = 'Error al analizar el archivo: ' + error.message;
+            this.status.className = 'status error';
+        } finally {
+            this.isAnalyzingFile = false;
+            this.analyzeFileBtn.disabled = false;
+        }
+    }
+
+    startSessionTimeline() {
+        this.sessionTimeline = new ChordTimeline({ source: 'live', chordDictionary: this.chordDictionary });
+        this.sessionTimeline.start(performance.now());
+        
+        // Follow the loaded chart from its first chord again
+        this.expectedPosition = -1;
+        if (this.expectedProgression) {
+            this.renderExpectedProgression();
+        }
+    }
+
+    finishSessionTimeline() {
+        if (!this.sessionTimeline || this.sessionTimeline.startTime === null) {
+            return;
+        }
+        
+        this.sessionTimeline.key = this.keyDetector.getKey();
+        this.sessionTimeline.tuning = {
+            referencePitch: this.tuning.referencePitch,
+            offsetCents: Math.round(this.tuning.getOffsetCents())
+        };
+        this.sessionTimeline.tempo = this.bpm;
+        this.sessionTimeline.finish(performance.now());
+        
+        if (!this.sessionTimeline.isEmpty()) {
+            this.lastTimeline = this.sessionTimeline;
+        }
+    }
+
+    // Export the running session, or else the most recent session or file analysis
+    exportTimeline(format) {
+        let timeline = this.lastTimeline;
+        if (this.isRunning && this.sessionTimeline) {
+            timeline = this.sessionTimeline.snapshot(performance.now());
+            timeline.key = this.keyDetector.getKey();
+            timeline.tempo = this.bpm;
+        }
+        
+        if (!timeline || timeline.isEmpty()) {
+            this.status.textContent = 'No hay acordes para exportar. Inicia la detección o analiza un archivo.';
+            this.status.className = 'status error';
+            return;
+        }
+        
+        const baseName = timeline.fileName
+            ? timeline.fileName.replace(/\.[^.]+$/, '')
+            : `sesion-${timeline.createdAt.slice(0, 19).replace(/[:T]/g, '-')}`;
+        
+        let fileName;
+        if (format === 'midi-block' || format === 'midi-voiced') {
+            fileName = `${baseName}.mid`;
+            this.downloadFile(this.timelineToMidi(timeline, format.slice(5)), fileName, 'audio/midi');
+        } else if (format === 'chordpro') {
+            fileName = `${baseName}.cho`;
+            this.downloadFile(this.chordPro.export(timeline, { title: baseName }), fileName, 'text/plain');
+        } else if (format === 'musicxml') {
+            fileName = `${baseName}.musicxml`;
+            this.downloadFile(
+                this.musicXmlWriter.write(timeline, { title: baseName }),
+                fileName,
+                'application/vnd.recordare.musicxml+xml'
+            );
+        } else {
+            const mimeTypes = { lab: 'text/plain', json: 'application/json', csv: 'text/csv' };
+            fileName = `${baseName}.${format}`;
+            this.downloadFile(timeline.export(format), fileName, mimeTypes[format]);
+        }
+        
+        this.status.textContent = `Exportado ${fileName}`;
+        this.status.className = 'status info';
+    }
+
+    // Chord timeline as a one-track MIDI file, playing the same notes as the
+    // chord announcement; voicing is 'block' or 'voiced' (bass + voice leading)
+    timelineToMidi(timeline, voicing) {
+        this.midiWriter.voicing = voicing;
+        return this.midiWriter.write(
+            timeline.getGridSegments(),
+            chordName => this.generateGenericChordNotes(chordName),
+            {
+                tempo: timeline.tempo,
+                meter: timeline.meter,
+                trackName: timeline.fileName || 'Sesión de acordes'
+            }
+        );
+    }
+
+    downloadFile(content, fileName, mimeType) {
+        const blob = new Blob([content], { type: mimeType });
+        const url = URL.createObjectURL(blob);
+        
+        const link = document.createElement('a');
+        link.href = url;
+        link.download = fileName;
+        document.body.appendChild(link);
+        link.click();
+        document.body.removeChild(link);
+        
+        URL.revokeObjectURL(url);
+    }
+
+    // Frame detection for file analysis: the selected engine, as in live
+    // mode, on the file's own instance (see analyzeFile)
+    detectOfflineFrame(frequencyData, timeData, sampleRate, time) {
+        this.updateTuning(frequencyData, sampleRate);
+        this.updateKey(frequencyData, sampleRate, time);
+        
+        const chord = this.detectorRegistry.normalize(
+            this.offlineEngine.detectChord(timeData, frequencyData, time)
+        );
+        
+        // Weak frames count as "no chord" evidence, as in live decoding
+        return chord && chord.confidence > 0.5 ? chord : null;
+    }
+
+    renderTimeline() {
+        const timeline = this.chordTimeline;
+        if (!timeline) {
+            this.timelineContainer.classList.add('hidden');
+            return;
+        }
+        
+        const keyText = timeline.key
+            ? `${timeline.key.tonic} ${timeline.key.mode === 'minor' ? 'menor' : 'mayor'}`
+            : '--';
+        this.timelineSummary.textContent =
+            `${timeline.fileName} · ${this.formatTimelineTime(timeline.duration)} · Tonalidad: ${keyText}`;
+        
+        this.timeline.innerHTML = timeline.segments.map(segment => {
+            const label = segment.name ? this.spellChordName(segment.name) : 'N';
+            const confidence = segment.name ? ` (${Math.round(segment.confidence * 100)}%)` : '';
+            const className = segment.name ? 'timeline-item' : 'timeline-item no-chord';
+            return `<div class="${className}"><span class="timeline-time">${this.formatTimelineTime(segment.start)} – ${this.formatTimelineTime(segment.end)}</span> <span class="timeline-chord">${label}</span>${confidence}</div>`;
+        }).join('');
+        
+        this.timelineContainer.classList.remove('hidden');
+    }
+
+    // Load a ChordPro chart as the expected progression of the song
+    async importChordPro(file) {
+        try {
+            const chart = this.chordPro.parse(await file.text());
+            chart.title = chart.title || file.name.replace(/\.[^.]+$/, '');
+            
+            this.expectedProgression = chart;
+            this.expectedPosition = -1;
+            this.renderExpectedProgression();
+            
+            const skipped = chart.unknownChords.length > 0
+                ? ` (ignorados: ${chart.unknownChords.join(', ')})`
+                : '';
+            this.status.textContent = `Progresión cargada: ${chart.title}, ${chart.chords.length} acordes${skipped}`;
+            this.status.className = 'status info';
+        } catch (error) {
+            console.error('Error importing ChordPro file:', error);
+            this.status.textContent = `Error al importar ${file.name}: ${error.message}`;
+            this.status.className = 'status error';
+        }
+    }
+
+    // Advance through the expected progression when a detected chord matches
+    // one of the next few chords (skipped chords are passed over)
+    followExpectedProgression(chordName) {
+        if (!this.expectedProgression) return;
+        
+        const chords = this.expectedProgression.chords;
+        const last = Math.min(chords.length - 1, this.expectedPosition + this.progressionLookahead);
+        
+        for (let index = this.expectedPosition + 1; index <= last; index++) {
+            if (this.chordPro.chordsMatch(chords[index], chordName)) {
+                this.expectedPosition = index;
+                this.renderExpectedProgression();
+                return;
+            }
+        }
+    }
+
+    renderExpectedProgression() {
+        const chart = this.expectedProgression;
+        if (!chart) {
+            this.progressionContainer.classList.add('hidden');
+            return;
+        }
+        
+        const details = [chart.title];
+        if (chart.key) details.push(`Tonalidad: ${chart.key}`);
+        if (chart.tempo) details.push(`${chart.tempo} BPM`);
+        this.progressionSummary.textContent = details.join(' · ');
+        
+        this.progression.innerHTML = chart.chords.map((name, index) => {
+            let className = 'progression-chord';
+            if (index < this.expectedPosition) className += ' played';
+            if (index === this.expectedPosition) className += ' current';
+            if (index === this.expectedPosition + 1) className += ' next';
+            return `<span class="${className}">${this.formatChordLabel(name, this.analyzeChord(name))}</span>`;
+        }).join(' ');
+        
+        this.progressionContainer.classList.remove('hidden');
+    }
+
+    // Seconds -> "m:ss.s"
+    formatTimelineTime(seconds) {
+        const minutes = Math.floor(seconds / 60);
+        const rest = (seconds - minutes * 60).toFixed(1).padStart(4, '0');
+        return `${minutes}:${rest}`;
+    }
+
+    // Sample rate of the live audio context (null when not capturing)
+    getLiveSampleRate() {
+        return this.audioContext ? this.audioContext.sampleRate : null;
+    }
+
+    // Frames without an onset are analysed on the first frame of every
+    // tracked beat (at most 1.5 periods apart when a beat is missing),
+    // or every 500 ms while there is no pulse
+    shouldSample(currentTime) {
+        const beats = this.beatTracker.beats;
+        const lastBeat = beats.length > 0 ? beats[beats.length - 1] : null;
+        const interval = this.bpm !== null ? this.beatTracker.period * 1.5 : 500;
+        
+        const onBeat = this.bpm !== null && lastBeat !== null &&
+            lastBeat <= currentTime && lastBeat > this.lastSampleTime;
+        if (onBeat || currentTime - this.lastSampleTime > interval) {
+            this.lastSampleTime = currentTime;
+            return true;
+        }
+        return false;
+    }
+
+    // Engines call this as their host's onset detector (see AudioManager).
+    // The beat tracker has already run the frame through the detector
+    // (updateBeat), so this only tells whether it found an onset
+    detectOnset(frequencyData, currentTime = performance.now(), timeData = null) {
+        return this.onsetDetector.lastOnsetTime === currentTime;
+    }
+
+    setOnsetPreset(preset) {
+        this.onsetPreset = preset;
+        localStorage.setItem('onsetPreset', preset);
+        this.onsetDetector.setPreset(preset);
+        this.beatTracker.reset();
+        this.bpm = null;
+        this.resetBeatGrid();
+        this.updateBPMDisplay();
+        this.updateNoiseProfileStatus();
+        this.configureBackendAnalysis();
+    }
+    
+    // Noise profiles are saved per input device
+    noiseProfileKey(deviceId) {
+        return `noiseProfile:${deviceId}`;
+    }
+    
+    loadNoiseProfile(deviceId) {
+        let data = null;
+        try {
+            data = JSON.parse(localStorage.getItem(this.noiseProfileKey(deviceId)));
+        } catch (error) {
+            console.warn('Discarding unreadable noise profile:', error);
+        }
+        
+        this.noiseProfile.load(data);
+        this.noiseProfileSavedAt = this.noiseProfile.hasProfile() ? data.savedAt || null : null;
+        this.updateNoiseProfileStatus();
+    }
+    
+    // Record a few seconds of the room through the running input
+    startNoiseCalibration() {
+        if (!this.isRunning || !this.analysisPipeline) {
+            this.status.textContent = 'Inicia la detección con el dispositivo a calibrar';
+            this.status.className = 'status error';
+            return;
+        }
+        
+        // The profile belongs to the device it was recorded on, even if the
+        // selection changes before the recording is over
+        this.noiseCalibrationDeviceId = this.audioInput.value;
+        this.noiseProfile.startCalibration(performance.now());
+        this.calibrateNoiseBtn.disabled = true;
+        this.status.textContent = `Calibrando ruido: guarda silencio ${this.noiseProfile.calibrationDuration / 1000} s...`;
+        this.status.className = 'status info';
+    }
+    
+    finishNoiseCalibration(calibrated) {
+        this.calibrateNoiseBtn.disabled = false;
+        if (!calibrated) {
+            this.status.textContent = 'La calibración no recibió suficiente audio; inténtalo de nuevo';
+            this.status.className = 'status error';
+            return;
+        }
+        
+        this.noiseProfileSavedAt = Date.now();
+        localStorage.setItem(this.noiseProfileKey(this.noiseCalibrationDeviceId), JSON.stringify({
+            ...this.noiseProfile.toJSON(),
+            savedAt: this.noiseProfileSavedAt
+        }));
+        this.updateNoiseProfileStatus();
+        this.status.textContent = 'Perfil de ruido guardado para este dispositivo. Detección activa.';
+        this.status.className = 'status info';
+    }
+    
+    setNoiseReduction(mode) {
+        this.noiseProfile.setMode(mode);
+        localStorage.setItem('noiseReduction', this.noiseProfile.mode);
+        this.updateNoiseProfileStatus();
+    }
+    
+    updateNoiseProfileStatus() {
+        if (!this.noiseProfile.hasProfile()) {
+            this.noiseProfileStatus.textContent = 'Sin perfil de ruido para este dispositivo';
+        } else if (this.noiseProfile.mode === 'off') {
+            this.noiseProfileStatus.textContent = 'Perfil de ruido guardado, sin aplicar';
+        } else {
+            const date = this.noiseProfileSavedAt ? ` (${new Date(this.noiseProfileSavedAt).toLocaleString()})` : '';
+            const unfiltered = this.getUnfilteredByNoiseProfile();
+            const note = unfiltered.length > 0 ? ` · Sin filtrar: ${unfiltered.join(', ')}` : '';
+            this.noiseProfileStatus.textContent = `Perfil de ruido aplicado${date}${note}`;
+        }
+    }
+    
+    // The profile cleans the byte spectrum only; these read the
+    // time-domain window and hear the room as it is
+    getUnfilteredByNoiseProfile() {
+        const engineIds = this.detectorEngine.members
+            ? this.detectorEngine.members.map(member => member.id)
+            : [this.detectorEngineId];
+        const unfiltered = engineIds
+            .map(id => this.detectorRegistry.get(id))
+            .filter(engine => engine.timeDomain)
+            .map(engine => engine.label);
+        
+        if (this.onsetDetector.detectionFunction === 'complex') {
+            unfiltered.push('detección de inicios');
+        }
+        return unfiltered;
+    }
+    
+    async enableAudioOutput() {
+        if (!this.isRunning) {
+            console.log('enableAudioOutput: Not running, skipping');
+            return; // Silently return if not running
+        }
+
+        try {
+            console.log('enableAudioOutput: Starting...');
+            
+            // Get selected output device
+            const outputDeviceId = this.audioOutput.value;
+            if (!outputDeviceId) {
+                console.log('enableAudioOutput: No output device selected');
+                this.status.textContent = 'Selecciona un dispositivo de salida primero';
+                this.status.className = 'status error';
+                return;
+            }
+            
+            // Set output device using setSinkId
+            try {
+                await this.audioContext.setSinkId(outputDeviceId);
+                console.log('enableAudioOutput: Output device set to:', outputDeviceId);
+            } catch (error) {
+                console.warn('enableAudioOutput: setSinkId not supported, using default device:', error);
+            }
+            
+            // Create delay node for audio output with 1 second delay
+            this.delayNode = this.audioContext.createDelay();
+            this.delayNode.delayTime.setValueAtTime(this.delayTime, this.audioContext.currentTime);
+            
+            // Create gain node for delayed audio
+            this.delayGain = this.audioContext.createGain();
+            this.delayGain.gain.setValueAtTime(1.0, this.audioContext.currentTime);
+            
+            // Connect source -> delay -> gain -> destination
+            this.source.connect(this.delayNode);
+            this.delayNode.connect(this.delayGain);
+            this.delayGain.connect(this.audioContext.destination);
+            
+            console.log('enableAudioOutput: Audio delay chain created with 1 second delay');
+            
+            // Only create new oscillator if one doesn't exist
+            if (!this.announcementOscillator) {
+                console.log('enableAudioOutput: Creating new oscillator');
+                
+                // Create announcement oscillator and gain
+                this.announcementOscillator = this.audioContext.createOscillator();
+                this.announcementGain = this.audioContext.createGain();
+                
+                // Configure oscillator
+                this.announcementOscillator.type = 'sine';
+                this.announcementOscillator.frequency.setValueAtTime(this.tuning.midiToFrequency(69), this.audioContext.currentTime); // Default A4
+                
+                // Configure gain - start silent
+                this.announcementGain.gain.setValueAtTime(0, this.audioContext.currentTime);
+                
+                // Connect nodes
+                this.announcementOscillator.connect(this.announcementGain);
+                this.announcementGain.connect(this.audioContext.destination);
+                
+                // Start oscillator (it will be silent until we adjust gain)
+                this.announcementOscillator.start();
+                console.log('enableAudioOutput: Oscillator started');
+            } else {
+                console.log('enableAudioOutput: Using existing oscillator');
+            }
+            
+            this.audioOutputEnabled = true;
+            
+            // Hide manual buttons since it's now automatic
+            this.enableAudioOutputBtn.classList.add('hidden');
+            this.disableAudioOutputBtn.classList.add('hidden');
+            
+            console.log('enableAudioOutput: Successfully enabled');
+            this.status.textContent = 'Audio con retraso de 2 segundos activado. Los acordes se muestran antes de reproducirse.';
+            this.status.className = 'status info';
+            
+            // Test tone to verify audio is working
+            setTimeout(() => {
+                if (this.audioOutputEnabled) {
+                    console.log('enableAudioOutput: Testing audio with test tone');
+                    this.playTestTone();
+                }
+            }, 500);
+            
+        } catch (error) {
+            console.error('Error enabling audio output:', error);
+            this.status.textContent = 'Error al activar audio con retraso: ' + error.message;
+            this.status.className = 'status error';
+        }
+    }
+
+    playTestTone() {
+        if (!this.audioOutputEnabled || !this.announcementOscillator || !this.announcementGain) {
+            return;
+        }
+        
+        console.log('playTestTone: Playing test tone');
+        
+        const now = this.audioContext.currentTime;
+        this.announcementOscillator.frequency.setValueAtTime(this.tuning.midiToFrequency(69), now); // A4
+        this.announcementGain.gain.cancelScheduledValues(now);
+        this.announcementGain.gain.setValueAtTime(0.3, now);
+        this.announcementGain.gain.exponentialRampToValueAtTime(0.001, now + 0.4); // Fade out over 0.4 seconds
+        this.announcementGain.gain.linearRampToValueAtTime(0, now + 0.5); // Ensure complete silence at 0.5 seconds
+    }
+
+    async updateOutputDevice() {
+        if (!this.audioOutputEnabled || !this.audioContext) {
+            return;
+        }
+        
+        const outputDeviceId = this.audioOutput.value;
+        if (!outputDeviceId) {
+            return;
+        }
+        
+        try {
+            await this.audioContext.setSinkId(outputDeviceId);
+            console.log('updateOutputDevice: Output device updated to:', outputDeviceId);
+            
+            // Test tone to verify audio is working on new device
+            setTimeout(() => {
+                if (this.audioOutputEnabled) {
+                    console.log('updateOutputDevice: Testing audio with test tone');
+                    this.playTestTone();
+                }
+            }, 100);
+        } catch (error) {
+            console.warn('updateOutputDevice: setSinkId not supported:', error);
+        }
+    }
+
+    disableAudioOutput() {
+        if (this.audioOutputEnabled) {
+            console.log('disableAudioOutput: Disabling chord announcements only');
+            
+            // Solo silencia el oscilador de acordes, mantiene el audio original
+            if (this.announcementGain) {
+                this.announcementGain.gain.cancelScheduledValues(this.audioContext.currentTime);
+                this.announcementGain.gain.setValueAtTime(0, this.audioContext.currentTime);
+            }
+            
+            // NO desconectamos el delay chain para mantener el audio original
+            // El audio de entrada sigue reproduciéndose normalmente
+            
+            this.audioOutputEnabled = false;
+            this.lastAnnouncedChord = null;
+            
+            // Hide manual buttons since it's now automatic
+            this.enableAudioOutputBtn.classList.add('hidden');
+            this.disableAudioOutputBtn.classList.add('hidden');
+            
+            this.status.textContent = 'Anuncios de acordes desactivados - Audio original sigue reproduciéndose';
+            this.status.className = 'status';
+        }
+    }
+
+    addChordToBuffer(chord, detectionTime) {
+        const analysis = this.analyzeChord(chord.name);
+        
+        // Add chord to buffer with timestamp and its function in the current key
+        this.chordBuffer.push({
+            chord: chord,
+            roman: analysis ? analysis.roman : null,
+            nashville: analysis ? analysis.nashville : null,
+            detectionTime: detectionTime,
+            playTime: detectionTime + 2000 // 2-second delay
+        });
+        
+        // Limit buffer size
+        if (this.chordBuffer.length > this.maxBufferSize) {
+            this.chordBuffer.shift();
+        }
+        
+        console.log(`Chord buffer: added ${chord.name} at ${detectionTime}, will play at ${detectionTime + 2000}`);
+    }
+
+    updateDisplayWithDelayedChord(currentTime) {
+        // Find the chord that should be playing now (after 2-second delay)
+        const currentPlayTime = currentTime;
+        let chordToDisplay = null;
+        let displayAnalysis = null;
+        
+        // Look for chords that should be playing now
+        for (let i = this.chordBuffer.length - 1; i >= 0; i--) {
+            const chordData = this.chordBuffer[i];
+            
+            // If this chord's play time is in the past or very close to current time
+            if (chordData.playTime <= currentPlayTime + 100) { // 100ms tolerance
+                chordToDisplay = chordData.chord;
+                displayAnalysis = chordData;
+                break;
+            }
+        }
+        
+        // Update display if we found a chord to show
+        if (chordToDisplay) {
+            this.currentChord.textContent = this.formatChordLabel(chordToDisplay.name, displayAnalysis);
+            this.confidence.textContent = this.formatConfidence(chordToDisplay);
+            
+                // Update detected notes display with octaves
+                if (chordToDisplay.notes && chordToDisplay.notes.length > 0) {
+                    // Get the full notes array with octaves from the chord buffer
+                    const chordData = this.chordBuffer.find(data => data.chord === chordToDisplay);
+                    if (chordData && chordData.chord.fullNotes) {
+                        const notesWithOctaves = chordData.chord.fullNotes.map(n => `${n.note}${n.octave}`);
+                        this.detectedNotes.textContent = `Notas: ${this.spellNotes(notesWithOctaves).join(', ')}`;
+                    } else {
+                        this.detectedNotes.textContent = `Notas: ${this.spellNotes(chordToDisplay.notes).join(', ')}`;
+                    }
+                } else {
+                    this.detectedNotes.textContent = 'Notas: --';
+                }
+            
+            this.currentDisplayedChord = chordToDisplay;
+            this.currentDisplayedAnalysis = displayAnalysis;
+        } else if (this.currentDisplayedChord) {
+            // Keep displaying the current chord if no new chord found
+            this.currentChord.textContent = this.formatChordLabel(this.currentDisplayedChord.name, this.currentDisplayedAnalysis);
+            this.confidence.textContent = this.formatConfidence(this.currentDisplayedChord);
+            
+            if (this.currentDisplayedChord.notes && this.currentDisplayedChord.notes.length > 0) {
+                this.detectedNotes.textContent = `Notas: ${this.spellNotes(this.currentDisplayedChord.notes).join(', ')}`;
+            } else {
+                this.detectedNotes.textContent = 'Notas: --';
+            }
+        } else {
+            // No chord to display
+            this.currentChord.textContent = '--';
+            this.detectedNotes.textContent = 'Notas: --';
+            this.confidence.textContent = 'Confianza: 0%';
+        }
+    }
+
+    updateKey(frequencyData, sampleRate = this.audioContext.sampleRate, time = performance.now()) {
+        const estimate = this.keyDetector.addSpectrum(
+            frequencyData, sampleRate, time, this.tuning.getTuningFrequency()
+        );
+        
+        // Follow the estimated key for spelling unless one was set by hand
+        if (this.autoKey && estimate && estimate.confidence >= this.minKeyConfidence) {
+            this.key = estimate;
+        }
+        
+        this.updateKeyDisplay(estimate);
+    }
+
+    updateTuning(frequencyData, sampleRate = this.audioContext.sampleRate) {
+        const previousOffset = Math.round(this.tuning.getOffsetCents());
+        this.tuning.addSpectrum(frequencyData, sampleRate);
+        
+        if (Math.round(this.tuning.getOffsetCents()) !== previousOffset) {
+            this.updateTuningDisplay();
+        }
+    }
+
+    updateTuningDisplay() {
+        const cents = Math.round(this.tuning.getOffsetCents());
+        const sign = cents > 0 ? '+' : '';
+        this.tuningDisplay.textContent =
+            `Afinación: A4 = ${this.tuning.getTuningFrequency().toFixed(1)} Hz (${sign}${cents} cents)`;
+    }
+
+    // Nominal A4 in Hz (e.g. 432); the estimated offset is applied on top
+    setReferencePitch(frequency) {
+        const value = Number(frequency);
+        if (!(value >= 400 && value <= 480)) {
+            this.referencePitchInput.value = this.tuning.referencePitch;
+            this.status.textContent = 'La frecuencia de referencia debe estar entre 400 y 480 Hz';
+            this.status.className = 'status error';
+            return;
+        }
+        
+        this.tuning.setReferencePitch(value);
+        localStorage.setItem('referencePitch', String(value));
+        if (this.detectorEngine.setReferencePitch) {
+            this.detectorEngine.setReferencePitch(value);
+        }
+        this.configureBackendAnalysis();
+        this.updateTuningDisplay();
+    }
+
+    setAutoTune(enabled) {
+        this.tuning.setAutoTune(enabled);
+        this.updateTuningDisplay();
+    }
+
+    updateKeyDisplay(estimate) {
+        if (!estimate) {
+            this.keyDisplay.textContent = 'Tonalidad: --';
+            return;
+        }
+        
+        const modeName = estimate.mode === 'minor' ? 'menor' : 'mayor';
+        this.keyDisplay.textContent = `Tonalidad: ${estimate.tonic} ${modeName} (${Math.round(estimate.confidence * 100)}%)`;
+    }
+
+    // Current key estimate ({ tonic, mode, name, confidence }) or null
+    getKey() {
+        return this.keyDetector.getKey();
+    }
+
+    // Key used to spell note and chord names; null returns to automatic detection
+    setKey(key) {
+        this.key = key;
+        this.autoKey = !key;
+    }
+
+    // Respell note names ("A#4" -> "Bb4") for the current key
+    spellNotes(notes) {
+        return notes.map(note => this.noteSpeller.spellNote(note, this.key));
+    }
+
+    // Respell a chord name for the current key; multi-chord labels pass through
+    spellChordName(chordName) {
+        return this.chordDictionary.spellChordName(chordName, this.key);
+    }
+
+    // Roman numeral and Nashville number in the current key (null without a key)
+    analyzeChord(chordName) {
+        return this.harmonicAnalyzer.analyze(chordName, this.key);
+    }
+
+    // Label for the selected notation; falls back to the letter name when
+    // the chord was detected before a key was known
+    formatChordLabel(chordName, analysis) {
+        if (this.chordNotation === 'roman' && analysis && analysis.roman) {
+            return analysis.roman;
+        }
+        if (this.chordNotation === 'nashville' && analysis && analysis.nashville) {
+            return analysis.nashville;
+        }
+        return this.spellChordName(chordName);
+    }
+
+    playNotesAnnouncement(chord, detectionTime) {
+        if (!this.audioOutputEnabled) {
+            console.log(`playNotesAnnouncement: Audio output not enabled`);
+            return;
+        }
+
+        // Only announce if chord changed
+        if (this.lastAnnouncedChord === chord.name) {
+            console.log(`playNotesAnnouncement: Chord ${chord.name} same as last, skipping`);
+            return;
+        }
+
+        this.lastAnnouncedChord = chord.name;
+
+        // Calculate remaining delay time (2 seconds minus time already passed since detection)
+        const currentTime = performance.now();
+        const timeSinceDetection = currentTime - detectionTime;
+        const remainingDelay = Math.max(0, 2000 - timeSinceDetection); // Ensure at least 0ms delay
+        
+        console.log(`playNotesAnnouncement: Chord ${chord.name} detected at ${detectionTime}, current time ${currentTime}, time since detection ${timeSinceDetection}ms, scheduling in ${remainingDelay}ms`);
+
+        // Schedule the announcement using setTimeout for precise timing
+        setTimeout(() => {
+            if (!this.audioOutputEnabled) {
+                return;
+            }
+
+            // Mark chord as playing for red highlight
+            this.playingChords.set(chord.name, Date.now());
+            
+            // Auto-remove playing status after 0.5 seconds
+            setTimeout(() => {
+                this.playingChords.delete(chord.name);
+                this.updateTicker(); // Update ticker to remove red highlight
+            }, 500);
+
+            // Play the chord immediately (no additional delay)
+            console.log(`playNotesAnnouncement: Playing chord ${chord.name} NOW`);
+            
+            // Generate generic notes for the chord if they don't exist
+            const notesToPlay = chord.fullNotes || this.generateGenericChordNotes(chord.name);
+            this.playChordNotes(chord.name, notesToPlay);
+            
+        }, remainingDelay);
+    }
+
+    // Sound a chord in this window while its AudioContext runs; otherwise
+    // (suspended, closed or never started) the main process renders it
+    playChordNotes(chordName, notes) {
+        if (this.audioContext && this.audioContext.state === 'running') {
+            this.playNotesSequentially(notes);
+            return;
+        }
+
+        if (!window.electronAPI) {
+            console.log(`playChordNotes: No audio available for ${chordName}`);
+            return;
+        }
+
+        window.electronAPI.playChordInBackend({
+            name: chordName,
+            notes: notes.map(({ note, octave, frequency }) => ({ note, octave, frequency })),
+            duration: 1.0,
+            referencePitch: this.tuning.referencePitch
+        });
+    }
+
+    // Clicked ticker chord: played right away, with or without announcements
+    previewChord(chordName) {
+        this.playChordNotes(chordName, this.generateGenericChordNotes(chordName));
+    }
+
+    onChordPlayerError(message) {
+        console.error('Chord player error:', message);
+        this.status.textContent = 'No se pudo reproducir el acorde: ' + message;
+        this.status.className = 'status error';
+    }
+
+    playNotesSequentially(notes) {
+        if (!notes || notes.length === 0) {
+            console.log('playNotesSequentially: No notes to play');
+            return;
+        }
+
+        console.log(`playNotesSequentially: Playing chord with ${notes.length} notes:`, notes.map(n => `${n.note}${n.octave}`));
+
+        // Play the chord as a harmonious chord (all notes together)
+        const chordStartTime = this.audioContext.currentTime;
+        
+        // Play all notes simultaneously to create a rich chord sound
+        notes.forEach((note, index) => {
+            // Very slight delay for each note to create a richer sound (2-10ms spread)
+            const noteDelay = index * 0.002; // 2ms between note starts
+            const noteStartTime = chordStartTime + noteDelay;
+            
+            // Schedule the note with musical characteristics
+            this.scheduleSimpleChordNote(note.frequency, noteStartTime, 1.0); // 1 second duration for chord
+        });
+    }
+
+    scheduleMusicalChordNote(frequency, startTime, duration) {
+        // Create a new oscillator for each note with richer, more musical sound
+        const oscillator = this.audioContext.createOscillator();
+        const gainNode = this.audioContext.createGain();
+        
+        // Use sawtooth wave for richer harmonic content (sounds more like real instruments)
+        oscillator.type = 'sawtooth';
+        oscillator.frequency.setValueAtTime(frequency, startTime);
+        
+        // Add slight detuning for richer sound (3-5 cents) - more realistic
+        const detune = (Math.random() - 0.5) * 5; // ±2.5 cents
+        oscillator.detune.setValueAtTime(detune, startTime);
+        
+        // Create a more musical envelope with gentle attack and release
+        gainNode.gain.setValueAtTime(0, startTime);
+        gainNode.gain.linearRampToValueAtTime(0.2, startTime + 0.05); // Quick attack
+        gainNode.gain.exponentialRampToValueAtTime(0.15, startTime + 0.2); // Slight decay
+        gainNode.gain.setValueAtTime(0.15, startTime + duration - 0.3); // Sustain
+        gainNode.gain.exponentialRampToValueAtTime(0.001, startTime + duration - 0.1); // Gentle fade out
+        gainNode.gain.linearRampToValueAtTime(0, startTime + duration); // Complete silence
+        
+        // Connect nodes
+        oscillator.connect(gainNode);
+        gainNode.connect(this.audioContext.destination);
+        
+        // Start and stop the oscillator
+        oscillator.start(startTime);
+        oscillator.stop(startTime + duration);
+        
+        console.log(`Scheduled musical chord note: ${frequency.toFixed(1)}Hz at ${startTime.toFixed(2)}s`);
+    }
+
+    scheduleSimpleChordNote(frequency, startTime, duration) {
+        // Create a simple oscillator for each note
+        const oscillator = this.audioContext.createOscillator();
+        const gainNode = this.audioContext.createGain();
+        
+        // Use sine wave for clean sound
+        oscillator.type = 'sine';
+        oscillator.frequency.setValueAtTime(frequency, startTime);
+        
+        // Simple gain envelope
+        gainNode.gain.setValueAtTime(0, startTime);
+        gainNode.gain.linearRampToValueAtTime(0.3, startTime + 0.05); // Quick attack
+        gainNode.gain.setValueAtTime(0.3, startTime + duration - 0.1); // Sustain
+        gainNode.gain.exponentialRampToValueAtTime(0.001, startTime + duration - 0.05); // Fade out
+        gainNode.gain.linearRampToValueAtTime(0, startTime + duration); // Complete silence
+        
+        // Connect nodes
+        oscillator.connect(gainNode);
+        gainNode.connect(this.audioContext.destination);
+        
+        // Start and stop the oscillator
+        oscillator.start(startTime);
+        oscillator.stop(startTime + duration);
+        
+        console.log(`Scheduled simple chord note: ${frequency.toFixed(1)}Hz at ${startTime.toFixed(2)}s`);
+    }
+
+    scheduleChordNote(frequency, startTime, duration) {
+        // Create a new oscillator for each note with richer sound
+        const oscillator = this.audioContext.createOscillator();
+        const gainNode = this.audioContext.createGain();
+        
+        // Use triangle wave for softer, more musical sound
+        oscillator.type = 'triangle';
+        oscillator.frequency.setValueAtTime(frequency, startTime);
+        
+        // Add slight detuning for richer sound (1-2 cents)
+        const detune = (Math.random() - 0.5) * 2; // ±1 cent
+        oscillator.detune.setValueAtTime(detune, startTime);
+        
+        // Configure gain envelope for musical chord sound
+        gainNode.gain.setValueAtTime(0, startTime);
+        gainNode.gain.linearRampToValueAtTime(0.15, startTime + 0.1); // Gentle attack
+        gainNode.gain.setValueAtTime(0.15, startTime + duration - 0.2); // Sustain
+        gainNode.gain.exponentialRampToValueAtTime(0.001, startTime + duration - 0.05); // Gentle fade out
+        gainNode.gain.linearRampToValueAtTime(0, startTime + duration); // Complete silence
+        
+        // Connect nodes
+        oscillator.connect(gainNode);
+        gainNode.connect(this.audioContext.destination);
+        
+        // Start and stop the oscillator
+        oscillator.start(startTime);
+        oscillator.stop(startTime + duration);
+        
+        console.log(`Scheduled chord note: ${frequency.toFixed(1)}Hz at ${startTime.toFixed(2)}s`);
+    }
+
+    generateGenericChordNotes(chordName) {
+        // Generate close-position notes for the chord from the chord dictionary
+        let notes = this.chordDictionary.getVoicedNotes(chordName, 4);
+        if (notes.length === 0) {
+            notes = this.chordDictionary.getVoicedNotes('C', 4); // Default to C major
+        }
+        
+        // Add frequencies for playback
+        return notes.map(({ note, octave }) => ({
+            note: note,
+            octave: octave,
+            frequency: this.noteToFrequency(note, octave)
+        }));
+    }
+
+    noteToFrequency(note, octave) {
+        // Equal-tempered frequency in the current tuning (reference pitch + offset)
+        const midiNote = this.noteSpeller.noteToMidi(note, octave);
+        return this.tuning.midiToFrequency(midiNote !== null ? midiNote : 69);
+    }
+
+    playChordAnnouncement(chordName, detectionTime) {
+        if (!this.audioOutputEnabled || !this.announcementOscillator || !this.announcementGain) {
+            console.log(`playChordAnnouncement: Not ready - enabled: ${this.audioOutputEnabled}, osc: ${!!this.announcementOscillator}, gain: ${!!this.announcementGain}`);
+            return;
+        }
+
+        // Only announce if chord changed
+        if (this.lastAnnouncedChord === chordName) {
+            console.log(`playChordAnnouncement: Chord ${chordName} same as last, skipping`);
+            return;
+        }
+
+        this.lastAnnouncedChord = chordName;
+
+        // Calculate remaining delay time (1 second minus time already passed since detection)
+        const currentTime = performance.now();
+        const timeSinceDetection = currentTime - detectionTime;
+        const remainingDelay = Math.max(0, 2000 - timeSinceDetection); // Ensure at least 0ms delay
+        
+        console.log(`playChordAnnouncement: Chord ${chordName}, scheduling announcement in ${remainingDelay}ms`);
+
+        // Schedule the announcement using setTimeout for precise timing
+        setTimeout(() => {
+            if (!this.audioOutputEnabled || !this.announcementOscillator || !this.announcementGain) {
+                return;
+            }
+
+            // Mark chord as playing for red highlight
+            this.playingChords.set(chordName, Date.now());
+            
+            // Auto-remove playing status after 0.5 seconds
+            setTimeout(() => {
+                this.playingChords.delete(chordName);
+                this.updateTicker(); // Update ticker to remove red highlight
+            }, 500);
+
+            // Announcement tone at the chord's root, in the current tuning
+            const parsedChord = this.chordDictionary.parseChordName(chordName);
+            const frequency = parsedChord
+                ? this.noteToFrequency(parsedChord.root, 4)
+                : this.tuning.midiToFrequency(69);
+            
+            // Set oscillator type and frequency
+            this.announcementOscillator.type = 'sine';
+            this.announcementOscillator.frequency.setValueAtTime(frequency, this.audioContext.currentTime);
+            
+            // Create a short beep sound (0.3 seconds) with clean fade-out
+            const now = this.audioContext.currentTime;
+            this.announcementGain.gain.cancelScheduledValues(now); // Cancel any previous schedules
+            this.announcementGain.gain.setValueAtTime(0.5, now); // Start at 50% volume
+            this.announcementGain.gain.exponentialRampToValueAtTime(0.001, now + 0.25); // Fade out over 0.25 seconds
+            this.announcementGain.gain.linearRampToValueAtTime(0, now + 0.3); // Ensure complete silence at 0.3 seconds
+            
+            console.log(`playChordAnnouncement: Playing chord ${chordName} at frequency ${frequency}Hz`);
+        }, remainingDelay);
+    }
+}
+
+
+// VST Plugin Management Methods
+ChordDetectorApp.prototype.setupVSTEventListeners = function() {
+    if (window.electronAPI) {
+        window.electronAPI.onVSTStatus((message) => {
+            console.log('VST Status:', message);
+            this.status.textContent = `VST: ${message}`;
+            this.status.className = 'status info';
+        });
+
+        window.electronAPI.onVSTError((message) => {
+            console.error('VST Error:', message);
+            this.status.textContent = `VST Error: ${message}`;
+            this.status.className = 'status error';
+        });
+
+        window.electronAPI.onVSTPluginsScanned((plugins) => {
+            this.populateVSTPluginList(plugins);
+        });
+    }
+};
+
+ChordDetectorApp.prototype.scanVSTPlugins = async function() {
+    if (!window.electronAPI) {
+        this.status.textContent = 'VST functionality not available';
+        this.status.className = 'status error';
+        return;
+    }
+
+    this.status.textContent = 'Escaneando plugins VST...';
+    this.status.className = 'status info';
+
+    try {
+        const plugins = await window.electronAPI.scanVSTPlugins();
+        this.populateVSTPluginList(plugins);
+        
+        if (plugins.length > 0) {
+            this.status.textContent = `Encontrados ${plugins.length} plugins VST`;
+            this.status.className = 'status info';
+        } else {
+            this.status.textContent = 'No se encontraron plugins VST';
+            this.status.className = 'status';
+        }
+    } catch (error) {
+        this.status.textContent = `Error al escanear plugins VST: ${error.message}`;
+        this.status.className = 'status error';
+    }
+};
+
+ChordDetectorApp.prototype.populateVSTPluginList = function(plugins) {
+    this.vstPlugin.innerHTML = '<option value="">Selecciona un plugin VST...</option>';
+    
+    plugins.forEach(plugin => {
+        const option = document.createElement('option');
+        option.value = plugin.path;
+        option.textContent = `${plugin.name} (${plugin.type})`;
+        this.vstPlugin.appendChild(option);
+    });
+};
+
+ChordDetectorApp.prototype.onVSTPluginChange = async function() {
+    const pluginPath = this.vstPlugin.value;
+    
+    if (!pluginPath) {
+        // Hide GUI button when no plugin selected
+        this.showVSTGUIBtn.classList.add('hidden');
+        this.showVSTGUIBtn.disabled = true;
+        return;
+    }
+
+    try {
+        const pluginName = pluginPath.split(/[\\/]/).pop();
+        this.status.textContent = `Cargando plugin VST: ${pluginName}`;
+        this.status.className = 'status info';
+        
+        // Disable GUI button while loading
+        this.showVSTGUIBtn.classList.add('hidden');
+        this.showVSTGUIBtn.disabled = true;
+
+        const success = await window.electronAPI.loadVSTPlugin(pluginPath);
+        
+        if (success) {
+            this.status.textContent = `Plugin VST cargado: ${pluginName}`;
+            this.status.className = 'status info';
+            
+            // Enable and show GUI button when plugin is loaded
+            this.showVSTGUIBtn.classList.remove('hidden');
+            this.showVSTGUIBtn.disabled = false;
+            
+            // If already running, restart with VST
+            if (this.isRunning) {
+                this.stopDetection();
+                setTimeout(() => this.startDetection(), 500);
+            }
+        } else {
+            this.status.textContent = 'Error al cargar el plugin VST';
+            this.status.className = 'status error';
+            this.showVSTGUIBtn.classList.add('hidden');
+            this.showVSTGUIBtn.disabled = true;
+        }
+    } catch (error) {
+        this.status.textContent = `Error al cargar plugin VST: ${error.message}`;
+        this.status.className = 'status error';
+        this.showVSTGUIBtn.classList.add('hidden');
+        this.showVSTGUIBtn.disabled = true;
+    }
+};
+
+ChordDetectorApp.prototype.showVSTPluginGUI = async function() {
+    if (!window.electronAPI) {
+        this.status.textContent = 'VST functionality not available';
+        this.status.className = 'status error';
+        return;
+    }
+
+    try {
+        // First check if a plugin is actually loaded
+        const isLoaded = await window.electronAPI.isVSTPluginLoaded();
+        if (!isLoaded) {
+            this.status.textContent = 'No hay ningún plugin VST cargado';
+            this.status.className = 'status error';
+            return;
+        }
+
+        this.status.textContent = 'Abriendo interfaz del plugin VST...';
+        this.status.className = 'status info';
+
+        const success = await window.electronAPI.showVSTPluginGUI();
+        
+        if (success) {
+            this.status.textContent = 'Interfaz VST abierta (modo simulación)';
+            this.status.className = 'status info';
+        } else {
+            this.status.textContent = 'No se pudo abrir la interfaz VST';
+            this.status.className = 'status error';
+        }
+    } catch (error) {
+        this.status.textContent = `Error al abrir interfaz VST: ${error.message}`;
+        this.status.className = 'status error';
+    }
+};
+
+ChordDetectorApp.prototype.startVSTProcessing = async function() {
+    const pluginPath = this.vstPlugin.value;
+    
+    if (!pluginPath) {
+        return false;
+    }
+
+    try {
+        const success = await window.electronAPI.startVSTProcessing(pluginPath, 44100, 1024);
+        return success;
+    } catch (error) {
+        console.error('Error starting VST processing:', error);
+        return false;
+    }
+};
+
+ChordDetectorApp.prototype.stopVSTProcessing = async function() {
+    try {
+        await window.electronAPI.stopVSTProcessing();
+    } catch (error) {
+        console.error('Error stopping VST processing:', error);
+    }
+};
+
+// Override startDetection to include VST support
+ChordDetectorApp.prototype.startDetection = async function() {
+    const deviceId = this.audioInput.value;
+    const vstPluginPath = this.vstPlugin.value;
+    
+    // If VST plugin is selected, use VST processing
+    if (vstPluginPath) {
+        const vstSuccess = await this.startVSTProcessing();
+        if (vstSuccess) {
+            this.status.textContent = 'Procesando audio desde plugin VST...';
+            this.status.className = 'status info';
+            // In VST mode, we don't use audioContext/analysis pipeline
+            this.audioContext = null;
+            this.analysisPipeline = null;
+            this.isRunning = true;
+            this.startBtn.classList.add('hidden');
+            this.stopBtn.classList.remove('hidden');
+            this.startSessionTimeline();
+            this.processAudio();
+            return;
+        }
+    }
+    
+    // Fall back to regular audio device detection
+    if (!deviceId) {
+        this.status.textContent = 'Por favor selecciona un dispositivo de audio o plugin VST';
+        this.status.className = 'status error';
+        return;
+    }
+    this.loadNoiseProfile(deviceId);
+
+    try {
+        this.status.textContent = 'Iniciando captura de audio...';
+        this.status.className = 'status info';
+
+        const constraints = {
+            audio: {
+                deviceId: deviceId ? { exact: deviceId } : undefined,
+                echoCancellation: false,
+                noiseSuppression: false,
+                autoGainControl: false
+            }
+        };
+
+        this.stream = await navigator.mediaDevices.getUserMedia(constraints);
+        
+        this.audioContext = new (window.AudioContext || window.webkitAudioContext)();
+        
+        // Configure AudioContext to be more resilient to suspension
+        this.audioContext.onstatechange = () => {
+            // Check if audioContext still exists (might be null in VST mode)
+            if (!this.audioContext) return;
+            
+            console.log(`AudioContext state changed: ${this.audioContext.state}`);
+            if (this.audioContext.state === 'suspended' && this.isRunning) {
+                console.log('AudioContext suspended while running - attempting to resume');
+                setTimeout(() => {
+                    if (this.audioContext && this.audioContext.state === 'suspended') {
+                        this.audioContext.resume().catch(err => {
+                            console.warn('Failed to resume AudioContext:', err);
+                        });
+                    }
+                }, 100);
+            }
+        };
+        
+        this.source = this.audioContext.createMediaStreamSource(this.stream);
+        
+        // Contiguous capture: the worklet hands over every sample once and
+        // each hop is analysed as it arrives, visible window or not
+        this.analysisPipeline = new AnalysisPipeline({
+            fftSize: this.getAnalyserFftSize(),
+            onFrame: frame => this.analyzeFrame(frame)
+        });
+        await this.analysisPipeline.start(this.audioContext, this.source);
+        this.configureBackendAnalysis(); // now with the capture's sample rate
+        
+        this.isRunning = true;
+        this.startBtn.classList.add('hidden');
+        this.stopBtn.classList.remove('hidden');
+        this.status.textContent = 'Detección activa. Tocando música...';
+        this.status.className = 'status info';
+        
+        // If audio output was previously enabled, re-enable it
+        if (this.audioOutputEnabled) {
+            setTimeout(() => {
+                this.enableAudioOutput();
+            }, 500);
+        }
+        
+        this.startSessionTimeline();
+        this.processAudio();
+        
+    } catch (error) {
+        console.error('Error starting audio capture:', error);
+        this.status.textContent = 'Error al iniciar la captura de audio: ' + error.message;
+        this.status.className = 'status error';
+    }
+};
+
+// Override stopDetection to include VST cleanup
+ChordDetectorApp.prototype.stopDetection = function() {
+    this.isRunning = false;
+    
+    if (this.animationId) {
+        cancelAnimationFrame(this.animationId);
+        this.animationId = null;
+    }
+    
+    // Clean up VST processing
+    this.stopVSTProcessing();
+    
+    // Clean up audio output resources
+    this.disableAudioOutput();
+    
+    if (this.analysisPipeline) {
+        this.analysisPipeline.stop();
+        this.analysisPipeline = null;
+    }
+    this.latestTimeData = null;
+    this.noiseProfile.cancelCalibration();
+    this.calibrateNoiseBtn.disabled = false;
+    
+    if (this.stream) {
+        this.stream.getTracks().forEach(track => track.stop());
+        this.stream = null;
+    }
+    
+    if (this.audioContext) {
+        this.audioContext.close();
+        this.audioContext = null;
+    }
+    
+    this.startBtn.classList.remove('hidden');
+    this.stopBtn.classList.add('hidden');
+    this.currentChord.textContent = '--';
+    this.confidence.textContent = 'Confianza: 0%';
+    this.bpmDisplay.textContent = 'BPM: --';
+    this.finishSessionTimeline();
+    this.beatTracker.reset();
+    this.bpm = null;
+    this.lastSampleTime = 0;
+    this.resetBeatGrid();
+    this.keyDetector.reset();
+    if (this.autoKey) {
+        this.key = null;
+    }
+    this.updateKeyDisplay(null);
+    this.tuning.reset();
+    this.updateTuningDisplay();
+    if (this.detectorEngine.reset) {
+        this.detectorEngine.reset();
+    }
+    this.ticker.innerHTML = '';
+    this.tickerItems = [];
+    this.lastChord = null;
+    this.currentStableChord = null;
+    this.chordDecoder.reset();
+    this.lastAnnouncedChord = null;
+    this.status.textContent = 'Detección detenida';
+    this.status.className = 'status';
+};
+
+// Initialize the chord detector when the page loads
+document.addEventListener('DOMContentLoaded', () => {
+    new ChordDetectorApp();
+});
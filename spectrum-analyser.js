@@ -0,0 +1,120 @@
+class SpectrumAnalyser {
+    constructor(options = {}) {
+        // Script stand-in for a Web Audio AnalyserNode: same Blackman window,
+        // smoothing and dB-to-byte mapping, so detectors see live-like spectra
+        // (offline evaluation, tests and the live analysis pipeline)
+        this.fftSize = options.fftSize || 2048;
+        this.smoothingTimeConstant = options.smoothingTimeConstant !== undefined
+            ? options.smoothingTimeConstant
+            : 0.8;
+        this.minDecibels = options.minDecibels !== undefined ? options.minDecibels : -100;
+        this.maxDecibels = options.maxDecibels !== undefined ? options.maxDecibels : -30;
+
+        this.frequencyBinCount = this.fftSize / 2;
+        this.window = this.createBlackmanWindow(this.fftSize);
+        this.real = new Float64Array(this.fftSize);
+        this.imag = new Float64Array(this.fftSize);
+
+        this.reset();
+    }
+
+    reset() {
+        this.smoothed = new Float64Array(this.frequencyBinCount);
+    }
+
+    createBlackmanWindow(size) {
+        const window = new Float64Array(size);
+        for (let i = 0; i < size; i++) {
+            const phase = 2 * Math.PI * i / size;
+            window[i] = 0.42 - 0.5 * Math.cos(phase) + 0.08 * Math.cos(2 * phase);
+        }
+        return window;
+    }
+
+    // In-place iterative radix-2 FFT
+    fft(real, imag) {
+        const size = real.length;
+
+        for (let i = 1, j = 0; i < size; i++) {
+            let bit = size >> 1;
+            for (; j & bit; bit >>= 1) j ^= bit;
+            j ^= bit;
+            if (i < j) {
+                [real[i], real[j]] = [real[j], real[i]];
+                [imag[i], imag[j]] = [imag[j], imag[i]];
+            }
+        }
+
+        for (let length = 2; length <= size; length <<= 1) {
+            const angle = -2 * Math.PI / length;
+            const stepReal = Math.cos(angle);
+            const stepImag = Math.sin(angle);
+
+            for (let start = 0; start < size; start += length) {
+                let wReal = 1;
+                let wImag = 0;
+
+                for (let k = 0; k < length / 2; k++) {
+                    const a = start + k;
+                    const b = a + length / 2;
+                    const tReal = real[b] * wReal - imag[b] * wImag;
+                    const tImag = real[b] * wImag + imag[b] * wReal;
+
+                    real[b] = real[a] - tReal;
+                    imag[b] = imag[a] - tImag;
+                    real[a] += tReal;
+                    imag[a] += tImag;
+
+                    const nextReal = wReal * stepReal - wImag * stepImag;
+                    wImag = wReal * stepImag + wImag * stepReal;
+                    wReal = nextReal;
+                }
+            }
+        }
+    }
+
+    // Time-domain frame: the fftSize samples ending at `end` (zero-padded
+    // before the start of the signal)
+    getTimeDomainData(samples, end) {
+        const frame = new Float32Array(this.fftSize);
+        const start = end - this.fftSize;
+
+        for (let i = Math.max(0, -start); i < this.fftSize; i++) {
+            const index = start + i;
+            if (index < samples.length) frame[i] = samples[index];
+        }
+
+        return frame;
+    }
+
+    // Byte spectrum of the frame ending at `end`, like getByteFrequencyData.
+    // Frames must be analysed in order for the smoothing to match.
+    getByteFrequencyData(samples, end) {
+        const frame = this.getTimeDomainData(samples, end);
+
+        for (let i = 0; i < this.fftSize; i++) {
+            this.real[i] = frame[i] * this.window[i];
+            this.imag[i] = 0;
+        }
+        this.fft(this.real, this.imag);
+
+        const data = new Uint8Array(this.frequencyBinCount);
+        const range = this.maxDecibels - this.minDecibels;
+
+        for (let k = 0; k < this.frequencyBinCount; k++) {
+            const magnitude = Math.hypot(this.real[k], this.imag[k]) / this.fftSize;
+            this.smoothed[k] = this.smoothingTimeConstant * this.smoothed[k] +
+                (1 - this.smoothingTimeConstant) * magnitude;
+
+            const decibels = 20 * Math.log10(this.smoothed[k]);
+            const scaled = Math.floor(255 * (decibels - this.minDecibels) / range);
+            data[k] = Math.max(0, Math.min(255, scaled));
+        }
+
+        return data;
+    }
+}
+
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = SpectrumAnalyser;
+}
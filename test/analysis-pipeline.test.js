@@ -0,0 +1,81 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+
+const AnalysisPipeline = require('../analysis-pipeline');
+const BrowserChordDetector = require('../browser-chord-detector');
+const {
+    SAMPLE_RATE,
+    VOICINGS,
+    synthesizeChord,
+    createAudioManager,
+    withQuietConsole
+} = require('./helpers/synthesizer');
+
+// Ramp signal: sample i has value i, so frames show which samples they hold
+function ramp(length) {
+    return Float32Array.from({ length }, (_, i) => i);
+}
+
+// Feed a signal in uneven chunks, as audio callbacks would
+function feed(pipeline, samples, chunkSizes = [128, 300, 1000, 77]) {
+    let offset = 0;
+    for (let i = 0; offset < samples.length; i++) {
+        const size = chunkSizes[i % chunkSizes.length];
+        pipeline.push(samples.subarray(offset, offset + size));
+        offset += size;
+    }
+}
+
+describe('AnalysisPipeline', () => {
+    it('analyses every sample exactly once, one frame per hop', () => {
+        const frames = [];
+        const pipeline = new AnalysisPipeline({ hopSize: 512, fftSize: 2048, sampleRate: 1000, onFrame: frame => frames.push(frame) });
+        feed(pipeline, ramp(5000));
+
+        assert.equal(frames.length, Math.floor(5000 / 512));
+
+        // The newest hop of each frame picks up where the previous one ended
+        const delivered = frames.flatMap(frame => Array.from(frame.timeData.subarray(-512)));
+        assert.deepEqual(delivered, Array.from(ramp(frames.length * 512)));
+
+        // Frame times follow the sample count, not the delivery time
+        assert.deepEqual(frames.slice(0, 3).map(frame => frame.time), [512, 1024, 1536]);
+        assert.equal(frames[0].frequencyData.length, 1024);
+    });
+
+    it('keeps the latest samples when the FFT size changes', () => {
+        const frames = [];
+        const pipeline = new AnalysisPipeline({ hopSize: 1024, fftSize: 2048, onFrame: frame => frames.push(frame) });
+        feed(pipeline, ramp(4096));
+
+        pipeline.setFftSize(4096);
+        feed(pipeline, ramp(5120).subarray(4096));
+
+        const last = frames[frames.length - 1].timeData;
+        assert.equal(last.length, 4096);
+        assert.deepEqual(Array.from(last.subarray(-3072)), Array.from(ramp(5120).subarray(2048)));
+        assert.ok(last.subarray(0, 1024).every(value => value === 0));
+    });
+
+    it('drives a detector from contiguous audio', () => {
+        const chord = withQuietConsole(() => {
+            const audioManager = createAudioManager();
+            const detector = new BrowserChordDetector(audioManager);
+
+            let result = null;
+            const pipeline = new AnalysisPipeline({
+                sampleRate: SAMPLE_RATE,
+                onFrame: frame => {
+                    result = detector.detectChord(frame.timeData, frame.frequencyData, frame.time);
+                }
+            });
+            detector.setSpectrumSource('log');
+            pipeline.setFftSize(audioManager.fftSize);
+
+            feed(pipeline, synthesizeChord(VOICINGS.Dm, { timbre: 'organ' }));
+            return result;
+        });
+
+        assert.equal(chord && chord.name, 'Dm');
+    });
+});
@@ -0,0 +1,143 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const EventEmitter = require('events');
+
+const AnalysisService = require('../analysis-service');
+const FrameAnalyzer = require('../analysis-process');
+const SpectrumAnalyser = require('../spectrum-analyser');
+const { SAMPLE_RATE, VOICINGS, synthesizeChord, withQuietConsole } = require('./helpers/synthesizer');
+
+// Stand-in for an Electron utility process running analysis-process.js
+class FakeChild extends EventEmitter {
+    constructor() {
+        super();
+        this.analyzer = new FrameAnalyzer();
+        this.received = [];
+        this.silent = false;
+    }
+
+    postMessage({ id, type, payload }) {
+        this.received.push(type);
+        if (this.silent) return;
+
+        setImmediate(() => {
+            try {
+                const result = withQuietConsole(() => {
+                    if (type === 'configure') return this.analyzer.configure(payload);
+                    if (type === 'process') return this.analyzer.process(payload);
+                    return this.analyzer.reset();
+                });
+                this.emit('message', { id, result });
+            } catch (error) {
+                this.emit('message', { id, error: error.message });
+            }
+        });
+    }
+
+    kill() {
+        this.emit('exit', 0);
+    }
+}
+
+function createService() {
+    const children = [];
+    const service = new AnalysisService({
+        fork: () => {
+            const child = new FakeChild();
+            children.push(child);
+            return child;
+        }
+    });
+    return { service, children };
+}
+
+// Frames of a synthetic chord, as the renderer's pipeline would send them
+function* frames(notes, fftSize) {
+    const samples = synthesizeChord(notes, { timbre: 'organ' });
+    const analyser = new SpectrumAnalyser({ fftSize });
+    const hop = 2048;
+
+    for (let end = hop; end <= samples.length; end += hop) {
+        yield {
+            audioData: analyser.getTimeDomainData(samples, end),
+            frequencyData: analyser.getByteFrequencyData(samples, end),
+            time: end / SAMPLE_RATE * 1000
+        };
+    }
+}
+
+describe('FrameAnalyzer', () => {
+    it('runs the configured engine on incoming frames', () => {
+        const analyzer = new FrameAnalyzer();
+        const chord = withQuietConsole(() => {
+            analyzer.configure({ engine: 'browser', sampleRate: SAMPLE_RATE, spectrumSource: 'log' });
+
+            let result = null;
+            for (const frame of frames(VOICINGS.Bb, 16384)) result = analyzer.process(frame);
+            return result;
+        });
+
+        assert.equal(chord.name, 'Bb');
+        assert.equal(chord.quality, 'major');
+    });
+
+    it('picks bands like the window when multi-chord mode is on', () => {
+        const analyzer = new FrameAnalyzer();
+        const chord = withQuietConsole(() => {
+            analyzer.configure({ engine: 'harmonic', sampleRate: SAMPLE_RATE, multiChordMode: true });
+            assert.equal(analyzer.engine.multiChordMode, true);
+
+            let result = null;
+            for (const frame of frames(VOICINGS.C, 2048)) result = analyzer.process(frame);
+            return result;
+        });
+
+        assert.equal(chord.name, 'C');
+        assert.deepEqual(chord.ranges, ['mid', 'treble']);
+    });
+
+    it('rejects unknown engines', () => {
+        assert.throws(() => new FrameAnalyzer().configure({ engine: 'nope' }), /Unknown detector: nope/);
+    });
+});
+
+describe('AnalysisService', () => {
+    it('answers frames through the analysis process', async () => {
+        const { service, children } = createService();
+        await service.configure({ engine: 'browser', sampleRate: SAMPLE_RATE, spectrumSource: 'log' });
+
+        // Requests sent back to back come back in order
+        const results = await Promise.all([...frames(VOICINGS.Am, 16384)].map(frame => service.process(frame)));
+        assert.equal(results[results.length - 1].name, 'Am');
+        assert.equal(children.length, 1);
+    });
+
+    it('reports errors from the analysis process', async () => {
+        const { service } = createService();
+        await assert.rejects(service.configure({ engine: 'nope' }), /Unknown detector: nope/);
+    });
+
+    it('fails pending requests on a crash and restarts with the last settings', async () => {
+        const { service, children } = createService();
+        const errors = [];
+        service.onError(message => errors.push(message));
+
+        await service.configure({ engine: 'harmonic', sampleRate: SAMPLE_RATE });
+        children[0].silent = true;
+        const pending = service.reset();
+
+        const logError = console.error;
+        console.error = () => {};
+        try {
+            children[0].emit('exit', 1);
+        } finally {
+            console.error = logError;
+        }
+        await assert.rejects(pending, /exited with code 1/);
+        assert.equal(errors.length, 1);
+
+        await service.reset();
+        assert.equal(children.length, 2);
+        assert.deepEqual(children[1].received, ['configure', 'reset']);
+    });
+});
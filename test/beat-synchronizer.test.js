@@ -0,0 +1,171 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+
+const BeatSynchronizer = require('../beat-synchronizer');
+const ChordTimeline = require('../chord-timeline');
+const OfflineAnalyzer = require('../offline-analyzer');
+
+const chord = (name, confidence = 0.8) => ({ name: name, root: name[0], quality: 'major', confidence: confidence });
+
+// Feed frames every hop ms from 0 to end (exclusive) through the
+// synchronizer; chordAt(time) names each frame's chord
+function run(synchronizer, beats, chordAt, end, hop = 50) {
+    beats.forEach(beat => synchronizer.addBeat(beat));
+
+    const slots = [];
+    for (let time = 0; time < end; time += hop) {
+        slots.push(...synchronizer.addFrame(chordAt(time), time));
+    }
+    slots.push(...synchronizer.flush(end));
+    return slots;
+}
+
+describe('BeatSynchronizer', () => {
+    const beats = [250, 750, 1250, 1750, 2250, 2750, 3250, 3750, 4250];
+
+    it('closes one slot per beat, after a pickup', () => {
+        const slots = run(new BeatSynchronizer(), beats, () => chord('C'), 4500);
+
+        assert.equal(slots.length, beats.length + 1);
+        assert.deepEqual(slots[0], {
+            start: 0, end: 250, beat: -1, beats: 1, beatInBar: null, observation: [chord('C', 0.8)]
+        });
+        assert.deepEqual(slots.slice(1).map(slot => slot.start), beats);
+        assert.deepEqual(slots.slice(1, 6).map(slot => slot.beatInBar), [0, 1, 2, 3, 0]);
+        assert.equal(slots[slots.length - 1].end, 4500);
+    });
+
+    it('labels each slot with its pooled chord', () => {
+        const slots = run(new BeatSynchronizer(), beats, time => chord(time < 1250 ? 'C' : 'G'), 4500);
+
+        assert.deepEqual(slots.map(slot => slot.observation[0].name), ['C', 'C', 'C', 'G', 'G', 'G', 'G', 'G', 'G', 'G']);
+    });
+
+    it('groups half a bar per slot', () => {
+        const synchronizer = new BeatSynchronizer({ unit: 'half-bar' });
+        const slots = run(synchronizer, beats, () => chord('C'), 4250);
+
+        assert.deepEqual(slots.map(slot => [slot.beat, slot.beats]), [[-1, 1], [0, 2], [2, 2], [4, 2], [6, 2]]);
+        assert.deepEqual(slots.slice(1).map(slot => slot.start), [250, 1250, 2250, 3250]);
+    });
+
+    it('starts half-bar slots on the downbeat and in odd meters takes the bar', () => {
+        const downbeatOnSecond = new BeatSynchronizer({ unit: 'half-bar', downbeat: 1 });
+        const slots = run(downbeatOnSecond, beats, () => chord('C'), 3000);
+        assert.deepEqual(slots.map(slot => [slot.beat, slot.beats]), [[-1, 1], [0, 1], [1, 2], [3, 2], [5, 1]]);
+
+        const waltz = new BeatSynchronizer({ unit: 'half-bar', beatsPerBar: 3 });
+        assert.equal(waltz.beatsPerSlot(), 3);
+    });
+
+    it('numbers bars from the downbeat', () => {
+        const synchronizer = new BeatSynchronizer({ beatsPerBar: 3, downbeat: 1 });
+
+        assert.deepEqual([0, 1, 3, 4, 7].map(index => synchronizer.barNumber(index)), [0, 1, 1, 2, 3]);
+    });
+
+    it('places frames by time even when beats arrive ahead of them', () => {
+        const synchronizer = new BeatSynchronizer();
+        synchronizer.addFrame(chord('C'), 0);
+        beats.slice(0, 3).forEach(beat => synchronizer.addBeat(beat));
+
+        assert.deepEqual(synchronizer.addFrame(chord('C'), 200), []);
+        const slots = synchronizer.addFrame(chord('G'), 800);
+        assert.deepEqual(slots.map(slot => [slot.start, slot.end]), [[0, 250], [250, 750]]);
+    });
+
+    it('counts beats from before the first frame towards the bar', () => {
+        const synchronizer = new BeatSynchronizer();
+        synchronizer.addBeat(-500);
+        synchronizer.addBeat(0);
+
+        const slots = [];
+        for (let time = 100; time < 1000; time += 100) {
+            slots.push(...synchronizer.addFrame(chord('C'), time));
+        }
+        slots.push(...synchronizer.flush(1000));
+
+        assert.deepEqual(slots.map(slot => slot.beat), [1]);
+        assert.equal(slots[0].beatInBar, 1);
+    });
+
+    it('pools by summed confidence over the frame count', () => {
+        const pooled = new BeatSynchronizer().pool([chord('C', 0.8), chord('C', 0.6), chord('Am', 0.9), null]);
+
+        assert.deepEqual(pooled.map(candidate => candidate.name), ['C', 'Am']);
+        assert.ok(Math.abs(pooled[0].confidence - 0.35) < 1e-9);
+        assert.ok(Math.abs(pooled[1].confidence - 0.225) < 1e-9);
+        assert.equal(new BeatSynchronizer().pool([null, null]), null);
+    });
+
+    it('ignores beats that do not move forward', () => {
+        const synchronizer = new BeatSynchronizer();
+        synchronizer.addBeat(500);
+        synchronizer.addBeat(500);
+        synchronizer.addBeat(400);
+
+        assert.deepEqual(synchronizer.boundaries, [500]);
+    });
+});
+
+describe('ChordTimeline beat grid', () => {
+    // 100 BPM played a little unevenly, first downbeat 0.3 s in
+    const timeline = new ChordTimeline({
+        tempo: 100,
+        meter: { beats: 4, beatType: 4 },
+        beats: [0.3, 0.92, 1.5, 2.1, 2.72, 3.3]
+    });
+    timeline.segments = [
+        { start: 0, end: 0.3, name: 'N', confidence: 0 },
+        { start: 0.3, end: 1.5, name: 'C', confidence: 0.8 },
+        { start: 1.5, end: 3.3, name: 'G', confidence: 0.8 }
+    ];
+    timeline.duration = 3.6;
+
+    it('moves tracked beats onto the tempo grid', () => {
+        assert.equal(timeline.toGridTime(0.3), 0);
+        assert.equal(timeline.toGridTime(0.92), 0.6);
+        assert.ok(Math.abs(timeline.toGridTime(1.21) - 0.9) < 1e-9);
+        assert.ok(Math.abs(timeline.toGridTime(3.6) - 3.3) < 1e-9);
+    });
+
+    it('aligns the score exports to the grid', () => {
+        const segments = timeline.getGridSegments();
+
+        assert.deepEqual(segments.map(segment => [segment.name, segment.start, segment.end]), [
+            ['C', 0, 1.2],
+            ['G', 1.2, 3]
+        ]);
+        assert.equal(timeline.getGridDuration(), 3.3);
+    });
+
+    it('leaves a pickup bar for a late first downbeat', () => {
+        const late = new ChordTimeline({ tempo: 120, beats: [1.5, 2, 2.5] });
+        assert.equal(late.toGridTime(1.5), 2);
+        assert.equal(late.toGridTime(1), 1.5);
+    });
+
+    it('keeps clock time without a tempo', () => {
+        const free = new ChordTimeline({ beats: [0.3, 0.9] });
+        assert.equal(free.toGridTime(0.5), 0.5);
+    });
+});
+
+describe('OfflineAnalyzer beat pooling', () => {
+    it('changes chords on beats', () => {
+        const analyzer = new OfflineAnalyzer();
+        const beats = [];
+        for (let beat = 0; beat < 8000; beat += 500) beats.push(beat);
+
+        // The change comes 80 ms after beat 8, with a stray frame before it
+        const frames = [];
+        for (let time = 0; time < 8000; time += 46) {
+            const name = time < 4080 ? 'C' : 'F';
+            frames.push({ time: time, chord: time === 3634 ? chord('Am') : chord(name) });
+        }
+
+        const segments = analyzer.buildTimeline(frames, 8, beats).filter(segment => segment.name !== 'N');
+        assert.deepEqual(segments.map(segment => segment.name), ['C', 'F']);
+        assert.equal(segments[1].start, 4);
+    });
+});
@@ -0,0 +1,190 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+
+const BeatTracker = require('../beat-tracker');
+const OnsetDetector = require('../onset-detector');
+const AudioManager = require('../audio-manager');
+const SpectrumAnalyser = require('../spectrum-analyser');
+const { SAMPLE_RATE, VOICINGS, synthesizeChord, synthesizeBeats, withQuietConsole } = require('./helpers/synthesizer');
+
+// Feed a signal hop by hop, as the analysis pipeline does (time in ms at
+// the end of each window)
+function track(tracker, samples, hopSize = 2048) {
+    const analyser = new SpectrumAnalyser({ fftSize: 2048, smoothingTimeConstant: 0.8 });
+    for (let end = hopSize; end <= samples.length; end += hopSize) {
+        tracker.addSpectrum(
+            analyser.getByteFrequencyData(samples, end),
+            end / SAMPLE_RATE * 1000,
+            analyser.getTimeDomainData(samples, end)
+        );
+    }
+    return tracker;
+}
+
+// Distance (ms) from a beat to the nearest true beat
+function phaseError(beat, bpm, offset) {
+    const period = 60000 / bpm;
+    const error = ((beat - offset * 1000) % period + period) % period;
+    return Math.min(error, period - error);
+}
+
+describe('BeatTracker', () => {
+    [75, 100, 128, 160].forEach(bpm => {
+        it(`finds ${bpm} BPM and its beats`, () => {
+            const offset = 0.3;
+            const tracker = track(new BeatTracker(), synthesizeBeats(VOICINGS['C open'], bpm, { offset: offset }));
+
+            assert.ok(Math.abs(tracker.bpm - bpm) / bpm < 0.03, `tempo ${tracker.bpm}`);
+            assert.ok(tracker.confidence > 0.5, `confidence ${tracker.confidence}`);
+
+            tracker.getBeats(10000).forEach(beat => {
+                assert.ok(phaseError(beat, bpm, offset) < 60, `beat at ${beat}`);
+            });
+        });
+    });
+
+    it('keeps the tempo at the 50 ms hop of file analysis', () => {
+        const tracker = track(new BeatTracker(), synthesizeBeats(VOICINGS['Am'], 90), 2205);
+        assert.equal(tracker.getTempo(), 90);
+    });
+
+    it('reports one beat per period', () => {
+        const bpm = 120;
+        const tracker = track(new BeatTracker(), synthesizeBeats(VOICINGS['G7'], bpm));
+        const beats = tracker.getBeats(8000);
+        const intervals = beats.slice(1).map((beat, index) => beat - beats[index]);
+
+        assert.ok(beats.length >= 20);
+        intervals.forEach(interval => assert.ok(Math.abs(interval - 500) < 60, `interval ${interval}`));
+    });
+
+    it('calls onBeat for every beat', () => {
+        const heard = [];
+        const tracker = track(
+            new BeatTracker({ onBeat: time => heard.push(time) }),
+            synthesizeBeats(VOICINGS['C'], 100, { duration: 10 })
+        );
+        assert.deepEqual(heard, tracker.beats);
+    });
+
+    it('finds no pulse in a sustained chord', () => {
+        const tracker = track(new BeatTracker(), synthesizeChord(VOICINGS['C'], { duration: 15, timbre: 'piano', noise: 0.01 }));
+
+        assert.equal(tracker.getTempo(), null);
+        assert.ok(tracker.confidence < tracker.minConfidence);
+    });
+
+    it('finds no pulse in silence', () => {
+        const tracker = track(new BeatTracker(), new Float32Array(SAMPLE_RATE * 10));
+        assert.equal(tracker.getTempo(), null);
+        assert.deepEqual(tracker.beats, []);
+    });
+
+    it('starts over on reset', () => {
+        const tracker = track(new BeatTracker(), synthesizeBeats(VOICINGS['C'], 100, { duration: 10 }));
+        tracker.reset();
+
+        assert.equal(tracker.bpm, null);
+        assert.deepEqual(tracker.beats, []);
+    });
+
+    it('keeps the pulse through a short dropout', () => {
+        const samples = synthesizeBeats(VOICINGS['C'], 100, { duration: 16, offset: 0.3 });
+        samples.fill(0, 8 * SAMPLE_RATE, 9 * SAMPLE_RATE);
+        let lost = 0;
+        const tracker = track(new BeatTracker({ onPulseLost: () => lost++ }), samples);
+
+        assert.equal(tracker.getTempo(), 100);
+        assert.equal(lost, 0);
+    });
+
+    it('gives up a held tempo once, after tempoHold without a pulse', () => {
+        const lost = [];
+        const tracker = new BeatTracker({ tempoHold: 1000, onPulseLost: lostTracker => lost.push(lostTracker) });
+        const estimate = (time, bpm, confidence) => {
+            tracker.envelope.push({ time: time, value: 0 });
+            tracker.setTempo(bpm, confidence);
+        };
+
+        estimate(0, 100, 0.8);
+        estimate(500, null, 0);
+        estimate(900, 100, 0.1);
+        assert.equal(tracker.getTempo(), 100);
+        assert.equal(lost.length, 0);
+
+        estimate(1500, null, 0);
+        estimate(2000, null, 0);
+        assert.equal(tracker.getTempo(), null);
+        assert.deepEqual(lost, [tracker]);
+    });
+
+    ['pad', 'guitar'].forEach(preset => {
+        it(`tracks on the onsets of its preset (${preset})`, () => {
+            const tracker = track(new BeatTracker({ onsetPreset: preset }), synthesizeBeats(VOICINGS['C'], 100, { duration: 12 }));
+
+            assert.equal(tracker.onsetDetector.preset, preset);
+            assert.ok(Math.abs(tracker.bpm - 100) < 3, `tempo ${tracker.bpm}`);
+        });
+    });
+
+    it('shares its onsets with the detector it is given', () => {
+        const onsetDetector = new OnsetDetector({ preset: 'guitar' });
+        const onsets = [];
+        const tracker = track(new BeatTracker({
+            onsetDetector: onsetDetector,
+            onOnset: time => onsets.push(time)
+        }), synthesizeBeats(VOICINGS['C'], 100, { duration: 6, offset: 0.3 }));
+
+        assert.equal(tracker.onsetDetector, onsetDetector);
+        assert.equal(onsets.filter(time => time > 200).length, 10);
+        assert.equal(onsets[onsets.length - 1], onsetDetector.lastOnsetTime);
+    });
+});
+
+// Feed a signal to an AudioManager's detectOnset; returns the onset count
+function detectOnsets(audioManager, samples) {
+    const analyser = new SpectrumAnalyser({ fftSize: 2048, smoothingTimeConstant: 0.8 });
+    let onsets = 0;
+    withQuietConsole(() => {
+        for (let end = 2048; end <= samples.length; end += 2048) {
+            const frequencyData = analyser.getByteFrequencyData(samples, end);
+            if (audioManager.detectOnset(frequencyData, end / SAMPLE_RATE * 1000, analyser.getTimeDomainData(samples, end))) {
+                onsets++;
+            }
+        }
+    });
+    return onsets;
+}
+
+describe('AudioManager tempo', () => {
+    it('follows the beat tracker instead of counting loud frames', () => {
+        const audioManager = new AudioManager();
+        detectOnsets(audioManager, synthesizeChord(VOICINGS['C'], { duration: 10, timbre: 'piano' }));
+
+        assert.equal(audioManager.bpm, 120); // default: no pulse in a held chord
+        assert.equal(audioManager.sampleInterval, 0);
+    });
+
+    it('tracks the tempo from the frames it checks for onsets', () => {
+        const audioManager = new AudioManager();
+        const onsets = detectOnsets(audioManager, synthesizeBeats(VOICINGS['C'], 100, { duration: 12, offset: 0.3 }));
+
+        assert.ok(onsets >= 20, `onsets ${onsets}`);
+        assert.equal(audioManager.bpm, 100);
+        assert.ok(Math.abs(audioManager.sampleInterval - 600) < 15);
+    });
+
+    it('samples the first frame of each tracked beat', () => {
+        const audioManager = new AudioManager();
+        audioManager.sampleInterval = 500;
+        audioManager.beatTracker.beats = [1000];
+
+        assert.equal(audioManager.shouldSample(1020), true);
+        assert.equal(audioManager.shouldSample(1066), false);
+
+        audioManager.beatTracker.beats.push(1500);
+        assert.equal(audioManager.shouldSample(1510), true);
+        assert.equal(audioManager.shouldSample(2200), false);
+        assert.equal(audioManager.shouldSample(2300), true); // tracked beat missing
+    });
+});
@@ -0,0 +1,65 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+
+const BrowserChordDetector = require('../browser-chord-detector');
+const {
+    TIMBRES,
+    VOICINGS,
+    synthesizeChord,
+    createAudioManager,
+    detectSignal,
+    withQuietConsole
+} = require('./helpers/synthesizer');
+
+function detect(notes, options = {}, spectrumSource = 'log') {
+    return withQuietConsole(() => {
+        const audioManager = createAudioManager();
+        const detector = new BrowserChordDetector(audioManager);
+        detector.setSpectrumSource(spectrumSource);
+        return detectSignal(detector, audioManager, synthesizeChord(notes, options));
+    });
+}
+
+describe('BrowserChordDetector', () => {
+    describe('log spectrum', () => {
+        Object.entries(VOICINGS).forEach(([voicing, notes]) => {
+            Object.keys(TIMBRES).forEach(timbre => {
+                it(`detects ${voicing} (${timbre})`, () => {
+                    const chord = detect(notes, { timbre });
+                    assert.ok(chord, 'no chord detected');
+                    assert.equal(chord.name, voicing.split(' ')[0]);
+                });
+            });
+        });
+
+        [0.02, 0.05, 0.1].forEach(noise => {
+            it(`detects chords under noise at ${noise}`, () => {
+                assert.equal(detect(VOICINGS.Bb, { timbre: 'organ', noise }).name, 'Bb');
+                assert.equal(detect(VOICINGS.G7, { timbre: 'organ', noise }).name, 'G7');
+            });
+        });
+
+        [20, -30, 45].forEach(detuneCents => {
+            it(`follows a chord detuned by ${detuneCents} cents`, () => {
+                const chord = detect(VOICINGS.Am, { timbre: 'organ', detuneCents, duration: 4 });
+                assert.equal(chord.name, 'Am');
+            });
+        });
+
+        it('keeps reporting a decaying piano chord', () => {
+            assert.equal(detect(VOICINGS.C, { timbre: 'piano', decay: 1.5 }).name, 'C');
+        });
+    });
+
+    describe('linear spectrum', () => {
+        Object.keys(TIMBRES).forEach(timbre => {
+            it(`detects C octave 5 (${timbre})`, () => {
+                assert.equal(detect(VOICINGS['C octave 5'], { timbre }, 'linear').name, 'C');
+            });
+        });
+
+        it('detects chords around middle C', () => {
+            assert.equal(detect(VOICINGS.C, { timbre: 'organ' }, 'linear').name, 'C');
+        });
+    });
+});
@@ -0,0 +1,70 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+
+const ChordDetector = require('../chord-detector');
+const {
+    TIMBRES,
+    VOICINGS,
+    synthesizeChord,
+    createAudioManager,
+    detectSignal,
+    withQuietConsole
+} = require('./helpers/synthesizer');
+
+function detect(notes, options = {}, spectrumSource = 'log') {
+    return withQuietConsole(() => {
+        const audioManager = createAudioManager();
+        const detector = new ChordDetector(audioManager);
+        detector.setSpectrumSource(spectrumSource);
+        return detectSignal(detector, audioManager, synthesizeChord(notes, options));
+    });
+}
+
+// "C first inversion" -> "C": without a confirmed bass the detector names
+// inversions in root position
+function expectedName(voicing) {
+    return voicing.split(' ')[0];
+}
+
+describe('ChordDetector', () => {
+    describe('log spectrum', () => {
+        Object.entries(VOICINGS).forEach(([voicing, notes]) => {
+            Object.keys(TIMBRES).forEach(timbre => {
+                it(`detects ${voicing} (${timbre})`, () => {
+                    const chord = detect(notes, { timbre });
+                    assert.ok(chord, 'no chord detected');
+                    assert.equal(chord.name, expectedName(voicing));
+                });
+            });
+        });
+
+        [20, -30].forEach(detuneCents => {
+            it(`follows a chord detuned by ${detuneCents} cents`, () => {
+                assert.equal(detect(VOICINGS.Am, { timbre: 'organ', detuneCents }).name, 'Am');
+                assert.equal(detect(VOICINGS.G7, { timbre: 'organ', detuneCents }).name, 'G7');
+            });
+        });
+
+        [0.02, 0.05, 0.1].forEach(noise => {
+            it(`ignores background noise at ${noise}`, () => {
+                assert.equal(detect(VOICINGS.C, { timbre: 'organ', noise }).name, 'C');
+            });
+        });
+    });
+
+    describe('linear spectrum', () => {
+        ['C', 'C first inversion', 'C octave 5'].forEach(voicing => {
+            Object.keys(TIMBRES).forEach(timbre => {
+                it(`detects ${voicing} (${timbre})`, () => {
+                    const chord = detect(VOICINGS[voicing], { timbre }, 'linear');
+                    assert.ok(chord, 'no chord detected');
+                    assert.equal(chord.name, expectedName(voicing));
+                });
+            });
+        });
+
+        it('detects chords below middle C', () => {
+            assert.equal(detect(VOICINGS.Am, { timbre: 'organ' }, 'linear').name, 'Am');
+        });
+    });
+});
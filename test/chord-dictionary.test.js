@@ -0,0 +1,45 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+
+const ChordDictionary = require('../chord-dictionary');
+
+const ROOTS = ['C', 'Db', 'D', 'Eb', 'E', 'F', 'F#', 'G', 'Ab', 'A', 'Bb', 'B'];
+
+describe('ChordDictionary', () => {
+    const dictionary = new ChordDictionary();
+
+    it('identifies every chord type on every root from its own notes', () => {
+        const misses = [];
+
+        dictionary.chordTypes.forEach(type => {
+            ROOTS.forEach(root => {
+                const name = root + type.suffix;
+                const [best] = dictionary.identifyNotes(dictionary.getChordNotes(name), { bass: root });
+
+                // Spelling follows the neutral table (Db -> C#), so compare pitch classes
+                if (!best || best.rootPitchClass !== dictionary.noteToPitchClass(root) || best.suffix !== type.suffix) {
+                    misses.push(`${name} -> ${best ? best.name : 'nothing'}`);
+                }
+            });
+        });
+
+        assert.deepEqual(misses, []);
+    });
+
+    it('parses slash chords and spells them for a key', () => {
+        const parsed = dictionary.parseChordName('F#m7b5/C');
+        assert.equal(parsed.root, 'F#');
+        assert.equal(parsed.suffix, 'm7b5');
+        assert.equal(parsed.bass, 'C');
+
+        assert.equal(dictionary.spellChordName('A#m', 'F'), 'Bbm');
+        assert.equal(dictionary.withBass('C', 'E').name, 'C/E');
+    });
+
+    it('writes Harte labels', () => {
+        assert.equal(dictionary.toHarteLabel(null), 'N');
+        assert.equal(dictionary.toHarteLabel('Am7'), 'A:min7');
+        assert.equal(dictionary.toHarteLabel('C/E'), 'C:maj/3');
+        assert.equal(dictionary.toHarteLabel('Cfoo'), 'X');
+    });
+});
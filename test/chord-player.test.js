@@ -0,0 +1,230 @@
+const { describe, it, beforeEach, afterEach } = require('node:test');
+const assert = require('node:assert/strict');
+const EventEmitter = require('events');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const ChordSynth = require('../chord-synth');
+const ChordPlayer = require('../chord-player');
+const ChordDetector = require('../chord-detector');
+const { decodeWav } = require('../evaluate');
+const { SAMPLE_RATE, VOICINGS, midiToFrequency, createAudioManager, detectSignal, withQuietConsole } = require('./helpers/synthesizer');
+
+// Stand-in for a spawned audio player; missing players fail like spawn does
+class FakePlayer extends EventEmitter {
+    constructor(command, args, available) {
+        super();
+        this.command = command;
+        this.args = args;
+        this.killed = false;
+
+        if (!available) {
+            setImmediate(() => this.emit('error', new Error(`spawn ${command} ENOENT`)));
+        }
+    }
+
+    kill() {
+        this.killed = true;
+        setImmediate(() => this.emit('exit', null));
+    }
+}
+
+function nextTick() {
+    return new Promise(resolve => setImmediate(resolve));
+}
+
+describe('ChordSynth', () => {
+    const synth = new ChordSynth();
+    const notes = VOICINGS['C'].map(midiNote => ({ frequency: midiToFrequency(midiNote) }));
+
+    it('renders the held chord plus its release and strum', () => {
+        const samples = synth.render(notes, { duration: 1 });
+        const expected = Math.ceil((1 + synth.release + 2 * synth.strum) * SAMPLE_RATE);
+
+        assert.equal(samples.length, expected);
+        assert.ok(Math.abs(samples[samples.length - 1]) < 1e-3, 'ends in silence');
+    });
+
+    it('peaks at the same level whatever the note count', () => {
+        const peak = samples => samples.reduce((max, value) => Math.max(max, Math.abs(value)), 0);
+
+        const triad = peak(synth.render(notes, { velocity: 1 }));
+        const single = peak(synth.render(notes.slice(0, 1), { velocity: 1 }));
+
+        assert.ok(Math.abs(triad - synth.peakLevel) < 1e-6);
+        assert.ok(Math.abs(single - synth.peakLevel) < 1e-6);
+    });
+
+    it('renders a chord the peak picker recognises', () => {
+        const audioManager = createAudioManager();
+        const detector = withQuietConsole(() => new ChordDetector(audioManager));
+        const samples = synth.render(notes, { duration: 1.5 });
+
+        const chord = withQuietConsole(() => detectSignal(detector, audioManager, samples.subarray(0, SAMPLE_RATE)));
+        assert.equal(chord && chord.name, 'C');
+    });
+
+    it('encodes 16-bit mono WAV', () => {
+        const samples = synth.render(notes);
+        const wav = synth.toWav(samples);
+        const decoded = decodeWav(wav);
+
+        assert.equal(wav.length, 44 + samples.length * 2);
+        assert.equal(decoded.sampleRate, SAMPLE_RATE);
+        assert.equal(decoded.samples.length, samples.length);
+        for (let i = 0; i < samples.length; i += 997) {
+            assert.ok(Math.abs(decoded.samples[i] - samples[i]) < 1e-4);
+        }
+    });
+});
+
+describe('ChordPlayer', () => {
+    let tempDir;
+    let spawned;
+    let available;
+    let errors;
+    let player;
+
+    beforeEach(() => {
+        tempDir = fs.mkdtempSync(path.join(os.tmpdir(), 'chord-player-'));
+        spawned = [];
+        available = new Set(['paplay']);
+        errors = [];
+
+        player = new ChordPlayer({
+            platform: 'linux',
+            tempDir: tempDir,
+            spawn: (command, args) => {
+                const child = new FakePlayer(command, args, available.has(command));
+                spawned.push(child);
+                return child;
+            }
+        });
+        player.onError(message => errors.push(message));
+    });
+
+    afterEach(() => {
+        fs.rmSync(tempDir, { recursive: true, force: true });
+    });
+
+    it('voices chords by name in the given tuning', () => {
+        const notes = player.resolveNotes({ name: 'Am', referencePitch: 432 });
+
+        assert.deepEqual(notes.map(note => `${note.note}${note.octave}`), ['A4', 'C5', 'E5']);
+        assert.ok(Math.abs(notes[0].frequency - 432) < 1e-9);
+    });
+
+    it('keeps the frequencies the renderer sent', () => {
+        const notes = [{ note: 'C', octave: 4, frequency: 260 }];
+        assert.equal(player.resolveNotes({ name: 'C', notes: notes }), notes);
+    });
+
+    it('plays a WAV through the system player and removes it afterwards', async () => {
+        const filePath = player.play({ name: 'G7' });
+
+        assert.equal(spawned.length, 1);
+        assert.equal(spawned[0].command, 'paplay');
+        assert.deepEqual(spawned[0].args, [filePath]);
+        assert.equal(decodeWav(fs.readFileSync(filePath)).sampleRate, SAMPLE_RATE);
+
+        spawned[0].emit('exit', 0);
+        await nextTick();
+        assert.equal(fs.existsSync(filePath), false);
+    });
+
+    it('falls back to the next player when one is missing', async () => {
+        available = new Set(['aplay']);
+        player.play({ name: 'C' });
+        await nextTick();
+
+        assert.deepEqual(spawned.map(child => child.command), ['paplay', 'aplay']);
+        assert.equal(player.playback.child, spawned[1]);
+        assert.deepEqual(errors, []);
+    });
+
+    it('reports when no player is available', async () => {
+        available = new Set();
+        const log = console.error;
+        console.error = () => {};
+        let filePath;
+        try {
+            filePath = player.play({ name: 'C' });
+            for (let i = 0; i < 4; i++) await nextTick();
+        } finally {
+            console.error = log;
+        }
+
+        assert.equal(spawned.length, 3);
+        assert.equal(errors.length, 1);
+        assert.equal(fs.existsSync(filePath), false);
+    });
+
+    it('cuts off the previous chord', () => {
+        player.play({ name: 'C' });
+        player.play({ name: 'F' });
+
+        assert.equal(spawned[0].killed, true);
+        assert.equal(player.playback.child, spawned[1]);
+    });
+
+    it('plays into its temporary directory whatever path it is given', () => {
+        const outside = path.join(path.dirname(tempDir), `outside-${process.pid}.wav`);
+        const filePath = player.play({ name: 'Dm', filePath: outside });
+
+        assert.equal(path.dirname(filePath), tempDir);
+        assert.equal(spawned.length, 1);
+        assert.equal(fs.existsSync(outside), false);
+    });
+
+    it('refuses to write files outside its temporary directory', () => {
+        [path.join(tempDir, '..', 'escape.wav'), path.join(os.tmpdir(), 'other.wav'), tempDir].forEach(filePath => {
+            assert.throws(() => player.writeFile({ name: 'C' }, filePath), /Refusing to write/);
+        });
+        assert.ok(decodeWav(fs.readFileSync(player.writeFile({ name: 'C' }, path.join(tempDir, 'c.wav')))).samples.length > 0);
+    });
+
+    it('clamps the duration of chord data from the renderer', () => {
+        const notes = [{ note: 'C', octave: 4, frequency: 261.63 }];
+        const checked = ChordPlayer.validate({ name: 'C', notes: notes, duration: 3600, referencePitch: 440 });
+
+        assert.equal(checked.duration, ChordPlayer.MAX_DURATION);
+        assert.deepEqual(checked.notes, notes);
+        assert.deepEqual(ChordPlayer.validate({ name: 'G7' }), { name: 'G7' });
+    });
+
+    it('rejects chord data that would size an unbounded render', () => {
+        const note = { note: 'C', octave: 4, frequency: 261.63 };
+        [
+            null,
+            {},
+            { name: 'C', duration: Infinity },
+            { name: 'C', duration: NaN },
+            { name: 'C', duration: -1 },
+            { name: 'C', duration: '1' },
+            { name: 'C', notes: new Array(ChordPlayer.MAX_NOTES + 1).fill(note) },
+            { name: 'C', notes: 'C E G' },
+            { name: 'C', notes: [{ frequency: 50000 }] },
+            { name: 'C', notes: [{ frequency: 0 }] },
+            { name: 'C', notes: [null] },
+            { name: 'C', velocity: 2 },
+            { name: 'C', referencePitch: 1e9 },
+            { name: 'C'.repeat(1000) }
+        ].forEach(chordData => {
+            assert.throws(() => ChordPlayer.validate(chordData), Error, JSON.stringify(chordData));
+        });
+    });
+
+    it('reports chords it cannot voice', () => {
+        const log = console.error;
+        console.error = () => {};
+        try {
+            assert.equal(player.play({ name: 'H#' }), null);
+        } finally {
+            console.error = log;
+        }
+
+        assert.equal(errors.length, 1);
+        assert.equal(spawned.length, 0);
+    });
+});
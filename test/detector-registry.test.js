@@ -0,0 +1,65 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+
+const DetectorRegistry = require('../detector-registry');
+const ChordDetector = require('../chord-detector');
+const BrowserChordDetector = require('../browser-chord-detector');
+const RealTimeChordDetector = require('../real-time-chord-detector');
+const {
+    VOICINGS,
+    synthesizeChord,
+    createAudioManager,
+    detectSignal,
+    withQuietConsole
+} = require('./helpers/synthesizer');
+
+function createRegistry() {
+    return new DetectorRegistry()
+        .register('realtime', { label: 'Meyda / Tonal', create: host => new RealTimeChordDetector(host) })
+        .register('browser', { label: 'Croma', create: host => new BrowserChordDetector(host) })
+        .register('harmonic', { label: 'Picos', create: host => new ChordDetector(host) });
+}
+
+describe('DetectorRegistry', () => {
+    const registry = createRegistry();
+
+    ['realtime', 'browser', 'harmonic'].forEach(id => {
+        it(`${id} follows the detector contract`, () => {
+            const chord = withQuietConsole(() => {
+                const audioManager = createAudioManager();
+                const engine = registry.create(id, audioManager);
+                if (engine.setSpectrumSource) engine.setSpectrumSource('log');
+                return detectSignal(engine, audioManager, synthesizeChord(VOICINGS.C, { timbre: 'organ' }));
+            });
+
+            assert.ok(chord, 'no chord detected');
+            assert.equal(chord.name, 'C');
+            assert.equal(chord.root, 'C');
+            assert.equal(chord.quality, 'major');
+            assert.equal(chord.bass, 'C');
+            assert.ok(Array.isArray(chord.notes) && chord.notes.length > 0);
+            assert.ok(chord.confidence > 0 && chord.confidence <= 1);
+        });
+    });
+
+    it('fills missing contract fields from the chord name', () => {
+        const chord = registry.normalize({ name: 'F#m7b5/C', confidence: 0.8 });
+        assert.equal(chord.root, 'F#');
+        assert.equal(chord.quality, 'half-diminished');
+        assert.equal(chord.bass, 'C');
+        assert.deepEqual(chord.notes, ['F#', 'A', 'C', 'E']);
+        assert.equal(registry.normalize(null), null);
+    });
+
+    it('lists engines and rejects unknown ones', () => {
+        registry.register('missing', { create: () => null, isAvailable: () => false });
+
+        assert.deepEqual(registry.list().map(engine => [engine.id, engine.available]), [
+            ['realtime', true],
+            ['browser', true],
+            ['harmonic', true],
+            ['missing', false]
+        ]);
+        assert.throws(() => registry.create('nope', createAudioManager()), /Unknown detector: nope/);
+    });
+});
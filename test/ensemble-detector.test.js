@@ -0,0 +1,106 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+
+const DetectorRegistry = require('../detector-registry');
+const EnsembleDetector = require('../ensemble-detector');
+const ChordDetector = require('../chord-detector');
+const BrowserChordDetector = require('../browser-chord-detector');
+const {
+    VOICINGS,
+    synthesizeChord,
+    createAudioManager,
+    detectSignal,
+    withQuietConsole
+} = require('./helpers/synthesizer');
+
+// Engines that answer from a script: one chord (or null) per frame
+function scriptedRegistry(scripts, options = {}) {
+    const registry = new DetectorRegistry();
+    Object.entries(scripts).forEach(([id, frames]) => {
+        registry.register(id, {
+            create: () => {
+                let frame = 0;
+                return { detectChord: () => frames[Math.min(frame++, frames.length - 1)] };
+            },
+            holdBetweenAnalyses: (options.hold || []).includes(id)
+        });
+    });
+    return registry;
+}
+
+describe('EnsembleDetector', () => {
+    it('reports the weighted winner and the engines that agreed', () => {
+        const registry = scriptedRegistry({
+            harmonic: [{ name: 'C/E', confidence: 0.9 }],
+            browser: [{ name: 'C', confidence: 0.8 }],
+            realtime: [{ name: 'Am', confidence: 0.9 }]
+        });
+        const ensemble = new EnsembleDetector(createAudioManager(), { registry });
+
+        const chord = ensemble.detectChord(null, null, 0);
+        assert.equal(chord.name, 'C/E');
+        assert.equal(chord.bass, 'E');
+        assert.deepEqual(chord.agreement, ['harmonic', 'browser']);
+        assert.deepEqual(chord.votes, { harmonic: 'C/E', browser: 'C', realtime: 'Am' });
+        assert.ok(Math.abs(chord.confidence - (0.9 + 0.8) / 3) < 1e-9);
+    });
+
+    it('follows the per-engine weights', () => {
+        const registry = scriptedRegistry({
+            harmonic: [{ name: 'C', confidence: 0.9 }],
+            browser: [{ name: 'Am', confidence: 0.9 }]
+        });
+        const ensemble = new EnsembleDetector(createAudioManager(), { registry, weights: { harmonic: 0.5, browser: 2 } });
+        assert.equal(ensemble.detectChord(null, null, 0).name, 'Am');
+
+        ensemble.setWeight('browser', 0);
+        const chord = ensemble.detectChord(null, null, 50);
+        assert.equal(chord.name, 'C');
+        assert.deepEqual(chord.agreement, ['harmonic']);
+        assert.equal(chord.votes.browser, null);
+    });
+
+    it('counts enharmonic spellings as one chord', () => {
+        const registry = scriptedRegistry({
+            harmonic: [{ name: 'A#m', confidence: 0.8 }],
+            browser: [{ name: 'Bbm', confidence: 0.7 }],
+            realtime: [{ name: 'F', confidence: 0.9 }]
+        });
+        const chord = new EnsembleDetector(createAudioManager(), { registry }).detectChord(null, null, 0);
+        assert.equal(chord.name, 'A#m');
+        assert.deepEqual(chord.agreement, ['harmonic', 'browser']);
+    });
+
+    it('holds the last chord of engines that skip frames, then lets it expire', () => {
+        const registry = scriptedRegistry({
+            harmonic: [{ name: 'G', confidence: 0.9 }, null],
+            browser: [null]
+        }, { hold: ['harmonic'] });
+        const ensemble = new EnsembleDetector(createAudioManager(), { registry });
+
+        assert.equal(ensemble.detectChord(null, null, 0).name, 'G');
+        assert.equal(ensemble.detectChord(null, null, 500).name, 'G');
+        assert.equal(ensemble.detectChord(null, null, 1500), null);
+    });
+
+    it('ignores weak member frames', () => {
+        const registry = scriptedRegistry({ harmonic: [{ name: 'C', confidence: 0.3 }] });
+        assert.equal(new EnsembleDetector(createAudioManager(), { registry }).detectChord(null, null, 0), null);
+    });
+
+    it('fuses the real engines on a synthetic chord', () => {
+        const registry = new DetectorRegistry()
+            .register('browser', { create: host => new BrowserChordDetector(host) })
+            .register('harmonic', { create: host => new ChordDetector(host), holdBetweenAnalyses: true });
+
+        const chord = withQuietConsole(() => {
+            const audioManager = createAudioManager();
+            const ensemble = new EnsembleDetector(audioManager, { registry });
+            ensemble.setSpectrumSource('log');
+            return detectSignal(ensemble, audioManager, synthesizeChord(VOICINGS.G7, { timbre: 'organ' }));
+        });
+
+        assert.equal(chord.name, 'G7');
+        assert.deepEqual(chord.agreement, ['browser', 'harmonic']);
+    });
+});
@@ -0,0 +1,198 @@
+// In-memory chord signals for the detector tests, and the glue that feeds
+// them to a detector the way the live loop does
+
+const SpectrumAnalyser = require('../../spectrum-analyser');
+
+const SAMPLE_RATE = 44100;
+
+// Relative partial amplitudes per timbre
+const TIMBRES = {
+    sine: [1],
+    organ: [1, 0.5, 0.33, 0.25],
+    piano: [1, 0.45, 0.25, 0.12, 0.06, 0.03],
+    saw: [1, 1 / 2, 1 / 3, 1 / 4, 1 / 5, 1 / 6, 1 / 7, 1 / 8]
+};
+
+// Voicings used across the detector suites (MIDI notes)
+const VOICINGS = {
+    'C': [60, 64, 67],
+    'C first inversion': [64, 67, 72],
+    'C open': [48, 55, 64],
+    'C octave 3': [48, 52, 55],
+    'C octave 5': [72, 76, 79],
+    'Am': [57, 60, 64],
+    'Dm': [62, 65, 69],
+    'E': [52, 56, 59],
+    'Bb': [58, 62, 65],
+    'G7': [55, 59, 62, 65],
+    'Fmaj7': [53, 57, 60, 64]
+};
+
+// Deterministic noise so failures reproduce
+function createRandom(seed) {
+    let state = seed >>> 0;
+    return () => {
+        state = (state * 1664525 + 1013904223) >>> 0;
+        return state / 4294967296;
+    };
+}
+
+function midiToFrequency(midiNote, referencePitch = 440) {
+    return referencePitch * Math.pow(2, (midiNote - 69) / 12);
+}
+
+// Sum of the notes' partials plus white noise. Options: duration (s),
+// timbre, noise (amplitude relative to the chord peak), detuneCents
+// (shifts every note), decay (per-second exponential, piano-like)
+function synthesizeChord(midiNotes, options = {}) {
+    const duration = options.duration || 1.5;
+    const sampleRate = options.sampleRate || SAMPLE_RATE;
+    const partials = TIMBRES[options.timbre || 'sine'];
+    const detune = Math.pow(2, (options.detuneCents || 0) / 1200);
+    const decay = options.decay || 0;
+    const random = createRandom(options.seed || 1);
+
+    const length = Math.round(duration * sampleRate);
+    const samples = new Float32Array(length);
+    const level = 0.5 / midiNotes.length;
+
+    midiNotes.forEach(midiNote => {
+        const frequency = midiToFrequency(midiNote) * detune;
+        partials.forEach((amplitude, index) => {
+            const partialFrequency = frequency * (index + 1);
+            if (partialFrequency >= sampleRate / 2) return;
+
+            const step = 2 * Math.PI * partialFrequency / sampleRate;
+            for (let i = 0; i < length; i++) {
+                samples[i] += level * amplitude * Math.sin(step * i);
+            }
+        });
+    });
+
+    for (let i = 0; i < length; i++) {
+        const envelope = decay ? Math.exp(-decay * i / sampleRate) : 1;
+        samples[i] = samples[i] * envelope + (options.noise || 0) * (2 * random() - 1);
+    }
+
+    return samples;
+}
+
+// A chord struck on every beat: each hit decays quickly over a sustained
+// bed, with a noise click on the attack. Options: duration (s), offset (s
+// to the first beat), sustain (bed level), seed
+function synthesizeBeats(midiNotes, bpm, options = {}) {
+    const duration = options.duration || 20;
+    const sampleRate = options.sampleRate || SAMPLE_RATE;
+    const offset = options.offset || 0;
+    const sustain = options.sustain !== undefined ? options.sustain : 0.2;
+    const random = createRandom(options.seed || 1);
+
+    const chord = synthesizeChord(midiNotes, { duration: duration, sampleRate: sampleRate, timbre: 'piano' });
+    const period = 60 / bpm;
+
+    for (let i = 0; i < chord.length; i++) {
+        const sinceBeat = ((i / sampleRate - offset) % period + period) % period;
+        const hit = i / sampleRate >= offset ? Math.exp(-12 * sinceBeat) : 0;
+        chord[i] = 0.8 * chord[i] * (sustain + hit) + 0.3 * hit * (2 * random() - 1);
+    }
+
+    return chord;
+}
+
+// Bars of a progression (one voicing per bar, cycling), struck on every
+// beat with the downbeat accented. Options: beatsPerBar, subdivision (2 or
+// 3 softer hits per beat), duration (s), offset (s to the first downbeat),
+// pickup (beats before it), seed
+function synthesizeBars(chords, bpm, options = {}) {
+    const duration = options.duration || 20;
+    const sampleRate = options.sampleRate || SAMPLE_RATE;
+    const beatsPerBar = options.beatsPerBar || 4;
+    const subdivision = options.subdivision || 1;
+    const offset = options.offset || 0;
+    const pickup = options.pickup || 0;
+    const random = createRandom(options.seed || 1);
+
+    const voices = chords.map(midiNotes => synthesizeChord(midiNotes, { duration: duration, sampleRate: sampleRate, timbre: 'piano' }));
+    const period = 60 / bpm;
+    const start = offset - pickup * period;
+    const samples = new Float32Array(Math.round(duration * sampleRate));
+
+    for (let i = 0; i < samples.length; i++) {
+        const time = i / sampleRate - start;
+        if (time < 0) continue;
+
+        const beat = Math.floor(time / period);
+        const bar = Math.floor((beat - pickup) / beatsPerBar);
+        const inBar = ((beat - pickup) % beatsPerBar + beatsPerBar) % beatsPerBar;
+        const sinceBeat = time - beat * period;
+        const sinceSubdivision = sinceBeat % (period / subdivision);
+
+        const accent = inBar === 0 ? 1 : 0.45;
+        const hit = sinceBeat < period / subdivision
+            ? accent * Math.exp(-12 * sinceBeat)
+            : 0.3 * Math.exp(-12 * sinceSubdivision);
+        const voice = voices[((bar % chords.length) + chords.length) % chords.length];
+        samples[i] = 0.8 * voice[i] * (0.15 + hit) + 0.3 * hit * (2 * random() - 1);
+    }
+
+    return samples;
+}
+
+// Minimal stand-in for AudioManager: every frame is analysed
+function createAudioManager(sampleRate = SAMPLE_RATE) {
+    return {
+        audioContext: { sampleRate: sampleRate },
+        fftSize: 2048,
+        adaptiveThreshold: 0.02,
+        setFftSize(fftSize) {
+            this.fftSize = fftSize;
+        },
+        detectOnset() {
+            return true;
+        },
+        shouldSample() {
+            return true;
+        }
+    };
+}
+
+// Run a detector over a signal at the live loop's 50 ms hop and return the
+// result of the last frame (after the detector's own smoothing)
+function detectSignal(detector, audioManager, samples, options = {}) {
+    const sampleRate = audioManager.audioContext.sampleRate;
+    const hop = Math.round((options.hopDuration || 0.05) * sampleRate);
+    const analyser = new SpectrumAnalyser({ fftSize: audioManager.fftSize });
+
+    let result = null;
+    for (let end = hop; end <= samples.length; end += hop) {
+        const frequencyData = analyser.getByteFrequencyData(samples, end);
+        const timeData = analyser.getTimeDomainData(samples, end);
+        result = detector.detectChord(timeData, frequencyData, end / sampleRate * 1000);
+    }
+
+    return result;
+}
+
+// Detector logs (onsets, chords) would drown the test report
+function withQuietConsole(callback) {
+    const log = console.log;
+    console.log = () => {};
+    try {
+        return callback();
+    } finally {
+        console.log = log;
+    }
+}
+
+module.exports = {
+    SAMPLE_RATE,
+    TIMBRES,
+    VOICINGS,
+    midiToFrequency,
+    synthesizeChord,
+    synthesizeBeats,
+    synthesizeBars,
+    createAudioManager,
+    detectSignal,
+    withQuietConsole
+};
@@ -0,0 +1,172 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+
+const MeterDetector = require('../meter-detector');
+const BeatTracker = require('../beat-tracker');
+const AudioManager = require('../audio-manager');
+const ChordTimeline = require('../chord-timeline');
+const ChordPro = require('../chordpro');
+const SpectrumAnalyser = require('../spectrum-analyser');
+const { SAMPLE_RATE, VOICINGS, synthesizeBars, withQuietConsole } = require('./helpers/synthesizer');
+
+// Track a progression of bars (one chord per bar) and read its meter. The
+// frames carry the chord of their bar, as a detector would name it
+function detectMeter(chords, bpm, options = {}) {
+    const beatsPerBar = options.beatsPerBar || 4;
+    const pickup = options.pickup || 0;
+    const offset = options.offset || 0;
+    const period = 60 / bpm;
+    const samples = synthesizeBars(chords.map(name => VOICINGS[name]), bpm, options);
+
+    const meterDetector = new MeterDetector();
+    const tracker = new BeatTracker({
+        onBeat: time => meterDetector.addBeat(time),
+        onOnset: (time, strength) => meterDetector.addOnset(time, strength)
+    });
+    const analyser = new SpectrumAnalyser({ fftSize: 2048, smoothingTimeConstant: 0.8 });
+
+    for (let end = 2048; end <= samples.length; end += 2048) {
+        const time = end / SAMPLE_RATE * 1000;
+        tracker.addSpectrum(analyser.getByteFrequencyData(samples, end), time);
+
+        const sinceStart = time / 1000 - offset + pickup * period;
+        const bar = Math.floor((Math.floor(sinceStart / period) - pickup) / beatsPerBar);
+        const chord = sinceStart >= 0
+            ? { name: chords[((bar % chords.length) + chords.length) % chords.length], confidence: 0.8 }
+            : null;
+        meterDetector.addFrame(chord, time);
+    }
+
+    return { result: meterDetector.getResult(), detector: meterDetector };
+}
+
+// Distance (in beats) from a reported downbeat to the nearest true one
+function downbeatError(time, bpm, beatsPerBar, offset) {
+    const beats = (time / 1000 - offset) / (60 / bpm);
+    const error = ((beats % beatsPerBar) + beatsPerBar) % beatsPerBar;
+    return Math.min(error, beatsPerBar - error);
+}
+
+describe('MeterDetector', () => {
+    [
+        { label: '4/4', chords: ['C', 'Fmaj7', 'G7', 'Am'], bpm: 110, beatsPerBar: 4, offset: 0.3 },
+        { label: '3/4', chords: ['C', 'Fmaj7', 'G7'], bpm: 140, beatsPerBar: 3, offset: 0.2 },
+        { label: '2/4', chords: ['C', 'G7'], bpm: 100, beatsPerBar: 2, offset: 0.1 },
+        { label: '6/8', chords: ['C', 'Am', 'Dm', 'G7'], bpm: 70, beatsPerBar: 2, subdivision: 3, offset: 0.25, duration: 20 }
+    ].forEach(({ label, chords, bpm, ...options }) => {
+        it(`reads ${label} and its downbeats`, () => {
+            const { result } = detectMeter(chords, bpm, { duration: 16, ...options });
+
+            assert.ok(result, 'no meter');
+            assert.equal(`${result.meter.beats}/${result.meter.beatType}`, label);
+            assert.ok(downbeatError(result.downbeatTime, bpm, options.beatsPerBar, options.offset) < 0.1,
+                `downbeat at ${result.downbeatTime}`);
+        });
+    });
+
+    it('finds bar 1 after a pickup', () => {
+        const options = { beatsPerBar: 4, subdivision: 2, offset: 0.8, pickup: 1, duration: 16 };
+        const { result, detector } = detectMeter(['C', 'Fmaj7', 'G7', 'Am'], 120, options);
+
+        assert.deepEqual(result.meter, { beats: 4, beatType: 4 });
+        assert.equal(detector.subdivision, 2);
+        assert.ok(downbeatError(result.downbeatTime, 120, 4, 0.8) < 0.1, `downbeat at ${result.downbeatTime}`);
+    });
+
+    it('reports each new reading once', () => {
+        const readings = [];
+        const detector = new MeterDetector({ onMeter: result => readings.push(result) });
+
+        // Accented and changing chords every third beat
+        for (let beat = 0; beat < 30; beat++) {
+            const time = beat * 500;
+            detector.addBeat(time);
+            detector.addOnset(time, beat % 3 === 1 ? 3 : 1);
+            detector.addFrame({ name: Math.floor((beat - 1) / 3) % 2 === 0 ? 'C' : 'G', confidence: 0.8 }, time + 10);
+        }
+
+        assert.equal(readings.length, 1);
+        assert.deepEqual(readings[0].meter, { beats: 3, beatType: 4 });
+        assert.equal(readings[0].downbeat, 1);
+        assert.equal((readings[0].downbeatTime / 500 - 1) % 3, 0);
+    });
+
+    it('waits for enough beats', () => {
+        const detector = new MeterDetector();
+        for (let beat = 0; beat < 6; beat++) {
+            detector.addBeat(beat * 500);
+            detector.addOnset(beat * 500, beat % 4 === 0 ? 3 : 1);
+            detector.addFrame(null, beat * 500 + 10);
+        }
+
+        assert.equal(detector.getMeter(), null);
+        assert.equal(detector.getResult(), null);
+    });
+});
+
+describe('AudioManager meter', () => {
+    it('takes the onsets from detectOnset', () => {
+        const audioManager = new AudioManager();
+        const silence = new Uint8Array(1024);
+        const hit = new Uint8Array(1024).fill(200);
+
+        withQuietConsole(() => {
+            audioManager.detectOnset(silence, 0);
+            audioManager.detectOnset(hit, 100);
+        });
+
+        assert.equal(audioManager.meterDetector.onsets.length, 1);
+        assert.equal(audioManager.meterDetector.onsets[0].time, 100);
+        assert.equal(audioManager.getMeter(), null);
+    });
+});
+
+describe('Meter in exports', () => {
+    // 6/8 at 60 dotted quarters: bars of 2 s, first downbeat 1 s in
+    const timeline = new ChordTimeline({
+        tempo: 60,
+        meter: { beats: 6, beatType: 8 },
+        beats: [0, 1, 2, 3, 4, 5, 6],
+        downbeat: 1
+    });
+    timeline.segments = [
+        { start: 0, end: 1, name: 'G7', confidence: 0.8 },
+        { start: 1, end: 3, name: 'C', confidence: 0.8 },
+        { start: 3, end: 6, name: 'Am', confidence: 0.8 }
+    ];
+    timeline.duration = 6;
+
+    it('counts compound bars in dotted quarters', () => {
+        assert.equal(timeline.beatsPerBar(), 2);
+        assert.equal(timeline.getPickupBars(), 1);
+        assert.equal(timeline.getFirstBarNumber(), 0);
+        assert.equal(timeline.toGridTime(1), 2);
+    });
+
+    it('numbers ChordPro bars from the downbeat', () => {
+        const chart = new ChordPro().export(timeline, { title: 'Vals' });
+        const lines = chart.trim().split('\n');
+
+        assert.ok(lines.includes('{time: 6/8}'));
+        assert.deepEqual(lines.slice(-4), ['[*0] [G7]', '[*1] [C]', '[*2] [Am]', '[*3] [Am]']);
+        assert.deepEqual(new ChordPro().parse(chart).chords, ['G7', 'C', 'Am']);
+    });
+
+    it('lays out ChordPro bars in the meter it writes', () => {
+        const chart = new ChordPro().export(timeline, { meter: { beats: 3, beatType: 4 } });
+        const lines = chart.trim().split('\n');
+
+        assert.ok(lines.includes('{time: 3/4}'));
+        assert.equal(lines.filter(line => line.startsWith('[*')).length, Math.ceil(timeline.getGridDuration() / 3));
+    });
+
+    it('puts a live downbeat on the nearest recorded beat', () => {
+        const live = new ChordTimeline();
+        live.start(1000);
+        [1500, 2000, 2500, 3000, 3500].forEach(time => live.addBeat(time));
+        live.setMeter({ beats: 3, beatType: 4 }, 3520);
+
+        assert.deepEqual(live.meter, { beats: 3, beatType: 4 });
+        assert.equal(live.downbeat, 1);
+    });
+});
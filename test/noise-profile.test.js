@@ -0,0 +1,152 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+
+const NoiseProfile = require('../noise-profile');
+const ChordDetector = require('../chord-detector');
+const BrowserChordDetector = require('../browser-chord-detector');
+const RealTimeChordDetector = require('../real-time-chord-detector');
+const SpectrumAnalyser = require('../spectrum-analyser');
+const { SAMPLE_RATE, VOICINGS, synthesizeChord, createAudioManager, withQuietConsole } = require('./helpers/synthesizer');
+
+// A rehearsal room: 60 Hz hum with its harmonics over hiss
+function synthesizeRoom(duration, seed = 3) {
+    const samples = new Float32Array(Math.round(duration * SAMPLE_RATE));
+    const harmonics = [1, 0.6, 0.5, 0.4, 0.3, 0.25];
+    let state = seed;
+    for (let i = 0; i < samples.length; i++) {
+        state = (state * 1664525 + 1013904223) >>> 0;
+        const time = i / SAMPLE_RATE;
+        let hum = 0;
+        harmonics.forEach((level, h) => {
+            hum += level * Math.sin(2 * Math.PI * 60 * (h + 1) * time + h);
+        });
+        samples[i] = 0.02 * hum + 0.01 * (2 * state / 4294967296 - 1);
+    }
+    return samples;
+}
+
+// Call back with each frame of the signal at the live pipeline's hop
+function forEachFrame(samples, callback, fftSize = 2048) {
+    const analyser = new SpectrumAnalyser({ fftSize: fftSize, smoothingTimeConstant: 0.8 });
+    const results = [];
+    for (let end = 2048; end <= samples.length; end += 2048) {
+        results.push(callback(
+            analyser.getByteFrequencyData(samples, end),
+            end / SAMPLE_RATE * 1000,
+            analyser.getTimeDomainData(samples, end)
+        ));
+    }
+    return results;
+}
+
+function calibrate(profile, samples = synthesizeRoom(3.5, 9)) {
+    profile.startCalibration(0);
+    const done = forEachFrame(samples, (frequencyData, time) => profile.addFrame(frequencyData, time));
+    return done.filter(Boolean).length;
+}
+
+// Chord names an engine (the peak picker by default) reads over the last
+// frames of the signal; the profile cleans the byte spectrum, as live
+function detectChords(samples, profile = null, Engine = ChordDetector) {
+    const detector = withQuietConsole(() => new Engine(createAudioManager()));
+    const results = withQuietConsole(() => forEachFrame(samples, (frequencyData, time, timeData) => {
+        const cleaned = profile ? profile.apply(frequencyData) : frequencyData;
+        const chord = detector.detectChord(timeData, cleaned, time);
+        return chord ? chord.name : null;
+    }));
+    return results.slice(-5);
+}
+
+describe('NoiseProfile', () => {
+    it('builds the profile once the recording is over', () => {
+        const profile = new NoiseProfile();
+
+        assert.equal(calibrate(profile), 1);
+        assert.ok(profile.hasProfile());
+        assert.equal(profile.isCalibrating(), false);
+        assert.equal(profile.binCount, 1024);
+    });
+
+    it('keeps the old profile when the recording is too short', () => {
+        const profile = new NoiseProfile();
+        profile.startCalibration(0, 100);
+
+        assert.equal(profile.addFrame(new Uint8Array(1024).fill(30), 200), false);
+        assert.equal(profile.isCalibrating(), false);
+        assert.equal(profile.hasProfile(), false);
+    });
+
+    ['gate', 'subtract'].forEach(mode => {
+        [['peak picker', ChordDetector], ['chroma templates', BrowserChordDetector]].forEach(([engine, Engine]) => {
+            it(`takes phantom chords out of room noise for the ${engine} (${mode})`, () => {
+                const profile = new NoiseProfile({ mode: mode });
+                calibrate(profile);
+                const room = synthesizeRoom(3);
+
+                assert.ok(detectChords(room, null, Engine).some(Boolean), 'the room alone should fool the raw detector');
+                assert.deepEqual(detectChords(room, profile, Engine), [null, null, null, null, null]);
+            });
+        });
+
+        it(`still hears a chord over the room (${mode})`, () => {
+            const profile = new NoiseProfile({ mode: mode });
+            calibrate(profile);
+            const room = synthesizeRoom(3);
+            const chord = synthesizeChord(VOICINGS['C'], { duration: 3, timbre: 'piano' }).map((sample, i) => sample + room[i]);
+
+            assert.deepEqual(detectChords(chord, profile), ['C', 'C', 'C', 'C', 'C']);
+        });
+    });
+
+    it('does not reach engines that read the time-domain window', () => {
+        // Meyda computes its chroma from the samples, which the profile
+        // leaves alone (as it does for complex-domain onsets)
+        const profile = new NoiseProfile();
+        calibrate(profile);
+        const room = synthesizeRoom(3);
+        const chord = synthesizeChord(VOICINGS['C'], { duration: 3, timbre: 'piano' }).map((sample, i) => sample + room[i]);
+
+        assert.deepEqual(
+            detectChords(chord, profile, RealTimeChordDetector),
+            detectChords(chord, null, RealTimeChordDetector)
+        );
+    });
+
+    it('gates each bin against its own noise level', () => {
+        const profile = new NoiseProfile({ margin: 0, spreadFactor: 0 });
+        profile.setProfile([100, 20, 20, 20], [0, 0, 0, 0]);
+
+        assert.deepEqual(Array.from(profile.apply(Uint8Array.from([120, 120, 15, 25]))), [120, 120, 0, 25]);
+    });
+
+    it('reads the profile at the same frequencies for another FFT size', () => {
+        const profile = new NoiseProfile({ margin: 0, spreadFactor: 0 });
+        profile.setProfile([100, 20], [0, 0]);
+
+        assert.deepEqual(Array.from(profile.getLevels(4).levels), [100, 60, 20, 20]);
+    });
+
+    it('leaves frames alone without a profile or when off', () => {
+        const frame = Uint8Array.from([10, 20, 30]);
+        const profile = new NoiseProfile();
+        assert.equal(profile.apply(frame), frame);
+
+        profile.setProfile([50, 50, 50], [0, 0, 0]);
+        profile.setMode('off');
+        assert.equal(profile.apply(frame), frame);
+    });
+
+    it('saves and loads a profile', () => {
+        const profile = new NoiseProfile();
+        calibrate(profile);
+
+        const restored = new NoiseProfile();
+        assert.equal(restored.load(JSON.parse(JSON.stringify(profile.toJSON()))), true);
+        assert.equal(restored.binCount, profile.binCount);
+        assert.ok(restored.mean.every((value, i) => Math.abs(value - profile.mean[i]) < 0.01));
+
+        assert.equal(restored.load({ mean: [1, 2], spread: [1] }), false);
+        assert.equal(restored.hasProfile(), false);
+        assert.equal(restored.load(null), false);
+    });
+});
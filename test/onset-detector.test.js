@@ -0,0 +1,156 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+
+const OnsetDetector = require('../onset-detector');
+const AudioManager = require('../audio-manager');
+const SpectrumAnalyser = require('../spectrum-analyser');
+const { SAMPLE_RATE, VOICINGS, synthesizeChord, synthesizeBeats, withQuietConsole } = require('./helpers/synthesizer');
+
+// Onset times (ms) over a signal at the live pipeline's hop
+function detectOnsets(detector, samples, hopSize = 2048) {
+    const analyser = new SpectrumAnalyser({ fftSize: 2048, smoothingTimeConstant: 0.8 });
+    const onsets = [];
+    for (let end = hopSize; end <= samples.length; end += hopSize) {
+        const time = end / SAMPLE_RATE * 1000;
+        const frequencyData = analyser.getByteFrequencyData(samples, end);
+        if (detector.detect(frequencyData, time, analyser.getTimeDomainData(samples, end))) {
+            onsets.push(time);
+        }
+    }
+    return onsets;
+}
+
+// Chords fading in over fadeTime (s) every `every` seconds, over a little noise
+function synthesizePads(names, every, fadeTime) {
+    const samples = new Float32Array(Math.round(names.length * every * SAMPLE_RATE));
+    names.forEach((name, index) => {
+        const chord = synthesizeChord(VOICINGS[name], { duration: every + fadeTime, timbre: 'organ' });
+        const start = Math.round(index * every * SAMPLE_RATE);
+        for (let i = 0; i < chord.length && start + i < samples.length; i++) {
+            const time = i / SAMPLE_RATE;
+            const envelope = Math.min(1, time / fadeTime) * (time > every ? Math.max(0, 1 - (time - every) / fadeTime) : 1);
+            samples[start + i] += 0.5 * chord[i] * envelope;
+        }
+    });
+
+    let state = 7;
+    for (let i = 0; i < samples.length; i++) {
+        state = (state * 1664525 + 1013904223) >>> 0;
+        samples[i] += 0.003 * (2 * state / 4294967296 - 1);
+    }
+    return samples;
+}
+
+// Plucks: bright, quickly decaying chords every `every` seconds
+function synthesizePlucks(names, every, offset) {
+    const samples = new Float32Array(Math.round((offset + names.length * every) * SAMPLE_RATE));
+    names.forEach((name, index) => {
+        const pluck = synthesizeChord(VOICINGS[name], { duration: every, timbre: 'saw', decay: 4 });
+        const start = Math.round((offset + index * every) * SAMPLE_RATE);
+        for (let i = 0; i < pluck.length; i++) {
+            samples[start + i] += pluck[i] * Math.min(1, i / 50);
+        }
+    });
+    return samples;
+}
+
+const near = (onsets, time, tolerance = 120) => onsets.some(onset => Math.abs(onset - time) <= tolerance);
+
+describe('OnsetDetector', () => {
+    ['default', 'pad', 'guitar'].forEach(preset => {
+        it(`finds each struck beat once (${preset})`, () => {
+            const onsets = detectOnsets(new OnsetDetector({ preset: preset }), synthesizeBeats(VOICINGS['C'], 100, { duration: 10, offset: 0.3 }));
+            const beats = onsets.filter(onset => onset > 200);
+
+            assert.equal(beats.length, 17);
+            beats.forEach((onset, index) => assert.ok(Math.abs(onset - (300 + index * 600)) < 80, `onset at ${onset}`));
+        });
+
+        it(`finds each pluck once (${preset})`, () => {
+            const onsets = detectOnsets(new OnsetDetector({ preset: preset }), synthesizePlucks(['E', 'Am', 'E', 'Am', 'E', 'Am', 'E', 'Am'], 0.6, 0.2));
+            assert.equal(onsets.length, 8);
+        });
+    });
+
+    it('stays quiet through a held chord', () => {
+        const samples = synthesizeChord(VOICINGS['C'], { duration: 5, timbre: 'piano' });
+
+        ['default', 'pad', 'guitar'].forEach(preset => {
+            const onsets = detectOnsets(new OnsetDetector({ preset: preset }), samples);
+            assert.ok(onsets.every(onset => onset < 150), `${preset}: ${onsets}`);
+        });
+    });
+
+    it('hears soft pad changes with the pad preset', () => {
+        const onsets = detectOnsets(new OnsetDetector({ preset: 'pad' }), synthesizePads(['C', 'E', 'Bb', 'Dm'], 2, 0.25));
+
+        [2000, 4000, 6000].forEach(change => assert.ok(near(onsets, change, 250), `change at ${change}: ${onsets}`));
+        assert.ok(onsets.length <= 4, `onsets ${onsets}`);
+    });
+
+    it('raises its threshold with the level of the flux around it', () => {
+        const detector = new OnsetDetector({ average: 'mean', historyLength: 4, thresholdRatio: 2, thresholdDelta: 0.1 });
+        detector.history = [1, 1, 1, 5];
+        assert.equal(detector.averageHistory(), 2);
+
+        detector.average = 'median';
+        assert.equal(detector.averageHistory(), 1);
+    });
+
+    it('switches function and settings with the preset', () => {
+        const detector = new OnsetDetector({ preset: 'guitar' });
+        assert.equal(detector.detectionFunction, 'hfc');
+
+        detector.history = [1];
+        detector.setPreset('pad');
+        assert.equal(detector.detectionFunction, 'complex');
+        assert.equal(detector.minInterval, OnsetDetector.PRESETS.pad.minInterval);
+        assert.deepEqual(detector.history, []);
+
+        detector.setPreset('unknown');
+        assert.equal(detector.preset, 'default');
+    });
+
+    it('keeps explicit zero options over the preset', () => {
+        const detector = new OnsetDetector({ preset: 'guitar', minInterval: 0, thresholdRatio: 0, thresholdDelta: 0, minStrength: 0 });
+        assert.equal(detector.minInterval, 0);
+        assert.equal(detector.thresholdRatio, 0);
+        assert.equal(detector.thresholdDelta, 0);
+        assert.equal(detector.minStrength, 0);
+
+        // No minimum interval: an attack right after another still counts
+        const quiet = new Uint8Array(1024).fill(10);
+        const loud = new Uint8Array(1024).fill(180);
+        const onsets = [quiet, loud, quiet, loud].map((frame, index) => detector.detect(frame, index * 10));
+        assert.deepEqual(onsets, [false, true, false, true]);
+    });
+
+    it('falls back to flux when the complex domain has no samples', () => {
+        const detector = new OnsetDetector({ preset: 'pad' });
+        const quiet = new Uint8Array(1024).fill(10);
+        const loud = new Uint8Array(1024).fill(180);
+
+        assert.equal(detector.detect(quiet, 0), false);
+        assert.equal(detector.detect(loud, 50), true);
+    });
+});
+
+describe('AudioManager onsets', () => {
+    it('detects with the adaptive detector and its preset', () => {
+        const audioManager = new AudioManager();
+        audioManager.setOnsetPreset('guitar');
+        assert.equal(audioManager.onsetDetector.detectionFunction, 'hfc');
+
+        const samples = synthesizePlucks(['E', 'Am', 'E', 'Am'], 0.6, 0.2);
+        const analyser = new SpectrumAnalyser({ fftSize: 2048, smoothingTimeConstant: 0.8 });
+        let onsets = 0;
+        withQuietConsole(() => {
+            for (let end = 2048; end <= samples.length; end += 2048) {
+                if (audioManager.detectOnset(analyser.getByteFrequencyData(samples, end), end / SAMPLE_RATE * 1000)) onsets++;
+            }
+        });
+
+        assert.equal(onsets, 4);
+        assert.equal(audioManager.meterDetector.onsets.length, 4);
+    });
+});
@@ -0,0 +1,68 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+
+const RealTimeChordDetector = require('../real-time-chord-detector');
+const {
+    VOICINGS,
+    synthesizeChord,
+    createAudioManager,
+    detectSignal,
+    withQuietConsole
+} = require('./helpers/synthesizer');
+
+function detect(notes, options = {}, spectrumSource = 'linear') {
+    return withQuietConsole(() => {
+        const audioManager = createAudioManager();
+        const detector = new RealTimeChordDetector(audioManager);
+        detector.setSpectrumSource(spectrumSource);
+        return detectSignal(detector, audioManager, synthesizeChord(notes, options));
+    });
+}
+
+describe('RealTimeChordDetector', () => {
+    const cases = [
+        ['C', 'organ', 'C'],
+        ['C', 'piano', 'C'],
+        ['C first inversion', 'sine', 'C/E'],
+        ['C first inversion', 'organ', 'C/E'],
+        ['C first inversion', 'saw', 'C/E'],
+        ['C octave 5', 'sine', 'C'],
+        ['C octave 5', 'piano', 'C'],
+        ['Dm', 'organ', 'Dm'],
+        ['Dm', 'saw', 'Dm']
+    ];
+
+    cases.forEach(([voicing, timbre, expected]) => {
+        it(`detects ${voicing} (${timbre})`, () => {
+            const chord = detect(VOICINGS[voicing], { timbre });
+            assert.ok(chord, 'no chord detected');
+            assert.equal(chord.name, expected);
+        });
+    });
+
+    it('detects C under noise', () => {
+        assert.equal(detect(VOICINGS.C, { timbre: 'organ', noise: 0.05 }).name, 'C');
+    });
+
+    it('detects seventh chords', () => {
+        const chord = detect(VOICINGS.G7, { timbre: 'organ' });
+        assert.equal(chord && chord.name, 'G7');
+    });
+
+    it('detects minor chords below middle C', () => {
+        const chord = detect(VOICINGS.Am, { timbre: 'organ' });
+        assert.equal(chord && chord.name, 'Am');
+    });
+
+    it('reports the lowest sounding note as the bass', () => {
+        ['organ', 'piano', 'saw'].forEach(timbre => {
+            const inversion = detect(VOICINGS['C first inversion'], { timbre });
+            assert.equal(inversion.root, 'C');
+            assert.equal(inversion.bass, 'E');
+
+            const rootPosition = detect(VOICINGS.Fmaj7, { timbre }, 'log');
+            assert.equal(rootPosition.name, 'Fmaj7');
+            assert.equal(rootPosition.bass, 'F');
+        });
+    });
+});
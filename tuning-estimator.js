@@ -0,0 +1,109 @@
+class TuningEstimator {
+    constructor(options = {}) {
+        // Nominal A4; the estimated offset is applied on top of it
+        this.referencePitch = options.referencePitch || 440;
+        this.autoTune = options.autoTune !== undefined ? options.autoTune : true;
+
+        // Spectral peaks used for the estimate
+        this.minFrequency = options.minFrequency || 80;
+        this.maxFrequency = options.maxFrequency || 2000;
+        this.peakThreshold = options.peakThreshold || 40; // Byte magnitude (0-255)
+
+        // Evidence decays per frame so a retuned instrument is followed
+        this.decay = options.decay || 0.995;
+        this.minEvidence = options.minEvidence || 50;
+
+        this.reset();
+    }
+
+    reset() {
+        // Deviations wrap at +-50 cents, so they are averaged on a circle
+        this.sumSin = 0;
+        this.sumCos = 0;
+        this.evidence = 0;
+        this.offsetCents = 0;
+    }
+
+    setReferencePitch(frequency) {
+        const value = Number(frequency);
+        if (!(value > 0)) return;
+
+        this.referencePitch = value;
+        this.reset();
+    }
+
+    setAutoTune(enabled) {
+        this.autoTune = enabled;
+        if (!enabled) this.reset();
+    }
+
+    // Fold the deviation of each spectral peak from the nearest semitone
+    // into the running estimate; returns the current offset in cents
+    addSpectrum(frequencyData, sampleRate) {
+        if (!this.autoTune) return 0;
+
+        const bufferLength = frequencyData.length;
+        const binWidth = sampleRate / (bufferLength * 2);
+
+        this.sumSin *= this.decay;
+        this.sumCos *= this.decay;
+        this.evidence *= this.decay;
+
+        const firstBin = Math.max(1, Math.floor(this.minFrequency / binWidth));
+        const lastBin = Math.min(bufferLength - 2, Math.ceil(this.maxFrequency / binWidth));
+
+        for (let i = firstBin; i <= lastBin; i++) {
+            const current = frequencyData[i];
+            const prev = frequencyData[i - 1];
+            const next = frequencyData[i + 1];
+
+            if (current < this.peakThreshold || current <= prev || current < next) continue;
+
+            // Parabolic interpolation gives the peak position between bins
+            const denominator = prev - 2 * current + next;
+            const shift = denominator !== 0 ? 0.5 * (prev - next) / denominator : 0;
+            const frequency = (i + shift) * binWidth;
+
+            const cents = 1200 * Math.log2(frequency / this.referencePitch);
+            const deviation = cents - 100 * Math.round(cents / 100);
+            const angle = 2 * Math.PI * deviation / 100;
+
+            // Low bins are too coarse to resolve cents; weight peaks by
+            // magnitude and by how many bins a semitone spans there
+            const binsPerSemitone = frequency * (Math.pow(2, 1 / 12) - 1) / binWidth;
+            const weight = (current / 255) * Math.min(1, binsPerSemitone / 4);
+
+            this.sumSin += weight * Math.sin(angle);
+            this.sumCos += weight * Math.cos(angle);
+            this.evidence += weight;
+        }
+
+        if (this.evidence >= this.minEvidence) {
+            this.offsetCents = Math.atan2(this.sumSin, this.sumCos) * 100 / (2 * Math.PI);
+        }
+
+        return this.offsetCents;
+    }
+
+    getOffsetCents() {
+        return this.autoTune ? this.offsetCents : 0;
+    }
+
+    // Effective A4 after the estimated offset (e.g. 432 Hz bands)
+    getTuningFrequency() {
+        return this.referencePitch * Math.pow(2, this.getOffsetCents() / 1200);
+    }
+
+    // Fractional MIDI note for a frequency in the current tuning
+    frequencyToMidi(frequency) {
+        return 69 + 12 * Math.log2(frequency / this.getTuningFrequency());
+    }
+
+    midiToFrequency(midiNote) {
+        return this.getTuningFrequency() * Math.pow(2, (midiNote - 69) / 12);
+    }
+}
+
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = TuningEstimator;
+}
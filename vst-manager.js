@@ -1,323 +1,323 @@
-const { spawn } = require('child_process');
-const path = require('path');
-const fs = require('fs');
-
-class VSTManager {
-    constructor() {
-        this.vstPlugins = [];
-        this.activePlugin = null;
-        this.audioProcess = null;
-        this.isRunning = false;
-        this.audioBuffer = null;
-        this.callbacks = {
-            onAudioData: null,
-            onError: null,
-            onStatus: null
-        };
-    }
-
-    /**
-     * Scan for VST plugins in common directories
-     */
-    async scanVSTPlugins() {
-        const vstPaths = this.getVSTPaths();
-        const plugins = [];
-
-        for (const vstPath of vstPaths) {
-            if (fs.existsSync(vstPath)) {
-                try {
-                    const files = fs.readdirSync(vstPath);
-                    const vstFiles = files.filter(file => 
-                        file.toLowerCase().endsWith('.vst') || 
-                        file.toLowerCase().endsWith('.vst3') ||
-                        file.toLowerCase().endsWith('.dll')
-                    );
-                    
-                    vstFiles.forEach(file => {
-                        plugins.push({
-                            name: path.parse(file).name,
-                            path: path.join(vstPath, file),
-                            type: this.getPluginType(file)
-                        });
-                    });
-                } catch (error) {
-                    console.warn(`Error scanning VST path ${vstPath}:`, error.message);
-                }
-            }
-        }
-
-        this.vstPlugins = plugins;
-        return plugins;
-    }
-
-    /**
-     * Get common VST plugin paths based on platform
-     */
-    getVSTPaths() {
-        const paths = [];
-        const platform = process.platform;
-
-        if (platform === 'win32') {
-            // Windows VST paths
-            const programFiles = process.env.PROGRAMFILES || 'C:\\Program Files';
-            paths.push(
-                path.join(programFiles, 'VSTPlugins'),
-                path.join(programFiles, 'Steinberg', 'VSTPlugins'),
-                path.join(programFiles, 'Common Files', 'VST2'),
-                path.join(programFiles, 'Common Files', 'VST3')
-            );
-        } else if (platform === 'darwin') {
-            // macOS VST paths
-            paths.push(
-                '/Library/Audio/Plug-Ins/VST',
-                '/Library/Audio/Plug-Ins/VST3',
-                path.join(process.env.HOME, 'Library/Audio/Plug-Ins/VST'),
-                path.join(process.env.HOME, 'Library/Audio/Plug-Ins/VST3')
-            );
-        } else if (platform === 'linux') {
-            // Linux VST paths
-            paths.push(
-                '/usr/lib/vst',
-                '/usr/lib/lxvst',
-                '/usr/local/lib/vst',
-                '/usr/local/lib/lxvst',
-                path.join(process.env.HOME, '.vst'),
-                path.join(process.env.HOME, '.lxvst')
-            );
-        }
-
-        return paths.filter(p => p);
-    }
-
-    /**
-     * Determine plugin type from file extension
-     */
-    getPluginType(filename) {
-        const ext = path.extname(filename).toLowerCase();
-        switch (ext) {
-            case '.vst': return 'vst2';
-            case '.vst3': return 'vst3';
-            case '.dll': return 'vst2'; // Windows VST2
-            default: return 'unknown';
-        }
-    }
-
-    /**
-     * Load a VST plugin for audio processing
-     */
-    async loadPlugin(pluginPath) {
-        try {
-            // Clear any previous plugin first
-            if (this.activePlugin) {
-                await this.stopVSTProcessing();
-            }
-            
-            this.activePlugin = {
-                path: pluginPath,
-                name: path.parse(pluginPath).name,
-                type: this.getPluginType(pluginPath),
-                loaded: true
-            };
-
-            this.logStatus(`VST plugin loaded: ${this.activePlugin.name}`);
-            return true;
-        } catch (error) {
-            this.logError(`Failed to load VST plugin: ${error.message}`);
-            this.activePlugin = null;
-            return false;
-        }
-    }
-
-    /**
-     * Start VST audio processing using external bridge
-     */
-    async startVSTProcessing(pluginPath, sampleRate = 44100, bufferSize = 1024) {
-        if (this.isRunning) {
-            await this.stopVSTProcessing();
-        }
-
-        try {
-            // For VST integration, we'll use an external bridge process
-            // This is a placeholder for actual VST bridge implementation
-            this.audioProcess = this.createVSTBridge(pluginPath, sampleRate, bufferSize);
-            
-            this.isRunning = true;
-            this.logStatus('VST audio processing started');
-            
-            return true;
-        } catch (error) {
-            this.logError(`Failed to start VST processing: ${error.message}`);
-            return false;
-        }
-    }
-
-    /**
-     * Create a bridge to VST plugin (placeholder implementation)
-     */
-    createVSTBridge(pluginPath, sampleRate, bufferSize) {
-        // This would normally spawn an external process that handles VST loading
-        // For now, we'll simulate VST audio input using system audio
-        
-        const bridgeProcess = {
-            sendAudioData: (data) => {
-                // Simulate VST processing by passing through audio data
-                if (this.callbacks.onAudioData) {
-                    this.callbacks.onAudioData(data);
-                }
-            },
-            stop: () => {
-                // Cleanup
-                this.isRunning = false;
-            },
-            showPluginUI: () => {
-                // This would normally open the VST plugin's GUI window
-                // For now, we'll simulate opening a window
-                this.logStatus(`Abriendo interfaz VST para: ${path.basename(pluginPath)}`);
-                
-                // Simulate opening a VST plugin window
-                // In a real implementation, this would load the actual VST plugin GUI
-                try {
-                    // This is where we would normally spawn the VST host process
-                    // For simulation, we'll just show a success message
-                    this.logStatus('Interfaz VST simulada abierta correctamente');
-                    this.logStatus('Para interfaces reales, se necesita un host VST externo');
-                    return true;
-                } catch (error) {
-                    this.logError(`Error al abrir interfaz VST: ${error.message}`);
-                    return false;
-                }
-            }
-        };
-
-        // Simulate VST audio bridge startup
-        setTimeout(() => {
-            this.logStatus('VST bridge ready - using system audio input');
-            this.logStatus('NOTE: This is a placeholder implementation');
-            this.logStatus('For full VST support, an external VST host is needed');
-        }, 1000);
-
-        return bridgeProcess;
-    }
-
-    /**
-     * Show VST plugin GUI (placeholder implementation)
-     */
-    async showPluginGUI() {
-        if (!this.activePlugin) {
-            this.logError('No VST plugin loaded to show GUI');
-            return false;
-        }
-
-        if (this.audioProcess && this.audioProcess.showPluginUI) {
-            this.audioProcess.showPluginUI();
-            return true;
-        } else {
-            this.logStatus(`VST plugin GUI would open for: ${this.activePlugin.name}`);
-            this.logStatus('Full VST GUI support requires external VST host application');
-            return false;
-        }
-    }
-
-    /**
-     * Stop VST audio processing
-     */
-    async stopVSTProcessing() {
-        if (this.audioProcess) {
-            this.audioProcess.stop();
-            this.audioProcess = null;
-        }
-        
-        this.isRunning = false;
-        // Don't clear activePlugin here - keep it so GUI can still be accessed
-        this.logStatus('VST audio processing stopped');
-    }
-
-    /**
-     * Get available VST plugins
-     */
-    getAvailablePlugins() {
-        return this.vstPlugins;
-    }
-
-    /**
-     * Get currently active plugin
-     */
-    getActivePlugin() {
-        return this.activePlugin;
-    }
-
-    /**
-     * Set callback for audio data
-     */
-    onAudioData(callback) {
-        this.callbacks.onAudioData = callback;
-    }
-
-    /**
-     * Set callback for errors
-     */
-    onError(callback) {
-        this.callbacks.onError = callback;
-    }
-
-    /**
-     * Set callback for status updates
-     */
-    onStatus(callback) {
-        this.callbacks.onStatus = callback;
-    }
-
-    /**
-     * Log status message
-     */
-    logStatus(message) {
-        console.log(`[VST Manager] ${message}`);
-        if (this.callbacks.onStatus) {
-            this.callbacks.onStatus(message);
-        }
-    }
-
-    /**
-     * Log error message
-     */
-    logError(message) {
-        console.error(`[VST Manager] ${message}`);
-        if (this.callbacks.onError) {
-            this.callbacks.onError(message);
-        }
-    }
-
-    /**
-     * Check if VST processing is available
-     */
-    isVSTAvailable() {
-        return this.vstPlugins.length > 0;
-    }
-
-    /**
-     * Check if a VST plugin is currently loaded
-     */
-    isPluginLoaded() {
-        return this.activePlugin !== null;
-    }
-
-    /**
-     * Get VST plugin info
-     */
-    getPluginInfo(pluginPath) {
-        try {
-            const stats = fs.statSync(pluginPath);
-            return {
-                name: path.parse(pluginPath).name,
-                path: pluginPath,
-                size: stats.size,
-                modified: stats.mtime,
-                type: this.getPluginType(pluginPath)
-            };
-        } catch (error) {
-            return null;
-        }
-    }
-}
-
+const { spawn } = require('child_process');
+const path = require('path');
+const fs = require('fs');
+
+class VSTManager {
+    constructor() {
+        this.vstPlugins = [];
+        this.activePlugin = null;
+        this.audioProcess = null;
+        this.isRunning = false;
+        this.audioBuffer = null;
+        this.callbacks = {
+            onAudioData: null,
+            onError: null,
+            onStatus: null
+        };
+    }
+
+    /**
+     * Scan for VST plugins in common directories
+     */
+    async scanVSTPlugins() {
+        const vstPaths = this.getVSTPaths();
+        const plugins = [];
+
+        for (const vstPath of vstPaths) {
+            if (fs.existsSync(vstPath)) {
+                try {
+                    const files = fs.readdirSync(vstPath);
+                    const vstFiles = files.filter(file => 
+                        file.toLowerCase().endsWith('.vst') || 
+                        file.toLowerCase().endsWith('.vst3') ||
+                        file.toLowerCase().endsWith('.dll')
+                    );
+                    
+                    vstFiles.forEach(file => {
+                        plugins.push({
+                            name: path.parse(file).name,
+                            path: path.join(vstPath, file),
+                            type: this.getPluginType(file)
+                        });
+                    });
+                } catch (error) {
+                    console.warn(`Error scanning VST path ${vstPath}:`, error.message);
+                }
+            }
+        }
+
+        this.vstPlugins = plugins;
+        return plugins;
+    }
+
+    /**
+     * Get common VST plugin paths based on platform
+     */
+    getVSTPaths() {
+        const paths = [];
+        const platform = process.platform;
+
+        if (platform === 'win32') {
+            // Windows VST paths
+            const programFiles = process.env.PROGRAMFILES || 'C:\\Program Files';
+            paths.push(
+                path.join(programFiles, 'VSTPlugins'),
+                path.join(programFiles, 'Steinberg', 'VSTPlugins'),
+                path.join(programFiles, 'Common Files', 'VST2'),
+                path.join(programFiles, 'Common Files', 'VST3')
+            );
+        } else if (platform === 'darwin') {
+            // macOS VST paths
+            paths.push(
+                '/Library/Audio/Plug-Ins/VST',
+                '/Library/Audio/Plug-Ins/VST3',
+                path.join(process.env.HOME, 'Library/Audio/Plug-Ins/VST'),
+                path.join(process.env.HOME, 'Library/Audio/Plug-Ins/VST3')
+            );
+        } else if (platform === 'linux') {
+            // Linux VST paths
+            paths.push(
+                '/usr/lib/vst',
+                '/usr/lib/lxvst',
+                '/usr/local/lib/vst',
+                '/usr/local/lib/lxvst',
+                path.join(process.env.HOME, '.vst'),
+                path.join(process.env.HOME, '.lxvst')
+            );
+        }
+
+        return paths.filter(p => p);
+    }
+
+    /**
+     * Determine plugin type from file extension
+     */
+    getPluginType(filename) {
+        const ext = path.extname(filename).toLowerCase();
+        switch (ext) {
+            case '.vst': return 'vst2';
+            case '.vst3': return 'vst3';
+            case '.dll': return 'vst2'; // Windows VST2
+            default: return 'unknown';
+        }
+    }
+
+    /**
+     * Load a VST plugin for audio processing
+     */
+    async loadPlugin(pluginPath) {
+        try {
+            // Clear any previous plugin first
+            if (this.activePlugin) {
+                await this.stopVSTProcessing();
+            }
+            
+            this.activePlugin = {
+                path: pluginPath,
+                name: path.parse(pluginPath).name,
+                type: this.getPluginType(pluginPath),
+                loaded: true
+            };
+
+            this.logStatus(`VST plugin loaded: ${this.activePlugin.name}`);
+            return true;
+        } catch (error) {
+            this.logError(`Failed to load VST plugin: ${error.message}`);
+            this.activePlugin = null;
+            return false;
+        }
+    }
+
+    /**
+     * Start VST audio processing using external bridge
+     */
+    async startVSTProcessing(pluginPath, sampleRate = 44100, bufferSize = 1024) {
+        if (this.isRunning) {
+            await this.stopVSTProcessing();
+        }
+
+        try {
+            // For VST integration, we'll use an external bridge process
+            // This is a placeholder for actual VST bridge implementation
+            this.audioProcess = this.createVSTBridge(pluginPath, sampleRate, bufferSize);
+            
+            this.isRunning = true;
+            this.logStatus('VST audio processing started');
+            
+            return true;
+        } catch (error) {
+            this.logError(`Failed to start VST processing: ${error.message}`);
+            return false;
+        }
+    }
+
+    /**
+     * Create a bridge to VST plugin (placeholder implementation)
+     */
+    createVSTBridge(pluginPath, sampleRate, bufferSize) {
+        // This would normally spawn an external process that handles VST loading
+        // For now, we'll simulate VST audio input using system audio
+        
+        const bridgeProcess = {
+            sendAudioData: (data) => {
+                // Simulate VST processing by passing through audio data
+                if (this.callbacks.onAudioData) {
+                    this.callbacks.onAudioData(data);
+                }
+            },
+            stop: () => {
+                // Cleanup
+                this.isRunning = false;
+            },
+            showPluginUI: () => {
+                // This would normally open the VST plugin's GUI window
+                // For now, we'll simulate opening a window
+                this.logStatus(`Abriendo interfaz VST para: ${path.basename(pluginPath)}`);
+                
+                // Simulate opening a VST plugin window
+                // In a real implementation, this would load the actual VST plugin GUI
+                try {
+                    // This is where we would normally spawn the VST host process
+                    // For simulation, we'll just show a success message
+                    this.logStatus('Interfaz VST simulada abierta correctamente');
+                    this.logStatus('Para interfaces reales, se necesita un host VST externo');
+                    return true;
+                } catch (error) {
+                    this.logError(`Error al abrir interfaz VST: ${error.message}`);
+                    return false;
+                }
+            }
+        };
+
+        // Simulate VST audio bridge startup
+        setTimeout(() => {
+            this.logStatus('VST bridge ready - using system audio input');
+            this.logStatus('NOTE: This is a placeholder implementation');
+            this.logStatus('For full VST support, an external VST host is needed');
+        }, 1000);
+
+        return bridgeProcess;
+    }
+
+    /**
+     * Show VST plugin GUI (placeholder implementation)
+     */
+    async showPluginGUI() {
+        if (!this.activePlugin) {
+            this.logError('No VST plugin loaded to show GUI');
+            return false;
+        }
+
+        if (this.audioProcess && this.audioProcess.showPluginUI) {
+            this.audioProcess.showPluginUI();
+            return true;
+        } else {
+            this.logStatus(`VST plugin GUI would open for: ${this.activePlugin.name}`);
+            this.logStatus('Full VST GUI support requires external VST host application');
+            return false;
+        }
+    }
+
+    /**
+     * Stop VST audio processing
+     */
+    async stopVSTProcessing() {
+        if (this.audioProcess) {
+            this.audioProcess.stop();
+            this.audioProcess = null;
+        }
+        
+        this.isRunning = false;
+        // Don't clear activePlugin here - keep it so GUI can still be accessed
+        this.logStatus('VST audio processing stopped');
+    }
+
+    /**
+     * Get available VST plugins
+     */
+    getAvailablePlugins() {
+        return this.vstPlugins;
+    }
+
+    /**
+     * Get currently active plugin
+     */
+    getActivePlugin() {
+        return this.activePlugin;
+    }
+
+    /**
+     * Set callback for audio data
+     */
+    onAudioData(callback) {
+        this.callbacks.onAudioData = callback;
+    }
+
+    /**
+     * Set callback for errors
+     */
+    onError(callback) {
+        this.callbacks.onError = callback;
+    }
+
+    /**
+     * Set callback for status updates
+     */
+    onStatus(callback) {
+        this.callbacks.onStatus = callback;
+    }
+
+    /**
+     * Log status message
+     */
+    logStatus(message) {
+        console.log(`[VST Manager] ${message}`);
+        if (this.callbacks.onStatus) {
+            this.callbacks.onStatus(message);
+        }
+    }
+
+    /**
+     * Log error message
+     */
+    logError(message) {
+        console.error(`[VST Manager] ${message}`);
+        if (this.callbacks.onError) {
+            this.callbacks.onError(message);
+        }
+    }
+
+    /**
+     * Check if VST processing is available
+     */
+    isVSTAvailable() {
+        return this.vstPlugins.length > 0;
+    }
+
+    /**
+     * Check if a VST plugin is currently loaded
+     */
+    isPluginLoaded() {
+        return this.activePlugin !== null;
+    }
+
+    /**
+     * Get VST plugin info
+     */
+    getPluginInfo(pluginPath) {
+        try {
+            const stats = fs.statSync(pluginPath);
+            return {
+                name: path.parse(pluginPath).name,
+                path: pluginPath,
+                size: stats.size,
+                modified: stats.mtime,
+                type: this.getPluginType(pluginPath)
+            };
+        } catch (error) {
+            return null;
+        }
+    }
+}
+
 module.exports = VSTManager;
\ No newline at end of file